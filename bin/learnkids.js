@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * LearnKids content CLI
+ *
+ * Usage:
+ *   learnkids content validate [--data <dir>]
+ *   learnkids content lint [--data <dir>] [--strict]
+ *   learnkids content new-course <courseId> --title <title> [--emoji <emoji>] [--data <dir>]
+ *   learnkids content new-lesson <courseId> --title <title> [--badge <badge>] [--data <dir>]
+ *   learnkids content assets [<courseId>] [--data <dir>]
+ *   learnkids auth mock-idp [--port <port>]
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { optimizeCourseAssets } from '../lib/contentAssets.js';
+import { appendLesson, createCourseScaffold } from '../lib/contentAuthoring.js';
+import { formatContentIssue, validateContent } from '../lib/contentValidation.js';
+import { startMockIdentityProvider } from '../lib/mockIdentityProvider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'mcp-server', 'data');
+
+const USAGE = `Usage:
+  learnkids content validate [--data <dir>]
+  learnkids content lint [--data <dir>] [--strict]
+  learnkids content new-course <courseId> --title <title> [--emoji <emoji>] [--data <dir>]
+  learnkids content new-lesson <courseId> --title <title> [--badge <badge>] [--data <dir>]
+  learnkids content assets [<courseId>] [--data <dir>]
+  learnkids auth mock-idp [--port <port>]`;
+
+const commands = {
+  validate: ({ dataDir }) => checkContent(dataDir, { lint: false }),
+  lint: ({ dataDir, values }) => checkContent(dataDir, { lint: true, strict: values.strict }),
+  'new-course': newCourse,
+  'new-lesson': newLesson,
+  assets: optimizeAssets,
+};
+
+const authCommands = {
+  'mock-idp': mockIdentityProvider,
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      data: { type: 'string' },
+      title: { type: 'string' },
+      emoji: { type: 'string' },
+      badge: { type: 'string' },
+      port: { type: 'string' },
+      strict: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [group, name, ...rest] = positionals;
+  const command = group === 'content' ? commands[name] : group === 'auth' ? authCommands[name] : null;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const dataDir = path.resolve(values.data || DEFAULT_DATA_DIR);
+  return command({ dataDir, values, args: rest });
+}
+
+async function checkContent(dataDir, { lint, strict = false }) {
+  const { errors, warnings } = await validateContent(dataDir, { lint });
+
+  for (const issue of errors) {
+    console.error(`✖ ${formatContentIssue(issue)}`);
+  }
+  for (const issue of warnings) {
+    console.warn(`⚠ ${formatContentIssue(issue)}`);
+  }
+
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+  console.log(`${failed ? '✖' : '✔'} ${errors.length} error(s), ${warnings.length} warning(s) in ${dataDir}`);
+  return failed ? 1 : 0;
+}
+
+async function newCourse({ dataDir, values, args: [courseId] }) {
+  const coursesPath = path.join(dataDir, 'courses.json');
+  const coursesData = await readJson(coursesPath);
+  if (coursesData.courses.some((course) => course.id === courseId)) {
+    throw new Error(`Course "${courseId}" already exists`);
+  }
+
+  const { course, lessonsData } = createCourseScaffold({ id: courseId, title: values.title, emoji: values.emoji });
+  const lessonsPath = path.join(dataDir, 'lessons', `${courseId}.json`);
+  if (await fileExists(lessonsPath)) {
+    throw new Error(`${path.relative(dataDir, lessonsPath)} already exists`);
+  }
+
+  await writeJson(lessonsPath, { $schema: '../schemas/lessons.schema.json', ...lessonsData });
+  await writeJson(coursesPath, { ...coursesData, courses: [...coursesData.courses, course] });
+
+  console.log(`✔ Created course "${courseId}" with a starter lesson in ${path.relative(process.cwd(), lessonsPath)}`);
+  console.log('  Replace the TODO placeholders, then run: learnkids content lint');
+  return 0;
+}
+
+async function newLesson({ dataDir, values, args: [courseId] }) {
+  const coursesPath = path.join(dataDir, 'courses.json');
+  const coursesData = await readJson(coursesPath);
+  const index = coursesData.courses.findIndex((course) => course.id === courseId);
+  if (index === -1) {
+    throw new Error(`Course "${courseId}" not found`);
+  }
+
+  const lessonsPath = path.join(dataDir, 'lessons', `${courseId}.json`);
+  const { course, lessonsData, lesson } = appendLesson(
+    coursesData.courses[index],
+    await readJson(lessonsPath),
+    { title: values.title, badge: values.badge || null }
+  );
+
+  const courses = [...coursesData.courses];
+  courses[index] = course;
+  await writeJson(lessonsPath, lessonsData);
+  await writeJson(coursesPath, { ...coursesData, courses });
+
+  console.log(`✔ Added ${lesson.id} "${lesson.title}" to ${courseId}`);
+  console.log('  Replace the TODO placeholders, then run: learnkids content lint');
+  return 0;
+}
+
+async function optimizeAssets({ dataDir, args: [courseId] }) {
+  const coursesData = await readJson(path.join(dataDir, 'courses.json'));
+  const courseIds = coursesData.courses.map((course) => course.id);
+  if (courseId && !courseIds.includes(courseId)) {
+    throw new Error(`Course "${courseId}" not found`);
+  }
+
+  let optimized = 0;
+  for (const id of courseId ? [courseId] : courseIds) {
+    const result = await optimizeCourseAssets(dataDir, id);
+    if (!result) continue;
+    for (const asset of result.assets) {
+      console.log(`  ${id}/${asset.name} → ${asset.file} (${formatBytes(asset.sourceBytes)} → ${formatBytes(asset.bytes)})`);
+    }
+    for (const file of result.removed) {
+      console.log(`  ${id}: removed ${file}`);
+    }
+    optimized += result.assets.length;
+  }
+
+  console.log(`✔ Optimized ${optimized} image(s) in ${path.join(dataDir, 'assets')}`);
+  return 0;
+}
+
+// Runs until interrupted, so a local server can use it as OAUTH_ISSUER
+async function mockIdentityProvider({ values }) {
+  const provider = await startMockIdentityProvider({ port: Number(values.port || 9000) });
+  console.log(`✔ Mock identity provider on ${provider.issuer} (for local testing only)`);
+  console.log(`  Start the server with: OAUTH_ISSUER=${provider.issuer} BASE_URL=http://localhost:8000 npm start`);
+  console.log(`  Get a token: curl -d sub=teacher-1 -d resource=http://localhost:8000/mcp ${provider.issuer}/token`);
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+  await provider.close();
+  return 0;
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+}
+
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf-8');
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`✖ ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,148 @@
+/**
+ * Achievement engine
+ *
+ * Achievements come from two places: the content (each lesson's
+ * `reward.badge`, and finishing a whole course) and built-in milestones
+ * (practice streaks, lessons solved on the first try, lessons finished
+ * without opening a hint). Every achievement is a definition plus a rule that
+ * checks it against a learner's saved progress, so the same check works
+ * right after an attempt and later when progress from before the engine
+ * existed is looked at again. Once awarded, an achievement is kept.
+ */
+
+import { translate } from './i18n.js';
+
+export const STREAK_MILESTONES = [3, 7, 30];
+export const FIRST_TRY_MILESTONES = [1, 5, 10];
+export const NO_HINT_MILESTONES = [1, 5, 10];
+
+// How each kind of achievement is checked against progressStore.getProgress output.
+// first-try looks at attempts and no-hints at hints the learner opened (open-hint), so a lucky
+// first guess after reading a hint and a third try without one each earn only their own milestone.
+const RULES = {
+  'lesson-badge': ({ courseId, lessonId }, progress) => isCompleted(progress, courseId, lessonId),
+  'course-complete': ({ courseId, lessonIds }, progress) => lessonIds.every((lessonId) => isCompleted(progress, courseId, lessonId)),
+  streak: ({ threshold }, progress) => (progress.streak?.longest ?? 0) >= threshold,
+  'first-try': ({ threshold }, progress) => countLessons(progress, (lesson) => lesson.attemptsToComplete === 1 && !lesson.solutionBeforeComplete) >= threshold,
+  'no-hints': ({ threshold }, progress) => countLessons(progress, (lesson) => lesson.hintsBeforeComplete === 0) >= threshold,
+};
+
+/**
+ * Build the list of achievements a learner can earn
+ * @param {Array<{ course: Object, lessons: Array<Object> }>} courses - Each course with its (localized) lessons
+ * @param {string} [locale] - Locale for titles and descriptions
+ * @returns {Array<Object>} Definitions: { id, type, emoji, title, description, courseId, ... }
+ */
+export function buildAchievementCatalog(courses, locale) {
+  const catalog = [];
+
+  for (const { course, lessons } of courses) {
+    for (const lesson of lessons) {
+      if (lesson.reward?.badge) {
+        catalog.push({
+          id: `lesson:${course.id}:${lesson.id}`,
+          type: 'lesson-badge',
+          emoji: '🏅',
+          title: lesson.reward.badge,
+          description: translate(locale, 'achievements.lessonBadge', { lesson: lesson.title }),
+          courseId: course.id,
+          lessonId: lesson.id,
+        });
+      }
+    }
+    catalog.push({
+      id: `course:${course.id}`,
+      type: 'course-complete',
+      emoji: course.emoji || '🎓',
+      title: translate(locale, 'achievements.courseComplete.title', { course: course.title }),
+      description: translate(locale, 'achievements.courseComplete.description', { course: course.title }),
+      courseId: course.id,
+      lessonIds: course.lessonIds ?? lessons.map((lesson) => lesson.id),
+      certificateAvailable: Boolean(course.rewards?.certificateAvailable),
+    });
+  }
+
+  const milestones = [
+    ['streak', '🔥', STREAK_MILESTONES],
+    ['first-try', '🎯', FIRST_TRY_MILESTONES],
+    ['no-hints', '🧠', NO_HINT_MILESTONES],
+  ];
+  for (const [type, emoji, thresholds] of milestones) {
+    for (const threshold of thresholds) {
+      catalog.push({
+        id: `${type}-${threshold}`,
+        type,
+        emoji,
+        title: translate(locale, `achievements.${type}.title`, { count: threshold }),
+        description: translate(locale, `achievements.${type}.description`, { count: threshold }),
+        courseId: null,
+        threshold,
+      });
+    }
+  }
+
+  return catalog;
+}
+
+/**
+ * Find the achievements a learner's progress satisfies
+ * @param {Array<Object>} catalog - From buildAchievementCatalog
+ * @param {{ courses: Object<string, Object>, streak?: Object }} progress - progressStore.getProgress result
+ * @returns {Array<Object>} Satisfied definitions (whether or not they were awarded before)
+ */
+export function evaluateAchievements(catalog, progress) {
+  return catalog.filter((definition) => {
+    const rule = RULES[definition.type];
+    if (!rule) {
+      throw new Error(`Unknown achievement type "${definition.type}"`);
+    }
+    return rule(definition, progress);
+  });
+}
+
+/**
+ * Describe achievements for tool results and the widget
+ * @param {Array<Object>} catalog - From buildAchievementCatalog
+ * @param {Object<string, { earnedAt: string }>} earned - progressStore.getAchievements result
+ * @param {Object} [options]
+ * @param {string|null} [options.courseId] - Only course-wide achievements and this course's
+ * @returns {{ earnedCount: number, total: number, achievements: Array<Object> }} Earned ones first, newest first
+ */
+export function buildTrophyShelf(catalog, earned, { courseId = null } = {}) {
+  const achievements = catalog
+    .filter((definition) => !courseId || !definition.courseId || definition.courseId === courseId)
+    .map((definition) => publicAchievement(definition, earned[definition.id]?.earnedAt ?? null));
+
+  achievements.sort((a, b) => {
+    if (Boolean(a.earnedAt) !== Boolean(b.earnedAt)) return a.earnedAt ? -1 : 1;
+    return (b.earnedAt ?? '').localeCompare(a.earnedAt ?? '');
+  });
+
+  return {
+    earnedCount: achievements.filter((achievement) => achievement.earned).length,
+    total: achievements.length,
+    achievements,
+  };
+}
+
+/**
+ * Achievement as sent to clients (without rule internals such as lessonIds)
+ * @param {Object} definition - From buildAchievementCatalog
+ * @param {string|null} earnedAt - When it was awarded, if it was
+ * @returns {Object}
+ */
+export function publicAchievement(definition, earnedAt) {
+  const { lessonIds, threshold, ...shown } = definition;
+  return { ...shown, earned: Boolean(earnedAt), earnedAt };
+}
+
+function isCompleted(progress, courseId, lessonId) {
+  return Boolean(progress.courses[courseId]?.lessons?.[lessonId]?.completed);
+}
+
+function countLessons(progress, predicate) {
+  return Object.values(progress.courses)
+    .flatMap((course) => Object.values(course.lessons ?? {}))
+    .filter((lesson) => lesson.completed && predicate(lesson))
+    .length;
+}
@@ -0,0 +1,317 @@
+/**
+ * Optional OAuth 2.1 protection (MCP authorization spec)
+ *
+ * The server is an OAuth resource server: it publishes protected-resource
+ * metadata (RFC 9728) naming the authorization server, and verifies the JWT
+ * access tokens clients send as `Authorization: Bearer ...` against that
+ * server's JWKS. Browsing tools stay open to everyone; tools that read or
+ * change a person's progress or classes need a token. With no issuer
+ * configured every tool stays `noauth`, as before.
+ */
+
+import crypto from 'node:crypto';
+
+/** Default scope for LearnKids tools */
+export const DEFAULT_SCOPES = ['learnkids'];
+
+/** Tools anyone can use, signed in or not */
+export const PUBLIC_TOOLS = new Set([
+  'get-courses',
+  'view-course-details',
+  'get-course-details',
+  'start-lesson',
+  'trace-example',
+]);
+
+// Leeway for clocks that disagree a little
+const CLOCK_SKEW_SECONDS = 60;
+// Don't hammer the JWKS endpoint when tokens name unknown keys
+const JWKS_REFRESH_INTERVAL_MS = 30000;
+
+const SUPPORTED_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Token problem, named after the RFC 6750 error codes
+ */
+export class AuthError extends Error {
+  /**
+   * @param {'invalid_request'|'invalid_token'|'insufficient_scope'} code - RFC 6750 error code
+   * @param {string} message - Description sent back in WWW-Authenticate
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read the OAuth settings from the environment
+ * OAUTH_ISSUER turns auth on; OAUTH_JWKS_URL skips discovery; OAUTH_SCOPES is
+ * space-separated; OAUTH_RESOURCE fixes the resource URL tokens must be issued
+ * for, otherwise it is BASE_URL plus the MCP path. With auth on one of the two
+ * is required: an audience taken from request headers would let a token for
+ * any other resource of the same issuer through.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @param {Object} [options]
+ * @param {string} [options.resourcePath='/mcp'] - MCP path appended to BASE_URL
+ * @returns {{ enabled: boolean, issuer: string|null, jwksUrl: string|null, scopes: string[], resource: string|null }}
+ * @throws {Error} When OAUTH_ISSUER is set without OAUTH_RESOURCE or BASE_URL
+ */
+export function readAuthConfig(env = process.env, { resourcePath = '/mcp' } = {}) {
+  const issuer = env.OAUTH_ISSUER ? env.OAUTH_ISSUER.replace(/\/+$/, '') : null;
+  const resource = env.OAUTH_RESOURCE
+    || (env.BASE_URL ? `${env.BASE_URL.replace(/\/+$/, '')}${resourcePath}` : null);
+  if (issuer && !resource) {
+    throw new Error('OAUTH_ISSUER needs OAUTH_RESOURCE or BASE_URL, the public URL tokens are issued for');
+  }
+  return {
+    enabled: Boolean(issuer),
+    issuer,
+    jwksUrl: env.OAUTH_JWKS_URL || null,
+    scopes: env.OAUTH_SCOPES ? env.OAUTH_SCOPES.split(/\s+/).filter(Boolean) : DEFAULT_SCOPES,
+    resource,
+  };
+}
+
+/**
+ * Security schemes a tool advertises in tools/list
+ * @param {string} toolName - Tool name
+ * @param {{ enabled: boolean, scopes: string[] }} config - From readAuthConfig
+ * @returns {Array<Object>} securitySchemes value
+ */
+export function toolSecuritySchemes(toolName, config) {
+  if (!config.enabled) {
+    return [{ type: 'noauth' }];
+  }
+  const oauth = { type: 'oauth2', scopes: config.scopes };
+  return PUBLIC_TOOLS.has(toolName) ? [{ type: 'noauth' }, oauth] : [oauth];
+}
+
+/**
+ * Whether a tool call needs a verified token
+ * @param {string} toolName - Tool name
+ * @param {{ enabled: boolean }} config - From readAuthConfig
+ * @returns {boolean}
+ */
+export function toolRequiresAuth(toolName, config) {
+  return config.enabled && !PUBLIC_TOOLS.has(toolName);
+}
+
+/**
+ * Key a learner's progress and classes are stored under
+ * A verified token names the person as `user:<sub>`. The client's own
+ * `openai/subject` comes next, but with auth on anyone can send it, so it is
+ * kept apart as `anon:<subject>` and can never pass for a signed-in user.
+ * Without either, progress lasts for the MCP session.
+ * @param {Object} params
+ * @param {string} [params.tokenSubject] - `sub` of the verified access token
+ * @param {string} [params.clientSubject] - `openai/subject` from the request
+ * @param {string} [params.sessionId] - MCP session ID
+ * @param {{ enabled: boolean }} config - From readAuthConfig
+ * @returns {string} Learner ID
+ */
+export function learnerIdFor({ tokenSubject, clientSubject, sessionId }, config) {
+  if (typeof tokenSubject === 'string' && tokenSubject.length > 0) {
+    return `user:${tokenSubject}`;
+  }
+  if (typeof clientSubject === 'string' && clientSubject.length > 0) {
+    return config.enabled ? `anon:${clientSubject}` : clientSubject;
+  }
+  return sessionId ? `session:${sessionId}` : 'anonymous';
+}
+
+/**
+ * Protected-resource metadata document (RFC 9728)
+ * @param {Object} params
+ * @param {string} params.resource - This server's resource URL
+ * @param {{ issuer: string, scopes: string[] }} params.config - From readAuthConfig
+ * @returns {Object} JSON for /.well-known/oauth-protected-resource
+ */
+export function buildProtectedResourceMetadata({ resource, config }) {
+  return {
+    resource,
+    authorization_servers: [config.issuer],
+    scopes_supported: config.scopes,
+    bearer_methods_supported: ['header'],
+    resource_name: 'LearnKids AI',
+  };
+}
+
+/**
+ * WWW-Authenticate value pointing clients at the metadata
+ * @param {Object} params
+ * @param {string} params.resourceMetadataUrl - URL of the protected-resource metadata
+ * @param {string[]} [params.scopes] - Scopes to ask for
+ * @param {AuthError} [params.error] - What was wrong with the token, if one was sent
+ * @returns {string} Header value
+ */
+export function buildWwwAuthenticate({ resourceMetadataUrl, scopes = [], error = null }) {
+  const params = [`resource_metadata="${resourceMetadataUrl}"`];
+  if (scopes.length > 0) {
+    params.push(`scope="${scopes.join(' ')}"`);
+  }
+  if (error) {
+    params.push(`error="${error.code}"`, `error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  return `Bearer ${params.join(', ')}`;
+}
+
+/**
+ * Pull the token out of an Authorization header
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|null} Token, or null when there is no header
+ * @throws {AuthError} invalid_request when the header is not a bearer token
+ */
+export function readBearerToken(header) {
+  if (!header) {
+    return null;
+  }
+  const match = /^Bearer\s+([A-Za-z0-9\-._~+/]+=*)$/i.exec(header.trim());
+  if (!match) {
+    throw new AuthError('invalid_request', 'Authorization header must be "Bearer <token>"');
+  }
+  return match[1];
+}
+
+/**
+ * Create a verifier for access tokens from one issuer
+ * @param {Object} options
+ * @param {string} options.issuer - Expected `iss`
+ * @param {string|null} [options.jwksUrl] - JWKS location (discovered from the issuer when omitted)
+ * @param {typeof fetch} [options.fetch] - Fetch implementation, overridable in tests
+ * @param {() => number} [options.now] - Clock in milliseconds, overridable in tests
+ * @returns {{ verify: (token: string, options: { audience: string, scopes?: string[] }) => Promise<Object> }}
+ */
+export function createTokenVerifier({ issuer, jwksUrl = null, fetch: fetchImpl = fetch, now = () => Date.now() }) {
+  let keys = new Map();
+  let lastFetch = 0;
+  let fetching = null;
+
+  async function discoverJwksUrl() {
+    if (jwksUrl) return jwksUrl;
+    for (const wellKnown of ['oauth-authorization-server', 'openid-configuration']) {
+      const response = await fetchImpl(`${issuer}/.well-known/${wellKnown}`);
+      if (response.ok) {
+        const metadata = await response.json();
+        if (metadata.jwks_uri) {
+          jwksUrl = metadata.jwks_uri;
+          return jwksUrl;
+        }
+      }
+    }
+    throw new Error(`Could not find a jwks_uri for issuer ${issuer}`);
+  }
+
+  async function refreshKeys() {
+    if (!fetching) {
+      fetching = (async () => {
+        const response = await fetchImpl(await discoverJwksUrl());
+        if (!response.ok) {
+          throw new Error(`JWKS request failed with status ${response.status}`);
+        }
+        const { keys: jwks = [] } = await response.json();
+        keys = new Map(jwks.filter((jwk) => jwk.kid).map((jwk) => [jwk.kid, jwk]));
+        lastFetch = now();
+      })().finally(() => {
+        fetching = null;
+      });
+    }
+    return fetching;
+  }
+
+  async function findKey(kid) {
+    if (!keys.has(kid) && now() - lastFetch >= JWKS_REFRESH_INTERVAL_MS) {
+      // Unknown key: the issuer may have rotated keys since the last fetch
+      await refreshKeys();
+    }
+    const jwk = keys.get(kid);
+    if (!jwk) {
+      throw new AuthError('invalid_token', 'Token was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  return {
+    /**
+     * Verify an access token
+     * @param {string} token - JWT from the Authorization header
+     * @param {Object} options
+     * @param {string} options.audience - This server's resource URL, which must be in `aud`
+     * @param {string[]} [options.scopes] - Scopes the token must carry
+     * @returns {Promise<Object>} AuthInfo for the MCP SDK (subject in `extra.subject`)
+     * @throws {AuthError} invalid_token or insufficient_scope
+     */
+    async verify(token, { audience, scopes = [] }) {
+      const { header, claims, signingInput, signature } = decodeJwt(token);
+
+      const algorithm = SUPPORTED_ALGORITHMS[header.alg];
+      if (!algorithm) {
+        throw new AuthError('invalid_token', `Unsupported token algorithm "${header.alg}"`);
+      }
+      const key = await findKey(header.kid);
+      const valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(signingInput),
+        algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+        signature,
+      );
+      if (!valid) {
+        throw new AuthError('invalid_token', 'Token signature is not valid');
+      }
+
+      const seconds = Math.floor(now() / 1000);
+      if (claims.iss !== issuer) {
+        throw new AuthError('invalid_token', 'Token was issued by a different authorization server');
+      }
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) {
+        throw new AuthError('invalid_token', 'Token was issued for a different resource');
+      }
+      if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < seconds) {
+        throw new AuthError('invalid_token', 'Token has expired');
+      }
+      if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > seconds) {
+        throw new AuthError('invalid_token', 'Token is not valid yet');
+      }
+      if (typeof claims.sub !== 'string' || claims.sub.length === 0) {
+        throw new AuthError('invalid_token', 'Token has no subject');
+      }
+
+      const granted = typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : [];
+      const missing = scopes.filter((scope) => !granted.includes(scope));
+      if (missing.length > 0) {
+        throw new AuthError('insufficient_scope', `Token is missing the scope ${missing.join(' ')}`);
+      }
+
+      return {
+        token,
+        clientId: claims.client_id ?? claims.azp ?? '',
+        scopes: granted,
+        expiresAt: claims.exp,
+        resource: new URL(audience),
+        extra: { subject: claims.sub },
+      };
+    },
+  };
+}
+
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('invalid_token', 'Token is not a JWT');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8')),
+      claims: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch {
+    throw new AuthError('invalid_token', 'Token is not a JWT');
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Course completion certificates
+ *
+ * A learner who finished every lesson of a course that offers a certificate
+ * (`rewards.certificateAvailable` in courses.json) can get a printable
+ * certificate with the name they chose, the course title, emoji and color,
+ * the day they finished and a verification code. The code is also the
+ * certificate's address: anyone holding it can open or check the certificate,
+ * and it reveals nothing else about the learner.
+ */
+
+import { randomInt } from 'node:crypto';
+import { translate } from './i18n.js';
+import { renderPdf } from './pdfDocument.js';
+
+export const CERTIFICATE_FORMATS = ['svg', 'pdf'];
+
+// Same alphabet as class join codes: no 0/O or 1/I/L, so codes can be read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const MAX_NAME_LENGTH = 40;
+const DEFAULT_COLOR = '#8B5CF6';
+
+/**
+ * Certificate request that can't be served; `code` maps to a `server.certificate<Code>` message
+ */
+export class CertificateError extends Error {
+  /**
+   * @param {'not-available'|'not-completed'|'name-required'|'not-found'} code - What went wrong
+   * @param {string} message - Description for logs
+   * @param {Object} [details] - Values for the message (such as lessons done so far)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'CertificateError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Check that a learner has earned a course's certificate
+ * @param {Object} course - Course from courses.json
+ * @param {Object|undefined} courseProgress - progressStore.getProgress(...).courses[course.id]
+ * @returns {{ completedAt: string }} When the last lesson was finished
+ * @throws {CertificateError} not-available or not-completed
+ */
+export function checkCertificateEligibility(course, courseProgress) {
+  if (!course.rewards?.certificateAvailable) {
+    throw new CertificateError('not-available', `Course "${course.id}" has no certificate`);
+  }
+
+  const lessons = courseProgress?.lessons ?? {};
+  const completed = course.lessonIds.filter((lessonId) => lessons[lessonId]?.completed);
+  if (completed.length < course.lessonIds.length) {
+    throw new CertificateError('not-completed', `Course "${course.id}" is not finished`, {
+      done: completed.length,
+      total: course.lessonIds.length,
+    });
+  }
+
+  const completedAt = completed
+    .map((lessonId) => lessons[lessonId].completedAt)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  return { completedAt: completedAt ?? null };
+}
+
+/**
+ * Tidy the name printed on a certificate
+ * @param {unknown} value - Name the learner chose
+ * @returns {string} Name with spacing collapsed, at most 40 characters
+ * @throws {CertificateError} name-required when there is no name
+ */
+export function cleanDisplayName(value) {
+  const name = typeof value === 'string'
+    ? value.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim()
+    : '';
+  if (!name) {
+    throw new CertificateError('name-required', 'A display name is required');
+  }
+  return name.slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Make a new verification code such as "K7P2-QX9M-4TRA"
+ * @returns {string}
+ */
+export function generateVerificationCode() {
+  const groups = [];
+  for (let group = 0; group < CODE_GROUPS; group++) {
+    let part = '';
+    for (let index = 0; index < CODE_GROUP_LENGTH; index++) {
+      part += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(part);
+  }
+  return groups.join('-');
+}
+
+/**
+ * Read a verification code the way people type it (any case, spaces or dashes)
+ * @param {unknown} value - Code as entered or taken from a URL
+ * @returns {string|null} Code in canonical form, or null when it can't be one
+ */
+export function normalizeVerificationCode(value) {
+  const characters = String(value ?? '').toUpperCase().replace(/[\s-]/g, '');
+  if (characters.length !== CODE_GROUPS * CODE_GROUP_LENGTH
+    || [...characters].some((character) => !CODE_ALPHABET.includes(character))) {
+    return null;
+  }
+  return characters.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Describe a certificate for tool results and rendering
+ * @param {Object} params
+ * @param {Object} params.course - Course from courses.json (localized)
+ * @param {{ displayName: string, completedAt: string|null, code: string, issuedAt: string }} params.record
+ *   Certificate saved in the progress store
+ * @returns {Object} Certificate (no learner id)
+ */
+export function buildCertificate({ course, record }) {
+  return {
+    courseId: course.id,
+    courseTitle: course.title,
+    emoji: course.emoji || '🎓',
+    color: /^#[0-9a-f]{6}$/i.test(course.color ?? '') ? course.color : DEFAULT_COLOR,
+    displayName: record.displayName,
+    completedAt: record.completedAt ?? record.issuedAt,
+    issuedAt: record.issuedAt,
+    code: record.code,
+  };
+}
+
+/**
+ * Render a certificate as an SVG image (A4 landscape)
+ * @param {Object} certificate - From buildCertificate
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale from negotiateLocale
+ * @param {string|null} [options.verifyUrl] - Where the certificate can be checked
+ * @returns {string} SVG document
+ */
+export function renderCertificateSvg(certificate, { locale, verifyUrl = null } = {}) {
+  const text = certificateText(certificate, { locale, verifyUrl });
+  const nameSize = certificate.displayName.length > 24 ? 36 : 48;
+  const line = (y, size, content, { weight = 'normal', color = '#374151', family = 'Helvetica, Arial, sans-serif' } = {}) =>
+    `<text x="421" y="${y}" text-anchor="middle" font-family="${family}" font-size="${size}" font-weight="${weight}" fill="${color}">${escapeXml(content)}</text>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" width="842" height="595" viewBox="0 0 842 595">',
+    `<title>${escapeXml(text.title)}</title>`,
+    '<rect width="842" height="595" fill="#FFFFFF"/>',
+    `<rect x="20" y="20" width="802" height="555" rx="16" fill="none" stroke="${certificate.color}" stroke-width="8"/>`,
+    `<rect x="36" y="36" width="770" height="523" rx="10" fill="none" stroke="${certificate.color}" stroke-width="2" stroke-opacity="0.5"/>`,
+    line(130, 56, certificate.emoji),
+    line(190, 34, text.heading, { weight: 'bold', color: certificate.color }),
+    line(240, 18, text.presentedTo),
+    line(305, nameSize, certificate.displayName, { weight: 'bold', color: '#111827', family: 'Georgia, serif' }),
+    `<line x1="221" y1="325" x2="621" y2="325" stroke="${certificate.color}" stroke-width="2"/>`,
+    line(365, 18, text.completed),
+    line(405, 28, certificate.courseTitle, { weight: 'bold', color: '#111827' }),
+    line(470, 16, text.date),
+    line(520, 13, text.code, { color: '#6B7280' }),
+    text.verify ? line(542, 11, text.verify, { color: '#6B7280' }) : '',
+    '</svg>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render a certificate as a one-page PDF (A4 landscape, without the emoji)
+ * @param {Object} certificate - From buildCertificate
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale from negotiateLocale
+ * @param {string|null} [options.verifyUrl] - Where the certificate can be checked
+ * @returns {Buffer} PDF file contents
+ */
+export function renderCertificatePdf(certificate, { locale, verifyUrl = null } = {}) {
+  const text = certificateText(certificate, { locale, verifyUrl });
+  const blocks = [
+    { text: text.heading, size: 32, bold: true, align: 'center', color: certificate.color, gap: 50 },
+    { text: text.presentedTo, size: 16, align: 'center', gap: 30 },
+    { text: certificate.displayName, size: certificate.displayName.length > 24 ? 30 : 40, bold: true, align: 'center', gap: 12 },
+    { text: text.completed, size: 16, align: 'center', gap: 24 },
+    { text: certificate.courseTitle, size: 26, bold: true, align: 'center', gap: 8 },
+    { text: text.date, size: 14, align: 'center', gap: 36 },
+    { text: text.code, size: 11, align: 'center', color: '#6B7280', gap: 30 },
+  ];
+  if (text.verify) {
+    blocks.push({ text: text.verify, size: 9, align: 'center', color: '#6B7280' });
+  }
+  return renderPdf(blocks, { title: text.title, landscape: true, frame: certificate.color });
+}
+
+function certificateText(certificate, { locale, verifyUrl }) {
+  const date = new Date(certificate.completedAt).toLocaleDateString(locale, {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+  });
+  return {
+    title: translate(locale, 'certificate.title', { name: certificate.displayName, course: certificate.courseTitle }),
+    heading: translate(locale, 'certificate.heading'),
+    presentedTo: translate(locale, 'certificate.presentedTo'),
+    completed: translate(locale, 'certificate.completed'),
+    date: translate(locale, 'certificate.date', { date }),
+    code: translate(locale, 'certificate.code', { code: certificate.code }),
+    verify: verifyUrl ? translate(locale, 'certificate.verify', { url: verifyUrl }) : null,
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,316 @@
+/**
+ * Classroom store
+ *
+ * A teacher creates a class and shares its join code; students join with the
+ * code and a display name. Only the class's teacher can see who joined, and
+ * students only ever see the class name. Learner ids (ChatGPT's anonymous
+ * `openai/subject`) never leave the server: reports name students by the
+ * display name they chose. Persisted like the progress store: JSON file,
+ * atomic writes, writes chained in order.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomInt, randomUUID } from 'node:crypto';
+
+const STORE_VERSION = 1;
+
+// No 0/O or 1/I/L, so codes survive being read aloud or copied from a board
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Expected classroom failure; `code` maps to a `server.class.<code>` message
+ */
+export class ClassroomError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ClassroomError';
+    this.code = code;
+  }
+}
+
+/**
+ * Create a classroom store
+ * @param {Object} [options]
+ * @param {string|null} [options.filePath] - JSON file to persist to (in-memory only when omitted)
+ * @param {() => number} [options.now] - Clock, overridable in tests
+ * @param {() => string} [options.generateCode] - Join code generator, overridable in tests
+ * @returns {Object} Classroom store API
+ */
+export function createClassroomStore({ filePath = null, now = () => Date.now(), generateCode = randomJoinCode } = {}) {
+  let data = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = readStoreFile(filePath).then((loaded) => {
+        data = loaded;
+        return data;
+      });
+    }
+    return loading;
+  }
+
+  function persist() {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(data, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => writeFileAtomic(filePath, snapshot));
+    return writeQueue;
+  }
+
+  function findByCode(code) {
+    return Object.values(data.classes).find((entry) => entry.code === code) ?? null;
+  }
+
+  function uniqueCode() {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const code = normalizeJoinCode(generateCode());
+      if (code && !findByCode(code)) {
+        return code;
+      }
+    }
+    throw new Error('Could not find a free class code');
+  }
+
+  /**
+   * Create a class
+   * @param {string} teacherId - Learner id of the teacher
+   * @param {Object} details
+   * @param {string} details.name - Class name shown to students
+   * @param {string|null} [details.courseId] - Course the class works on (reports cover every course when omitted)
+   * @returns {Promise<Object>} The class as its teacher sees it
+   */
+  async function createClass(teacherId, { name, courseId = null }) {
+    requireId(teacherId, 'teacherId');
+    await load();
+
+    const entry = {
+      id: `class-${randomUUID()}`,
+      name: cleanName(name, 'name'),
+      code: uniqueCode(),
+      teacherId,
+      courseId: courseId ?? null,
+      createdAt: new Date(now()).toISOString(),
+      students: {},
+    };
+    data.classes[entry.id] = entry;
+
+    await persist();
+    return teacherView(entry);
+  }
+
+  /**
+   * Join a class with its code
+   * Joining again keeps the original join date and updates the display name.
+   * @param {string} learnerId - Learner id of the student
+   * @param {Object} details
+   * @param {string} details.code - Join code from the teacher
+   * @param {string} details.displayName - Name the teacher will see
+   * @returns {Promise<{ class: Object, displayName: string, alreadyJoined: boolean }>}
+   * @throws {ClassroomError} unknown-code, or own-class when the teacher uses their own code
+   */
+  async function joinClass(learnerId, { code, displayName }) {
+    requireId(learnerId, 'learnerId');
+    await load();
+
+    const entry = findByCode(normalizeJoinCode(code));
+    if (!entry) {
+      throw new ClassroomError('unknown-code', `No class uses the code "${code}"`);
+    }
+    if (entry.teacherId === learnerId) {
+      throw new ClassroomError('own-class', 'Teachers cannot join their own class');
+    }
+
+    const name = cleanName(displayName, 'displayName');
+    const existing = entry.students[learnerId];
+    entry.students[learnerId] = {
+      displayName: name,
+      joinedAt: existing?.joinedAt ?? new Date(now()).toISOString(),
+    };
+
+    await persist();
+    return {
+      class: { id: entry.id, name: entry.name, courseId: entry.courseId },
+      displayName: name,
+      alreadyJoined: Boolean(existing),
+    };
+  }
+
+  /**
+   * List a teacher's classes, newest first
+   * @param {string} teacherId - Learner id of the teacher
+   * @returns {Promise<Array<Object>>} Classes as their teacher sees them
+   */
+  async function listClasses(teacherId) {
+    requireId(teacherId, 'teacherId');
+    await load();
+
+    return Object.values(data.classes)
+      .filter((entry) => entry.teacherId === teacherId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(teacherView);
+  }
+
+  /**
+   * Get one of a teacher's classes with its roster
+   * @param {string} teacherId - Learner id of the teacher
+   * @param {string} [classId] - Class to get (the newest class when omitted)
+   * @returns {Promise<{ class: Object, students: Array<{ learnerId: string, displayName: string, joinedAt: string }> }>}
+   *   learnerIds are for looking up progress and must not be sent to clients
+   * @throws {ClassroomError} no-classes, or class-not-found (also for other teachers' classes)
+   */
+  async function getRoster(teacherId, classId) {
+    requireId(teacherId, 'teacherId');
+    await load();
+
+    let entry;
+    if (classId) {
+      entry = data.classes[classId];
+      if (!entry || entry.teacherId !== teacherId) {
+        throw new ClassroomError('class-not-found', `Class "${classId}" not found`);
+      }
+    } else {
+      const [newest] = await listClasses(teacherId);
+      if (!newest) {
+        throw new ClassroomError('no-classes', 'This teacher has no classes yet');
+      }
+      entry = data.classes[newest.id];
+    }
+
+    return {
+      class: teacherView(entry),
+      students: Object.entries(entry.students)
+        .map(([learnerId, student]) => ({ learnerId, ...student }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName)),
+    };
+  }
+
+  return {
+    load,
+    createClass,
+    joinClass,
+    listClasses,
+    getRoster,
+    /** Wait for pending writes (used on shutdown and in tests) */
+    flush: () => writeQueue,
+  };
+}
+
+/**
+ * Build a teacher's class report from a roster and each student's progress
+ * @param {Object} roster - Result of getRoster
+ * @param {Map<string, Object>} progressByLearner - progressStore.getProgress result per learner id
+ * @returns {{ class: Object, students: Array<Object> }} Report without learner ids
+ */
+export function buildClassReport(roster, progressByLearner) {
+  const courseId = roster.class.courseId;
+
+  const students = roster.students.map(({ learnerId, displayName, joinedAt }) => {
+    const courses = Object.values(progressByLearner.get(learnerId)?.courses ?? {})
+      .filter((course) => !courseId || course.courseId === courseId);
+    const recentAttempts = courses
+      .flatMap((course) => (course.recentAttempts ?? []).map((attempt) => ({ courseId: course.courseId, ...attempt })))
+      .sort((a, b) => b.at.localeCompare(a.at))
+      .slice(0, 5);
+
+    return {
+      displayName,
+      joinedAt,
+      completedLessons: courses.reduce((total, course) => total + course.completedLessons.length, 0),
+      earnedStars: courses.reduce((total, course) => total + course.earnedStars, 0),
+      totalAttempts: courses.reduce((total, course) => total + course.totalAttempts, 0),
+      lastActive: courses.map((course) => course.lastAccessed).filter(Boolean).sort().pop() ?? null,
+      courses: courses.map((course) => ({
+        courseId: course.courseId,
+        completedLessons: course.completedLessons,
+        earnedStars: course.earnedStars,
+        currentLessonId: course.currentLessonId,
+      })),
+      recentAttempts,
+    };
+  });
+
+  return { class: roster.class, students };
+}
+
+/**
+ * Normalize a join code as typed by a student ("abc-234" -> "ABC234")
+ * @param {string} code - Code as entered
+ * @returns {string} Upper-case code without spaces or dashes
+ */
+export function normalizeJoinCode(code) {
+  return String(code ?? '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function randomJoinCode() {
+  let code = '';
+  for (let index = 0; index < CODE_LENGTH; index++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function teacherView(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    code: entry.code,
+    courseId: entry.courseId,
+    createdAt: entry.createdAt,
+    studentCount: Object.keys(entry.students).length,
+  };
+}
+
+function cleanName(value, field) {
+  const name = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  if (!name) {
+    throw new Error(`${field} is required`);
+  }
+  return name.slice(0, MAX_NAME_LENGTH);
+}
+
+function requireId(value, field) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`${field} is required`);
+  }
+}
+
+async function readStoreFile(filePath) {
+  const empty = { version: STORE_VERSION, classes: {} };
+  if (!filePath) {
+    return empty;
+  }
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!parsed || typeof parsed.classes !== 'object') {
+      console.warn(`[Classroom] Ignoring unexpected data in ${filePath}`);
+      return empty;
+    }
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return empty;
+    }
+    // Keep the unreadable file around instead of overwriting it on the next write
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    console.error(`[Classroom] Failed to read ${filePath}, moving it to ${backupPath}:`, error);
+    await fs.rename(filePath, backupPath).catch(() => {});
+    return empty;
+  }
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, contents, 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,143 @@
+/**
+ * Sandboxed execution of student Python code
+ *
+ * Code runs in the LearnKids Python interpreter inside a worker thread with
+ * small memory limits and a wall-clock timeout. The interpreter exposes no
+ * files, network, modules or host objects, so print() output and the final
+ * variables are the only things a program can produce.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { PythonError } from './pythonErrors.js';
+import { createPythonInterpreter, describeValue } from './pythonInterpreter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_PATH = path.join(__dirname, 'codeSandboxWorker.js');
+const DEFAULT_TIMEOUT_MS = 2000;
+const WORKER_RESOURCE_LIMITS = {
+  maxOldGenerationSizeMb: 32,
+  maxYoungGenerationSizeMb: 8,
+  codeRangeSizeMb: 8,
+  stackSizeMb: 4,
+};
+
+/**
+ * Run a Python program in the current thread and collect its results
+ * @param {string} source - Python source code
+ * @param {Object} [options] - Interpreter limits (maxSteps, maxOutputLength)
+ * @param {Array<string>} [options.calls] - Expressions to evaluate after a successful run, e.g. "greet('Ana')"
+ * @returns {{ ok: boolean, stdout: string, variables: Object, error: Object|null, timedOut: boolean, calls: Array<Object> }}
+ */
+export function runPythonProgram(source, options = {}) {
+  const { calls = [], ...interpreterOptions } = options;
+  const interpreter = createPythonInterpreter(interpreterOptions);
+  let error = null;
+
+  try {
+    interpreter.run(source);
+  } catch (caught) {
+    error = toErrorInfo(caught);
+  }
+
+  // Capture the program's own output before test calls print anything
+  const stdout = interpreter.getOutput();
+  const variables = interpreter.getVariables();
+
+  return {
+    ok: error === null,
+    stdout,
+    variables,
+    error,
+    timedOut: false,
+    calls: error === null ? calls.map((call) => evaluateCall(interpreter, call)) : [],
+  };
+}
+
+/**
+ * Run a Python program in a resource-limited worker thread
+ * @param {string} source - Python source code
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000] - Wall-clock limit before the worker is terminated
+ * @param {number} [options.maxSteps] - Interpreter step budget
+ * @param {number} [options.maxOutputLength] - Maximum printed characters
+ * @param {Array<string>} [options.calls] - Expressions to evaluate after a successful run
+ * @returns {Promise<{ ok: boolean, stdout: string, variables: Object, error: Object|null, timedOut: boolean, calls: Array<Object> }>}
+ */
+export function runPythonSandboxed(source, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, ...programOptions } = options;
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const worker = new Worker(WORKER_PATH, {
+      workerData: { source, options: programOptions },
+      resourceLimits: WORKER_RESOURCE_LIMITS,
+      env: {},
+      argv: [],
+      execArgv: [],
+      stdout: true,
+      stderr: true,
+    });
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      void worker.terminate();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish(failedRun({
+        type: 'TimeoutError',
+        message: `Your program took longer than ${timeoutMs / 1000} seconds`,
+        kind: 'timeout',
+      }, true));
+    }, timeoutMs);
+
+    worker.once('message', finish);
+    worker.once('error', (error) => {
+      console.error('[Sandbox] Worker error:', error);
+      finish(failedRun({
+        type: 'SandboxError',
+        message: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? 'Your program used too much memory'
+          : 'Your program could not be run',
+        kind: 'sandbox',
+      }));
+    });
+    worker.once('exit', (code) => {
+      finish(failedRun({ type: 'SandboxError', message: `Sandbox exited with code ${code}`, kind: 'sandbox' }));
+    });
+  });
+}
+
+function evaluateCall(interpreter, call) {
+  try {
+    return { call, ok: true, result: describeValue(interpreter.evaluate(call)), error: null };
+  } catch (caught) {
+    return { call, ok: false, result: null, error: toErrorInfo(caught) };
+  }
+}
+
+function toErrorInfo(error) {
+  if (error instanceof PythonError) {
+    return error.toJSON();
+  }
+  if (error instanceof RangeError) {
+    return { type: 'RecursionError', message: 'maximum recursion depth exceeded', line: null, column: null, kind: null };
+  }
+  return { type: 'InternalError', message: error?.message || String(error), line: null, column: null, kind: null };
+}
+
+function failedRun(error, timedOut = false) {
+  return {
+    ok: false,
+    stdout: '',
+    variables: {},
+    error: { line: null, column: null, ...error },
+    timedOut,
+    calls: [],
+  };
+}
@@ -0,0 +1,9 @@
+/**
+ * Worker entry point for sandboxed Python runs
+ * Receives { source, options } through workerData and posts back a plain result object.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { runPythonProgram } from './codeSandbox.js';
+
+parentPort.postMessage(runPythonProgram(workerData.source, workerData.options));
@@ -0,0 +1,136 @@
+/**
+ * Step-through traces of lesson examples
+ *
+ * Runs an example through the Python interpreter and records a step after
+ * each line that does something, loop turn and if/while test: the line, the variables (the
+ * lessons' "magic boxes"), which of them changed and what was printed, so the
+ * widget can replay the program one line at a time. Examples are lesson
+ * content, not learner code, so they run in the current thread with a small
+ * step budget.
+ */
+
+import { PythonError } from './pythonErrors.js';
+import { createPythonInterpreter } from './pythonInterpreter.js';
+
+/** Most steps recorded for one trace; longer programs are cut off there */
+export const MAX_TRACE_STEPS = 200;
+
+const SETUP_MAX_STEPS = 10000;
+const MAX_OUTPUT_LENGTH = 2000;
+
+// Thrown from onStep to stop a run once the trace is full
+class TraceLimit {}
+
+/**
+ * Trace a program line by line
+ * @param {string} source - Python source code
+ * @param {Object} [options]
+ * @param {string} [options.setup] - Code run first without tracing (e.g. earlier examples)
+ * @param {number} [options.maxSteps=200] - Most steps to record
+ * @returns {{ ok: boolean, initial: Object, steps: Array<Object>, output: string, error: Object|null, truncated: boolean }}
+ *   `initial` holds the variables left by the setup; each step is
+ *   { line, variables, frame: { name, variables, changed }|null, printed, changed }, where
+ *   `frame` holds the local variables inside a function, `printed` is the text printed
+ *   since the previous step and `changed` names the variables the step set
+ */
+export function traceProgram(source, { setup = '', maxSteps = MAX_TRACE_STEPS } = {}) {
+  const steps = [];
+  let tracing = false;
+  let printedBefore = 0;
+  let previous = {};
+  let previousFrame = null;
+
+  const interpreter = createPythonInterpreter({
+    maxSteps: SETUP_MAX_STEPS,
+    maxOutputLength: MAX_OUTPUT_LENGTH,
+    onStep({ line, variables, locals, functionName }) {
+      if (!tracing) return;
+      if (steps.length >= maxSteps) throw new TraceLimit();
+      const output = interpreter.getOutput();
+      const frame = locals
+        ? { name: functionName, variables: locals, changed: changedNames(previousFrame?.variables ?? {}, locals) }
+        : null;
+      steps.push({
+        line,
+        variables,
+        frame,
+        printed: output.slice(printedBefore),
+        changed: changedNames(previous, variables),
+      });
+      printedBefore = output.length;
+      previous = variables;
+      previousFrame = frame;
+    },
+  });
+
+  if (setup) {
+    try {
+      interpreter.run(setup);
+    } catch (caught) {
+      return { ok: false, initial: {}, steps, output: '', error: toErrorInfo(caught), truncated: false };
+    }
+  }
+
+  const setupOutput = interpreter.getOutput().length;
+  const initial = interpreter.getVariables();
+  previous = initial;
+  printedBefore = setupOutput;
+  tracing = true;
+
+  let error = null;
+  let truncated = false;
+  try {
+    interpreter.run(source);
+  } catch (caught) {
+    if (caught instanceof TraceLimit) {
+      truncated = true;
+    } else {
+      error = toErrorInfo(caught);
+    }
+  }
+
+  return {
+    ok: error === null,
+    initial,
+    steps,
+    output: interpreter.getOutput().slice(setupOutput),
+    error,
+    truncated,
+  };
+}
+
+/**
+ * Trace one of a lesson's examples
+ * Later examples may use variables from earlier ones, so when an example fails
+ * on its own it is traced again after running the examples before it.
+ * @param {Array<{ code?: string }>} examples - Lesson `content.examples`
+ * @param {number} index - Example index (0-based)
+ * @returns {Object|null} traceProgram result, or null when the example has no code
+ */
+export function traceExample(examples, index) {
+  const code = examples[index]?.code;
+  if (!code) return null;
+
+  const alone = traceProgram(code);
+  if (alone.ok || index === 0) return alone;
+
+  const setup = examples.slice(0, index).map((example) => example.code ?? '').join('\n');
+  const withSetup = traceProgram(code, { setup });
+  return withSetup.ok ? withSetup : alone;
+}
+
+function changedNames(before, after) {
+  return Object.keys(after).filter((name) => (
+    before[name]?.text !== after[name].text || before[name]?.type !== after[name].type
+  ));
+}
+
+function toErrorInfo(error) {
+  if (error instanceof PythonError) {
+    return error.toJSON();
+  }
+  if (error instanceof RangeError) {
+    return { type: 'RecursionError', message: 'maximum recursion depth exceeded', line: null, column: null, kind: null };
+  }
+  throw error;
+}
@@ -0,0 +1,279 @@
+/**
+ * Lesson images and other content assets
+ *
+ * Each course keeps its source images in assets/<courseId>/ under the data
+ * directory. `learnkids content assets` shrinks them to MAX_IMAGE_WIDTH,
+ * converts them to WebP (SVGs are copied as they are) and writes them to
+ * assets/<courseId>/optimized/ under content-hashed names, next to a
+ * manifest.json that maps each source name to its optimized file. The
+ * optimized files are committed, so the server never needs the image library.
+ *
+ * Lessons name an asset by its source file name (`content.image` or the `src`
+ * of an image block); https URLs are used as they are. When a lesson is sent,
+ * images up to INLINE_MAX_BYTES are inlined as data URIs and the rest point at
+ * CONTENT_ASSETS_PATH on the server (or CONTENT_ASSET_BASE_URL), which the
+ * widget CSP allows.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const ASSETS_DIR = 'assets';
+export const OPTIMIZED_DIR = 'optimized';
+export const MANIFEST_FILE = 'manifest.json';
+
+/** URL path the server serves optimized assets under, as /content-assets/<courseId>/<file> */
+export const CONTENT_ASSETS_PATH = '/content-assets';
+
+/** Widest an optimized image gets; the widget is never wider */
+export const MAX_IMAGE_WIDTH = 800;
+
+/** Optimized images up to this size are sent inside the lesson as data URIs */
+export const INLINE_MAX_BYTES = 8 * 1024;
+
+/** Optimized images over this size are reported as too big */
+export const MAX_ASSET_BYTES = 200 * 1024;
+
+const WEBP_QUALITY = 80;
+const RASTER_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const COPIED_TYPES = { '.svg': 'image/svg+xml' };
+const ASSET_NAME = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*\.(png|jpe?g|gif|webp|svg)$/;
+
+/**
+ * Whether an image source names a course asset rather than a URL
+ * @param {string|null} [src] - `content.image` or an image block's `src`
+ * @returns {boolean}
+ */
+export function isAssetName(src) {
+  return typeof src === 'string' && ASSET_NAME.test(src);
+}
+
+/**
+ * Folder with a course's optimized assets and manifest
+ * @param {string} dataDir - Path to data directory
+ * @param {string} courseId - Course ID
+ * @returns {string}
+ */
+export function optimizedAssetsDir(dataDir, courseId) {
+  return path.join(dataDir, ASSETS_DIR, courseId, OPTIMIZED_DIR);
+}
+
+/**
+ * Load a course's asset manifest and check its files
+ * Every entry gets its real size; entries whose file is gone are marked
+ * `missing` and small ones get a `dataUri`.
+ * @param {string} dataDir - Path to data directory
+ * @param {string} courseId - Course ID
+ * @returns {Promise<{ courseId: string, assets: Object<string, Object> }|null>} Assets by
+ *   source name as { file, type, width, height, bytes, missing?, dataUri? }, or null when
+ *   the course has no manifest
+ */
+export async function loadCourseAssets(dataDir, courseId) {
+  const dir = optimizedAssetsDir(dataDir, courseId);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`${path.join(ASSETS_DIR, courseId, OPTIMIZED_DIR, MANIFEST_FILE)}: ${error.message}`);
+  }
+
+  const assets = {};
+  for (const [name, entry] of Object.entries(manifest.assets ?? {})) {
+    try {
+      const data = await fs.readFile(path.join(dir, path.basename(entry.file)));
+      assets[name] = {
+        ...entry,
+        bytes: data.length,
+        ...(data.length <= INLINE_MAX_BYTES && { dataUri: `data:${entry.type};base64,${data.toString('base64')}` }),
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      assets[name] = { ...entry, missing: true };
+    }
+  }
+  return { courseId, assets };
+}
+
+/**
+ * Asset names a course's lessons use
+ * @param {Object} lessonsData - Parsed lessons/<courseId>.json
+ * @returns {Array<{ name: string, path: string }>} Each use with its JSON pointer in the file
+ */
+export function assetReferences(lessonsData) {
+  const references = [];
+  lessonsData.lessons.forEach((lesson, index) => {
+    const at = `/lessons/${index}/content`;
+    if (isAssetName(lesson.content?.image)) {
+      references.push({ name: lesson.content.image, path: `${at}/image` });
+    }
+    (lesson.content?.blocks || []).forEach((block, blockIndex) => {
+      if (block.type === 'image' && isAssetName(block.src)) {
+        references.push({ name: block.src, path: `${at}/blocks/${blockIndex}/src` });
+      }
+    });
+  });
+  return references;
+}
+
+/**
+ * Missing and oversized assets of a course
+ * @param {Object} lessonsData - Parsed lessons/<courseId>.json that passed the schema
+ * @param {Object|null} courseAssets - From loadCourseAssets
+ * @param {Object} [options]
+ * @param {boolean} [options.lint] - Also report assets no lesson uses
+ * @returns {Array<Object>} Issues as { level, file?, path, message } (`file` is set for issues in
+ *   the manifest); missing assets are errors, oversized and unused ones warnings
+ */
+export function checkCourseAssets(lessonsData, courseAssets, { lint = false } = {}) {
+  const issues = [];
+  const manifestPath = path.posix.join(ASSETS_DIR, lessonsData.courseId, OPTIMIZED_DIR, MANIFEST_FILE);
+  const references = assetReferences(lessonsData);
+
+  for (const reference of references) {
+    const asset = courseAssets?.assets[reference.name];
+    if (!asset) {
+      issues.push({
+        level: 'error',
+        path: reference.path,
+        message: `Image "${reference.name}" is not in ${manifestPath}; add it to assets/${lessonsData.courseId}/ and run: learnkids content assets`,
+      });
+    } else if (asset.missing) {
+      issues.push({
+        level: 'error',
+        path: reference.path,
+        message: `Image "${reference.name}" is listed as ${asset.file} but that file is missing; run: learnkids content assets`,
+      });
+    }
+  }
+
+  for (const [name, asset] of Object.entries(courseAssets?.assets ?? {})) {
+    const at = `/assets/${name}`;
+    if (!asset.missing && asset.bytes > MAX_ASSET_BYTES) {
+      issues.push({
+        level: 'warning',
+        file: manifestPath,
+        path: at,
+        message: `${asset.file} is ${formatKilobytes(asset.bytes)}, more than ${formatKilobytes(MAX_ASSET_BYTES)}; use a smaller image`,
+      });
+    }
+    if (lint && !references.some((reference) => reference.name === name)) {
+      issues.push({ level: 'warning', file: manifestPath, path: at, message: 'Not used by any lesson' });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Lesson content with asset names turned into something the widget can load
+ * Small images become data URIs, the rest URLs under CONTENT_ASSETS_PATH.
+ * Images whose asset is missing are dropped (load-time checks report them).
+ * @param {Object} content - Lesson content (after contentWithBlocks)
+ * @param {Object|null} courseAssets - From loadCourseAssets
+ * @param {string} baseUrl - Origin the optimized files are served from
+ * @returns {Object} Content with resolved `image` and image block `src`
+ */
+export function resolveContentAssets(content, courseAssets, baseUrl) {
+  if (!content) return content;
+
+  const resolve = (src) => {
+    if (!isAssetName(src)) return src;
+    const asset = courseAssets?.assets[src];
+    if (!asset || asset.missing) return null;
+    return asset.dataUri ?? `${baseUrl}${CONTENT_ASSETS_PATH}/${courseAssets.courseId}/${asset.file}`;
+  };
+
+  const resolved = { ...content };
+  if (content.image !== undefined) {
+    resolved.image = resolve(content.image) ?? null;
+  }
+  if (Array.isArray(content.blocks)) {
+    resolved.blocks = content.blocks.flatMap((block) => {
+      if (block.type !== 'image') return [block];
+      const src = resolve(block.src);
+      return src ? [{ ...block, src }] : [];
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Optimize a course's source images and rewrite its manifest
+ * Needs the `sharp` package (a dev dependency). Optimized files no longer in
+ * the manifest are removed.
+ * @param {string} dataDir - Path to data directory
+ * @param {string} courseId - Course ID
+ * @returns {Promise<{ assets: Array<{ name: string, file: string, sourceBytes: number, bytes: number }>, removed: Array<string> }|null>}
+ *   What was written, or null when the course has no assets folder
+ */
+export async function optimizeCourseAssets(dataDir, courseId) {
+  const sourceDir = path.join(dataDir, ASSETS_DIR, courseId);
+  let entries;
+  try {
+    entries = await fs.readdir(sourceDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const sharp = await loadSharp();
+  const outputDir = optimizedAssetsDir(dataDir, courseId);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const manifest = { courseId, assets: {} };
+  const report = [];
+  const names = entries.filter((entry) => entry.isFile() && isAssetName(entry.name)).map((entry) => entry.name).sort();
+  for (const name of names) {
+    const source = await fs.readFile(path.join(sourceDir, name));
+    const extension = path.extname(name).toLowerCase();
+    const { data, type, width, height } = RASTER_EXTENSIONS.includes(extension)
+      ? await toWebp(sharp, source)
+      : { data: source, type: COPIED_TYPES[extension], ...(await imageSize(sharp, source)) };
+
+    const hash = createHash('sha256').update(data).digest('hex').slice(0, 8);
+    const file = `${path.basename(name, path.extname(name))}.${hash}${type === 'image/webp' ? '.webp' : extension}`;
+    await fs.writeFile(path.join(outputDir, file), data);
+
+    manifest.assets[name] = { file, type, width, height, bytes: data.length };
+    report.push({ name, file, sourceBytes: source.length, bytes: data.length });
+  }
+
+  const kept = new Set(Object.values(manifest.assets).map((asset) => asset.file));
+  const removed = [];
+  for (const file of await fs.readdir(outputDir)) {
+    if (file !== MANIFEST_FILE && !kept.has(file)) {
+      await fs.rm(path.join(outputDir, file));
+      removed.push(file);
+    }
+  }
+
+  await fs.writeFile(path.join(outputDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+  return { assets: report, removed };
+}
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    throw new Error('Optimizing images needs the "sharp" package: npm install --save-dev sharp');
+  }
+}
+
+async function toWebp(sharp, source) {
+  const { data, info } = await sharp(source, { animated: true })
+    .rotate()
+    .resize({ width: MAX_IMAGE_WIDTH, withoutEnlargement: true })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+  return { data, type: 'image/webp', width: info.width, height: info.pageHeight ?? info.height };
+}
+
+async function imageSize(sharp, source) {
+  const { width = null, height = null } = await sharp(source).metadata();
+  return { width, height };
+}
+
+function formatKilobytes(bytes) {
+  return `${Math.round(bytes / 1024)} KB`;
+}
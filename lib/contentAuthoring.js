@@ -0,0 +1,145 @@
+/**
+ * Scaffolding for new courses and lessons
+ *
+ * Pure helpers used by `learnkids content new-course|new-lesson`. They return
+ * updated data instead of writing files so the CLI decides where it lands.
+ * Scaffolds pass validateContent as-is; authors then replace the placeholders.
+ */
+
+const COURSE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Build a new course entry and its lessons file with one starter lesson
+ * @param {Object} options
+ * @param {string} options.id - Course ID (kebab-case, e.g. "art-kids")
+ * @param {string} options.title - Course title
+ * @param {string} [options.emoji] - Course emoji
+ * @returns {{ course: Object, lessonsData: Object }} Course entry and lessons file contents
+ */
+export function createCourseScaffold({ id, title, emoji = '📘' }) {
+  if (!COURSE_ID_PATTERN.test(id || '')) {
+    throw new Error(`Course id "${id}" must be lowercase words separated by dashes, like "art-kids"`);
+  }
+  if (!title) {
+    throw new Error('A course title is required');
+  }
+
+  const course = {
+    id,
+    title,
+    emoji,
+    color: '#8B5CF6',
+    description: `TODO: describe ${title} in one sentence for kids.`,
+    ageRange: '8-12 years',
+    difficulty: 'beginner',
+    totalLessons: 0,
+    estimatedDuration: '5 minutes',
+    prerequisites: [],
+    learningObjectives: [],
+    lessonIds: [],
+    rewards: {
+      totalStars: 0,
+      certificateAvailable: false,
+      badges: [],
+    },
+  };
+
+  return appendLesson(course, { courseId: id, lessons: [] }, { title: 'Getting Started' });
+}
+
+/**
+ * Append a lesson to a course and keep the course entry in sync
+ * (lessonIds, totalLessons, totalStars and the nextLesson chain)
+ * @param {Object} course - Course entry from courses.json
+ * @param {Object} lessonsData - Contents of lessons/<courseId>.json
+ * @param {Object} options
+ * @param {string} options.title - Lesson title
+ * @param {string} [options.badge] - Badge awarded on completion (added to rewards.badges)
+ * @returns {{ course: Object, lessonsData: Object, lesson: Object }} Updated copies and the new lesson
+ */
+export function appendLesson(course, lessonsData, { title, badge = null }) {
+  if (!title) {
+    throw new Error('A lesson title is required');
+  }
+
+  const lessons = lessonsData.lessons.map((lesson) => ({ ...lesson }));
+  const order = lessons.reduce((highest, lesson) => Math.max(highest, lesson.order), 0) + 1;
+  const lesson = createLessonTemplate({ id: `lesson-${order}`, order, title, badge });
+
+  const previous = lessons.find((item) => item.order === order - 1);
+  if (previous) {
+    previous.nextLesson = lesson.id;
+    if (previous.isFinalLesson) {
+      // The final-lesson flag and message move to the new last lesson
+      lesson.isFinalLesson = true;
+      lesson.completionMessage = previous.completionMessage;
+      delete previous.isFinalLesson;
+      delete previous.completionMessage;
+    }
+  }
+  lessons.push(lesson);
+
+  const lessonIds = [...course.lessonIds, lesson.id];
+  const badges = badge && !course.rewards.badges.includes(badge)
+    ? [...course.rewards.badges, badge]
+    : course.rewards.badges;
+
+  return {
+    course: {
+      ...course,
+      totalLessons: lessonIds.length,
+      lessonIds,
+      rewards: {
+        ...course.rewards,
+        totalStars: course.rewards.totalStars + lesson.reward.stars,
+        badges,
+      },
+    },
+    lessonsData: { ...lessonsData, lessons },
+    lesson,
+  };
+}
+
+function createLessonTemplate({ id, order, title, badge }) {
+  return {
+    id,
+    order,
+    title,
+    duration: '5 minutes',
+    content: {
+      character: '🦉',
+      characterName: 'Professor Hoot',
+      greeting: 'TODO: a friendly hello from the lesson character.',
+      explanation: 'TODO: explain the idea with a real-world comparison.',
+      image: null,
+      examples: [
+        {
+          code: 'message = "Hello!"',
+          explanation: 'TODO: explain what this example does.',
+        },
+      ],
+      funFact: 'TODO: a fun fact about this topic.',
+    },
+    exercise: {
+      instruction: 'TODO: tell the learner what to write. Create a variable called `message` and print it.',
+      template: 'message = "____"\nprint(message)',
+      hints: [
+        { text: 'TODO: a nudge that points the way without giving the answer.' },
+        { text: 'TODO: a stronger clue for a second try.' },
+        { text: 'TODO: part of the code, with blanks left to fill.', code: 'message = "____"\nprint(____)' },
+      ],
+      solution: 'message = "Hello!"\nprint(message)',
+      validation: {
+        type: 'regex',
+        pattern: 'message\\s*=\\s*["\'](?!_+["\'])[^"\']+["\']',
+        errorMessage: 'TODO: what to say when the answer is not right yet.',
+      },
+    },
+    reward: {
+      stars: 1,
+      badge,
+      message: 'TODO: a celebration message.',
+    },
+    nextLesson: null,
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Lesson content blocks
+ *
+ * A lesson's teaching part can be a list of typed blocks (`content.blocks`)
+ * instead of one markdown-ish `content.explanation` string:
+ * - "paragraph": `text`, with **bold** and `code` inline;
+ * - "list": bullet `items`;
+ * - "code": a `code` snippet (optional `language`);
+ * - "callout": a boxed `text` with a `tone` (tip, warning, info, fun) and optional `title`;
+ * - "image": `src` (https URL) with `alt` text and an optional `caption`;
+ * - "analogy": an everyday comparison (`text`, optional `emoji` and `title`);
+ * - "quiz": a quick check with `question`, `options`, the right `answer` index and an
+ *   optional `explanation`; it is not graded or recorded, so the answer goes with the lesson;
+ * - "dialogue": `lines` of `{ speaker?, emoji?, text }`; lines without a speaker are said
+ *   by the lesson's character.
+ * Lessons that still have an explanation string get it converted when they are
+ * served (see explanationToBlocks), so clients only ever deal with blocks.
+ */
+
+export const BLOCK_TYPES = ['paragraph', 'list', 'code', 'callout', 'image', 'analogy', 'quiz', 'dialogue'];
+
+export const CALLOUT_TONES = ['tip', 'warning', 'info', 'fun'];
+
+/** Fields each block type may have, required ones first */
+export const BLOCK_FIELDS = {
+  paragraph: { required: ['text'], optional: [] },
+  list: { required: ['items'], optional: [] },
+  code: { required: ['code'], optional: ['language'] },
+  callout: { required: ['tone', 'text'], optional: ['title'] },
+  image: { required: ['src', 'alt'], optional: ['caption'] },
+  analogy: { required: ['text'], optional: ['emoji', 'title'] },
+  quiz: { required: ['question', 'options', 'answer'], optional: ['explanation'] },
+  dialogue: { required: ['lines'], optional: [] },
+};
+
+const FENCE = /^```([\w+-]*)\s*\n([\s\S]*?)\n?```\s*$/gm;
+const BULLET = /^\s*[-*]\s+/;
+
+/**
+ * Convert an explanation string into blocks
+ * Fenced code becomes code blocks, lines starting with "- " become lists and
+ * the rest becomes one paragraph per blank-line-separated chunk.
+ * @param {string} [text] - `content.explanation`
+ * @returns {Array<Object>} Blocks
+ */
+export function explanationToBlocks(text) {
+  const blocks = [];
+  let last = 0;
+  for (const match of (text ?? '').matchAll(FENCE)) {
+    blocks.push(...proseBlocks(text.slice(last, match.index)));
+    blocks.push({ type: 'code', code: match[2], ...(match[1] && { language: match[1] }) });
+    last = match.index + match[0].length;
+  }
+  blocks.push(...proseBlocks((text ?? '').slice(last)));
+  return blocks;
+}
+
+/**
+ * Lesson content as sent to clients: always with `blocks`
+ * @param {Object} content - `lesson.content` (localized)
+ * @returns {Object} Content whose `blocks` are its own or converted from `explanation`
+ */
+export function contentWithBlocks(content) {
+  if (!content || Array.isArray(content.blocks)) return content;
+  return { ...content, blocks: explanationToBlocks(content.explanation) };
+}
+
+/**
+ * Problems in a block that the lessons schema cannot express
+ * @param {Object} block - Block that passed the schema
+ * @returns {Array<{ field: string, message: string }>}
+ */
+export function blockProblems(block) {
+  const fields = BLOCK_FIELDS[block.type];
+  const problems = Object.keys(block)
+    .filter((field) => field !== 'type' && !fields.required.includes(field) && !fields.optional.includes(field))
+    .map((field) => ({ field, message: `A ${block.type} block cannot have "${field}"` }));
+
+  if (block.type === 'quiz') {
+    if (block.answer >= block.options.length) {
+      problems.push({ field: 'answer', message: `answer ${block.answer} is not one of the ${block.options.length} options` });
+    }
+    if (new Set(block.options).size !== block.options.length) {
+      problems.push({ field: 'options', message: 'Two options are the same' });
+    }
+  }
+  return problems;
+}
+
+// Paragraphs and lists from text between code fences
+function proseBlocks(text) {
+  const blocks = [];
+  for (const chunk of text.split(/\n\s*\n/)) {
+    let paragraph = [];
+    let items = [];
+    const flush = () => {
+      if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      if (items.length > 0) blocks.push({ type: 'list', items });
+      paragraph = [];
+      items = [];
+    };
+    for (const line of chunk.split('\n').map((part) => part.trim()).filter(Boolean)) {
+      if (BULLET.test(line)) {
+        if (paragraph.length > 0) flush();
+        items.push(line.replace(BULLET, ''));
+      } else {
+        if (items.length > 0) flush();
+        paragraph.push(line);
+      }
+    }
+    flush();
+  }
+  return blocks;
+}
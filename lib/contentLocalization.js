@@ -0,0 +1,130 @@
+/**
+ * Localized course content
+ *
+ * Translations live in mcp-server/data/locales/<locale>/ and only carry text:
+ * courses.json maps course ids to translated fields, lessons/<courseId>.json
+ * maps lesson ids to translated fields. Code, patterns, ids, stars and badges
+ * always come from the English files, so a translation can never change how
+ * an answer is graded. Anything a translation leaves out stays in English.
+ */
+
+/** Shape marker for a translatable string */
+export const TEXT = 'text';
+
+/** Shape marker for guided rules, translated as { "<rule id>": "message" } */
+export const GUIDED_RULES = 'guided-rules';
+
+/** Translatable fields of a course entry */
+export const COURSE_TRANSLATION_SHAPE = {
+  title: TEXT,
+  description: TEXT,
+  ageRange: TEXT,
+  estimatedDuration: TEXT,
+  learningObjectives: [TEXT],
+};
+
+/** Translatable fields of a lesson */
+export const LESSON_TRANSLATION_SHAPE = {
+  title: TEXT,
+  duration: TEXT,
+  completionMessage: TEXT,
+  content: {
+    characterName: TEXT,
+    greeting: TEXT,
+    explanation: TEXT,
+    blocks: [{
+      text: TEXT,
+      items: [TEXT],
+      title: TEXT,
+      alt: TEXT,
+      caption: TEXT,
+      question: TEXT,
+      options: [TEXT],
+      explanation: TEXT,
+      lines: [{ speaker: TEXT, text: TEXT }],
+    }],
+    examples: [{ explanation: TEXT }],
+    funFact: TEXT,
+  },
+  exercise: {
+    instruction: TEXT,
+    options: [TEXT],
+    hint: TEXT,
+    hints: [{ text: TEXT }],
+    validation: { errorMessage: TEXT },
+    guidedRules: GUIDED_RULES,
+  },
+  reward: { message: TEXT },
+};
+
+/**
+ * Overlay a course translation on a course entry
+ * @param {Object} course - Course entry from courses.json
+ * @param {Object} [translation] - Entry from locales/<locale>/courses.json
+ * @returns {Object} Localized copy (or the course itself without a translation)
+ */
+export function localizeCourse(course, translation) {
+  return overlay(course, translation, COURSE_TRANSLATION_SHAPE);
+}
+
+/**
+ * Overlay a lesson translation on a lesson
+ * @param {Object} lesson - Lesson from lessons/<courseId>.json
+ * @param {Object} [translation] - Entry from locales/<locale>/lessons/<courseId>.json
+ * @returns {Object} Localized copy (or the lesson itself without a translation)
+ */
+export function localizeLesson(lesson, translation) {
+  return overlay(lesson, translation, LESSON_TRANSLATION_SHAPE);
+}
+
+/**
+ * Localize every lesson of a course
+ * @param {Object} lessonsData - Contents of lessons/<courseId>.json
+ * @param {Object} [translations] - Contents of locales/<locale>/lessons/<courseId>.json
+ * @returns {Object} Localized copy of lessonsData
+ */
+export function localizeLessons(lessonsData, translations) {
+  if (!isObject(translations?.lessons)) return lessonsData;
+  return {
+    ...lessonsData,
+    lessons: lessonsData.lessons.map((lesson) => localizeLesson(lesson, translations.lessons[lesson.id])),
+  };
+}
+
+// Copy `original`, replacing only the text the shape allows and the English already has
+function overlay(original, translated, shape) {
+  if (translated === undefined || translated === null) {
+    return original;
+  }
+
+  if (shape === TEXT) {
+    return typeof original === 'string' && typeof translated === 'string' ? translated : original;
+  }
+
+  if (shape === GUIDED_RULES) {
+    if (!Array.isArray(original) || !isObject(translated)) return original;
+    return original.map((rule) => (
+      typeof translated[rule.id] === 'string' ? { ...rule, message: translated[rule.id] } : rule
+    ));
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(original) || !Array.isArray(translated)) return original;
+    return original.map((item, index) => overlay(item, translated[index], shape[0]));
+  }
+
+  if (!isObject(original) || !isObject(translated)) {
+    return original;
+  }
+  const localized = { ...original };
+  for (const [key, fieldShape] of Object.entries(shape)) {
+    if (key in original) {
+      localized[key] = overlay(original[key], translated[key], fieldShape);
+    }
+  }
+  return localized;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
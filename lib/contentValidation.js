@@ -0,0 +1,550 @@
+/**
+ * Course content validation
+ *
+ * Checks courses.json and lessons/<courseId>.json against the JSON Schemas in
+ * mcp-server/data/schemas, then cross-checks what a schema cannot express:
+ * lessonIds vs the real lessons, totalLessons, the nextLesson chain, badge
+ * names, content block fields, lesson images missing from the course's asset
+ * manifest, and the lesson self-check (solution accepted, template and known-wrong
+ * answers rejected). Translations under locales/<locale>/ are checked against
+ * the English content they overlay.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import {
+  COURSE_TRANSLATION_SHAPE,
+  GUIDED_RULES,
+  LESSON_TRANSLATION_SHAPE,
+  TEXT,
+} from './contentLocalization.js';
+import { blockProblems } from './contentBlocks.js';
+import { checkCourseAssets, loadCourseAssets } from './contentAssets.js';
+import { listTranslationLocales } from './data.js';
+import { checkLesson } from './lessonSelfCheck.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEMA_DIR = path.join(__dirname, '..', 'mcp-server', 'data', 'schemas');
+const COURSES_FILE = 'courses.json';
+
+let validators = null;
+
+async function loadValidators() {
+  if (validators) return validators;
+
+  const ajv = new Ajv({ allErrors: true });
+  const [coursesSchema, lessonsSchema] = await Promise.all(
+    ['courses.schema.json', 'lessons.schema.json'].map(async (fileName) => (
+      JSON.parse(await fs.readFile(path.join(SCHEMA_DIR, fileName), 'utf-8'))
+    ))
+  );
+  validators = {
+    courses: ajv.compile(coursesSchema),
+    lessons: ajv.compile(lessonsSchema),
+  };
+  return validators;
+}
+
+/**
+ * Validate every course and lesson file in a data directory
+ * @param {string} dataDir - Path to data directory (contains courses.json and lessons/)
+ * @param {Object} [options]
+ * @param {boolean} [options.lint] - Also report style warnings
+ * @returns {Promise<{ errors: Array<Object>, warnings: Array<Object> }>} Issues as { file, path, message }
+ */
+export async function validateContent(dataDir, options = {}) {
+  const { courses: validateCourses } = await loadValidators();
+  const readIssues = [];
+
+  const coursesData = await readJsonFile(dataDir, COURSES_FILE, readIssues);
+  if (!coursesData) {
+    return splitIssues(readIssues);
+  }
+
+  // Lesson files are only read for a catalog that passes the schema, so ids are safe file names
+  const lessonsByCourse = {};
+  const assetsByCourse = {};
+  if (validateCourses(coursesData)) {
+    for (const course of coursesData.courses) {
+      const lessonsData = await readJsonFile(dataDir, lessonsFileFor(course.id), readIssues);
+      if (lessonsData) {
+        lessonsByCourse[course.id] = lessonsData;
+      }
+      try {
+        assetsByCourse[course.id] = await loadCourseAssets(dataDir, course.id);
+      } catch (assetsError) {
+        readIssues.push(error(null, '', assetsError.message));
+      }
+    }
+  }
+
+  const translations = {};
+  if (validateCourses(coursesData)) {
+    for (const locale of await listTranslationLocales(dataDir)) {
+      const translation = {
+        courses: await readJsonFile(dataDir, translationFileFor(locale), readIssues, { optional: true }),
+        lessonsByCourse: {},
+      };
+      for (const course of coursesData.courses) {
+        const lessons = await readJsonFile(dataDir, translationFileFor(locale, course.id), readIssues, { optional: true });
+        if (lessons) {
+          translation.lessonsByCourse[course.id] = lessons;
+        }
+      }
+      translations[locale] = translation;
+    }
+  }
+
+  const { errors, warnings } = await checkContentData({ coursesData, lessonsByCourse, assetsByCourse, translations }, options);
+  return { errors: [...readIssues, ...errors], warnings };
+}
+
+/**
+ * Validate content that is already loaded (used by the server before swapping in new content)
+ * @param {Object} content
+ * @param {Object} content.coursesData - Parsed courses.json
+ * @param {Object<string, Object>} content.lessonsByCourse - Parsed lesson files by course ID
+ * @param {Object<string, Object|null>} [content.assetsByCourse] - From loadCourseAssets by course ID;
+ *   without it lesson images are not checked
+ * @param {Object<string, Object>} [content.translations] - Translations by locale as { courses, lessonsByCourse }
+ * @param {Object} [options]
+ * @param {boolean} [options.lint] - Also report style warnings
+ * @returns {Promise<{ errors: Array<Object>, warnings: Array<Object> }>} Issues as { file, path, message }
+ */
+export async function checkContentData({ coursesData, lessonsByCourse, assetsByCourse, translations = {} }, { lint = false } = {}) {
+  const { courses: validateCourses, lessons: validateLessons } = await loadValidators();
+  const issues = [];
+
+  if (!validateCourses(coursesData)) {
+    issues.push(...schemaIssues(COURSES_FILE, validateCourses.errors));
+    return splitIssues(issues);
+  }
+
+  issues.push(...checkCatalog(coursesData));
+  const checkedLessons = {};
+
+  for (const [index, course] of coursesData.courses.entries()) {
+    if (lint) {
+      for (const placeholder of findPlaceholders(course, `/courses/${index}`)) {
+        issues.push(warning(COURSES_FILE, placeholder, 'Still contains a TODO placeholder'));
+      }
+    }
+
+    const lessonsFile = lessonsFileFor(course.id);
+    const lessonsData = lessonsByCourse[course.id];
+    if (!lessonsData) {
+      continue;
+    }
+    if (!validateLessons(lessonsData)) {
+      issues.push(...schemaIssues(lessonsFile, validateLessons.errors));
+      continue;
+    }
+    checkedLessons[course.id] = lessonsData;
+    issues.push(...(await checkCourseLessons(course, lessonsData)).map((issue) => ({ file: lessonsFile, ...issue })));
+    if (assetsByCourse) {
+      issues.push(...checkCourseAssets(lessonsData, assetsByCourse[course.id] ?? null, { lint })
+        .map((issue) => ({ file: lessonsFile, ...issue })));
+    }
+    if (lint) {
+      issues.push(...lintCourseLessons(course, lessonsData).map((issue) => ({ file: lessonsFile, ...issue })));
+    }
+  }
+
+  for (const [locale, translation] of Object.entries(translations)) {
+    issues.push(...checkTranslation(locale, translation, { coursesData, lessonsByCourse: checkedLessons }, { lint }));
+  }
+
+  return splitIssues(issues);
+}
+
+/**
+ * Format an issue as one line, e.g. "lessons/python-kids.json /lessons/0/id: message"
+ * @param {Object} issue - Issue from validateContent or checkContentData
+ * @returns {string} Formatted issue
+ */
+export function formatContentIssue(issue) {
+  const location = [issue.file, issue.path].filter(Boolean).join(' ');
+  return location ? `${location}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Cross-check the course catalog (ids and prerequisites)
+ * @param {Object} coursesData - Parsed courses.json that passed the schema
+ * @returns {Array<Object>} Errors
+ */
+export function checkCatalog(coursesData) {
+  const issues = [];
+  const ids = coursesData.courses.map((course) => course.id);
+
+  coursesData.courses.forEach((course, index) => {
+    const at = `/courses/${index}`;
+    if (ids.indexOf(course.id) !== index) {
+      issues.push(error(COURSES_FILE, `${at}/id`, `Duplicate course id "${course.id}"`));
+    }
+    for (const prerequisite of course.prerequisites) {
+      if (prerequisite === course.id) {
+        issues.push(error(COURSES_FILE, `${at}/prerequisites`, `Course "${course.id}" lists itself as a prerequisite`));
+      } else if (!ids.includes(prerequisite)) {
+        issues.push(error(COURSES_FILE, `${at}/prerequisites`, `Unknown prerequisite course "${prerequisite}"`));
+      }
+    }
+    if (course.totalLessons !== course.lessonIds.length) {
+      issues.push(error(COURSES_FILE, `${at}/totalLessons`,
+        `totalLessons is ${course.totalLessons} but lessonIds lists ${course.lessonIds.length} lessons`));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Cross-check one course against its lessons file
+ * @param {Object} course - Course entry from courses.json
+ * @param {Object} lessonsData - Parsed lessons/<courseId>.json that passed the schema
+ * @returns {Promise<Array<Object>>} Errors as { level, path, message }
+ */
+export async function checkCourseLessons(course, lessonsData) {
+  const issues = [];
+  const { lessons } = lessonsData;
+  const ordered = [...lessons].sort((a, b) => a.order - b.order);
+  const lessonIds = lessons.map((lesson) => lesson.id);
+
+  if (lessonsData.courseId !== course.id) {
+    issues.push(error(null, '/courseId', `courseId is "${lessonsData.courseId}" but the file belongs to "${course.id}"`));
+  }
+
+  lessons.forEach((lesson, index) => {
+    if (lessonIds.indexOf(lesson.id) !== index) {
+      issues.push(error(null, `/lessons/${index}/id`, `Duplicate lesson id "${lesson.id}"`));
+    }
+    if (lessons.findIndex((other) => other.order === lesson.order) !== index) {
+      issues.push(error(null, `/lessons/${index}/order`, `Duplicate lesson order ${lesson.order}`));
+    }
+  });
+
+  for (const lessonId of course.lessonIds) {
+    if (!lessonIds.includes(lessonId)) {
+      issues.push(error(null, '/lessons', `courses.json lists "${lessonId}" but this file has no such lesson`));
+    }
+  }
+  for (const lessonId of lessonIds) {
+    if (!course.lessonIds.includes(lessonId)) {
+      issues.push(error(null, '/lessons', `Lesson "${lessonId}" is missing from lessonIds in courses.json`));
+    }
+  }
+  const orderedIds = ordered.map((lesson) => lesson.id);
+  if (course.lessonIds.length === orderedIds.length
+    && course.lessonIds.some((lessonId, index) => lessonId !== orderedIds[index])) {
+    issues.push(error(null, '/lessons', `lessonIds in courses.json are not in lesson order (${orderedIds.join(', ')})`));
+  }
+
+  for (const [position, lesson] of ordered.entries()) {
+    const at = `/lessons/${lessons.indexOf(lesson)}`;
+    const expectedNext = ordered[position + 1]?.id ?? null;
+    if (lesson.nextLesson !== expectedNext) {
+      issues.push(error(null, `${at}/nextLesson`,
+        `${lesson.id}.nextLesson should be ${JSON.stringify(expectedNext)}, found ${JSON.stringify(lesson.nextLesson)}`));
+    }
+    if (lesson.isFinalLesson && expectedNext) {
+      issues.push(error(null, `${at}/isFinalLesson`, `${lesson.id} is marked isFinalLesson but is not the last lesson`));
+    }
+    if (lesson.reward.badge && !course.rewards.badges.includes(lesson.reward.badge)) {
+      issues.push(error(null, `${at}/reward/badge`,
+        `Badge "${lesson.reward.badge}" is not listed in rewards.badges of course "${course.id}"`));
+    }
+    (lesson.content.blocks || []).forEach((block, blockIndex) => {
+      for (const problem of blockProblems(block)) {
+        issues.push(error(null, `${at}/content/blocks/${blockIndex}/${problem.field}`, `${lesson.id}: ${problem.message}`));
+      }
+    });
+    issues.push(...(await checkExercise(lesson, at, course.id)));
+  }
+
+  const totalStars = lessons.reduce((total, lesson) => total + lesson.reward.stars, 0);
+  if (totalStars !== course.rewards.totalStars) {
+    issues.push(error(null, '/lessons',
+      `Lessons award ${totalStars} stars but rewards.totalStars of course "${course.id}" is ${course.rewards.totalStars}`));
+  }
+
+  return issues;
+}
+
+async function checkExercise(lesson, at, courseId) {
+  const issues = [];
+  const { exercise } = lesson;
+  const { validation } = exercise;
+
+  // Multiple-choice and predict-output exercises have no validation to check
+  let pattern = null;
+  try {
+    // Same flags as validateAnswer in validation.js
+    pattern = validation ? new RegExp(validation.pattern, 's') : null;
+  } catch (patternError) {
+    issues.push(error(null, `${at}/exercise/validation/pattern`, `Invalid pattern: ${patternError.message}`));
+  }
+  const solutionMismatch = pattern && !pattern.test(exercise.solution);
+  if (solutionMismatch) {
+    issues.push(error(null, `${at}/exercise/solution`, `The solution of ${lesson.id} does not match its validation.pattern`));
+  }
+  if (pattern || !validation) {
+    for (const failure of (await checkLesson(lesson, { courseId })).failures) {
+      if (failure.kind === 'solution' && solutionMismatch) continue;
+      issues.push(error(null, `${at}/exercise/${failure.field}`, `${lesson.id}: ${failure.message}`));
+    }
+  }
+
+  (exercise.guidedRules || []).forEach((rule, ruleIndex) => {
+    if (rule.courseId && rule.courseId !== courseId) {
+      issues.push(error(null, `${at}/exercise/guidedRules/${ruleIndex}/courseId`,
+        `Rule "${rule.id}" is limited to "${rule.courseId}", so it never applies in "${courseId}"`));
+    }
+    rule.when.forEach((condition, conditionIndex) => {
+      for (const key of ['matches', 'notMatches', 'count']) {
+        if (typeof condition[key] !== 'string') continue;
+        try {
+          new RegExp(condition[key]);
+        } catch (patternError) {
+          issues.push(error(null, `${at}/exercise/guidedRules/${ruleIndex}/when/${conditionIndex}/${key}`,
+            `Invalid pattern: ${patternError.message}`));
+        }
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Check one locale's translations against the English content
+ * Unknown course, lesson and guided rule ids, fields that are not translatable
+ * and non-text values are errors. With lint, untranslated lessons are warnings.
+ * @param {string} locale - Locale folder name (e.g. "es")
+ * @param {Object} translation - { courses, lessonsByCourse } as loaded from locales/<locale>/
+ * @param {Object} content - English content that passed validation
+ * @param {Object} content.coursesData - Parsed courses.json
+ * @param {Object<string, Object>} content.lessonsByCourse - Parsed lesson files by course ID
+ * @param {Object} [options]
+ * @param {boolean} [options.lint] - Also report missing translations
+ * @returns {Array<Object>} Issues as { level, file, path, message }
+ */
+export function checkTranslation(locale, translation, { coursesData, lessonsByCourse }, { lint = false } = {}) {
+  const issues = [];
+
+  if (translation.courses) {
+    const file = translationFileFor(locale);
+    if (!isPlainObject(translation.courses.courses)) {
+      issues.push(error(file, '/courses', 'Must be an object keyed by course id'));
+    } else {
+      for (const [courseId, courseText] of Object.entries(translation.courses.courses)) {
+        const course = coursesData.courses.find((item) => item.id === courseId);
+        const at = `/courses/${courseId}`;
+        if (!course) {
+          issues.push(error(file, at, `Unknown course "${courseId}"`));
+          continue;
+        }
+        issues.push(...checkTranslatedText(courseText, course, COURSE_TRANSLATION_SHAPE, at).map((issue) => ({ file, ...issue })));
+      }
+    }
+  }
+
+  for (const [courseId, lessonsText] of Object.entries(translation.lessonsByCourse || {})) {
+    const file = translationFileFor(locale, courseId);
+    const lessonsData = lessonsByCourse[courseId];
+    if (!lessonsData) {
+      continue;
+    }
+    if (lessonsText.courseId !== courseId) {
+      issues.push(error(file, '/courseId', `Must be "${courseId}"`));
+    }
+    if (!isPlainObject(lessonsText.lessons)) {
+      issues.push(error(file, '/lessons', 'Must be an object keyed by lesson id'));
+      continue;
+    }
+    for (const [lessonId, lessonText] of Object.entries(lessonsText.lessons)) {
+      const lesson = lessonsData.lessons.find((item) => item.id === lessonId);
+      const at = `/lessons/${lessonId}`;
+      if (!lesson) {
+        issues.push(error(file, at, `Unknown lesson "${lessonId}"`));
+        continue;
+      }
+      issues.push(...checkTranslatedText(lessonText, lesson, LESSON_TRANSLATION_SHAPE, at).map((issue) => ({ file, ...issue })));
+    }
+    if (lint) {
+      for (const lesson of lessonsData.lessons) {
+        if (!lessonsText.lessons[lesson.id]) {
+          issues.push(warning(file, '/lessons', `${lesson.id} has no ${locale} translation`));
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Walk a translation alongside its English original and shape
+function checkTranslatedText(translated, original, shape, at) {
+  if (shape === TEXT) {
+    if (typeof translated !== 'string') {
+      return [error(null, at, 'Must be text')];
+    }
+    return typeof original === 'string' ? [] : [error(null, at, 'Has no English text to translate')];
+  }
+
+  if (shape === GUIDED_RULES) {
+    if (!isPlainObject(translated)) {
+      return [error(null, at, 'Must be an object keyed by guided rule id')];
+    }
+    const ruleIds = new Set((original || []).map((rule) => rule.id));
+    return Object.entries(translated).flatMap(([ruleId, message]) => {
+      if (!ruleIds.has(ruleId)) return [error(null, `${at}/${ruleId}`, `Unknown guided rule "${ruleId}"`)];
+      return typeof message === 'string' ? [] : [error(null, `${at}/${ruleId}`, 'Must be text')];
+    });
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(translated)) {
+      return [error(null, at, 'Must be a list')];
+    }
+    if (!Array.isArray(original) || translated.length > original.length) {
+      return [error(null, at, `Has ${translated.length} items but the English has ${original?.length ?? 0}`)];
+    }
+    return translated.flatMap((item, index) => checkTranslatedText(item, original[index], shape[0], `${at}/${index}`));
+  }
+
+  if (!isPlainObject(translated)) {
+    return [error(null, at, 'Must be an object')];
+  }
+  return Object.entries(translated).flatMap(([key, value]) => {
+    if (!(key in shape)) {
+      return [error(null, `${at}/${key}`, `"${key}" cannot be translated`)];
+    }
+    return checkTranslatedText(value, original?.[key], shape[key], `${at}/${key}`);
+  });
+}
+
+/**
+ * Style checks that do not break the server but make lessons worse for kids
+ * @param {Object} course - Course entry from courses.json
+ * @param {Object} lessonsData - Parsed lessons/<courseId>.json that passed the schema
+ * @returns {Array<Object>} Warnings as { level, path, message }
+ */
+export function lintCourseLessons(course, lessonsData) {
+  const issues = [];
+
+  lessonsData.lessons.forEach((lesson, index) => {
+    const at = `/lessons/${index}`;
+    const { content, exercise } = lesson;
+
+    if (lesson.id !== `lesson-${lesson.order}`) {
+      issues.push(warning(null, `${at}/id`, `${lesson.id} has order ${lesson.order}; ids usually follow the order`));
+    }
+    if (!exercise.hint && !exercise.hints) {
+      issues.push(warning(null, `${at}/exercise/hints`, `${lesson.id} has no hints`));
+    } else if (exercise.hint && exercise.hints) {
+      issues.push(warning(null, `${at}/exercise/hint`, `${lesson.id} has both hint and hints; only hints is used`));
+    }
+    if (content.explanation && content.blocks) {
+      issues.push(warning(null, `${at}/content/explanation`, `${lesson.id} has both explanation and blocks; only blocks is used`));
+    }
+    if (exercise.validation && !exercise.validation.errorMessage) {
+      issues.push(warning(null, `${at}/exercise/validation/errorMessage`, `${lesson.id} has no errorMessage for wrong answers`));
+    }
+    if (typeof exercise.template === 'string' && exercise.template.trim() === exercise.solution?.trim()) {
+      issues.push(warning(null, `${at}/exercise/template`, `The template of ${lesson.id} is already the solution`));
+    }
+    if (!content.examples || content.examples.length === 0) {
+      issues.push(warning(null, `${at}/content/examples`, `${lesson.id} has no code examples`));
+    }
+    if (!content.funFact) {
+      issues.push(warning(null, `${at}/content/funFact`, `${lesson.id} has no fun fact`));
+    }
+    if (!lesson.duration) {
+      issues.push(warning(null, `${at}/duration`, `${lesson.id} has no duration`));
+    }
+  });
+
+  for (const placeholder of findPlaceholders(lessonsData.lessons, '/lessons')) {
+    issues.push(warning(null, placeholder, 'Still contains a TODO placeholder'));
+  }
+
+  const awarded = new Set(lessonsData.lessons.map((lesson) => lesson.reward.badge).filter(Boolean));
+  for (const badge of course.rewards.badges) {
+    if (!awarded.has(badge)) {
+      issues.push(warning(null, '/lessons', `Badge "${badge}" of course "${course.id}" is never awarded`));
+    }
+  }
+
+  return issues;
+}
+
+function findPlaceholders(value, at) {
+  if (typeof value === 'string') {
+    return value.includes('TODO') ? [at] : [];
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => findPlaceholders(child, `${at}/${key}`));
+  }
+  return [];
+}
+
+function lessonsFileFor(courseId) {
+  return path.join('lessons', `${courseId}.json`);
+}
+
+function translationFileFor(locale, courseId) {
+  return courseId
+    ? path.join('locales', locale, lessonsFileFor(courseId))
+    : path.join('locales', locale, COURSES_FILE);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function readJsonFile(dataDir, fileName, issues, { optional = false } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(dataDir, fileName), 'utf-8');
+  } catch (readError) {
+    if (optional && readError.code === 'ENOENT') {
+      return null;
+    }
+    issues.push(error(fileName, '', readError.code === 'ENOENT' ? 'File not found' : readError.message));
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (parseError) {
+    issues.push(error(fileName, '', `Invalid JSON: ${parseError.message}`));
+    return null;
+  }
+}
+
+function schemaIssues(file, schemaErrors) {
+  // A failed if/then also reports the `then` error itself; the extra "must match" adds nothing
+  return schemaErrors.filter((schemaError) => schemaError.keyword !== 'if').map((schemaError) => {
+    const extra = schemaError.keyword === 'additionalProperties'
+      ? ` ("${schemaError.params.additionalProperty}")`
+      : schemaError.keyword === 'enum'
+        ? ` (${schemaError.params.allowedValues.join(', ')})`
+        : '';
+    return error(file, schemaError.instancePath, `${schemaError.message}${extra}`);
+  });
+}
+
+function splitIssues(issues) {
+  return {
+    errors: issues.filter((issue) => issue.level === 'error'),
+    warnings: issues.filter((issue) => issue.level === 'warning'),
+  };
+}
+
+function error(file, at, message) {
+  return { level: 'error', ...(file ? { file } : {}), path: at, message };
+}
+
+function warning(file, at, message) {
+  return { level: 'warning', ...(file ? { file } : {}), path: at, message };
+}
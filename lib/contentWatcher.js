@@ -0,0 +1,63 @@
+/**
+ * Content watcher
+ *
+ * Watches the data directory for JSON edits and calls `onChange` once per
+ * burst of changes (editors often write a file several times in a row).
+ * Calls never overlap: changes that arrive during a run trigger one more run.
+ */
+
+import fs from 'node:fs';
+
+/**
+ * Watch a data directory for content changes
+ * @param {string} dataDir - Directory with courses.json and lessons/
+ * @param {Object} options
+ * @param {(files: Array<string>) => Promise<void>|void} options.onChange - Called with the changed files
+ * @param {number} [options.debounceMs] - Quiet time before onChange runs
+ * @param {Function} [options.watch] - fs.watch replacement (for tests)
+ * @returns {{ close: () => void }} Watcher handle
+ */
+export function watchContent(dataDir, { onChange, debounceMs = 300, watch = fs.watch }) {
+  let timer = null;
+  let running = false;
+  let pending = new Set();
+
+  async function run() {
+    timer = null;
+    if (running) {
+      return;
+    }
+    running = true;
+    while (pending.size > 0) {
+      const files = [...pending];
+      pending = new Set();
+      try {
+        await onChange(files);
+      } catch (error) {
+        console.error('[Content] Reload failed:', error);
+      }
+    }
+    running = false;
+  }
+
+  const watcher = watch(dataDir, { recursive: true }, (_eventType, filename) => {
+    const file = filename ? String(filename) : null;
+    if (file && !file.endsWith('.json')) {
+      return;
+    }
+    pending.add(file ?? dataDir);
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  });
+
+  watcher.on?.('error', (error) => {
+    console.error('[Content] Watcher error:', error);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
@@ -5,6 +5,7 @@
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { loadCourseAssets } from './contentAssets.js';
 
 /**
  * Load courses catalog from JSON file
@@ -41,6 +42,81 @@ export async function loadLessonsFromFile(dataDir, courseId) {
   return lessonsData;
 }
 
+// Locale folder names like "es" or "pt-br"
+const LOCALE_DIR_PATTERN = /^[a-z]{2,3}(-[a-z0-9]+)*$/;
+
+/**
+ * Load a translation file from locales/<locale>/
+ * @param {string} dataDir - Path to data directory
+ * @param {string} locale - Locale (e.g. "es")
+ * @param {string} relativePath - File inside the locale folder (e.g. "courses.json")
+ * @returns {Promise<Object|null>} Translation data, or null when the locale has no such file
+ */
+export async function loadTranslationFile(dataDir, locale, relativePath) {
+  if (!LOCALE_DIR_PATTERN.test(locale || '')) {
+    return null;
+  }
+  try {
+    const data = await fs.readFile(path.join(dataDir, 'locales', locale, relativePath), 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * List the locales that have a translation folder
+ * @param {string} dataDir - Path to data directory
+ * @returns {Promise<Array<string>>} Locale folder names under locales/
+ */
+export async function listTranslationLocales(dataDir) {
+  try {
+    const entries = await fs.readdir(path.join(dataDir, 'locales'), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && LOCALE_DIR_PATTERN.test(entry.name))
+      .map((entry) => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Load the course catalog, every course's lessons, assets and translations in one go
+ * @param {string} dataDir - Path to data directory
+ * @returns {Promise<{ coursesData: Object, lessonsByCourse: Object<string, Object>, assetsByCourse: Object<string, Object|null>, translations: Object<string, Object> }>}
+ *   Content snapshot; assets come from loadCourseAssets and translations are keyed by
+ *   locale as { courses, lessonsByCourse }
+ */
+export async function loadContentSnapshot(dataDir) {
+  const coursesData = await loadCoursesFromFile(dataDir);
+  const lessonsByCourse = {};
+  const assetsByCourse = {};
+  for (const course of coursesData.courses) {
+    lessonsByCourse[course.id] = await loadLessonsFromFile(dataDir, course.id);
+    assetsByCourse[course.id] = await loadCourseAssets(dataDir, course.id);
+  }
+
+  const translations = {};
+  for (const locale of await listTranslationLocales(dataDir)) {
+    const translation = {
+      courses: await loadTranslationFile(dataDir, locale, 'courses.json'),
+      lessonsByCourse: {},
+    };
+    for (const course of coursesData.courses) {
+      const lessons = await loadTranslationFile(dataDir, locale, path.join('lessons', `${course.id}.json`));
+      if (lessons) {
+        translation.lessonsByCourse[course.id] = lessons;
+      }
+    }
+    translations[locale] = translation;
+  }
+
+  return { coursesData, lessonsByCourse, assetsByCourse, translations };
+}
+
 /**
  * Create a cached data loader
  * @param {string} dataDir - Path to data directory
@@ -48,7 +124,17 @@ export async function loadLessonsFromFile(dataDir, courseId) {
  */
 export function createDataLoader(dataDir) {
   let coursesCache = null;
-  const lessonsCache = new Map();
+  let lessonsCache = new Map();
+  let assetsCache = new Map();
+  let translationsCache = new Map();
+
+  async function loadTranslation(locale, relativePath) {
+    const key = `${locale}/${relativePath}`;
+    if (!translationsCache.has(key)) {
+      translationsCache.set(key, await loadTranslationFile(dataDir, locale, relativePath));
+    }
+    return translationsCache.get(key);
+  }
 
   return {
     async loadCourses() {
@@ -66,9 +152,79 @@ export function createDataLoader(dataDir) {
       return lessons;
     },
 
+    /**
+     * Load a course's optimized assets
+     * @param {string} courseId - Course ID
+     * @returns {Promise<Object|null>} From loadCourseAssets (null when the course has none)
+     */
+    async loadCourseAssets(courseId) {
+      if (!assetsCache.has(courseId)) {
+        assetsCache.set(courseId, await loadCourseAssets(dataDir, courseId));
+      }
+      return assetsCache.get(courseId);
+    },
+
+    /**
+     * Load the course translations for a locale
+     * @param {string} locale - Locale (e.g. "es")
+     * @returns {Promise<Object|null>} Contents of locales/<locale>/courses.json, or null
+     */
+    async loadCourseTranslations(locale) {
+      return loadTranslation(locale, 'courses.json');
+    },
+
+    /**
+     * Load the lesson translations of one course for a locale
+     * @param {string} locale - Locale (e.g. "es")
+     * @param {string} courseId - Course ID
+     * @returns {Promise<Object|null>} Contents of locales/<locale>/lessons/<courseId>.json, or null
+     */
+    async loadLessonTranslations(locale, courseId) {
+      return loadTranslation(locale, path.join('lessons', `${courseId}.json`));
+    },
+
     clearCache() {
       coursesCache = null;
       lessonsCache.clear();
+      assetsCache.clear();
+      translationsCache.clear();
+    },
+
+    /**
+     * Read all content again and swap it in only when it loads and validates
+     * @param {Object} [options]
+     * @param {(snapshot: Object) => Promise<Array<string>>|Array<string>} [options.validate] - Returns problems
+     *   with the new snapshot; any problem keeps the current content
+     * @returns {Promise<{ ok: boolean, courses?: number, errors?: Array<string> }>} Reload outcome
+     */
+    async reload({ validate } = {}) {
+      let snapshot;
+      try {
+        snapshot = await loadContentSnapshot(dataDir);
+      } catch (error) {
+        return { ok: false, errors: [error.message] };
+      }
+
+      const errors = validate ? await validate(snapshot) : [];
+      if (errors.length > 0) {
+        return { ok: false, errors };
+      }
+
+      // Swap both caches together so readers never mix old and new content
+      coursesCache = snapshot.coursesData;
+      lessonsCache = new Map(Object.entries(snapshot.lessonsByCourse));
+      assetsCache = new Map(Object.entries(snapshot.assetsByCourse));
+      translationsCache = new Map();
+      for (const [locale, translation] of Object.entries(snapshot.translations)) {
+        translationsCache.set(`${locale}/courses.json`, translation.courses);
+        for (const courseId of Object.keys(snapshot.lessonsByCourse)) {
+          translationsCache.set(
+            `${locale}/${path.join('lessons', `${courseId}.json`)}`,
+            translation.lessonsByCourse[courseId] ?? null
+          );
+        }
+      }
+      return { ok: true, courses: snapshot.coursesData.courses.length };
     },
 
     getCoursesCached() {
@@ -0,0 +1,77 @@
+/**
+ * In-memory event store for resumable Streamable HTTP streams
+ *
+ * Each MCP session gets its own store. Every message sent on an SSE stream is
+ * kept with an event id, so a client that reconnects with `Last-Event-ID`
+ * receives what it missed. Only the newest `maxEvents` are kept.
+ */
+
+/**
+ * Create an event store (implements the SDK's EventStore interface)
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents] - Events kept before the oldest are dropped
+ * @returns {Object} Event store with storeEvent, getStreamIdForEventId and replayEventsAfter
+ */
+export function createEventStore({ maxEvents = 1000 } = {}) {
+  const events = new Map();
+  let sequence = 0;
+
+  return {
+    /**
+     * Remember a message sent on a stream
+     * @param {string} streamId - Stream the message was sent on
+     * @param {Object} message - JSON-RPC message (empty for priming events)
+     * @returns {Promise<string>} Event id
+     */
+    async storeEvent(streamId, message) {
+      sequence += 1;
+      const eventId = String(sequence);
+      events.set(eventId, { streamId, message });
+
+      // Maps iterate in insertion order, so the first key is the oldest event
+      while (events.size > maxEvents) {
+        events.delete(events.keys().next().value);
+      }
+      return eventId;
+    },
+
+    /**
+     * @param {string} eventId - Event id from Last-Event-ID
+     * @returns {Promise<string|undefined>} Stream of the event, or undefined when it is unknown or dropped
+     */
+    async getStreamIdForEventId(eventId) {
+      return events.get(eventId)?.streamId;
+    },
+
+    /**
+     * Send every message of the same stream that came after an event
+     * @param {string} lastEventId - Last event the client received
+     * @param {Object} options
+     * @param {(eventId: string, message: Object) => Promise<void>} options.send - Writes one event
+     * @returns {Promise<string>} Stream that was replayed ('' when the event is unknown)
+     */
+    async replayEventsAfter(lastEventId, { send }) {
+      const last = events.get(lastEventId);
+      if (!last) {
+        return '';
+      }
+
+      let found = false;
+      for (const [eventId, { streamId, message }] of events) {
+        if (eventId === lastEventId) {
+          found = true;
+          continue;
+        }
+        // Priming events carry no message and are never replayed
+        if (found && streamId === last.streamId && message?.jsonrpc) {
+          await send(eventId, message);
+        }
+      }
+      return last.streamId;
+    },
+
+    get size() {
+      return events.size;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Exercise kinds
+ *
+ * Writing code in the editor (`kind` "code", the default) is hard for the
+ * younger end of a course's age range, so an exercise can also be:
+ * - "multiple-choice": pick one of `options`; `answer` is the right index;
+ * - "fill-blank": type what goes in each ____ of the template; the filled-in
+ *   program is graded like written code;
+ * - "order-lines": put the lines of the `solution` back in order; the program
+ *   they make is graded like written code, so any order that works counts;
+ * - "predict-output": say what `code` prints; the answer is compared with what
+ *   the interpreter prints.
+ * Answers arrive as the `answer` argument of check-student-work (see
+ * evaluateExerciseAnswer in lessonValidation.js).
+ */
+
+import { runPythonProgram } from './codeSandbox.js';
+
+export const EXERCISE_KINDS = ['code', 'multiple-choice', 'fill-blank', 'order-lines', 'predict-output'];
+
+/** Longest text accepted for one blank */
+export const MAX_BLANK_LENGTH = 200;
+
+const BLANK = /_{3,}/g;
+
+/**
+ * Kind of an exercise
+ * @param {Object} [exercise] - Lesson exercise
+ * @returns {string} One of EXERCISE_KINDS
+ */
+export function exerciseKind(exercise) {
+  return exercise?.kind ?? 'code';
+}
+
+/**
+ * Count the blanks (three or more underscores) in a template
+ * @param {string} [template] - Exercise template
+ * @returns {number}
+ */
+export function countBlanks(template) {
+  return (template ?? '').match(BLANK)?.length ?? 0;
+}
+
+/**
+ * Put a learner's words into the blanks of a template
+ * @param {string} template - Exercise template
+ * @param {unknown} values - One string per blank, in order
+ * @returns {string|null} The filled-in program, or null when a blank is missing, empty,
+ *   longer than MAX_BLANK_LENGTH or spans lines
+ */
+export function fillBlanks(template, values) {
+  if (!Array.isArray(values) || values.length !== countBlanks(template)) {
+    return null;
+  }
+  const words = values.map((value) => (typeof value === 'string' ? value.trim() : ''));
+  if (words.some((word) => !word || word.length > MAX_BLANK_LENGTH || /[\r\n]/.test(word))) {
+    return null;
+  }
+  let next = 0;
+  return template.replace(BLANK, () => words[next++]);
+}
+
+/**
+ * Lines of an order-lines exercise in the mixed-up order the learner sees
+ * The order is the same on every call, so answers can refer to lines by index.
+ * @param {Object} exercise - Lesson exercise with a solution
+ * @returns {string[]}
+ */
+export function shuffledLines(exercise) {
+  const lines = (exercise.solution ?? '').split('\n').filter((line) => line.trim());
+  const shuffled = lines
+    .map((line, index) => ({ line, index, key: hash(`${index}:${line}`) }))
+    .sort((a, b) => a.key - b.key);
+  // Never hand out the lines already in the right order
+  if (shuffled.every((entry, index) => entry.index === index)) {
+    shuffled.push(shuffled.shift());
+  }
+  return shuffled.map((entry) => entry.line);
+}
+
+/**
+ * Build the program a learner made by ordering the lines
+ * @param {Object} exercise - Lesson exercise with a solution
+ * @param {unknown} order - Indexes into shuffledLines, top line first
+ * @returns {string|null} The program, or null unless every line is used exactly once
+ */
+export function linesInOrder(exercise, order) {
+  const lines = shuffledLines(exercise);
+  if (!Array.isArray(order) || order.length !== lines.length
+    || new Set(order).size !== lines.length
+    || order.some((index) => !Number.isInteger(index) || index < 0 || index >= lines.length)) {
+    return null;
+  }
+  return order.map((index) => lines[index]).join('\n');
+}
+
+/**
+ * What the program of a predict-output exercise prints
+ * @param {Object} exercise - Lesson exercise with `code`
+ * @returns {string|null} Output without the final newline, or null when the program fails
+ */
+export function expectedOutput(exercise) {
+  const run = runPythonProgram(exercise.code ?? '');
+  return run.ok ? run.stdout.replace(/\n+$/, '') : null;
+}
+
+/**
+ * Compare a prediction with the real output, forgiving spaces at the ends of lines
+ * @param {string} predicted - What the learner typed
+ * @param {string} actual - From expectedOutput
+ * @returns {boolean}
+ */
+export function sameOutput(predicted, actual) {
+  return outputLines(predicted).join('\n') === outputLines(actual).join('\n');
+}
+
+/**
+ * The right answer of an exercise, as shown when the solution is revealed
+ * @param {Object} [exercise] - Lesson exercise
+ * @returns {string|null} Code for code, fill-blank and order-lines; the right option
+ *   or the output for the others
+ */
+export function solutionOf(exercise) {
+  switch (exerciseKind(exercise)) {
+    case 'multiple-choice':
+      return exercise.options?.[exercise.answer] ?? null;
+    case 'predict-output':
+      return exercise.code ? expectedOutput(exercise) : null;
+    default:
+      return exercise?.solution ?? null;
+  }
+}
+
+function outputLines(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n').map((line) => line.trim());
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  return lines;
+}
+
+// Small string hash (FNV-1a) for a stable, shuffled-looking order
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    value ^= text.charCodeAt(index);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
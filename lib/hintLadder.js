@@ -0,0 +1,116 @@
+/**
+ * Hint ladder
+ *
+ * An exercise can list several hints, from a gentle nudge through stronger
+ * clues to partial code (`exercise.hints`, each `{ text, code? }`); lessons
+ * with only the older single `hint` get a one-rung ladder. The top rung says
+ * the solution can be revealed; the code itself only comes from
+ * `reveal-solution` (see solutionReveal.js). The first rung is open from the
+ * start, each failed attempt on the lesson opens the next one, and the top
+ * rung only opens after SOLUTION_MIN_FAILED_ATTEMPTS, so a stuck kid gets a
+ * little more help each time instead of the same hint over and over.
+ */
+
+import { solutionOf } from './exerciseKinds.js';
+import { translate } from './i18n.js';
+
+/** Failed attempts on a lesson before the ladder shows the solution */
+export const SOLUTION_MIN_FAILED_ATTEMPTS = 5;
+
+/**
+ * List an exercise's hints from gentlest to most helpful
+ * @param {Object} exercise - Lesson exercise (localized)
+ * @param {string} [locale] - Locale for the solution rung's text
+ * @returns {Array<{ level: number, kind: 'nudge'|'clue'|'code'|'solution', text: string, code?: string }>}
+ */
+export function buildHintLadder(exercise, locale) {
+  const hints = Array.isArray(exercise?.hints) && exercise.hints.length > 0
+    ? exercise.hints
+    : exercise?.hint ? [{ text: exercise.hint }] : [];
+
+  const ladder = hints.map((hint, index) => ({
+    level: index + 1,
+    kind: hint.code ? 'code' : index === 0 ? 'nudge' : 'clue',
+    text: hint.text,
+    ...(hint.code && { code: hint.code }),
+  }));
+
+  if (solutionOf(exercise)) {
+    ladder.push({
+      level: ladder.length + 1,
+      kind: 'solution',
+      text: translate(locale, 'hints.solution'),
+    });
+  }
+  return ladder;
+}
+
+/**
+ * Text of an exercise's gentlest hint, for feedback that shows a single hint
+ * @param {Object} [exercise] - Lesson exercise
+ * @returns {string|undefined}
+ */
+export function firstHintText(exercise) {
+  return exercise?.hints?.[0]?.text ?? exercise?.hint;
+}
+
+/**
+ * Highest rung a learner may see
+ * @param {Array<Object>} ladder - From buildHintLadder
+ * @param {number} failedAttempts - Failed attempts on the lesson so far
+ * @returns {number} Level (0 when the exercise has no hints at all)
+ */
+export function unlockedHintLevel(ladder, failedAttempts) {
+  const hintCount = ladder.filter((rung) => rung.kind !== 'solution').length;
+  if (failedAttempts >= SOLUTION_MIN_FAILED_ATTEMPTS && ladder.length > hintCount) {
+    return ladder.length;
+  }
+  return Math.min(Math.max(failedAttempts, 1), hintCount);
+}
+
+/**
+ * Give a wrong answer the hint that fits how long the learner has been stuck
+ * @param {Object} result - Result from evaluateStudentWork
+ * @param {Object} exercise - Lesson exercise (localized)
+ * @param {Object} options
+ * @param {number} options.failedAttempts - Failed attempts on the lesson, this one included
+ * @param {string} [options.locale] - Locale from negotiateLocale
+ * @returns {Object} The result with `hint` (the newest rung's text), `hintLevel`, `hintLevels`
+ *   and `hints` (every open rung); correct answers and empty submissions are returned unchanged
+ */
+export function applyHintLadder(result, exercise, { failedAttempts, locale }) {
+  if (result.correct || !result.hasAttempt) {
+    return result;
+  }
+
+  const ladder = buildHintLadder(exercise, locale);
+  const hintLevel = unlockedHintLevel(ladder, failedAttempts);
+  if (hintLevel === 0) {
+    return result;
+  }
+
+  return {
+    ...result,
+    hint: ladder[hintLevel - 1].text,
+    hintLevel,
+    hintLevels: ladder.length,
+    hints: ladder.slice(0, hintLevel),
+  };
+}
+
+/**
+ * Exercise as sent by start-lesson: only the first rung of the ladder is open
+ * @param {Object} exercise - Lesson exercise (localized)
+ * @param {string} [locale] - Locale from negotiateLocale
+ * @returns {Object} Exercise with `hint`, `hints` (the first rung) and `hintLevels`
+ */
+export function exerciseWithFirstHint(exercise, locale) {
+  const ladder = buildHintLadder(exercise, locale);
+  const hints = ladder.filter((rung) => rung.kind !== 'solution').slice(0, 1);
+  return {
+    ...exercise,
+    hint: hints[0]?.text,
+    hints,
+    hintLevels: ladder.length,
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Localization helpers
+ *
+ * Built-in messages (validation feedback, syntax explanations, tool texts)
+ * live in lib/locales/<locale>.js. Lesson text is translated separately by
+ * content bundles (see contentLocalization.js). Missing messages fall back
+ * to English.
+ */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, es };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Pick the first supported locale from the requested ones
+ * Accepts BCP 47 tags ("es-MX") and Accept-Language lists ("es-419,es;q=0.9,en;q=0.8").
+ * @param {...(string|null|undefined)} requested - Candidates in priority order
+ * @returns {string} Supported locale, or DEFAULT_LOCALE
+ */
+export function negotiateLocale(...requested) {
+  for (const value of requested) {
+    if (typeof value !== 'string') continue;
+
+    for (const part of value.split(',')) {
+      const tag = part.split(';')[0].trim().toLowerCase().replace('_', '-');
+      if (!tag) continue;
+      if (CATALOGS[tag]) return tag;
+
+      const language = tag.split('-')[0];
+      if (CATALOGS[language]) return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a message key
+ * Messages may use `{name}` placeholders. A message written as `{ one, other }`
+ * is picked by `params.count` using the locale's plural rules.
+ * @param {string|undefined} locale - Locale from negotiateLocale
+ * @param {string} key - Message key, e.g. "feedback.emptyCode"
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Translated message (the key itself when no catalog has it)
+ */
+export function translate(locale, key, params = {}) {
+  const catalogLocale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  let message = CATALOGS[catalogLocale][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(catalogLocale).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined ? placeholder : String(params[name])
+  ));
+}
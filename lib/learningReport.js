@@ -0,0 +1,449 @@
+/**
+ * Learning reports for parents
+ *
+ * Built from a learner's activity history in the progress store: lessons
+ * completed, stars and badges, time spent, hints opened and the mistakes that
+ * came up most, for a date range (the last seven days by default). Reports
+ * render as an HTML page, CSV (one row per attempt) or PDF, and are shared
+ * through signed links that expire, so a report URL never exposes a learner id.
+ */
+
+import crypto from 'node:crypto';
+import { translate } from './i18n.js';
+import { renderPdf } from './pdfDocument.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 366;
+// Gaps longer than this between two events count as a break, not as time spent
+const ACTIVE_GAP_MS = 10 * 60 * 1000;
+const TOP_MISTAKES = 5;
+
+export const REPORT_FORMATS = ['html', 'csv', 'pdf'];
+
+/**
+ * Invalid report request; `code` maps to a `server.report.<code>` message
+ */
+export class LearningReportError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LearningReportError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resolve the dates a report covers
+ * @param {Object} [range]
+ * @param {string} [range.from] - First day, YYYY-MM-DD (defaults to six days before `to`)
+ * @param {string} [range.to] - Last day, YYYY-MM-DD (defaults to today, UTC)
+ * @param {() => number} [now] - Clock, overridable in tests
+ * @returns {{ from: string, to: string, start: string, end: string }} Days, plus the ISO timestamps
+ *   bounding them (`end` is exclusive)
+ * @throws {LearningReportError} invalid-date or invalid-range
+ */
+export function resolveReportRange({ from, to } = {}, now = () => Date.now()) {
+  const endDay = to ? parseDay(to) : Date.parse(new Date(now()).toISOString().slice(0, 10));
+  const startDay = from ? parseDay(from) : endDay - (DEFAULT_REPORT_DAYS - 1) * DAY_MS;
+
+  if (startDay > endDay) {
+    throw new LearningReportError('invalid-range', '"from" must not be after "to"');
+  }
+  if ((endDay - startDay) / DAY_MS + 1 > MAX_REPORT_DAYS) {
+    throw new LearningReportError('invalid-range', `Reports cover at most ${MAX_REPORT_DAYS} days`);
+  }
+
+  return {
+    from: formatDay(startDay),
+    to: formatDay(endDay),
+    start: new Date(startDay).toISOString(),
+    end: new Date(endDay + DAY_MS).toISOString(),
+  };
+}
+
+/**
+ * Build a learning report
+ * @param {Object} params
+ * @param {Array<Object>} params.history - progressStore.getHistory events for the range
+ * @param {{ from: string, to: string }} params.range - From resolveReportRange
+ * @param {string|null} [params.courseId] - Course the report is limited to
+ * @param {{ courses?: Object<string, string>, lessons?: Object<string, string> }} [params.titles]
+ *   Course titles by id and lesson titles by "courseId/lessonId"
+ * @returns {Object} Report (no learner id, safe to show to whoever holds the link)
+ */
+export function buildLearningReport({ history, range, courseId = null, titles = {} }) {
+  const events = [...history].sort((a, b) => a.at.localeCompare(b.at));
+  const attempts = events.filter((event) => event.type === 'attempt');
+  const courseTitle = (id) => titles.courses?.[id] ?? id;
+  const lessonTitle = (course, lesson) => titles.lessons?.[`${course}/${lesson}`] ?? lesson;
+
+  const completions = attempts.filter((attempt) => attempt.completed);
+  const lessons = completions.map((completion) => ({
+    courseId: completion.courseId,
+    courseTitle: courseTitle(completion.courseId),
+    lessonId: completion.lessonId,
+    lessonTitle: lessonTitle(completion.courseId, completion.lessonId),
+    completedAt: completion.at,
+    stars: completion.stars ?? 0,
+    badge: completion.badge ?? null,
+    attempts: attempts.filter((attempt) => attempt.courseId === completion.courseId
+      && attempt.lessonId === completion.lessonId
+      && attempt.at <= completion.at).length,
+  }));
+
+  // An attempt counts as helped by a hint when the learner opened one on that lesson since their last try
+  const hintOpenedBefore = new Set();
+  const hintPending = new Set();
+  for (const event of events) {
+    const key = `${event.courseId}/${event.lessonId}`;
+    if (event.type === 'hint') {
+      hintPending.add(key);
+    } else if (event.type === 'attempt') {
+      if (hintPending.delete(key)) hintOpenedBefore.add(event);
+    }
+  }
+
+  const mistakeCounts = new Map();
+  for (const attempt of attempts) {
+    if (attempt.mistake) {
+      const entry = mistakeCounts.get(attempt.mistake) ?? { kind: attempt.mistake, count: 0, lessons: [] };
+      entry.count += 1;
+      const lesson = lessonTitle(attempt.courseId, attempt.lessonId);
+      if (!entry.lessons.includes(lesson)) entry.lessons.push(lesson);
+      mistakeCounts.set(attempt.mistake, entry);
+    }
+  }
+
+  const minutesByDay = estimateMinutesByDay(events);
+  const days = [];
+  for (let day = Date.parse(range.from); day <= Date.parse(range.to); day += DAY_MS) {
+    const date = formatDay(day);
+    const dayAttempts = attempts.filter((attempt) => attempt.at.startsWith(date));
+    days.push({
+      date,
+      attempts: dayAttempts.length,
+      lessonsCompleted: dayAttempts.filter((attempt) => attempt.completed).length,
+      minutesSpent: Math.round(minutesByDay.get(date) ?? 0),
+    });
+  }
+
+  return {
+    from: range.from,
+    to: range.to,
+    courseId,
+    courseTitle: courseId ? courseTitle(courseId) : null,
+    totals: {
+      lessonsCompleted: lessons.length,
+      stars: lessons.reduce((total, lesson) => total + lesson.stars, 0),
+      badges: lessons.map((lesson) => lesson.badge).filter(Boolean),
+      attempts: attempts.length,
+      correctAttempts: attempts.filter((attempt) => attempt.correct).length,
+      hintsUsed: events.filter((event) => event.type === 'hint').length,
+      solutionsRevealed: events.filter((event) => event.type === 'reveal').length,
+      minutesSpent: days.reduce((total, day) => total + day.minutesSpent, 0),
+      activeDays: days.filter((day) => day.attempts > 0 || day.minutesSpent > 0).length,
+    },
+    lessons,
+    mistakes: [...mistakeCounts.values()]
+      .sort((a, b) => b.count - a.count || a.kind.localeCompare(b.kind))
+      .slice(0, TOP_MISTAKES),
+    days,
+    attempts: attempts.map((attempt) => ({
+      at: attempt.at,
+      courseId: attempt.courseId,
+      lessonId: attempt.lessonId,
+      lessonTitle: lessonTitle(attempt.courseId, attempt.lessonId),
+      correct: attempt.correct,
+      mistake: attempt.mistake ?? null,
+      hintOpened: hintOpenedBefore.has(attempt),
+    })),
+  };
+}
+
+/**
+ * Describe a mistake kind in the learner's language
+ * @param {string} kind - From classifyMistake
+ * @param {string} [locale] - Locale from negotiateLocale
+ * @returns {string} Label, e.g. "Missing colon" or "Python error: NameError"
+ */
+export function describeMistake(kind, locale) {
+  const key = `report.mistake.${kind}`;
+  const label = translate(locale, key);
+  if (label !== key) {
+    return label;
+  }
+  return /Error$|Exception$/.test(kind)
+    ? translate(locale, 'report.mistake.pythonError', { type: kind })
+    : kind.replace(/-/g, ' ');
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - From buildLearningReport
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale from negotiateLocale
+ * @param {{ csv?: string, pdf?: string }} [options.downloads] - Links to the other formats
+ * @returns {string} HTML document
+ */
+export function renderLearningReportHtml(report, { locale, downloads = {} } = {}) {
+  const t = (key, params) => escapeHtml(translate(locale, key, params));
+  const { totals } = report;
+
+  const stats = [
+    ['report.lessonsCompleted', totals.lessonsCompleted],
+    ['report.stars', totals.stars],
+    ['report.timeSpent', formatMinutes(totals.minutesSpent, locale)],
+    ['report.attempts', `${totals.correctAttempts} / ${totals.attempts}`],
+    ['report.hintsUsed', totals.hintsUsed],
+    ['report.solutionsRevealed', totals.solutionsRevealed],
+    ['report.activeDays', totals.activeDays],
+  ];
+
+  const lessonRows = report.lessons.map((lesson) => `
+        <tr>
+          <td>${escapeHtml(lesson.lessonTitle)}<div class="muted">${escapeHtml(lesson.courseTitle)}</div></td>
+          <td>${escapeHtml(formatDate(lesson.completedAt, locale))}</td>
+          <td>${'⭐'.repeat(lesson.stars)}</td>
+          <td>${escapeHtml(lesson.badge ?? '')}</td>
+          <td>${lesson.attempts}</td>
+        </tr>`).join('');
+
+  const mistakeItems = report.mistakes.map((mistake) => `
+        <li><strong>${escapeHtml(describeMistake(mistake.kind, locale))}</strong> × ${mistake.count}
+          <span class="muted">(${escapeHtml(mistake.lessons.join(', '))})</span></li>`).join('');
+
+  const maxMinutes = Math.max(1, ...report.days.map((day) => day.minutesSpent));
+  const dayBars = report.days.map((day) => `
+        <div class="day">
+          <div class="bar" style="height:${Math.round((day.minutesSpent / maxMinutes) * 60)}px" title="${escapeHtml(formatMinutes(day.minutesSpent, locale))}"></div>
+          <div class="muted">${escapeHtml(formatDate(day.date, locale, { weekday: 'short' }))}</div>
+        </div>`).join('');
+
+  const downloadLinks = [
+    downloads.pdf && `<a href="${escapeHtml(downloads.pdf)}">${t('report.downloadPdf')}</a>`,
+    downloads.csv && `<a href="${escapeHtml(downloads.csv)}">${t('report.downloadCsv')}</a>`,
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale ?? 'en')}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${t('report.title')}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; max-width: 760px; margin: 32px auto; padding: 0 16px; color: #1f2937; }
+    h1 { margin-bottom: 4px; }
+    .muted { color: #6b7280; font-size: 0.85em; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 12px; margin: 24px 0; }
+    .stat { background: #f3f4f6; border-radius: 12px; padding: 12px; }
+    .stat strong { display: block; font-size: 1.5em; }
+    .days { display: flex; gap: 8px; align-items: flex-end; height: 90px; }
+    .day { flex: 1; text-align: center; }
+    .bar { background: #667eea; border-radius: 4px 4px 0 0; min-height: 2px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    @media print { .downloads { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>📚 ${t('report.title')}</h1>
+  <p class="muted">${t('report.period', { from: formatDate(report.from, locale), to: formatDate(report.to, locale) })}${report.courseTitle ? ` · ${escapeHtml(report.courseTitle)}` : ''}</p>
+  ${downloadLinks ? `<p class="downloads">${downloadLinks}</p>` : ''}
+
+  <div class="stats">
+    ${stats.map(([key, value]) => `<div class="stat"><strong>${escapeHtml(value)}</strong>${t(key)}</div>`).join('\n    ')}
+  </div>
+
+  <h2>${t('report.timeByDay')}</h2>
+  <div class="days">${dayBars}
+  </div>
+
+  <h2>${t('report.lessonsHeading')}</h2>
+  ${report.lessons.length === 0 ? `<p class="muted">${t('report.noLessons')}</p>` : `<table>
+    <thead><tr><th>${t('report.lesson')}</th><th>${t('report.completed')}</th><th>${t('report.stars')}</th><th>${t('report.badge')}</th><th>${t('report.attempts')}</th></tr></thead>
+    <tbody>${lessonRows}
+    </tbody>
+  </table>`}
+
+  <h2>${t('report.mistakesHeading')}</h2>
+  ${report.mistakes.length === 0 ? `<p class="muted">${t('report.noMistakes')}</p>` : `<ul>${mistakeItems}
+  </ul>`}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report's attempts as CSV (one row per attempt)
+ * @param {Object} report - From buildLearningReport
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for the header row and result words
+ * @returns {string} CSV with a header row
+ */
+export function renderLearningReportCsv(report, { locale } = {}) {
+  const header = ['time', 'course', 'lesson', 'lessonTitle', 'result', 'mistake', 'hintOpened']
+    .map((column) => translate(locale, `report.csv.${column}`));
+  const rows = report.attempts.map((attempt) => [
+    attempt.at,
+    attempt.courseId,
+    attempt.lessonId,
+    attempt.lessonTitle,
+    translate(locale, attempt.correct ? 'report.correct' : 'report.incorrect'),
+    attempt.mistake ? describeMistake(attempt.mistake, locale) : '',
+    attempt.hintOpened ? translate(locale, 'report.yes') : '',
+  ]);
+
+  return `${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Render a report as a printable PDF
+ * @param {Object} report - From buildLearningReport
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale from negotiateLocale
+ * @returns {Buffer} PDF file contents
+ */
+export function renderLearningReportPdf(report, { locale } = {}) {
+  const t = (key, params) => translate(locale, key, params);
+  const { totals } = report;
+
+  const blocks = [
+    { text: t('report.title'), size: 20, bold: true },
+    { text: `${t('report.period', { from: formatDate(report.from, locale), to: formatDate(report.to, locale) })}${report.courseTitle ? ` · ${report.courseTitle}` : ''}`, size: 10 },
+    { text: t('report.summaryHeading'), size: 14, bold: true, gap: 12 },
+    { text: `${t('report.lessonsCompleted')}: ${totals.lessonsCompleted}` },
+    { text: `${t('report.stars')}: ${totals.stars}` },
+    { text: `${t('report.timeSpent')}: ${formatMinutes(totals.minutesSpent, locale)}` },
+    { text: `${t('report.attempts')}: ${totals.correctAttempts} / ${totals.attempts}` },
+    { text: `${t('report.hintsUsed')}: ${totals.hintsUsed}` },
+    { text: `${t('report.solutionsRevealed')}: ${totals.solutionsRevealed}` },
+    { text: `${t('report.activeDays')}: ${totals.activeDays}` },
+  ];
+  if (totals.badges.length > 0) {
+    blocks.push({ text: `${t('report.badges')}: ${totals.badges.join(', ')}` });
+  }
+
+  blocks.push({ text: t('report.lessonsHeading'), size: 14, bold: true, gap: 12 });
+  if (report.lessons.length === 0) {
+    blocks.push({ text: t('report.noLessons') });
+  }
+  for (const lesson of report.lessons) {
+    blocks.push({
+      text: `${lesson.lessonTitle} (${lesson.courseTitle}) - ${formatDate(lesson.completedAt, locale)}, `
+        + `${t('report.stars')}: ${lesson.stars}, ${t('report.attempts')}: ${lesson.attempts}`,
+    });
+  }
+
+  blocks.push({ text: t('report.mistakesHeading'), size: 14, bold: true, gap: 12 });
+  if (report.mistakes.length === 0) {
+    blocks.push({ text: t('report.noMistakes') });
+  }
+  for (const mistake of report.mistakes) {
+    blocks.push({ text: `${describeMistake(mistake.kind, locale)} x ${mistake.count} (${mistake.lessons.join(', ')})` });
+  }
+
+  blocks.push({ text: t('report.timeByDay'), size: 14, bold: true, gap: 12 });
+  for (const day of report.days) {
+    blocks.push({ text: `${formatDate(day.date, locale, { weekday: 'short' })}: ${formatMinutes(day.minutesSpent, locale)}` });
+  }
+
+  return renderPdf(blocks, { title: t('report.title') });
+}
+
+/**
+ * Sign a report link
+ * @param {{ learnerId: string, from: string, to: string, courseId?: string|null }} scope - What the link shows
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret
+ * @param {number} options.expiresAt - Expiry in milliseconds since the epoch
+ * @returns {string} Token for the `token` query parameter
+ */
+export function signReportToken({ learnerId, from, to, courseId = null }, { secret, expiresAt }) {
+  const payload = Buffer.from(JSON.stringify({ l: learnerId, f: from, t: to, c: courseId, e: expiresAt })).toString('base64url');
+  return `${payload}.${hmac(payload, secret)}`;
+}
+
+/**
+ * Check a report link token
+ * @param {string} token - Token from signReportToken
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret
+ * @param {() => number} [options.now] - Clock, overridable in tests
+ * @returns {{ learnerId: string, from: string, to: string, courseId: string|null }} What the link shows
+ * @throws {LearningReportError} invalid-link or expired-link
+ */
+export function verifyReportToken(token, { secret, now = () => Date.now() }) {
+  const [payload, signature] = String(token ?? '').split('.');
+  const expected = payload ? hmac(payload, secret) : '';
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new LearningReportError('invalid-link', 'Report link is not valid');
+  }
+
+  const { l: learnerId, f: from, t: to, c: courseId, e: expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  if (now() >= expiresAt) {
+    throw new LearningReportError('expired-link', 'Report link has expired');
+  }
+  return { learnerId, from, to, courseId: courseId ?? null };
+}
+
+/**
+ * Format minutes for reports ("45 min", "1 h 20 min")
+ * @param {number} minutes - Whole minutes
+ * @param {string} [locale] - Locale from negotiateLocale
+ * @returns {string}
+ */
+export function formatMinutes(minutes, locale) {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0
+    ? translate(locale, 'report.hoursMinutes', { hours, minutes: minutes % 60 })
+    : translate(locale, 'report.minutes', { minutes });
+}
+
+// Time between consecutive events, credited to the day of the later one
+function estimateMinutesByDay(events) {
+  const minutes = new Map();
+  for (let index = 1; index < events.length; index++) {
+    const gap = Date.parse(events[index].at) - Date.parse(events[index - 1].at);
+    if (gap > 0 && gap <= ACTIVE_GAP_MS) {
+      const day = events[index].at.slice(0, 10);
+      minutes.set(day, (minutes.get(day) ?? 0) + gap / 60000);
+    }
+  }
+  return minutes;
+}
+
+function parseDay(value) {
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value ?? '') ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  if (Number.isNaN(time) || formatDay(time) !== value) {
+    throw new LearningReportError('invalid-date', `"${value}" is not a date (use YYYY-MM-DD)`);
+  }
+  return time;
+}
+
+function formatDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function formatDate(value, locale, options = { month: 'short', day: 'numeric' }) {
+  const date = new Date(value.length === 10 ? `${value}T12:00:00Z` : value);
+  return date.toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+}
+
+function hmac(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,106 @@
+/**
+ * Lesson locking rules
+ *
+ * When locking is enabled, a lesson opens only after the previous lesson in
+ * the course is completed, and a course opens only after every course listed
+ * in its `prerequisites` is finished.
+ */
+
+import { translate } from './i18n.js';
+
+/**
+ * Read the locking mode from the environment
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {boolean} True when LESSON_LOCKING is "true", "on" or "1"
+ */
+export function isLockingEnabled(env = process.env) {
+  return ['true', 'on', '1'].includes(String(env.LESSON_LOCKING || '').toLowerCase());
+}
+
+/**
+ * Find why a course is locked for a learner
+ * @param {Object} course - Course entry from courses.json
+ * @param {Object} coursesData - Full courses.json data
+ * @param {Object<string, Object>} progressByCourse - Course summaries from progressStore.getProgress
+ * @param {string} [locale] - Locale for the message
+ * @returns {{ reason: string, requiredCourseId: string, message: string }|null} Lock, or null when open
+ */
+export function getCourseLock(course, coursesData, progressByCourse = {}, locale) {
+  for (const prerequisiteId of course.prerequisites || []) {
+    const prerequisite = coursesData.courses.find((item) => item.id === prerequisiteId);
+    if (!prerequisite) {
+      console.warn(`[Locking] Course "${course.id}" lists unknown prerequisite "${prerequisiteId}"`);
+      continue;
+    }
+    if (!isCourseComplete(prerequisite, progressByCourse[prerequisiteId])) {
+      return {
+        reason: 'prerequisite-course',
+        requiredCourseId: prerequisiteId,
+        message: translate(locale, 'locking.prerequisiteCourse', { title: prerequisite.title }),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find why a lesson is locked for a learner
+ * @param {Object} params
+ * @param {Object} params.course - Course entry from courses.json
+ * @param {Object} params.coursesData - Full courses.json data
+ * @param {Array<Object>} params.lessons - Lessons of the course
+ * @param {string} params.lessonId - Lesson being opened
+ * @param {Object<string, Object>} params.progressByCourse - Course summaries from progressStore.getProgress
+ * @param {string} [params.locale] - Locale for the message
+ * @returns {{ reason: string, message: string, requiredLessonId?: string, requiredCourseId?: string }|null}
+ *   Lock, or null when the lesson is open
+ */
+export function getLessonLock({ course, coursesData, lessons, lessonId, progressByCourse = {}, locale }) {
+  const courseLock = getCourseLock(course, coursesData, progressByCourse, locale);
+  if (courseLock) {
+    return courseLock;
+  }
+
+  const ordered = [...lessons].sort((a, b) => a.order - b.order);
+  const index = ordered.findIndex((lesson) => lesson.id === lessonId);
+  if (index <= 0) {
+    return null;
+  }
+
+  const previous = ordered[index - 1];
+  const completed = progressByCourse[course.id]?.completedLessons || [];
+  if (!completed.includes(previous.id)) {
+    return {
+      reason: 'previous-lesson',
+      requiredLessonId: previous.id,
+      message: translate(locale, 'locking.previousLesson', { title: previous.title }),
+    };
+  }
+  return null;
+}
+
+/**
+ * Create the lock check the lesson tools run before opening a lesson
+ * start-lesson, trace-example, check-student-work and reveal-solution all go
+ * through it, so a locked lesson can't be graded or revealed either.
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether locking is on (isLockingEnabled)
+ * @param {Object} options.progressStore - Store with getProgress(learnerId)
+ * @returns {(learnerId: string, params: { course: Object, coursesData: Object, lessons: Array<Object>, lessonId: string, locale?: string }) => Promise<Object|null>}
+ *   Resolves to the lesson's lock (see getLessonLock), or null when it is open or locking is off
+ */
+export function createLessonLockCheck({ enabled, progressStore }) {
+  return async (learnerId, { course, coursesData, lessons, lessonId, locale }) => {
+    if (!enabled) {
+      return null;
+    }
+    const { courses: progressByCourse } = await progressStore.getProgress(learnerId);
+    return getLessonLock({ course, coursesData, lessons, lessonId, progressByCourse, locale });
+  };
+}
+
+function isCourseComplete(course, summary) {
+  const lessonIds = course.lessonIds || [];
+  const completed = summary?.completedLessons || [];
+  return lessonIds.length > 0 && lessonIds.every((lessonId) => completed.includes(lessonId));
+}
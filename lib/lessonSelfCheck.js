@@ -0,0 +1,192 @@
+/**
+ * Lesson self-check
+ *
+ * Grades each lesson's own answers the way check-student-work does, with
+ * evaluateStudentWork: the solution must be accepted, while the untouched
+ * template and every `knownWrong` answer must be rejected. Execute and tests
+ * lessons run in the sandbox, so expectations that drifted away from the
+ * solution are caught too. Other exercise kinds get their own checks (see
+ * checkExerciseKind).
+ */
+
+import {
+  countBlanks,
+  exerciseKind,
+  expectedOutput,
+  shuffledLines,
+} from './exerciseKinds.js';
+import { evaluateStudentWork } from './lessonValidation.js';
+
+/**
+ * Check one lesson against its validator
+ * @param {Object} lesson - Lesson object with an exercise
+ * @param {Object} [options]
+ * @param {string} [options.courseId] - Course ID (guided rules can be course-specific)
+ * @returns {Promise<{ lessonId: string, title: string, failures: Array<{ kind: string, field: string, code: string, message: string }> }>}
+ *   Failures are empty when the lesson is consistent
+ */
+export async function checkLesson(lesson, { courseId } = {}) {
+  const exercise = lesson?.exercise;
+  const failures = [];
+  const validate = (code) => evaluateStudentWork(lesson, code, { courseId });
+
+  if (!exercise) {
+    return { lessonId: lesson?.id, title: lesson?.title, failures };
+  }
+
+  if (typeof exercise.solution === 'string') {
+    const result = await validate(exercise.solution);
+    if (!result.correct || result.error) {
+      failures.push({
+        kind: 'solution',
+        field: 'solution',
+        code: exercise.solution,
+        message: `the solution is rejected: ${describeRejection(result)}`,
+      });
+    }
+  }
+
+  if (typeof exercise.template === 'string' && exercise.template.trim().length > 0) {
+    if ((await validate(exercise.template)).correct) {
+      failures.push({
+        kind: 'template',
+        field: 'template',
+        code: exercise.template,
+        message: 'the untouched template is accepted',
+      });
+    }
+  }
+
+  for (const [index, code] of (exercise.knownWrong || []).entries()) {
+    if ((await validate(code)).correct) {
+      failures.push({
+        kind: 'known-wrong',
+        field: `knownWrong/${index}`,
+        code,
+        message: `known-wrong answer #${index + 1} is accepted`,
+      });
+    }
+  }
+
+  failures.push(...(await checkExerciseKind(exercise, validate)));
+
+  return { lessonId: lesson.id, title: lesson.title, failures };
+}
+
+// Why the grader turned an answer down, with the failed expectations and tests spelled out
+function describeRejection(result) {
+  const details = [
+    ...(result.execution?.mismatches || [])
+      .map((mismatch) => `${mismatch.check} is ${JSON.stringify(mismatch.actual)}, expected ${JSON.stringify(mismatch.expected)}`),
+    ...(result.tests || [])
+      .filter((test) => !test.passed)
+      .map((test) => `${test.call} gives ${test.error || JSON.stringify(test.actual)}, expected ${JSON.stringify(test.expected)}`),
+  ];
+  const reason = result.error || result.message;
+  return details.length > 0 ? `${reason} (${details.join('; ')})` : reason;
+}
+
+/**
+ * Checks that only apply to one exercise kind
+ * @param {Object} exercise - Lesson exercise
+ * @param {(code: string) => Promise<Object>} validate - Grades a program against the lesson
+ * @returns {Promise<Array<Object>>} Failures, as in checkLesson
+ */
+async function checkExerciseKind(exercise, validate) {
+  switch (exerciseKind(exercise)) {
+    case 'multiple-choice': {
+      const options = exercise.options ?? [];
+      const code = options.join('\n');
+      const failures = [];
+      if (!(exercise.answer >= 0 && exercise.answer < options.length)) {
+        failures.push({ kind: 'answer', field: 'answer', code, message: `answer ${exercise.answer} is not one of the options` });
+      }
+      if (new Set(options).size !== options.length) {
+        failures.push({ kind: 'options', field: 'options', code, message: 'two options are the same' });
+      }
+      return failures;
+    }
+
+    case 'predict-output':
+      return expectedOutput(exercise)
+        ? []
+        : [{ kind: 'code', field: 'code', code: exercise.code ?? '', message: 'the program fails or prints nothing' }];
+
+    case 'fill-blank':
+      if (countBlanks(exercise.template) === 0) {
+        return [{ kind: 'template', field: 'template', code: exercise.template, message: 'the template has no ____ to fill in' }];
+      }
+      return fitsTemplate(exercise.template, exercise.solution) ? [] : [{
+        kind: 'solution',
+        field: 'solution',
+        code: exercise.solution,
+        message: 'the solution cannot be made by filling in the template',
+      }];
+
+    case 'order-lines': {
+      // The lines as first shown must not already work
+      const shown = shuffledLines(exercise).join('\n');
+      return (await validate(shown)).correct ? [{
+        kind: 'shown-order',
+        field: 'solution',
+        code: shown,
+        message: 'the lines are accepted in the mixed-up order shown',
+      }] : [];
+    }
+
+    default:
+      return [];
+  }
+}
+
+// Whether a program is the template with something in each blank
+function fitsTemplate(template, program) {
+  const pattern = template
+    .split(/_{3,}/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^\\n]+');
+  return new RegExp(`^${pattern}$`).test(program);
+}
+
+/**
+ * Check every lesson of every course
+ * @param {Array<{ courseId: string, lessons: Array<Object> }>} courses - Lessons grouped by course
+ * @returns {Promise<{ ok: boolean, checked: number, lessons: Array<Object> }>} Report with the failing lessons
+ */
+export async function selfCheckCourses(courses) {
+  const failing = [];
+  let checked = 0;
+
+  for (const { courseId, lessons } of courses) {
+    for (const lesson of lessons) {
+      checked += 1;
+      const result = await checkLesson(lesson, { courseId });
+      if (result.failures.length > 0) {
+        failing.push({ courseId, ...result });
+      }
+    }
+  }
+
+  return { ok: failing.length === 0, checked, lessons: failing };
+}
+
+/**
+ * Format a self-check report for the console
+ * @param {Object} report - Result of selfCheckCourses
+ * @returns {string} One block per failing lesson
+ */
+export function formatSelfCheckReport(report) {
+  if (report.ok) {
+    return `Lesson self-check passed (${report.checked} lessons)`;
+  }
+
+  const lines = [`Lesson self-check failed for ${report.lessons.length} of ${report.checked} lessons:`];
+  for (const lesson of report.lessons) {
+    lines.push(`  ${lesson.courseId}/${lesson.lessonId} "${lesson.title}"`);
+    for (const failure of lesson.failures) {
+      lines.push(`    ✖ ${failure.message}`);
+      lines.push(...failure.code.split('\n').map((line) => `        | ${line}`));
+    }
+  }
+  return lines.join('\n');
+}
@@ -1,9 +1,13 @@
+import { runPythonSandboxed } from './codeSandbox.js';
+import { exerciseKind, expectedOutput, fillBlanks, linesInOrder, sameOutput } from './exerciseKinds.js';
+import { firstHintText } from './hintLadder.js';
+import { translate } from './i18n.js';
+import { explainSyntaxError, findAssignmentMixUp } from './syntaxFeedback.js';
 import { validateAnswer, validateStudentCode } from './validation.js';
 
-const IDENTIFIER_PATTERN = '[A-Za-z_][A-Za-z0-9_]*';
-
 export function buildStudentValidation(lesson, studentCode, options = {}) {
   const maxLength = typeof options.maxLength === 'number' ? options.maxLength : 5000;
+  const { locale } = options;
 
   if (typeof studentCode !== 'string') {
     return {
@@ -16,7 +20,7 @@ export function buildStudentValidation(lesson, studentCode, options = {}) {
 
   const trimmed = studentCode.trim();
   if (trimmed.length === 0) {
-    return validateAnswer(lesson, studentCode);
+    return validateAnswer(lesson, studentCode, { locale });
   }
 
   const codeValidation = validateStudentCode(studentCode, maxLength);
@@ -29,215 +33,428 @@ export function buildStudentValidation(lesson, studentCode, options = {}) {
     };
   }
 
-  const baseResult = validateAnswer(lesson, studentCode);
+  // Code that is not valid Python can never be right, so point at the exact spot first
+  const syntaxError = explainSyntaxError(studentCode, { locale });
+  if (syntaxError) {
+    return {
+      correct: false,
+      hasAttempt: true,
+      message: syntaxError.message,
+      hint: firstHintText(lesson?.exercise),
+      syntaxError,
+    };
+  }
+
+  const baseResult = validateAnswer(lesson, studentCode, { locale });
   if (baseResult.correct) {
     return baseResult;
   }
 
-  return applyGuidedValidation(lesson, studentCode, baseResult);
+  const guidedResult = applyGuidedValidation(lesson, studentCode, baseResult, options.courseId, locale);
+  if (guidedResult !== baseResult) {
+    return guidedResult;
+  }
+
+  const mixUp = findAssignmentMixUp(studentCode, { locale });
+  return mixUp ? { ...baseResult, message: mixUp.message, syntaxError: mixUp } : baseResult;
 }
 
-function buildSuccessResult(lesson, message) {
-  return {
-    correct: true,
-    hasAttempt: true,
-    message: message || lesson?.reward?.message || 'Excellent work!',
-    reward: lesson?.reward || null,
-    nextLesson: lesson?.nextLesson || null,
+const RUNNABLE_VALIDATION_TYPES = new Set(['execute', 'tests']);
+
+/**
+ * Validate a submission, running the code in the sandbox for execute and tests validations
+ * Regex lessons behave exactly like buildStudentValidation.
+ * @param {Object} lesson - Lesson object with exercise.validation
+ * @param {string} studentCode - Student's code submission
+ * @param {Object} [options] - maxLength, courseId, locale and sandbox timeoutMs
+ * @returns {Promise<Object>} Validation result; runnable lessons include an `execution` summary
+ *   and tests lessons a per-test `tests` list
+ */
+export async function evaluateStudentWork(lesson, studentCode, options = {}) {
+  const staticResult = buildStudentValidation(lesson, studentCode, options);
+  const validation = lesson?.exercise?.validation;
+  const { locale } = options;
+
+  if (!RUNNABLE_VALIDATION_TYPES.has(validation?.type)
+    || !staticResult.hasAttempt
+    || staticResult.error
+    || staticResult.syntaxError) {
+    return staticResult;
+  }
+
+  const testCases = validation.type === 'tests' && Array.isArray(validation.tests) ? validation.tests : [];
+  const run = await runPythonSandboxed(studentCode, {
+    timeoutMs: options.timeoutMs,
+    calls: testCases.map((testCase) => testCase.call),
+  });
+  const execution = {
+    ok: run.ok,
+    stdout: run.stdout,
+    error: run.error,
+    timedOut: run.timedOut,
   };
-}
 
-function buildErrorResult(baseResult, message, hint) {
+  if (!run.ok) {
+    return {
+      correct: false,
+      hasAttempt: true,
+      message: describeRunError(run.error, locale),
+      hint: firstHintText(lesson.exercise),
+      execution,
+    };
+  }
+
+  const tests = gradeTestCases(testCases, run.calls, locale);
+  if (!staticResult.correct) {
+    return { ...staticResult, execution, ...(testCases.length > 0 && { tests }) };
+  }
+
+  // Guided rules may accept renamed variables; only exact matches are held
+  // to the declared expectations, which use the names from the instructions.
+  if (!validateAnswer(lesson, studentCode, { locale }).correct) {
+    return { ...staticResult, execution };
+  }
+
+  const failedTests = tests.filter((test) => !test.passed);
+  const mismatches = compareExecution(run, validation.expect);
+  if (failedTests.length > 0 || mismatches.length > 0) {
+    return {
+      correct: false,
+      hasAttempt: true,
+      message: validation.errorMessage || translate(locale, 'feedback.wrongResult'),
+      hint: firstHintText(lesson.exercise),
+      execution: mismatches.length > 0 ? { ...execution, mismatches } : execution,
+      ...(testCases.length > 0 && { tests }),
+    };
+  }
+
   return {
-    ...baseResult,
-    message,
-    hint: hint ?? baseResult.hint,
+    ...buildSuccessResult(lesson, null, locale),
+    execution,
+    ...(testCases.length > 0 && { tests }),
   };
 }
 
-function applyGuidedValidation(lesson, studentCode, baseResult) {
-  if (!lesson || !lesson.id || !lesson.exercise) {
-    return baseResult;
-  }
+/**
+ * Grade an answer to any kind of exercise (see exerciseKinds.js)
+ * Code exercises take `studentCode`; the other kinds take `answer`: the option
+ * index (multiple-choice), one text per blank (fill-blank), indexes of the
+ * shown lines in the chosen order (order-lines) or the predicted output (predict-output).
+ * @param {Object} lesson - Lesson object with an exercise
+ * @param {{ studentCode?: string, answer?: * }} submission - What the learner sent
+ * @param {Object} [options] - Same as evaluateStudentWork
+ * @returns {Promise<Object>} Validation result as from evaluateStudentWork
+ */
+export async function evaluateExerciseAnswer(lesson, { studentCode, answer }, options = {}) {
+  const exercise = lesson?.exercise;
+  const { locale } = options;
+
+  switch (exerciseKind(exercise)) {
+    case 'multiple-choice': {
+      if (!Number.isInteger(answer) || answer < 0 || answer >= (exercise.options?.length ?? 0)) {
+        return emptyAnswer(locale, 'feedback.pickAnOption');
+      }
+      return answer === exercise.answer
+        ? buildSuccessResult(lesson, null, locale)
+        : wrongAnswer(lesson, translate(locale, 'feedback.wrongChoice'), 'wrong-choice');
+    }
 
-  switch (lesson.id) {
-    case 'lesson-1':
-      return validateLesson1(lesson, studentCode, baseResult);
-    case 'lesson-2':
-      return validateLesson2(lesson, studentCode, baseResult);
-    case 'lesson-3':
-      return validateLesson3(lesson, studentCode, baseResult);
-    case 'lesson-4':
-      return validateLesson4(lesson, studentCode, baseResult);
-    case 'lesson-5':
-      return validateLesson5(lesson, studentCode, baseResult);
-    default:
-      return baseResult;
-  }
-}
-
-function validateLesson1(lesson, studentCode, baseResult) {
-  const expectedVar = 'favorite_animal';
-  const expectedAssignment = new RegExp(`\\b${expectedVar}\\s*=\\s*["'][^"']+["']`);
-  const expectedWithoutQuotes = new RegExp(`\\b${expectedVar}\\s*=\\s*[^"'\\n]+`);
-
-  if (expectedWithoutQuotes.test(studentCode) && !expectedAssignment.test(studentCode)) {
-    return buildErrorResult(
-      baseResult,
-      'Use quotes around the animal name, like favorite_animal = "cat".',
-      lesson.exercise.hint
-    );
-  }
-
-  const assignmentMatch = studentCode.match(
-    new RegExp(`\\b(${IDENTIFIER_PATTERN})\\s*=\\s*["'][^"']+["']`)
-  );
-  if (assignmentMatch) {
-    const variableName = assignmentMatch[1];
-    const printsVariable = new RegExp(`print\\s*\\(\\s*${variableName}\\s*\\)`).test(studentCode);
-    if (printsVariable && variableName !== expectedVar) {
-      return buildSuccessResult(
-        lesson,
-        `Nice work! Tip: name the variable "${expectedVar}" to match the instructions.`
-      );
+    case 'predict-output': {
+      if (typeof answer !== 'string' || !answer.trim()) {
+        return emptyAnswer(locale, 'feedback.emptyPrediction');
+      }
+      const actual = expectedOutput(exercise);
+      if (actual === null) {
+        return { ...emptyAnswer(locale, 'feedback.couldNotRun'), error: 'The exercise program does not run' };
+      }
+      if (sameOutput(answer, actual)) {
+        return buildSuccessResult(lesson, null, locale);
+      }
+      // print shows text without its quotes, a very common slip
+      const unquoted = answer.split('\n').map((line) => line.trim().replace(/^(["'])(.*)\1$/, '$2')).join('\n');
+      const message = sameOutput(unquoted, actual)
+        ? translate(locale, 'feedback.predictionQuotes')
+        : translate(locale, 'feedback.wrongPrediction');
+      return wrongAnswer(lesson, message, 'wrong-prediction');
     }
 
-    if (variableName !== expectedVar) {
-      return buildErrorResult(
-        baseResult,
-        `Try naming the variable "${expectedVar}" and printing it.`,
-        lesson.exercise.hint
-      );
+    case 'fill-blank': {
+      const program = fillBlanks(exercise.template, answer);
+      if (program === null) {
+        return emptyAnswer(locale, 'feedback.fillEveryBlank');
+      }
+      return evaluateStudentWork(lesson, program, options);
     }
+
+    case 'order-lines': {
+      const program = linesInOrder(exercise, answer);
+      if (program === null) {
+        return emptyAnswer(locale, 'feedback.useEveryLine');
+      }
+      const result = await evaluateStudentWork(lesson, program, options);
+      if (result.correct || !result.hasAttempt) {
+        return result;
+      }
+      // Python's complaints about code the kid did not type would only confuse
+      const { syntaxError, ...rest } = result;
+      return {
+        ...rest,
+        message: exercise.validation?.errorMessage || translate(locale, 'feedback.wrongOrder'),
+        mistake: 'wrong-order',
+      };
+    }
+
+    default:
+      return evaluateStudentWork(lesson, studentCode, options);
   }
+}
 
-  return baseResult;
+/**
+ * Name the kind of mistake behind a wrong answer, for learning reports
+ * @param {Object} result - Result from evaluateStudentWork
+ * @returns {string|null} Syntax problem kind ("missing-colon"), Python error type ("NameError"),
+ *   "too-long", "wrong-result", "wrong-answer", the exercise kind's own mistake ("wrong-choice",
+ *   "wrong-order", "wrong-prediction"), or null for correct and empty submissions
+ */
+export function classifyMistake(result) {
+  if (!result || result.correct || !result.hasAttempt) {
+    return null;
+  }
+  if (result.mistake) {
+    return result.mistake;
+  }
+  if (result.syntaxError) {
+    return result.syntaxError.kind || 'syntax';
+  }
+  const runError = result.execution?.error;
+  if (runError) {
+    return runError.kind === 'timeout' || runError.kind === 'step-limit' ? 'too-long' : runError.type || 'error';
+  }
+  if (result.execution?.mismatches?.length > 0 || result.tests?.some((test) => !test.passed)) {
+    return 'wrong-result';
+  }
+  return 'wrong-answer';
+}
+
+/**
+ * Pair declared test cases with the results of their calls
+ * @param {Array<{ call: string, expect: *, description?: string }>} testCases - validation.tests
+ * @param {Array<Object>} callResults - `calls` from runPythonSandboxed, in the same order
+ * @returns {Array<{ description: string, call: string, expected: *, actual: *, passed: boolean, error: string|null }>}
+ */
+function gradeTestCases(testCases, callResults = [], locale) {
+  return testCases.map((testCase, index) => {
+    const result = callResults[index];
+    const actual = result?.ok ? result.result.value : null;
+    return {
+      description: testCase.description
+        || translate(locale, 'feedback.testReturns', { call: testCase.call, expected: JSON.stringify(testCase.expect) }),
+      call: testCase.call,
+      expected: testCase.expect,
+      actual,
+      passed: Boolean(result?.ok) && sameValue(actual, testCase.expect),
+      error: result?.error ? `${result.error.type}: ${result.error.message}` : null,
+    };
+  });
+}
+
+function sameValue(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function describeRunError(error, locale) {
+  if (!error) {
+    return translate(locale, 'feedback.couldNotRun');
+  }
+  if (error.kind === 'timeout' || error.kind === 'step-limit') {
+    return translate(locale, 'feedback.tooLong');
+  }
+  const details = `${error.type}: ${error.message}`;
+  return error.line
+    ? translate(locale, 'feedback.pythonErrorOnLine', { line: error.line, error: details })
+    : translate(locale, 'feedback.pythonError', { error: details });
 }
 
-function validateLesson2(lesson, studentCode, baseResult) {
-  const stringNumberAssignment = /\b(my_candies|friend_candies)\s*=\s*["']\d+["']/;
-  if (stringNumberAssignment.test(studentCode)) {
-    return buildErrorResult(
-      baseResult,
-      'Use numbers without quotes for candies (e.g., 7 instead of "7").',
-      lesson.exercise.hint
-    );
+/**
+ * Compare a sandbox run with the expectations declared in validation.expect
+ * @param {Object} run - Result from runPythonSandboxed
+ * @param {Object} [expect] - { stdout, stdoutPattern, variables, types }
+ * @returns {Array<{ check: string, expected: *, actual: * }>} Failed expectations
+ */
+function compareExecution(run, expect = {}) {
+  const mismatches = [];
+  const variables = run.variables || {};
+
+  for (const [name, type] of Object.entries(expect.types || {})) {
+    const actual = variables[name]?.type ?? null;
+    if (actual !== type) {
+      mismatches.push({ check: `type of ${name}`, expected: type, actual });
+    }
   }
 
-  const numberAssignments = studentCode.match(new RegExp(`\\b${IDENTIFIER_PATTERN}\\s*=\\s*\\d+`, 'g')) || [];
-  const hasPlus = studentCode.includes('+');
+  for (const [name, value] of Object.entries(expect.variables || {})) {
+    const actual = variables[name]?.value;
+    if (!sameValue(actual, value)) {
+      mismatches.push({ check: `value of ${name}`, expected: value, actual: actual ?? null });
+    }
+  }
 
-  if (numberAssignments.length >= 2 && hasPlus) {
-    return buildSuccessResult(
-      lesson,
-      'Nice work! Tip: follow the variable names from the template for this exercise.'
-    );
+  if (typeof expect.stdout === 'string') {
+    const expected = expect.stdout.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+      variables[name] ? variables[name].text : placeholder
+    ));
+    if (normalizeOutput(run.stdout) !== normalizeOutput(expected)) {
+      mismatches.push({ check: 'output', expected, actual: run.stdout });
+    }
   }
 
-  if (numberAssignments.length >= 2 && !hasPlus) {
-    return buildErrorResult(
-      baseResult,
-      'Remember to add the two candy counts together with +.',
-      lesson.exercise.hint
-    );
+  if (typeof expect.stdoutPattern === 'string' && !new RegExp(expect.stdoutPattern, 's').test(run.stdout)) {
+    mismatches.push({ check: 'output', expected: expect.stdoutPattern, actual: run.stdout });
   }
 
-  return baseResult;
+  return mismatches;
+}
+
+function normalizeOutput(text) {
+  return text.replace(/[ \t]+$/gm, '').replace(/\n+$/, '');
+}
+
+function buildSuccessResult(lesson, message, locale) {
+  return {
+    correct: true,
+    hasAttempt: true,
+    message: message || lesson?.reward?.message || translate(locale, 'feedback.correct'),
+    reward: lesson?.reward || null,
+    nextLesson: lesson?.nextLesson || null,
+  };
+}
+
+function emptyAnswer(locale, key) {
+  return {
+    correct: false,
+    hasAttempt: false,
+    message: translate(locale, key),
+  };
+}
+
+function wrongAnswer(lesson, message, mistake) {
+  return {
+    correct: false,
+    hasAttempt: true,
+    message,
+    hint: firstHintText(lesson.exercise),
+    mistake,
+  };
+}
+
+function buildErrorResult(baseResult, message, hint) {
+  return {
+    ...baseResult,
+    message,
+    hint: hint ?? baseResult.hint,
+  };
 }
 
-function validateLesson3(lesson, studentCode, baseResult) {
-  const expectedVar = 'my_name';
-  const expectedAssignment = new RegExp(`\\b${expectedVar}\\s*=\\s*["'][^"']+["']`);
-  const expectedWithoutQuotes = new RegExp(`\\b${expectedVar}\\s*=\\s*[^"'\\n]+`);
-
-  if (expectedWithoutQuotes.test(studentCode) && !expectedAssignment.test(studentCode)) {
-    return buildErrorResult(
-      baseResult,
-      'Put your name in quotes so Python knows it is text.',
-      lesson.exercise.hint
-    );
-  }
-
-  const assignmentMatch = studentCode.match(
-    new RegExp(`\\b(${IDENTIFIER_PATTERN})\\s*=\\s*["'][^"']+["']`)
-  );
-  if (assignmentMatch) {
-    const variableName = assignmentMatch[1];
-    const usesVariable = new RegExp(`\\+\\s*${variableName}\\b|\\b${variableName}\\s*\\+`).test(studentCode);
-    if (usesVariable && variableName !== expectedVar) {
-      return buildSuccessResult(
-        lesson,
-        `Nice work! Tip: name the variable "${expectedVar}" to match the instructions.`
-      );
+function applyGuidedValidation(lesson, studentCode, baseResult, courseId, locale) {
+  const rules = lesson?.exercise?.guidedRules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return baseResult;
+  }
+
+  for (const rule of rules) {
+    if (!rule || (rule.courseId && courseId && rule.courseId !== courseId)) {
+      continue;
     }
 
-    if (variableName !== expectedVar) {
-      return buildErrorResult(
-        baseResult,
-        `Try creating a variable named "${expectedVar}" and use it in your welcome message.`,
-        lesson.exercise.hint
-      );
+    let captures;
+    try {
+      captures = evaluateRuleConditions(rule.when, studentCode);
+    } catch (error) {
+      console.error(`[Validation] Guided rule "${rule.id ?? 'unnamed'}" failed:`, error);
+      continue;
+    }
+    if (!captures) {
+      continue;
+    }
+
+    const message = fillTemplate(rule.message, captures, (value) => value);
+    if (rule.type === 'accept') {
+      return buildSuccessResult(lesson, message, locale);
+    }
+    if (rule.type === 'error') {
+      return buildErrorResult(baseResult, message || baseResult.message, firstHintText(lesson.exercise));
     }
   }
 
   return baseResult;
 }
 
-function validateLesson4(lesson, studentCode, baseResult) {
-  const listMatch = studentCode.match(/\[[\s\S]*?\]/);
-  if (listMatch) {
-    const quotedItems = listMatch[0].match(/["'][^"']+["']/g) || [];
+/**
+ * Evaluate the ordered conditions of a guided rule.
+ * Named groups captured by `matches` conditions can be referenced as
+ * `{{name}}` in later patterns and in the rule message.
+ * @param {Array<Object>} conditions - Rule conditions (all must hold)
+ * @param {string} studentCode - Student's code submission
+ * @returns {Object|null} Captured values when every condition holds, otherwise null
+ */
+function evaluateRuleConditions(conditions, studentCode) {
+  const captures = {};
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return null;
+  }
 
-    if (quotedItems.length >= 3) {
-      if (!/\bmy_hobbies\s*=/.test(studentCode)) {
-        return buildSuccessResult(
-          lesson,
-          'Nice work! Tip: name the list "my_hobbies" to match the instructions.'
-        );
+  for (const condition of conditions) {
+    if (typeof condition.matches === 'string') {
+      const match = studentCode.match(buildRulePattern(condition.matches, captures));
+      if (!match) {
+        return null;
+      }
+      Object.assign(captures, match.groups);
+    } else if (typeof condition.notMatches === 'string') {
+      if (buildRulePattern(condition.notMatches, captures).test(studentCode)) {
+        return null;
+      }
+    } else if (typeof condition.count === 'string') {
+      const source = condition.in ? captures[condition.in] : studentCode;
+      if (typeof source !== 'string') {
+        return null;
+      }
+      const total = (source.match(buildRulePattern(condition.count, captures, 'g')) || []).length;
+      if (typeof condition.min === 'number' && total < condition.min) {
+        return null;
+      }
+      if (typeof condition.max === 'number' && total > condition.max) {
+        return null;
+      }
+    } else if (typeof condition.capture === 'string') {
+      const value = captures[condition.capture];
+      if ('equals' in condition && value !== condition.equals) {
+        return null;
+      }
+      if ('notEquals' in condition && value === condition.notEquals) {
+        return null;
       }
-    } else if (quotedItems.length > 0) {
-      return buildErrorResult(
-        baseResult,
-        'Add at least three hobbies to the list.',
-        lesson.exercise.hint
-      );
     } else {
-      return buildErrorResult(
-        baseResult,
-        'Put each hobby in quotes, like "reading".',
-        lesson.exercise.hint
-      );
+      throw new Error(`Unknown guided rule condition: ${JSON.stringify(condition)}`);
     }
   }
 
-  return baseResult;
+  return captures;
 }
 
-function validateLesson5(lesson, studentCode, baseResult) {
-  const functionMatch = studentCode.match(
-    new RegExp(`def\\s+(${IDENTIFIER_PATTERN})\\s*\\(\\s*(${IDENTIFIER_PATTERN})\\s*\\)`, 's')
-  );
-
-  if (functionMatch) {
-    const functionName = functionMatch[1];
-    const paramName = functionMatch[2];
-    const usesParam = new RegExp(`return[\\s\\S]*\\b${paramName}\\b`).test(studentCode);
-
-    if (usesParam && functionName !== 'make_introduction') {
-      return buildSuccessResult(
-        lesson,
-        'Nice work! Tip: name the function "make_introduction" to match the instructions.'
-      );
-    }
+function buildRulePattern(pattern, captures, flags = '') {
+  return new RegExp(fillTemplate(pattern, captures, escapeRegExp), flags);
+}
 
-    if (/def\s+make_introduction/.test(studentCode) && !/return\b/.test(studentCode)) {
-      return buildErrorResult(
-        baseResult,
-        'Remember to return the greeting from the function.',
-        lesson.exercise.hint
-      );
-    }
+function fillTemplate(template, captures, transform) {
+  if (typeof template !== 'string') {
+    return template;
   }
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+    typeof captures[name] === 'string' ? transform(captures[name]) : placeholder
+  ));
+}
 
-  return baseResult;
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -0,0 +1,297 @@
+/**
+ * English messages (the fallback for every other locale)
+ */
+export default {
+  // Answer checking (validation.js, lessonValidation.js)
+  'feedback.emptyCode': 'Please write some code first!',
+  'feedback.noValidation': 'Good effort! Keep going!',
+  'feedback.correct': 'Excellent work!',
+  'feedback.incorrect': 'Not quite right. Try again!',
+  'feedback.goodEffort': 'Good effort!',
+  'feedback.wrongResult': 'Your code ran, but the result is not quite right. Try again!',
+  'feedback.couldNotRun': 'Your code could not run. Check it and try again!',
+  'feedback.tooLong': 'Your code took too long to finish. Is there a loop that never stops?',
+  'feedback.pythonError': 'Python found a problem: {error}',
+  'feedback.pythonErrorOnLine': 'Python found a problem on line {line}: {error}',
+  'feedback.testReturns': '{call} returns {expected}',
+  'feedback.pickAnOption': 'Pick one of the answers first!',
+  'feedback.wrongChoice': 'Not that one. Read the question again and try another answer!',
+  'feedback.fillEveryBlank': 'Fill in every blank first!',
+  'feedback.useEveryLine': 'Use every line once to build the program!',
+  'feedback.wrongOrder': 'Those lines are not in the right order yet. Think about what has to happen first!',
+  'feedback.emptyPrediction': 'Type what you think the program prints first!',
+  'feedback.wrongPrediction': 'The program prints something else. Go through it line by line and try again!',
+  'feedback.predictionQuotes': 'So close! print shows text without the quotes around it.',
+
+  // Syntax explanations (syntaxFeedback.js)
+  'syntax.line': 'Line {line}: {message}',
+  'syntax.unterminatedString': 'this text is missing its closing quote. Every {quote} needs a partner {quote} at the end of the text.',
+  'syntax.unclosedBracket': 'the `{opener}` here is never closed. Add a `{closer}` to finish it.',
+  'syntax.unmatchedBracket': 'there is an extra `{closer}` here with nothing to close. Try removing it.',
+  'syntax.mismatchedBracket': 'you opened with `{opener}` but closed with `{closer}`. Use `{expected}` to close it.',
+  'syntax.mismatchedBrackets': 'the brackets here do not match. Check that each ( [ { closes with ) ] }.',
+  'syntax.missingColonAfter': 'a line that starts with `{keyword}` must end with a colon `:`.',
+  'syntax.missingColon': 'Python expected a colon `:` here.',
+  'syntax.indentFunction': 'the lines inside your function need to be indented. Add 4 spaces at the start of this line.',
+  'syntax.indentBlock': 'the code that belongs to `{keyword}` needs to be indented. Add 4 spaces at the start of this line.',
+  'syntax.indentLineAbove': 'the code that belongs to the line above needs to be indented. Add 4 spaces at the start of this line.',
+  'syntax.unexpectedIndent': 'this line starts with extra spaces. Only lines inside a `def`, `if`, `for` or `while` should be indented.',
+  'syntax.inconsistentDedent': 'this line does not line up with the lines above it. Use the same number of spaces as the other lines in that block.',
+  'syntax.curlyQuote': 'this line has a curly quote. Python only understands straight quotes like " or \'.',
+  'syntax.invalidCharacter': 'Python does not understand the character {character} here.',
+  'syntax.invalidAssignment': 'the variable name goes on the left side of `=` and the value on the right, like `age = 10`.',
+  'syntax.unexpectedEnd': 'this line looks unfinished. Did something get left off the end?',
+  'syntax.generic': 'Python got confused here. Check for a missing comma, quote or bracket just before this spot.',
+  'syntax.assignInCondition': 'to check if two things are equal, use `==`. A single `=` puts a value into a variable.',
+  'syntax.missingParentheses': '`print` needs parentheses around what you want to show, like `print("hello")`.',
+  'syntax.compareInsteadOfAssign': '`==` only checks if two things are equal. To put a value into `{name}`, use a single `=`.',
+
+  // Hint ladder (hintLadder.js)
+  'hints.solution': 'You have tried really hard! You can now ask to see a solution, read it line by line, then type it yourself.',
+
+  // Lesson locking (lessonLocking.js)
+  'locking.previousLesson': 'Complete "{title}" first to unlock this lesson!',
+  'locking.prerequisiteCourse': 'Finish "{title}" first to unlock this course!',
+
+  // Tool results (server.js)
+  'server.coursesFound': {
+    one: 'Found {count} course available for learning.',
+    other: 'Found {count} courses available for learning.',
+  },
+  'server.courseNotFound': 'Course "{courseId}" not found.',
+  'server.courseNotFoundTryList': 'Course "{courseId}" not found. Please use get-courses to see available courses.',
+  'server.courseDetails': 'Loaded details for "{title}" - {count} lessons covering {description}',
+  'server.lessonNotFound': 'Lesson {number} not found.',
+  'server.lessonNotFoundRange': 'Lesson {number} not found in this course. Available lessons: 1-{total}',
+  'server.lessonStarted': 'Starting "{title}"',
+  'server.traceReady': {
+    one: '▶️ Watch example {number} of "{title}" run: {count} step.',
+    other: '▶️ Watch example {number} of "{title}" run: {count} steps.',
+  },
+  'server.traceTruncated': 'Only the first {count} steps are shown.',
+  'server.traceFailed': 'This example stops with an error on line {line}: {message}',
+  'server.exampleNotFound': 'Example {number} not found in this lesson. Available examples: 1-{total}',
+  'server.codeCorrect': '✨ Great job! Your code is correct!',
+  'server.codeNeedsWork': 'Your code needs some adjustments. Check the instructions and try again!',
+  'server.noProgress': 'No progress saved yet. Start a lesson to begin!',
+  'server.progressSummary': 'Completed {lessons} and earned {stars}.',
+  'server.lessonCount': { one: '{count} lesson', other: '{count} lessons' },
+  'server.starCount': { one: '{count} star', other: '{count} stars' },
+  'server.progressResetCourse': 'Progress for "{courseId}" has been reset.',
+  'server.progressResetAll': 'Progress for all courses has been reset.',
+  'server.noProgressCourse': 'There was no saved progress for "{courseId}".',
+  'server.noProgressAll': 'There was no saved progress for all courses.',
+  'server.signInRequired': 'Please sign in to save your progress and use classes.',
+
+  // Classroom (server.js)
+  'server.classCreated': 'Created the class "{name}". Share the join code {code} with your students.',
+  'server.classJoined': 'You joined "{name}" as {displayName}. Your teacher can now see your progress!',
+  'server.classRejoined': 'You are already in "{name}". Your name there is now {displayName}.',
+  'server.classReport': {
+    one: 'Report for "{name}" (code {code}): {count} student.',
+    other: 'Report for "{name}" (code {code}): {count} students.',
+  },
+  'server.classUnknownCode': 'No class uses the code "{code}". Check the code with your teacher.',
+  'server.classOwnClass': 'This is your own class. Share the code with your students instead.',
+  'server.classNotFound': 'Class "{classId}" not found.',
+  'server.classNone': 'You have no classes yet. Use create-class to make one.',
+
+  // Learning reports (server.js)
+  'server.learningReport': 'Learning report for {from} to {to}: {lessons}, {stars}, about {time} of practice.',
+  'server.reportInvalidDate': 'Use dates like 2025-03-01 (year-month-day).',
+  'server.reportInvalidRange': 'Pick a start date on or before the end date, at most a year apart.',
+  'server.reportInvalidLink': 'This report link is not valid.',
+  'server.reportExpiredLink': 'This report link has expired. Ask ChatGPT for a new learning report.',
+
+  // Learning report pages and exports (learningReport.js)
+  'report.title': 'Learning report',
+  'report.period': '{from} to {to}',
+  'report.summaryHeading': 'Summary',
+  'report.lessonsCompleted': 'Lessons completed',
+  'report.stars': 'Stars',
+  'report.badge': 'Badge',
+  'report.badges': 'Badges',
+  'report.timeSpent': 'Time practicing',
+  'report.attempts': 'Correct / attempts',
+  'report.hintsUsed': 'Hints opened',
+  'report.solutionsRevealed': 'Solutions revealed',
+  'report.activeDays': 'Active days',
+  'report.timeByDay': 'Practice by day',
+  'report.lessonsHeading': 'Lessons completed',
+  'report.lesson': 'Lesson',
+  'report.completed': 'Completed',
+  'report.noLessons': 'No lessons completed in this period.',
+  'report.mistakesHeading': 'Most common mistakes',
+  'report.noMistakes': 'No mistakes in this period.',
+  'report.downloadPdf': 'Download PDF',
+  'report.downloadCsv': 'Download CSV',
+  'report.minutes': '{minutes} min',
+  'report.hoursMinutes': '{hours} h {minutes} min',
+  'report.correct': 'correct',
+  'report.incorrect': 'not yet',
+  'report.yes': 'yes',
+  'report.csv.time': 'Time (UTC)',
+  'report.csv.course': 'Course',
+  'report.csv.lesson': 'Lesson',
+  'report.csv.lessonTitle': 'Lesson title',
+  'report.csv.result': 'Result',
+  'report.csv.mistake': 'Mistake',
+  'report.csv.hintOpened': 'Hint opened',
+  'report.mistake.wrong-answer': 'Answer did not match the exercise',
+  'report.mistake.wrong-result': 'Code ran but gave the wrong result',
+  'report.mistake.wrong-choice': 'Picked a wrong answer',
+  'report.mistake.wrong-order': 'Put the lines in the wrong order',
+  'report.mistake.wrong-prediction': 'Predicted the wrong output',
+  'report.mistake.too-long': 'Code ran too long (endless loop?)',
+  'report.mistake.pythonError': 'Python error: {type}',
+  'report.mistake.syntax': 'Code that is not valid Python',
+  'report.mistake.missing-colon': 'Missing colon',
+  'report.mistake.missing-parentheses': 'Missing parentheses',
+  'report.mistake.unterminated-string': 'Unclosed quotes',
+  'report.mistake.curly-quote': 'Curly quotes instead of straight ones',
+  'report.mistake.unclosed-bracket': 'Unclosed bracket',
+  'report.mistake.unmatched-bracket': 'Extra closing bracket',
+  'report.mistake.mismatched-bracket': 'Brackets that do not match',
+  'report.mistake.expected-indent': 'Missing indentation',
+  'report.mistake.unexpected-indent': 'Unexpected indentation',
+  'report.mistake.inconsistent-dedent': 'Uneven indentation',
+  'report.mistake.compare-instead-of-assign': 'Used == instead of =',
+  'report.mistake.assign-in-condition': 'Used = instead of == in a condition',
+  'report.mistake.invalid-assignment': 'Assigning to something that cannot change',
+
+  // Achievements (achievements.js, server.js)
+  'achievements.lessonBadge': 'Finished the lesson "{lesson}"',
+  'achievements.courseComplete.title': '{course} Champion',
+  'achievements.courseComplete.description': 'Finished every lesson of {course}',
+  'achievements.streak.title': '{count}-Day Streak',
+  'achievements.streak.description': 'Practiced {count} days in a row',
+  'achievements.first-try.title': {
+    one: 'First Try!',
+    other: '{count} First Tries',
+  },
+  'achievements.first-try.description': {
+    one: 'Solved a lesson on the very first try',
+    other: 'Solved {count} lessons on the very first try',
+  },
+  'achievements.no-hints.title': {
+    one: 'Solo Solver',
+    other: 'Solo Solver x{count}',
+  },
+  'achievements.no-hints.description': {
+    one: 'Finished a lesson without opening a hint',
+    other: 'Finished {count} lessons without opening a hint',
+  },
+  'server.newAchievements': {
+    one: '🏅 New achievement: {names}!',
+    other: '🏅 New achievements: {names}!',
+  },
+  'server.achievementsSummary': 'Trophy shelf: {earned} of {total} achievements earned.',
+  'server.certificateUnlocked': '🎓 The certificate for {course} is ready. Ask for it to print it!',
+  'server.certificateReady': '🎓 Certificate for {name}: {course}. Verification code {code}.',
+  'server.certificateNotAvailable': 'This course does not come with a certificate.',
+  'server.certificateNotCompleted': 'The certificate comes after the last lesson: {done} of {total} lessons done so far. Keep going!',
+  'server.certificateNameRequired': 'Which name should go on the certificate? Ask the learner, then call get-certificate again with displayName.',
+  'server.certificateNotFound': 'No certificate has this verification code.',
+  'server.hintNotOpen': 'That hint is not open yet. Give the exercise another try first!',
+  'server.solutionRevealed': '🔑 Here is one way to solve "{title}". Read it line by line, then try typing it yourself.',
+  'server.solutionTooEarly': {
+    one: 'Almost there! The solution opens after one more try. Ask for the next hint first.',
+    other: 'Keep going! The solution opens after {count} more tries. Hints can help in the meantime.',
+  },
+  'server.solutionWrongOverride': 'That grown-up code is not right. Ask a parent or teacher to type it again.',
+  'server.solutionNoSolution': 'This lesson has no solution to show.',
+  'server.reviewReady': {
+    one: '🔁 Review time! {count} quick question about {concepts}.',
+    other: '🔁 Review time! {count} quick questions about {concepts}.',
+  },
+  'server.reviewNothingDue': 'Nothing to review today. The next review is on {date}.',
+  'server.reviewNothingYet': 'Reviews start once a lesson is finished. Come back after the first one!',
+  'server.reviewCorrect': '✅ Right! You remembered it.',
+  'server.reviewWrong': 'Not quite. The answer is: {answer}',
+  'server.reviewNext': 'Next review of this idea: {date}.',
+  'server.reviewItemNotFound': 'That review question is not available. Ask for a new review.',
+
+  // Review quizzes (reviewQuiz.js)
+  'review.predictOutput': 'What does this program print?',
+  'review.workingCode': 'Only one of these programs does the job from "{lesson}" without a mistake. Which one?',
+
+  // Certificates (certificate.js)
+  'certificate.title': 'Certificate: {name}, {course}',
+  'certificate.heading': 'Certificate of Completion',
+  'certificate.presentedTo': 'This certifies that',
+  'certificate.completed': 'has completed the course',
+  'certificate.date': 'Completed on {date}',
+  'certificate.code': 'Verification code: {code}',
+  'certificate.verify': 'Check it at {url}',
+
+  // Tool metadata (server.js tools/list)
+  'tools.get-courses.title': 'Browse Learning Courses',
+  'tools.get-courses.description': 'Shows all available educational courses for kids. Safe, read-only operation.',
+  'tools.get-courses.invoking': 'Loading courses...',
+  'tools.get-courses.invoked': 'Courses loaded',
+  'tools.view-course-details.title': 'View Course Details',
+  'tools.view-course-details.description': 'Shows lesson plan and learning objectives for a specific course. Safe, read-only operation that helps students plan their learning journey.',
+  'tools.get-course-details.description': 'Alias for view-course-details. Returns lesson plan and learning objectives for a specific course.',
+  'tools.view-course-details.invoking': 'Loading course details...',
+  'tools.view-course-details.invoked': 'Course details loaded',
+  'tools.start-lesson.title': 'Start Learning Lesson',
+  'tools.start-lesson.description': 'Loads educational content for a specific lesson. Safe, read-only operation that provides learning materials to students. When lesson locking is on, returns a `locked` reason instead until the previous lesson and prerequisite courses are completed.',
+  'tools.start-lesson.invoking': 'Loading lesson...',
+  'tools.start-lesson.invoked': 'Lesson ready',
+  'tools.trace-example.title': 'Watch an Example Run',
+  'tools.trace-example.description': 'Runs one of a lesson\'s code examples step by step and returns each line with the variables (the "magic boxes") and what it printed, so the learner can watch the program run. Safe, read-only operation. Examples are numbered from 1 in the order start-lesson lists them.',
+  'tools.trace-example.invoking': 'Getting the example ready...',
+  'tools.trace-example.invoked': 'Example ready to watch',
+  'tools.check-student-work.title': 'Validate Learning Exercise',
+  'tools.check-student-work.description': 'Provides feedback on student exercises. Code exercises take studentCode and run it in a sandboxed beginner Python interpreter (no file, network or input access) and report its output; multiple-choice, fill-blank, order-lines and predict-output exercises take answer.',
+  'tools.check-student-work.invoking': 'Checking your work...',
+  'tools.check-student-work.invoked': 'Feedback ready',
+  'tools.get-progress.title': 'View Learning Progress',
+  'tools.get-progress.description': 'Shows the current learner\'s completed lessons, stars, badges and attempts. Safe, read-only operation.',
+  'tools.get-progress.invoking': 'Loading progress...',
+  'tools.get-progress.invoked': 'Progress loaded',
+  'tools.reset-progress.title': 'Reset Learning Progress',
+  'tools.reset-progress.description': 'Deletes the current learner\'s saved progress for one course, or for all courses when no courseId is given. Only use when the learner asks to start over.',
+  'tools.reset-progress.invoking': 'Resetting progress...',
+  'tools.reset-progress.invoked': 'Progress reset',
+  'tools.create-class.title': 'Create a Class',
+  'tools.create-class.description': 'For teachers: creates a class and returns a join code to share with students. The teacher is the current user; only they can see the class report.',
+  'tools.create-class.invoking': 'Creating class...',
+  'tools.create-class.invoked': 'Class created',
+  'tools.join-class.title': 'Join a Class',
+  'tools.join-class.description': 'For students: joins a class with the code from the teacher and a display name. The teacher will see this student\'s completed lessons, stars and recent attempts.',
+  'tools.join-class.invoking': 'Joining class...',
+  'tools.join-class.invoked': 'Joined class',
+  'tools.get-class-report.title': 'View Class Report',
+  'tools.get-class-report.description': 'For teachers: shows each student\'s completed lessons, stars and recent attempts in one of the teacher\'s classes (the newest class when no classId is given). Safe, read-only operation.',
+  'tools.get-class-report.invoking': 'Loading class report...',
+  'tools.get-class-report.invoked': 'Class report ready',
+  'tools.get-learning-report.title': 'Get Learning Report',
+  'tools.get-learning-report.description': 'For parents: summarizes what the learner did in a date range (the last 7 days by default): lessons completed, time practicing, stars, badges, hints shown and the most common mistakes, with links to the report as a web page, PDF or CSV. Safe, read-only operation.',
+  'tools.get-learning-report.invoking': 'Preparing the learning report...',
+  'tools.get-learning-report.invoked': 'Learning report ready',
+  'tools.get-achievements.title': 'View Trophy Shelf',
+  'tools.get-achievements.description': 'Shows the learner\'s achievements: lesson badges, finished courses, practice streaks, lessons solved on the first try and lessons finished without opening a hint, earned or still to earn. Safe, read-only operation.',
+  'tools.get-achievements.invoking': 'Opening the trophy shelf...',
+  'tools.get-achievements.invoked': 'Trophy shelf ready',
+  'tools.get-certificate.title': 'Get Course Certificate',
+  'tools.get-certificate.description': 'Makes a printable certificate (image and PDF) for a course the learner finished, with the name they choose, the course and date, and a verification code. Ask which name to print the first time. Safe operation.',
+  'tools.get-certificate.invoking': 'Printing the certificate...',
+  'tools.get-certificate.invoked': 'Certificate ready',
+  'tools.open-hint.title': 'Open Lesson Hint',
+  'tools.open-hint.description': 'Opens the next hint of a lesson exercise, from a gentle nudge up to partial code. Only hints the learner has unlocked by trying can be opened; each opened hint is saved in the learner\'s progress for reports.',
+  'tools.open-hint.invoking': 'Finding a hint...',
+  'tools.open-hint.invoked': 'Hint ready',
+  'tools.reveal-solution.title': 'Reveal Lesson Solution',
+  'tools.reveal-solution.description': 'Shows the solution of a lesson exercise, but only after the learner has tried it five times without success, or when a parent or teacher gives the grown-up code. Prefer hints first. Each reveal is saved in the learner\'s progress.',
+  'tools.reveal-solution.invoking': 'Looking for the solution...',
+  'tools.reveal-solution.invoked': 'Solution checked',
+  'tools.get-review.title': 'Review Quiz',
+  'tools.get-review.description': 'Gives a short multiple-choice review of ideas from finished lessons (variables, numbers, text, lists, functions), picking the ones that are due with spaced repetition so they are practiced right before they would be forgotten. Safe read-only operation.',
+  'tools.get-review.invoking': 'Picking review questions...',
+  'tools.get-review.invoked': 'Review ready',
+  'tools.answer-review-item.title': 'Answer Review Question',
+  'tools.answer-review-item.description': 'Checks the learner\'s answer to a get-review question and schedules when that idea comes back. Pass the option index the learner picked.',
+  'tools.answer-review-item.invoking': 'Checking the answer...',
+  'tools.answer-review-item.invoked': 'Answer checked',
+};
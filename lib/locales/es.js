@@ -0,0 +1,297 @@
+/**
+ * Spanish messages
+ */
+export default {
+  // Answer checking (validation.js, lessonValidation.js)
+  'feedback.emptyCode': '¡Primero escribe algo de código!',
+  'feedback.noValidation': '¡Buen intento! ¡Sigue así!',
+  'feedback.correct': '¡Excelente trabajo!',
+  'feedback.incorrect': 'Todavía no está bien. ¡Inténtalo otra vez!',
+  'feedback.goodEffort': '¡Buen intento!',
+  'feedback.wrongResult': 'Tu código funcionó, pero el resultado no es el correcto. ¡Inténtalo otra vez!',
+  'feedback.couldNotRun': 'Tu código no se pudo ejecutar. ¡Revísalo e inténtalo otra vez!',
+  'feedback.tooLong': 'Tu código tardó demasiado en terminar. ¿Hay un bucle que nunca se detiene?',
+  'feedback.pythonError': 'Python encontró un problema: {error}',
+  'feedback.pythonErrorOnLine': 'Python encontró un problema en la línea {line}: {error}',
+  'feedback.testReturns': '{call} devuelve {expected}',
+  'feedback.pickAnOption': '¡Primero elige una de las respuestas!',
+  'feedback.wrongChoice': 'Esa no es. ¡Vuelve a leer la pregunta y prueba otra respuesta!',
+  'feedback.fillEveryBlank': '¡Primero completa todos los espacios!',
+  'feedback.useEveryLine': '¡Usa cada línea una vez para armar el programa!',
+  'feedback.wrongOrder': 'Esas líneas todavía no están en el orden correcto. ¡Piensa qué tiene que pasar primero!',
+  'feedback.emptyPrediction': '¡Primero escribe lo que crees que muestra el programa!',
+  'feedback.wrongPrediction': 'El programa muestra otra cosa. ¡Revísalo línea por línea e inténtalo otra vez!',
+  'feedback.predictionQuotes': '¡Casi! print muestra el texto sin las comillas que lo rodean.',
+
+  // Syntax explanations (syntaxFeedback.js)
+  'syntax.line': 'Línea {line}: {message}',
+  'syntax.unterminatedString': 'a este texto le falta la comilla de cierre. Cada {quote} necesita otra {quote} al final del texto.',
+  'syntax.unclosedBracket': 'el `{opener}` de aquí nunca se cierra. Añade un `{closer}` para terminarlo.',
+  'syntax.unmatchedBracket': 'aquí sobra un `{closer}` que no cierra nada. Prueba a quitarlo.',
+  'syntax.mismatchedBracket': 'abriste con `{opener}` pero cerraste con `{closer}`. Usa `{expected}` para cerrarlo.',
+  'syntax.mismatchedBrackets': 'los paréntesis de aquí no coinciden. Revisa que cada ( [ { se cierre con ) ] }.',
+  'syntax.missingColonAfter': 'una línea que empieza con `{keyword}` tiene que terminar con dos puntos `:`.',
+  'syntax.missingColon': 'Python esperaba dos puntos `:` aquí.',
+  'syntax.indentFunction': 'las líneas dentro de tu función necesitan sangría. Añade 4 espacios al principio de esta línea.',
+  'syntax.indentBlock': 'el código que pertenece a `{keyword}` necesita sangría. Añade 4 espacios al principio de esta línea.',
+  'syntax.indentLineAbove': 'el código que pertenece a la línea de arriba necesita sangría. Añade 4 espacios al principio de esta línea.',
+  'syntax.unexpectedIndent': 'esta línea empieza con espacios de más. Solo las líneas dentro de un `def`, `if`, `for` o `while` llevan sangría.',
+  'syntax.inconsistentDedent': 'esta línea no está alineada con las de arriba. Usa el mismo número de espacios que las otras líneas de ese bloque.',
+  'syntax.curlyQuote': 'esta línea tiene una comilla curva. Python solo entiende comillas rectas como " o \'.',
+  'syntax.invalidCharacter': 'Python no entiende el carácter {character} aquí.',
+  'syntax.invalidAssignment': 'el nombre de la variable va a la izquierda del `=` y el valor a la derecha, como `edad = 10`.',
+  'syntax.unexpectedEnd': 'esta línea parece incompleta. ¿Se te olvidó algo al final?',
+  'syntax.generic': 'Python se confundió aquí. Revisa si falta una coma, una comilla o un paréntesis justo antes de este punto.',
+  'syntax.assignInCondition': 'para comprobar si dos cosas son iguales, usa `==`. Un solo `=` guarda un valor en una variable.',
+  'syntax.missingParentheses': '`print` necesita paréntesis alrededor de lo que quieres mostrar, como `print("hola")`.',
+  'syntax.compareInsteadOfAssign': '`==` solo comprueba si dos cosas son iguales. Para guardar un valor en `{name}`, usa un solo `=`.',
+
+  // Hint ladder (hintLadder.js)
+  'hints.solution': '¡Le has puesto muchas ganas! Ya puedes pedir ver una solución, leerla línea a línea y después escribirla.',
+
+  // Lesson locking (lessonLocking.js)
+  'locking.previousLesson': '¡Completa "{title}" primero para desbloquear esta lección!',
+  'locking.prerequisiteCourse': '¡Termina "{title}" primero para desbloquear este curso!',
+
+  // Tool results (server.js)
+  'server.coursesFound': {
+    one: 'Hay {count} curso disponible para aprender.',
+    other: 'Hay {count} cursos disponibles para aprender.',
+  },
+  'server.courseNotFound': 'No se encontró el curso "{courseId}".',
+  'server.courseNotFoundTryList': 'No se encontró el curso "{courseId}". Usa get-courses para ver los cursos disponibles.',
+  'server.courseDetails': 'Detalles de "{title}" - {count} lecciones: {description}',
+  'server.lessonNotFound': 'No se encontró la lección {number}.',
+  'server.lessonNotFoundRange': 'No se encontró la lección {number} en este curso. Lecciones disponibles: 1-{total}',
+  'server.lessonStarted': 'Empezando "{title}"',
+  'server.traceReady': {
+    one: '▶️ Mira cómo funciona el ejemplo {number} de "{title}": {count} paso.',
+    other: '▶️ Mira cómo funciona el ejemplo {number} de "{title}": {count} pasos.',
+  },
+  'server.traceTruncated': 'Solo se muestran los primeros {count} pasos.',
+  'server.traceFailed': 'Este ejemplo se detiene con un error en la línea {line}: {message}',
+  'server.exampleNotFound': 'No se encontró el ejemplo {number} en esta lección. Ejemplos disponibles: 1-{total}',
+  'server.codeCorrect': '✨ ¡Muy bien! ¡Tu código es correcto!',
+  'server.codeNeedsWork': 'Tu código necesita algunos cambios. ¡Revisa las instrucciones e inténtalo otra vez!',
+  'server.noProgress': 'Todavía no hay progreso guardado. ¡Empieza una lección!',
+  'server.progressSummary': 'Completaste {lessons} y ganaste {stars}.',
+  'server.lessonCount': { one: '{count} lección', other: '{count} lecciones' },
+  'server.starCount': { one: '{count} estrella', other: '{count} estrellas' },
+  'server.progressResetCourse': 'Se reinició el progreso de "{courseId}".',
+  'server.progressResetAll': 'Se reinició el progreso de todos los cursos.',
+  'server.noProgressCourse': 'No había progreso guardado para "{courseId}".',
+  'server.noProgressAll': 'No había progreso guardado en ningún curso.',
+  'server.signInRequired': 'Inicia sesión para guardar tu progreso y usar las clases.',
+
+  // Classroom (server.js)
+  'server.classCreated': 'Se creó la clase "{name}". Comparte el código {code} con tus estudiantes.',
+  'server.classJoined': 'Te uniste a "{name}" como {displayName}. ¡Ahora tu profe puede ver tu progreso!',
+  'server.classRejoined': 'Ya estás en "{name}". Ahora tu nombre ahí es {displayName}.',
+  'server.classReport': {
+    one: 'Informe de "{name}" (código {code}): {count} estudiante.',
+    other: 'Informe de "{name}" (código {code}): {count} estudiantes.',
+  },
+  'server.classUnknownCode': 'Ninguna clase usa el código "{code}". Revisa el código con tu profe.',
+  'server.classOwnClass': 'Esta es tu propia clase. Comparte el código con tus estudiantes.',
+  'server.classNotFound': 'No se encontró la clase "{classId}".',
+  'server.classNone': 'Todavía no tienes clases. Usa create-class para crear una.',
+
+  // Learning reports (server.js)
+  'server.learningReport': 'Informe de aprendizaje del {from} al {to}: {lessons}, {stars}, unos {time} de práctica.',
+  'server.reportInvalidDate': 'Usa fechas como 2025-03-01 (año-mes-día).',
+  'server.reportInvalidRange': 'Elige una fecha de inicio igual o anterior a la final, con un año de diferencia como máximo.',
+  'server.reportInvalidLink': 'Este enlace al informe no es válido.',
+  'server.reportExpiredLink': 'Este enlace al informe venció. Pide a ChatGPT un informe nuevo.',
+
+  // Learning report pages and exports (learningReport.js)
+  'report.title': 'Informe de aprendizaje',
+  'report.period': 'Del {from} al {to}',
+  'report.summaryHeading': 'Resumen',
+  'report.lessonsCompleted': 'Lecciones completadas',
+  'report.stars': 'Estrellas',
+  'report.badge': 'Insignia',
+  'report.badges': 'Insignias',
+  'report.timeSpent': 'Tiempo de práctica',
+  'report.attempts': 'Correctos / intentos',
+  'report.hintsUsed': 'Pistas abiertas',
+  'report.solutionsRevealed': 'Soluciones mostradas',
+  'report.activeDays': 'Días activos',
+  'report.timeByDay': 'Práctica por día',
+  'report.lessonsHeading': 'Lecciones completadas',
+  'report.lesson': 'Lección',
+  'report.completed': 'Completada',
+  'report.noLessons': 'No se completaron lecciones en este período.',
+  'report.mistakesHeading': 'Errores más comunes',
+  'report.noMistakes': 'No hubo errores en este período.',
+  'report.downloadPdf': 'Descargar PDF',
+  'report.downloadCsv': 'Descargar CSV',
+  'report.minutes': '{minutes} min',
+  'report.hoursMinutes': '{hours} h {minutes} min',
+  'report.correct': 'correcto',
+  'report.incorrect': 'todavía no',
+  'report.yes': 'sí',
+  'report.csv.time': 'Hora (UTC)',
+  'report.csv.course': 'Curso',
+  'report.csv.lesson': 'Lección',
+  'report.csv.lessonTitle': 'Título de la lección',
+  'report.csv.result': 'Resultado',
+  'report.csv.mistake': 'Error',
+  'report.csv.hintOpened': 'Pista abierta',
+  'report.mistake.wrong-answer': 'La respuesta no coincidía con el ejercicio',
+  'report.mistake.wrong-result': 'El código funcionó pero dio otro resultado',
+  'report.mistake.wrong-choice': 'Eligió una respuesta incorrecta',
+  'report.mistake.wrong-order': 'Ordenó las líneas de forma incorrecta',
+  'report.mistake.wrong-prediction': 'Predijo una salida incorrecta',
+  'report.mistake.too-long': 'El código tardó demasiado (¿un bucle sin fin?)',
+  'report.mistake.pythonError': 'Error de Python: {type}',
+  'report.mistake.syntax': 'Código que no es Python válido',
+  'report.mistake.missing-colon': 'Faltan dos puntos',
+  'report.mistake.missing-parentheses': 'Faltan paréntesis',
+  'report.mistake.unterminated-string': 'Comillas sin cerrar',
+  'report.mistake.curly-quote': 'Comillas tipográficas en vez de rectas',
+  'report.mistake.unclosed-bracket': 'Paréntesis sin cerrar',
+  'report.mistake.unmatched-bracket': 'Paréntesis de cierre de más',
+  'report.mistake.mismatched-bracket': 'Paréntesis que no coinciden',
+  'report.mistake.expected-indent': 'Falta sangría',
+  'report.mistake.unexpected-indent': 'Sangría inesperada',
+  'report.mistake.inconsistent-dedent': 'Sangría desigual',
+  'report.mistake.compare-instead-of-assign': 'Usó == en vez de =',
+  'report.mistake.assign-in-condition': 'Usó = en vez de == en una condición',
+  'report.mistake.invalid-assignment': 'Asignó un valor a algo que no puede cambiar',
+
+  // Achievements (achievements.js, server.js)
+  'achievements.lessonBadge': 'Terminó la lección "{lesson}"',
+  'achievements.courseComplete.title': 'Curso completado: {course}',
+  'achievements.courseComplete.description': 'Terminó todas las lecciones de {course}',
+  'achievements.streak.title': 'Racha de {count} días',
+  'achievements.streak.description': 'Practicó {count} días seguidos',
+  'achievements.first-try.title': {
+    one: '¡Al primer intento!',
+    other: '{count} al primer intento',
+  },
+  'achievements.first-try.description': {
+    one: 'Resolvió una lección al primer intento',
+    other: 'Resolvió {count} lecciones al primer intento',
+  },
+  'achievements.no-hints.title': {
+    one: 'Sin ayuda',
+    other: 'Sin ayuda x{count}',
+  },
+  'achievements.no-hints.description': {
+    one: 'Terminó una lección sin abrir ninguna pista',
+    other: 'Terminó {count} lecciones sin abrir ninguna pista',
+  },
+  'server.newAchievements': {
+    one: '🏅 ¡Nuevo logro: {names}!',
+    other: '🏅 ¡Nuevos logros: {names}!',
+  },
+  'server.achievementsSummary': 'Vitrina de trofeos: {earned} de {total} logros conseguidos.',
+  'server.certificateUnlocked': '🎓 El certificado de {course} está listo. ¡Pídelo para imprimirlo!',
+  'server.certificateReady': '🎓 Certificado para {name}: {course}. Código de verificación {code}.',
+  'server.certificateNotAvailable': 'Este curso no incluye certificado.',
+  'server.certificateNotCompleted': 'El certificado llega después de la última lección: {done} de {total} lecciones hechas por ahora. ¡Sigue así!',
+  'server.certificateNameRequired': '¿Qué nombre debe aparecer en el certificado? Pregúntalo y vuelve a llamar a get-certificate con displayName.',
+  'server.certificateNotFound': 'Ningún certificado tiene este código de verificación.',
+  'server.hintNotOpen': 'Esa pista todavía no está abierta. ¡Prueba el ejercicio otra vez primero!',
+  'server.solutionRevealed': '🔑 Esta es una forma de resolver "{title}". Léela línea a línea y después prueba a escribirla.',
+  'server.solutionTooEarly': {
+    one: '¡Casi! La solución se abre tras un intento más. Pide antes la siguiente pista.',
+    other: '¡Sigue así! La solución se abre tras {count} intentos más. Mientras tanto, las pistas pueden ayudar.',
+  },
+  'server.solutionWrongOverride': 'Ese código de adultos no es correcto. Pide a tu familia o docente que lo escriba otra vez.',
+  'server.solutionNoSolution': 'Esta lección no tiene una solución que mostrar.',
+  'server.reviewReady': {
+    one: '🔁 ¡Hora de repasar! {count} pregunta rápida sobre {concepts}.',
+    other: '🔁 ¡Hora de repasar! {count} preguntas rápidas sobre {concepts}.',
+  },
+  'server.reviewNothingDue': 'Hoy no hay nada que repasar. El próximo repaso es el {date}.',
+  'server.reviewNothingYet': 'Los repasos empiezan al terminar una lección. ¡Vuelve después de la primera!',
+  'server.reviewCorrect': '✅ ¡Correcto! Lo recordabas.',
+  'server.reviewWrong': 'No exactamente. La respuesta es: {answer}',
+  'server.reviewNext': 'Próximo repaso de esta idea: {date}.',
+  'server.reviewItemNotFound': 'Esa pregunta de repaso no está disponible. Pide un repaso nuevo.',
+
+  // Review quizzes (reviewQuiz.js)
+  'review.predictOutput': '¿Qué muestra este programa?',
+  'review.workingCode': 'Solo uno de estos programas hace sin errores lo que pedía "{lesson}". ¿Cuál es?',
+
+  // Certificates (certificate.js)
+  'certificate.title': 'Certificado: {name}, {course}',
+  'certificate.heading': 'Certificado de finalización',
+  'certificate.presentedTo': 'Se certifica que',
+  'certificate.completed': 'terminó el curso',
+  'certificate.date': 'Fecha de finalización: {date}',
+  'certificate.code': 'Código de verificación: {code}',
+  'certificate.verify': 'Compruébalo en {url}',
+
+  // Tool metadata (server.js tools/list)
+  'tools.get-courses.title': 'Ver cursos',
+  'tools.get-courses.description': 'Muestra todos los cursos educativos para niños. Operación segura de solo lectura.',
+  'tools.get-courses.invoking': 'Cargando cursos...',
+  'tools.get-courses.invoked': 'Cursos cargados',
+  'tools.view-course-details.title': 'Ver detalles del curso',
+  'tools.view-course-details.description': 'Muestra el plan de lecciones y los objetivos de un curso. Operación segura de solo lectura que ayuda a planificar el aprendizaje.',
+  'tools.get-course-details.description': 'Alias de view-course-details. Devuelve el plan de lecciones y los objetivos de un curso.',
+  'tools.view-course-details.invoking': 'Cargando detalles del curso...',
+  'tools.view-course-details.invoked': 'Detalles del curso listos',
+  'tools.start-lesson.title': 'Empezar lección',
+  'tools.start-lesson.description': 'Carga el contenido de una lección. Operación segura de solo lectura. Si el bloqueo de lecciones está activo, devuelve un motivo `locked` hasta completar la lección anterior y los cursos previos.',
+  'tools.start-lesson.invoking': 'Cargando lección...',
+  'tools.start-lesson.invoked': 'Lección lista',
+  'tools.trace-example.title': 'Ver un ejemplo paso a paso',
+  'tools.trace-example.description': 'Ejecuta paso a paso uno de los ejemplos de código de una lección y devuelve cada línea con las variables (las "cajas mágicas") y lo que imprimió, para ver el programa en marcha. Operación segura de solo lectura. Los ejemplos se numeran desde 1 en el orden en que los lista start-lesson.',
+  'tools.trace-example.invoking': 'Preparando el ejemplo...',
+  'tools.trace-example.invoked': 'Ejemplo listo para ver',
+  'tools.check-student-work.title': 'Revisar ejercicio',
+  'tools.check-student-work.description': 'Revisa el ejercicio. Los ejercicios de código usan studentCode y lo ejecutan en un intérprete de Python para principiantes aislado (sin archivos, red ni entrada) y muestran su salida; los de opción múltiple, completar espacios, ordenar líneas y predecir la salida usan answer.',
+  'tools.check-student-work.invoking': 'Revisando tu trabajo...',
+  'tools.check-student-work.invoked': 'Revisión lista',
+  'tools.get-progress.title': 'Ver progreso',
+  'tools.get-progress.description': 'Muestra las lecciones completadas, estrellas, insignias e intentos del estudiante. Operación segura de solo lectura.',
+  'tools.get-progress.invoking': 'Cargando progreso...',
+  'tools.get-progress.invoked': 'Progreso cargado',
+  'tools.reset-progress.title': 'Reiniciar progreso',
+  'tools.reset-progress.description': 'Borra el progreso guardado del estudiante en un curso, o en todos si no se indica courseId. Úsalo solo cuando el estudiante quiera empezar de nuevo.',
+  'tools.reset-progress.invoking': 'Reiniciando progreso...',
+  'tools.reset-progress.invoked': 'Progreso reiniciado',
+  'tools.create-class.title': 'Crear una clase',
+  'tools.create-class.description': 'Para docentes: crea una clase y devuelve un código para compartir con los estudiantes. El docente es el usuario actual y es la única persona que puede ver el informe de la clase.',
+  'tools.create-class.invoking': 'Creando la clase...',
+  'tools.create-class.invoked': 'Clase creada',
+  'tools.join-class.title': 'Unirse a una clase',
+  'tools.join-class.description': 'Para estudiantes: se une a una clase con el código del docente y un nombre visible. El docente verá las lecciones completadas, estrellas e intentos recientes del estudiante.',
+  'tools.join-class.invoking': 'Uniéndote a la clase...',
+  'tools.join-class.invoked': 'Te uniste a la clase',
+  'tools.get-class-report.title': 'Ver informe de la clase',
+  'tools.get-class-report.description': 'Para docentes: muestra las lecciones completadas, estrellas e intentos recientes de cada estudiante de una de sus clases (la más reciente si no se indica classId). Operación segura de solo lectura.',
+  'tools.get-class-report.invoking': 'Cargando el informe...',
+  'tools.get-class-report.invoked': 'Informe listo',
+  'tools.get-learning-report.title': 'Ver informe de aprendizaje',
+  'tools.get-learning-report.description': 'Para familias: resume lo que hizo quien aprende en un rango de fechas (los últimos 7 días por defecto): lecciones completadas, tiempo de práctica, estrellas, insignias, pistas mostradas y los errores más comunes, con enlaces al informe como página web, PDF o CSV. Operación segura de solo lectura.',
+  'tools.get-learning-report.invoking': 'Preparando el informe de aprendizaje...',
+  'tools.get-learning-report.invoked': 'Informe de aprendizaje listo',
+  'tools.get-achievements.title': 'Ver vitrina de trofeos',
+  'tools.get-achievements.description': 'Muestra los logros de quien aprende: insignias de lecciones, cursos terminados, rachas de práctica, lecciones resueltas al primer intento y lecciones terminadas sin pista, conseguidos o por conseguir. Operación segura de solo lectura.',
+  'tools.get-achievements.invoking': 'Abriendo la vitrina de trofeos...',
+  'tools.get-achievements.invoked': 'Vitrina de trofeos lista',
+  'tools.get-certificate.title': 'Obtener certificado del curso',
+  'tools.get-certificate.description': 'Crea un certificado imprimible (imagen y PDF) de un curso terminado, con el nombre elegido, el curso, la fecha y un código de verificación. La primera vez, pregunta qué nombre imprimir. Operación segura.',
+  'tools.get-certificate.invoking': 'Imprimiendo el certificado...',
+  'tools.get-certificate.invoked': 'Certificado listo',
+  'tools.open-hint.title': 'Abrir una pista de la lección',
+  'tools.open-hint.description': 'Abre la siguiente pista del ejercicio de una lección, desde un pequeño empujón hasta parte del código. Solo se pueden abrir las pistas que se han desbloqueado al intentarlo; cada pista abierta queda guardada en el progreso para los informes.',
+  'tools.open-hint.invoking': 'Buscando una pista...',
+  'tools.open-hint.invoked': 'Pista lista',
+  'tools.reveal-solution.title': 'Mostrar la solución de la lección',
+  'tools.reveal-solution.description': 'Muestra la solución del ejercicio de una lección, pero solo después de cinco intentos sin éxito o cuando una persona adulta (familia o docente) da el código de adultos. Mejor usar antes las pistas. Cada solución mostrada queda guardada en el progreso.',
+  'tools.reveal-solution.invoking': 'Buscando la solución...',
+  'tools.reveal-solution.invoked': 'Solución comprobada',
+  'tools.get-review.title': 'Repaso rápido',
+  'tools.get-review.description': 'Ofrece un repaso corto de opción múltiple con ideas de lecciones terminadas (variables, números, texto, listas, funciones), eligiendo con repetición espaciada las que toca repasar justo antes de olvidarlas. Operación segura de solo lectura.',
+  'tools.get-review.invoking': 'Eligiendo preguntas de repaso...',
+  'tools.get-review.invoked': 'Repaso listo',
+  'tools.answer-review-item.title': 'Responder pregunta de repaso',
+  'tools.answer-review-item.description': 'Comprueba la respuesta a una pregunta de get-review y programa cuándo vuelve esa idea. Pasa el índice de la opción elegida.',
+  'tools.answer-review-item.invoking': 'Comprobando la respuesta...',
+  'tools.answer-review-item.invoked': 'Respuesta comprobada',
+};
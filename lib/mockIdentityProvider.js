@@ -0,0 +1,113 @@
+/**
+ * Local mock identity provider for tests and development
+ *
+ * A tiny OAuth authorization server: it publishes discovery metadata and a
+ * JWKS, and signs RS256 access tokens for any subject you ask for. Nothing is
+ * checked, so never point a deployed server at it.
+ *
+ *   GET  /.well-known/oauth-authorization-server
+ *   GET  /jwks
+ *   POST /token   (form: sub, scope, resource; returns { access_token })
+ */
+
+import crypto from 'node:crypto';
+import { createServer } from 'node:http';
+
+/**
+ * Start a mock identity provider
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Interface to listen on
+ * @returns {Promise<Object>} Provider with issuer, issueToken and close
+ */
+export async function startMockIdentityProvider({ port = 0, host = '127.0.0.1' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+  let issuer = null;
+
+  /**
+   * Sign an access token
+   * @param {Object} claims
+   * @param {string} claims.sub - Subject (the signed-in person)
+   * @param {string|string[]} claims.aud - Resource the token is for
+   * @param {string} [claims.scope] - Space-separated scopes
+   * @param {number} [claims.expiresIn] - Lifetime in seconds (negative for an expired token)
+   * @param {Object} [claims.extra] - More claims, or overrides such as `iss`
+   * @returns {string} JWT
+   */
+  function issueToken({ sub, aud, scope = 'learnkids', expiresIn = 3600, extra = {} }) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'RS256', typ: 'at+jwt', kid };
+    const payload = {
+      iss: issuer,
+      sub,
+      aud,
+      scope,
+      client_id: 'learnkids-mock-client',
+      iat: now,
+      exp: now + expiresIn,
+      jti: crypto.randomUUID(),
+      ...extra,
+    };
+    const signingInput = [header, payload]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/oauth-authorization-server') {
+      sendJson(200, {
+        issuer,
+        jwks_uri: `${issuer}/jwks`,
+        token_endpoint: `${issuer}/token`,
+        authorization_endpoint: `${issuer}/authorize`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'client_credentials'],
+        code_challenge_methods_supported: ['S256'],
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      sendJson(200, { keys: [jwk] });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const form = new URLSearchParams(body);
+      if (!form.get('sub') || !form.get('resource')) {
+        sendJson(400, { error: 'invalid_request', error_description: 'sub and resource are required' });
+        return;
+      }
+      sendJson(200, {
+        access_token: issueToken({ sub: form.get('sub'), aud: form.get('resource'), scope: form.get('scope') || 'learnkids' }),
+        token_type: 'Bearer',
+        expires_in: 3600,
+      });
+      return;
+    }
+
+    sendJson(404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  issuer = `http://${host}:${server.address().port}`;
+
+  return {
+    issuer,
+    jwk,
+    issueToken,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Minimal PDF writer
+ *
+ * Just enough PDF to print a text report or a certificate: A4 pages (upright
+ * or landscape), the standard Helvetica fonts, headings, wrapped or centered
+ * lines and an optional colored frame. No dependencies, so the server image
+ * stays small. Text is encoded as WinAnsi, which covers English and Spanish;
+ * characters outside it (emoji) are dropped.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+// Helvetica averages about half an em per character; good enough for wrapping
+const AVERAGE_CHAR_WIDTH = 0.52;
+
+// WinAnsi positions 128-159 that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+/**
+ * Render blocks of text as a PDF
+ * @param {Array<{ text: string, size?: number, bold?: boolean, gap?: number, align?: 'left'|'center', color?: string }>} blocks
+ *   Paragraphs top to bottom; `gap` adds space above the block, `color` is a hex color like #8B5CF6
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @param {boolean} [options.landscape] - Turn the pages sideways
+ * @param {string|null} [options.frame] - Hex color of a frame drawn around every page
+ * @returns {Buffer} PDF file contents
+ */
+export function renderPdf(blocks, { title = '', landscape = false, frame = null } = {}) {
+  const [width, height] = landscape ? [PAGE_HEIGHT, PAGE_WIDTH] : [PAGE_WIDTH, PAGE_HEIGHT];
+  const pages = layoutPages(blocks, width, height);
+  const frameCommands = frame
+    ? [`${pdfColor(frame)} RG 6 w ${MARGIN / 2} ${MARGIN / 2} ${width - MARGIN} ${height - MARGIN} re S`]
+    : [];
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and a content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title ${pdfString(title)} /Producer (LearnKids AI) >>`;
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const content = [
+      ...frameCommands,
+      ...lines.map((line) => `BT ${pdfColor(line.color ?? '#000000')} rg /${line.bold ? 'F2' : 'F1'} ${line.size} Tf `
+        + `${line.x.toFixed(1)} ${line.y.toFixed(1)} Td ${pdfString(line.text)} Tj ET`),
+    ].join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = { stream: Buffer.from(content, 'latin1') };
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  const push = (chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    const object = objects[id];
+    if (typeof object === 'string') {
+      push(`${id} 0 obj\n${object}\nendobj\n`);
+    } else {
+      push(`${id} 0 obj\n<< /Length ${object.stream.length} >>\nstream\n`);
+      push(object.stream);
+      push('\nendstream\nendobj\n');
+    }
+  }
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+}
+
+// Wrap blocks into positioned lines, starting a new page when one fills up
+function layoutPages(blocks, width, height) {
+  const pages = [[]];
+  let y = height - MARGIN;
+
+  for (const block of blocks) {
+    const size = block.size ?? 11;
+    const lineHeight = size * 1.4;
+    y -= block.gap ?? 0;
+
+    for (const text of wrapText(block.text ?? '', size, width)) {
+      if (y - lineHeight < MARGIN) {
+        pages.push([]);
+        y = height - MARGIN;
+      }
+      y -= lineHeight;
+      const x = block.align === 'center'
+        ? Math.max(MARGIN, (width - text.length * size * AVERAGE_CHAR_WIDTH) / 2)
+        : MARGIN;
+      pages[pages.length - 1].push({ text, size, bold: Boolean(block.bold), color: block.color, x, y });
+    }
+  }
+
+  return pages;
+}
+
+function wrapText(text, size, width) {
+  const maxChars = Math.max(10, Math.floor((width - 2 * MARGIN) / (size * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxChars && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+      while (line.length > maxChars) {
+        lines.push(line.slice(0, maxChars));
+        line = line.slice(maxChars);
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// "r g b" operands for a hex color (black when the color can't be read)
+function pdfColor(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex));
+  if (!match) return '0 0 0';
+  return match.slice(1).map((part) => (parseInt(part, 16) / 255).toFixed(3)).join(' ');
+}
+
+// Literal string in WinAnsi, with PDF escapes
+function pdfString(text) {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let byte = null;
+    if (code >= 0x20 && code < 0x7f) byte = code;
+    else if (code >= 0xa0 && code <= 0xff) byte = code;
+    else if (WIN_ANSI_EXTRAS[char]) byte = WIN_ANSI_EXTRAS[char];
+    if (byte === null) continue;
+
+    const value = String.fromCharCode(byte);
+    encoded += value === '(' || value === ')' || value === '\\' ? `\\${value}` : value;
+  }
+  return `(${encoded.trim()})`;
+}
@@ -0,0 +1,543 @@
+/**
+ * Learner progress store
+ *
+ * Keeps attempts, completions and stars per learner and course, a dated
+ * activity history (lesson starts, attempts, hints opened, solution reveals
+ * and review answers) for learning reports, the learner's practice streak, review
+ * schedules, the achievements they were awarded and the course certificates
+ * they were issued. Data
+ * lives in memory and, when a file path is given, is persisted as JSON with
+ * atomic writes (temp file + rename) so a crash never leaves a half-written file.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const STORE_VERSION = 1;
+
+// Attempts kept per course for teachers' class reports (newest first)
+const RECENT_ATTEMPTS = 10;
+// Activity events kept per learner for learning reports (oldest are dropped first)
+const HISTORY_LIMIT = 2000;
+
+/**
+ * Create a progress store
+ * @param {Object} [options]
+ * @param {string|null} [options.filePath] - JSON file to persist to (in-memory only when omitted)
+ * @param {() => number} [options.now] - Clock, overridable in tests
+ * @returns {Object} Progress store API
+ */
+export function createProgressStore({ filePath = null, now = () => Date.now() } = {}) {
+  let data = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = readStoreFile(filePath).then((loaded) => {
+        data = loaded;
+        return data;
+      });
+    }
+    return loading;
+  }
+
+  function persist() {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(data, null, 2);
+    // Chain writes so they land in order even when attempts arrive together
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => writeFileAtomic(filePath, snapshot));
+    return writeQueue;
+  }
+
+  function addHistoryEvent(learnerId, event) {
+    const learner = data.learners[learnerId] ?? (data.learners[learnerId] = { courses: {} });
+    learner.history = [...(learner.history ?? []), event].slice(-HISTORY_LIMIT);
+  }
+
+  function getCourseEntry(learnerId, courseId, create) {
+    const learner = data.learners[learnerId] ?? (create ? (data.learners[learnerId] = { courses: {} }) : null);
+    if (!learner) return null;
+    return learner.courses[courseId] ?? (create ? (learner.courses[courseId] = { lessons: {} }) : null);
+  }
+
+  function getLessonEntry(course, lessonId, timestamp) {
+    return course.lessons[lessonId] ?? (course.lessons[lessonId] = {
+      attempts: 0,
+      completed: false,
+      stars: 0,
+      badge: null,
+      firstAttemptAt: timestamp,
+      completedAt: null,
+    });
+  }
+
+  /**
+   * Record a check-student-work attempt
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} attempt
+   * @param {string} attempt.courseId - Course ID
+   * @param {string} attempt.lessonId - Lesson ID (e.g. "lesson-1")
+   * @param {boolean} attempt.correct - Whether the submission was accepted
+   * @param {Object|null} [attempt.reward] - Lesson reward ({ stars, badge }) for correct attempts
+   * @param {string|null} [attempt.mistake] - Kind of mistake for wrong attempts (see classifyMistake)
+   * @param {number} [attempt.hintLevel] - Rung of the hint ladder the attempt unlocked (see hintLadder.js);
+   *   only recordHintOpen counts a hint as used
+   * @returns {Promise<Object>} Updated course progress summary
+   */
+  async function recordAttempt(learnerId, {
+    courseId,
+    lessonId,
+    correct,
+    reward = null,
+    mistake = null,
+    hintLevel = 0,
+  }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const timestamp = new Date(now()).toISOString();
+    const course = getCourseEntry(learnerId, courseId, true);
+    const lesson = getLessonEntry(course, lessonId, timestamp);
+
+    if (!correct) {
+      lesson.failedAttempts = countFailedAttempts(lesson) + 1;
+    }
+    lesson.attempts += 1;
+    lesson.lastAttemptAt = timestamp;
+    if (hintLevel > (lesson.hintLevel ?? 0)) {
+      lesson.hintLevel = hintLevel;
+    }
+    const completesLesson = Boolean(correct) && !lesson.completed;
+    if (completesLesson) {
+      lesson.completed = true;
+      lesson.completedAt = timestamp;
+      lesson.stars = reward?.stars ?? 0;
+      lesson.badge = reward?.badge ?? null;
+      // For the first-try and no-hints achievements
+      lesson.attemptsToComplete = lesson.attempts;
+      lesson.hintsBeforeComplete = lesson.hintsShown ?? 0;
+      lesson.solutionBeforeComplete = Boolean(lesson.solutionRevealedAt);
+    }
+    updateStreak(data.learners[learnerId], timestamp);
+    course.currentLessonId = lessonId;
+    course.lastAccessed = timestamp;
+    course.recentAttempts = [{ lessonId, correct: Boolean(correct), at: timestamp }, ...(course.recentAttempts ?? [])]
+      .slice(0, RECENT_ATTEMPTS);
+
+    addHistoryEvent(learnerId, {
+      type: 'attempt',
+      courseId,
+      lessonId,
+      at: timestamp,
+      correct: Boolean(correct),
+      ...(completesLesson && { completed: true, stars: lesson.stars, badge: lesson.badge }),
+      ...(!correct && mistake && { mistake }),
+      ...(hintLevel > 0 && { hintLevel }),
+    });
+
+    await persist();
+    return summarizeCourse(courseId, course);
+  }
+
+  /**
+   * Get the achievements a learner was awarded
+   * @param {string} learnerId - Learner identifier
+   * @returns {Promise<Object<string, { earnedAt: string, courseId: string|null }>>} By achievement id
+   */
+  async function getAchievements(learnerId) {
+    requireLearnerId(learnerId);
+    await load();
+
+    return structuredClone(data.learners[learnerId]?.achievements ?? {});
+  }
+
+  /**
+   * Award achievements; ones the learner already has are skipped
+   * @param {string} learnerId - Learner identifier
+   * @param {Array<{ id: string, courseId?: string|null }>} achievements - Achievements earned now
+   * @returns {Promise<Array<{ id: string, earnedAt: string, courseId: string|null }>>} The newly awarded ones
+   */
+  async function awardAchievements(learnerId, achievements) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const learner = data.learners[learnerId] ?? (data.learners[learnerId] = { courses: {} });
+    const earned = learner.achievements ?? (learner.achievements = {});
+    const earnedAt = new Date(now()).toISOString();
+    const awarded = [];
+    for (const { id, courseId = null } of achievements) {
+      if (!earned[id]) {
+        earned[id] = { earnedAt, courseId };
+        awarded.push({ id, earnedAt, courseId });
+      }
+    }
+
+    if (awarded.length > 0) {
+      await persist();
+    }
+    return awarded;
+  }
+
+  /**
+   * Save a course certificate; a certificate issued before keeps its code and issue date
+   * @param {string} learnerId - Learner identifier
+   * @param {string} courseId - Course the certificate is for
+   * @param {Object} details
+   * @param {string} details.displayName - Name printed on the certificate
+   * @param {string|null} details.completedAt - When the course was finished
+   * @param {() => string} details.generateCode - Makes a verification code for a new certificate
+   * @returns {Promise<{ code: string, displayName: string, completedAt: string|null, issuedAt: string }>}
+   */
+  async function issueCertificate(learnerId, courseId, { displayName, completedAt, generateCode }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const learner = data.learners[learnerId] ?? (data.learners[learnerId] = { courses: {} });
+    const certificates = learner.certificates ?? (learner.certificates = {});
+    const existing = certificates[courseId];
+    let code = existing?.code;
+    while (!code || (!existing && findCertificateByCode(code))) {
+      code = generateCode();
+    }
+
+    certificates[courseId] = {
+      code,
+      displayName,
+      completedAt,
+      issuedAt: existing?.issuedAt ?? new Date(now()).toISOString(),
+    };
+    await persist();
+    return { ...certificates[courseId] };
+  }
+
+  /**
+   * Get the certificate a learner was issued for a course
+   * @param {string} learnerId - Learner identifier
+   * @param {string} courseId - Course identifier
+   * @returns {Promise<Object|null>} Certificate, or null when none was issued
+   */
+  async function getCertificate(learnerId, courseId) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const certificate = data.learners[learnerId]?.certificates?.[courseId];
+    return certificate ? { ...certificate } : null;
+  }
+
+  /**
+   * Look a certificate up by its verification code
+   * @param {string} code - Verification code
+   * @returns {Promise<{ courseId: string, code: string, displayName: string, completedAt: string|null, issuedAt: string }|null>}
+   *   The certificate (without the learner id), or null for an unknown code
+   */
+  async function findCertificate(code) {
+    await load();
+
+    const found = findCertificateByCode(code);
+    return found ? { ...found } : null;
+  }
+
+  function findCertificateByCode(code) {
+    for (const learner of Object.values(data.learners)) {
+      for (const [courseId, certificate] of Object.entries(learner.certificates ?? {})) {
+        if (certificate.code === code) {
+          return { courseId, ...certificate };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Note that a learner opened a lesson (start-lesson), for time estimates in reports
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} start
+   * @param {string} start.courseId - Course ID
+   * @param {string} start.lessonId - Lesson ID
+   * @returns {Promise<void>}
+   */
+  async function recordLessonStart(learnerId, { courseId, lessonId }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    addHistoryEvent(learnerId, { type: 'start', courseId, lessonId, at: new Date(now()).toISOString() });
+    await persist();
+  }
+
+  /**
+   * Note that a learner opened a rung of a lesson's hint ladder (open-hint)
+   * Rungs open in order, so opening rung 3 counts rungs 1 to 3; a rung opened
+   * before (e.g. again after reloading the lesson) is not counted twice.
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} hint
+   * @param {string} hint.courseId - Course ID
+   * @param {string} hint.lessonId - Lesson ID
+   * @param {number} hint.level - Rung opened (see hintLadder.js)
+   * @returns {Promise<{ hintsOpened: number, hintsShown: number }>} Highest rung opened and hints counted so far
+   */
+  async function recordHintOpen(learnerId, { courseId, lessonId, level }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const timestamp = new Date(now()).toISOString();
+    const lesson = getLessonEntry(getCourseEntry(learnerId, courseId, true), lessonId, timestamp);
+    const opened = lesson.hintsOpened ?? 0;
+    if (level > opened) {
+      lesson.hintsOpened = level;
+      lesson.hintsShown = (lesson.hintsShown ?? 0) + (level - opened);
+      addHistoryEvent(learnerId, { type: 'hint', courseId, lessonId, at: timestamp, level });
+      await persist();
+    }
+    return { hintsOpened: lesson.hintsOpened ?? 0, hintsShown: lesson.hintsShown ?? 0 };
+  }
+
+  /**
+   * Note that a learner was shown a lesson's solution (reveal-solution)
+   * A reveal before the lesson is completed counts as a hint, so the lesson no
+   * longer qualifies for the first-try and no-hints achievements.
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} reveal
+   * @param {string} reveal.courseId - Course ID
+   * @param {string} reveal.lessonId - Lesson ID
+   * @param {'attempts'|'override'} reveal.via - Why the reveal was allowed (see checkSolutionReveal)
+   * @returns {Promise<{ solutionReveals: number, solutionRevealedAt: string }>} Reveals of this lesson so far
+   */
+  async function recordSolutionReveal(learnerId, { courseId, lessonId, via }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const timestamp = new Date(now()).toISOString();
+    const lesson = getLessonEntry(getCourseEntry(learnerId, courseId, true), lessonId, timestamp);
+    lesson.solutionReveals = (lesson.solutionReveals ?? 0) + 1;
+    lesson.solutionRevealedAt ??= timestamp;
+    if (!lesson.completed) {
+      lesson.hintsShown = (lesson.hintsShown ?? 0) + 1;
+    }
+
+    addHistoryEvent(learnerId, { type: 'reveal', courseId, lessonId, at: timestamp, via });
+    await persist();
+    return { solutionReveals: lesson.solutionReveals, solutionRevealedAt: lesson.solutionRevealedAt };
+  }
+
+  /**
+   * Get a learner's saved review schedule for a course (see spacedRepetition.js)
+   * @param {string} learnerId - Learner identifier
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object<string, Object>>} Schedule by concept; concepts never reviewed are missing
+   */
+  async function getReviewSchedule(learnerId, courseId) {
+    requireLearnerId(learnerId);
+    await load();
+
+    return structuredClone(data.learners[learnerId]?.reviews?.[courseId] ?? {});
+  }
+
+  /**
+   * Record an answer to a review quiz item, and the concept's new schedule
+   * Reviews count as practice for the streak.
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} review
+   * @param {string} review.courseId - Course ID
+   * @param {string} review.lessonId - Lesson the item came from
+   * @param {string} review.concept - Concept the item reviews
+   * @param {string} review.itemId - Review item id
+   * @param {boolean} review.correct - Whether the answer was right
+   * @param {Object|null} [review.schedule] - New schedule from scheduleReview, or null to keep the current one
+   * @returns {Promise<Object|null>} The concept's schedule after the answer
+   */
+  async function recordReviewAnswer(learnerId, { courseId, lessonId, concept, itemId, correct, schedule = null }) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const timestamp = new Date(now()).toISOString();
+    const learner = data.learners[learnerId] ?? (data.learners[learnerId] = { courses: {} });
+    const reviews = learner.reviews ?? (learner.reviews = {});
+    const courseReviews = reviews[courseId] ?? (reviews[courseId] = {});
+    if (schedule) {
+      courseReviews[concept] = { ...schedule, reviews: (courseReviews[concept]?.reviews ?? 0) + 1 };
+    }
+    updateStreak(learner, timestamp);
+
+    addHistoryEvent(learnerId, { type: 'review', courseId, lessonId, at: timestamp, concept, itemId, correct: Boolean(correct) });
+    await persist();
+    return courseReviews[concept] ? { ...courseReviews[concept] } : null;
+  }
+
+  /**
+   * Get a learner's activity history, oldest first
+   * @param {string} learnerId - Learner identifier
+   * @param {Object} [range]
+   * @param {string} [range.from] - ISO timestamp of the first event to include
+   * @param {string} [range.to] - ISO timestamp after the last event to include (exclusive)
+   * @param {string} [range.courseId] - Limit to one course
+   * @returns {Promise<Array<Object>>} Events: { type: 'start'|'attempt'|'reveal'|'review', courseId, lessonId, at, ... }
+   */
+  async function getHistory(learnerId, { from, to, courseId } = {}) {
+    requireLearnerId(learnerId);
+    await load();
+
+    return (data.learners[learnerId]?.history ?? [])
+      .filter((event) => (!from || event.at >= from) && (!to || event.at < to))
+      .filter((event) => !courseId || event.courseId === courseId)
+      .map((event) => ({ ...event }));
+  }
+
+  /**
+   * Get a learner's progress
+   * @param {string} learnerId - Learner identifier
+   * @param {string} [courseId] - Limit to one course
+   * @returns {Promise<{ learnerId: string, courses: Object<string, Object>, streak: Object }>} Progress by
+   *   course, and the practice streak ({ current, longest, lastDay }) across courses
+   */
+  async function getProgress(learnerId, courseId) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const courses = data.learners[learnerId]?.courses ?? {};
+    const selected = courseId ? (courses[courseId] ? { [courseId]: courses[courseId] } : {}) : courses;
+
+    return {
+      learnerId,
+      courses: Object.fromEntries(
+        Object.entries(selected).map(([id, course]) => [id, summarizeCourse(id, course)])
+      ),
+      streak: { current: 0, longest: 0, lastDay: null, ...data.learners[learnerId]?.streak },
+    };
+  }
+
+  /**
+   * Delete a learner's progress
+   * @param {string} learnerId - Learner identifier
+   * @param {string} [courseId] - Only reset this course
+   * @returns {Promise<boolean>} True when something was removed
+   */
+  async function resetProgress(learnerId, courseId) {
+    requireLearnerId(learnerId);
+    await load();
+
+    const learner = data.learners[learnerId];
+    if (!learner) {
+      return false;
+    }
+
+    if (courseId) {
+      if (!learner.courses[courseId]) {
+        return false;
+      }
+      delete learner.courses[courseId];
+      learner.history = (learner.history ?? []).filter((event) => event.courseId !== courseId);
+      learner.achievements = Object.fromEntries(
+        Object.entries(learner.achievements ?? {}).filter(([, achievement]) => achievement.courseId !== courseId)
+      );
+      delete learner.certificates?.[courseId];
+      delete learner.reviews?.[courseId];
+    } else {
+      delete data.learners[learnerId];
+    }
+
+    await persist();
+    return true;
+  }
+
+  return {
+    load,
+    recordAttempt,
+    recordLessonStart,
+    recordHintOpen,
+    recordSolutionReveal,
+    getReviewSchedule,
+    recordReviewAnswer,
+    getHistory,
+    getAchievements,
+    awardAchievements,
+    issueCertificate,
+    getCertificate,
+    findCertificate,
+    getProgress,
+    resetProgress,
+    /** Wait for pending writes (used on shutdown and in tests) */
+    flush: () => writeQueue,
+  };
+}
+
+/**
+ * Summarize one course entry for tool responses and the widget
+ */
+function summarizeCourse(courseId, course) {
+  const lessons = Object.entries(course.lessons);
+  const completedLessons = lessons.filter(([, lesson]) => lesson.completed).map(([id]) => id);
+
+  return {
+    courseId,
+    completedLessons,
+    earnedStars: lessons.reduce((total, [, lesson]) => total + (lesson.completed ? lesson.stars : 0), 0),
+    badges: lessons.map(([, lesson]) => lesson.badge).filter(Boolean),
+    totalAttempts: lessons.reduce((total, [, lesson]) => total + lesson.attempts, 0),
+    currentLessonId: course.currentLessonId ?? null,
+    lastAccessed: course.lastAccessed ?? null,
+    recentAttempts: (course.recentAttempts ?? []).map((attempt) => ({ ...attempt })),
+    lessons: Object.fromEntries(lessons.map(([id, lesson]) => [id, { ...lesson, failedAttempts: countFailedAttempts(lesson) }])),
+  };
+}
+
+// Progress saved before failed attempts were counted only has the total
+function countFailedAttempts(lesson) {
+  return lesson.failedAttempts ?? Math.max(lesson.attempts - (lesson.completed ? 1 : 0), 0);
+}
+
+// Days in a row with at least one attempt or review answer (UTC days)
+function updateStreak(learner, timestamp) {
+  const day = timestamp.slice(0, 10);
+  const streak = learner.streak ?? (learner.streak = { current: 0, longest: 0, lastDay: null });
+  if (streak.lastDay === day) {
+    return;
+  }
+  const yesterday = new Date(Date.parse(`${day}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  streak.current = streak.lastDay === yesterday ? streak.current + 1 : 1;
+  streak.longest = Math.max(streak.longest, streak.current);
+  streak.lastDay = day;
+}
+
+function requireLearnerId(learnerId) {
+  if (typeof learnerId !== 'string' || learnerId.length === 0) {
+    throw new Error('learnerId is required');
+  }
+}
+
+async function readStoreFile(filePath) {
+  const empty = { version: STORE_VERSION, learners: {} };
+  if (!filePath) {
+    return empty;
+  }
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (!parsed || typeof parsed.learners !== 'object') {
+      console.warn(`[Progress] Ignoring unexpected data in ${filePath}`);
+      return empty;
+    }
+    return parsed;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return empty;
+    }
+    // Keep the unreadable file around instead of overwriting it on the next write
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    console.error(`[Progress] Failed to read ${filePath}, moving it to ${backupPath}:`, error);
+    await fs.rename(filePath, backupPath).catch(() => {});
+    return empty;
+  }
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, contents, 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,33 @@
+/**
+ * Error type shared by the beginner Python tokenizer, parser and interpreter
+ */
+
+export class PythonError extends Error {
+  /**
+   * @param {string} pythonType - Python exception name (e.g. "SyntaxError", "NameError")
+   * @param {string} message - Python-style error message
+   * @param {{ line?: number, column?: number, kind?: string }} [location] - Where the error happened
+   */
+  constructor(pythonType, message, location = {}) {
+    super(message);
+    this.name = 'PythonError';
+    this.pythonType = pythonType;
+    this.line = location.line ?? null;
+    this.column = location.column ?? null;
+    this.kind = location.kind ?? null;
+  }
+
+  /**
+   * Plain object form, safe to send across worker boundaries and to clients
+   * @returns {{ type: string, message: string, line: number|null, column: number|null, kind: string|null }}
+   */
+  toJSON() {
+    return {
+      type: this.pythonType,
+      message: this.message,
+      line: this.line,
+      column: this.column,
+      kind: this.kind,
+    };
+  }
+}
@@ -0,0 +1,1155 @@
+/**
+ * Tree-walking interpreter for the beginner Python subset used in LearnKids lessons
+ *
+ * The interpreter has no access to files, the network, modules or the host
+ * process: the only side effect available to student code is print().
+ * Every statement and loop iteration counts against a step budget so runaway
+ * loops stop with a friendly error instead of hanging the caller.
+ */
+
+import { PythonError } from './pythonErrors.js';
+import { parse, parseExpression } from './pythonParser.js';
+
+const DEFAULT_MAX_STEPS = 100000;
+const DEFAULT_MAX_OUTPUT_LENGTH = 10000;
+const MAX_CALL_DEPTH = 100;
+const MAX_SEQUENCE_LENGTH = 100000;
+const MAX_DESCRIBED_TEXT_LENGTH = 1000;
+
+class PyTuple {
+  constructor(items) {
+    this.items = items;
+  }
+}
+
+class PyDict {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(hashKey(key))?.[1];
+  }
+
+  has(key) {
+    return this.entries.has(hashKey(key));
+  }
+
+  set(key, value) {
+    this.entries.set(hashKey(key), [key, value]);
+  }
+
+  delete(key) {
+    return this.entries.delete(hashKey(key));
+  }
+
+  keys() {
+    return Array.from(this.entries.values(), ([key]) => key);
+  }
+
+  values() {
+    return Array.from(this.entries.values(), ([, value]) => value);
+  }
+
+  items() {
+    return Array.from(this.entries.values(), ([key, value]) => new PyTuple([key, value]));
+  }
+}
+
+class PyRange {
+  constructor(start, stop, step) {
+    this.start = start;
+    this.stop = stop;
+    this.step = step;
+  }
+
+  get length() {
+    const span = this.step > 0n ? this.stop - this.start : this.start - this.stop;
+    const step = this.step > 0n ? this.step : -this.step;
+    return span <= 0n ? 0 : Number((span + step - 1n) / step);
+  }
+
+  *[Symbol.iterator]() {
+    for (let value = this.start; this.step > 0n ? value < this.stop : value > this.stop; value += this.step) {
+      yield value;
+    }
+  }
+}
+
+class PyFunction {
+  constructor(name, params, body) {
+    this.name = name;
+    this.params = params;
+    this.body = body;
+  }
+}
+
+class BuiltinFunction {
+  constructor(name, implementation) {
+    this.name = name;
+    this.implementation = implementation;
+  }
+}
+
+class ReturnSignal {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+class BreakSignal {}
+class ContinueSignal {}
+
+/**
+ * Create an interpreter with its own global scope and output buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxSteps=100000] - Maximum statements and loop iterations
+ * @param {number} [options.maxOutputLength=10000] - Maximum printed characters
+ * @param {(step: { line: number, variables: Object, locals: Object|null, functionName: string|null }) => void} [options.onStep]
+ *   Called after each expression, assignment, def and return, each loop turn and if/while test, with
+ *   the variables at that point (described like getVariables; `locals` inside a function), for traces
+ * @returns {Object} Interpreter with run, evaluate, getOutput and getVariables
+ */
+export function createPythonInterpreter(options = {}) {
+  const maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+  const maxOutputLength = options.maxOutputLength ?? DEFAULT_MAX_OUTPUT_LENGTH;
+  const onStep = options.onStep ?? null;
+
+  const globals = new Map();
+  let output = '';
+  let steps = 0;
+  let callDepth = 0;
+  let currentLine = null;
+
+  const builtins = createBuiltins({
+    write(text) {
+      output += text;
+      if (output.length > maxOutputLength) {
+        output = output.slice(0, maxOutputLength);
+        throw new PythonError('OutputLimitError', 'Your program printed too much text', {
+          line: currentLine,
+          kind: 'output-limit',
+        });
+      }
+    },
+    fail: (type, message) => {
+      throw new PythonError(type, message, { line: currentLine });
+    },
+  });
+
+  function fail(type, message, node) {
+    throw new PythonError(type, message, { line: node?.line ?? currentLine, column: node?.column ?? null });
+  }
+
+  function tick(node) {
+    currentLine = node.line ?? currentLine;
+    steps++;
+    if (steps > maxSteps) {
+      throw new PythonError('TimeoutError', 'Your program took too many steps to finish', {
+        line: currentLine,
+        kind: 'step-limit',
+      });
+    }
+  }
+
+  function traceStep(node, scope) {
+    if (!onStep) return;
+    onStep({
+      line: node.line,
+      variables: getVariables(),
+      locals: scope.locals ? describeVariables(scope.locals) : null,
+      functionName: scope.functionName ?? null,
+    });
+  }
+
+  function lookup(name, scope, node) {
+    if (scope.locals && scope.locals.has(name) && !scope.globalNames.has(name)) {
+      return scope.locals.get(name);
+    }
+    if (globals.has(name)) {
+      return globals.get(name);
+    }
+    if (builtins.has(name)) {
+      return builtins.get(name);
+    }
+    return fail('NameError', `name '${name}' is not defined`, node);
+  }
+
+  function assignName(name, value, scope) {
+    if (scope.locals && !scope.globalNames.has(name)) {
+      scope.locals.set(name, value);
+    } else {
+      globals.set(name, value);
+    }
+  }
+
+  function executeBlock(statements, scope) {
+    for (const statement of statements) {
+      execute(statement, scope);
+    }
+  }
+
+  function execute(node, scope) {
+    tick(node);
+
+    switch (node.type) {
+      case 'Expr':
+        evaluate(node.value, scope);
+        traceStep(node, scope);
+        return;
+      case 'Assign': {
+        const value = evaluate(node.value, scope);
+        for (const target of node.targets) {
+          assignTarget(target, value, scope);
+        }
+        traceStep(node, scope);
+        return;
+      }
+      case 'AugAssign': {
+        const current = evaluate(node.target, scope);
+        const value = binaryOperation(node.operator, current, evaluate(node.value, scope), node);
+        assignTarget(node.target, value, scope);
+        traceStep(node, scope);
+        return;
+      }
+      case 'If': {
+        const test = isTruthy(evaluate(node.test, scope));
+        traceStep(node, scope);
+        if (test) {
+          executeBlock(node.body, scope);
+        } else {
+          executeBlock(node.orelse, scope);
+        }
+        return;
+      }
+      case 'While':
+        while (isTruthy(evaluate(node.test, scope))) {
+          traceStep(node, scope);
+          try {
+            executeBlock(node.body, scope);
+          } catch (signal) {
+            if (signal instanceof BreakSignal) break;
+            if (signal instanceof ContinueSignal) {
+              tick(node);
+              continue;
+            }
+            throw signal;
+          }
+          tick(node);
+        }
+        return;
+      case 'For': {
+        const iterable = iterate(evaluate(node.iter, scope), node.iter);
+        for (const item of iterable) {
+          assignTarget(node.target, item, scope);
+          traceStep(node, scope);
+          try {
+            executeBlock(node.body, scope);
+          } catch (signal) {
+            if (signal instanceof BreakSignal) break;
+            if (signal instanceof ContinueSignal) {
+              tick(node);
+              continue;
+            }
+            throw signal;
+          }
+          tick(node);
+        }
+        return;
+      }
+      case 'FunctionDef':
+        assignName(node.name, new PyFunction(node.name, node.params, node.body), scope);
+        traceStep(node, scope);
+        return;
+      case 'Return': {
+        if (!scope.locals) {
+          fail('SyntaxError', "'return' outside function", node);
+        }
+        const value = node.value ? evaluate(node.value, scope) : null;
+        traceStep(node, scope);
+        throw new ReturnSignal(value);
+      }
+      case 'Pass':
+        return;
+      case 'Break':
+        throw new BreakSignal();
+      case 'Continue':
+        throw new ContinueSignal();
+      case 'Global':
+        node.names.forEach((name) => scope.globalNames.add(name));
+        return;
+      case 'Import':
+        fail('ImportError', `importing modules like '${node.module}' is not available in LearnKids`, node);
+        return;
+      default:
+        fail('SyntaxError', `unsupported statement ${node.type}`, node);
+    }
+  }
+
+  function assignTarget(target, value, scope) {
+    if (target.type === 'Name') {
+      assignName(target.id, value, scope);
+      return;
+    }
+
+    if (target.type === 'Subscript') {
+      const container = evaluate(target.value, scope);
+      const index = evaluate(target.index, scope);
+      if (Array.isArray(container)) {
+        container[normalizeIndex(container.length, index, target)] = value;
+        return;
+      }
+      if (container instanceof PyDict) {
+        container.set(assertHashable(index, target), value);
+        return;
+      }
+      fail('TypeError', `'${typeName(container)}' object does not support item assignment`, target);
+    }
+
+    if (target.type === 'Tuple' || target.type === 'List') {
+      const items = Array.from(iterate(value, target));
+      if (items.length !== target.elements.length) {
+        const problem = items.length > target.elements.length ? 'too many' : 'not enough';
+        fail('ValueError', `${problem} values to unpack (expected ${target.elements.length})`, target);
+      }
+      target.elements.forEach((element, index) => assignTarget(element, items[index], scope));
+      return;
+    }
+
+    fail('SyntaxError', 'cannot assign to expression', target);
+  }
+
+  function evaluate(node, scope) {
+    switch (node.type) {
+      case 'Constant':
+        return node.value;
+      case 'Name':
+        return lookup(node.id, scope, node);
+      case 'JoinedStr':
+        return node.parts.map((part) => (
+          part.type === 'FormattedValue' ? toStr(evaluate(part.value, scope)) : part.value
+        )).join('');
+      case 'List':
+        return node.elements.map((element) => evaluate(element, scope));
+      case 'Tuple':
+        return new PyTuple(node.elements.map((element) => evaluate(element, scope)));
+      case 'Dict': {
+        const dict = new PyDict();
+        node.keys.forEach((keyNode, index) => {
+          dict.set(assertHashable(evaluate(keyNode, scope), keyNode), evaluate(node.values[index], scope));
+        });
+        return dict;
+      }
+      case 'BinOp':
+        return binaryOperation(node.operator, evaluate(node.left, scope), evaluate(node.right, scope), node);
+      case 'UnaryOp':
+        return unaryOperation(node.operator, evaluate(node.operand, scope), node);
+      case 'BoolOp': {
+        const left = evaluate(node.left, scope);
+        if (node.operator === 'and') {
+          return isTruthy(left) ? evaluate(node.right, scope) : left;
+        }
+        return isTruthy(left) ? left : evaluate(node.right, scope);
+      }
+      case 'Compare': {
+        let left = evaluate(node.left, scope);
+        for (let index = 0; index < node.operators.length; index++) {
+          const right = evaluate(node.comparators[index], scope);
+          if (!compare(node.operators[index], left, right, node)) {
+            return false;
+          }
+          left = right;
+        }
+        return true;
+      }
+      case 'IfExp':
+        return isTruthy(evaluate(node.test, scope)) ? evaluate(node.body, scope) : evaluate(node.orelse, scope);
+      case 'Subscript':
+        return subscript(evaluate(node.value, scope), node.index, scope, node);
+      case 'Attribute':
+        return getAttribute(evaluate(node.value, scope), node.attr, node);
+      case 'Call': {
+        const fn = evaluate(node.func, scope);
+        const args = node.args.map((arg) => evaluate(arg, scope));
+        const kwargs = new Map(node.keywords.map(({ name, value }) => [name, evaluate(value, scope)]));
+        const previousLine = currentLine;
+        currentLine = node.line;
+        const result = callFunction(fn, args, kwargs, node);
+        currentLine = previousLine;
+        return result;
+      }
+      default:
+        return fail('SyntaxError', `unsupported expression ${node.type}`, node);
+    }
+  }
+
+  function callFunction(fn, args, kwargs = new Map(), node = null) {
+    if (fn instanceof BuiltinFunction) {
+      return fn.implementation(args, kwargs, node);
+    }
+
+    if (!(fn instanceof PyFunction)) {
+      return fail('TypeError', `'${typeName(fn)}' object is not callable`, node);
+    }
+
+    const locals = new Map();
+    const maxArgs = fn.params.length;
+    if (args.length > maxArgs) {
+      fail('TypeError', `${fn.name}() takes ${maxArgs} positional argument${maxArgs === 1 ? '' : 's'} but ${args.length} ${args.length === 1 ? 'was' : 'were'} given`, node);
+    }
+    const missing = [];
+    fn.params.forEach((param, index) => {
+      if (index < args.length) {
+        if (kwargs.has(param.name)) {
+          fail('TypeError', `${fn.name}() got multiple values for argument '${param.name}'`, node);
+        }
+        locals.set(param.name, args[index]);
+      } else if (kwargs.has(param.name)) {
+        locals.set(param.name, kwargs.get(param.name));
+      } else if (param.default) {
+        locals.set(param.name, evaluate(param.default, { locals: null, globalNames: new Set() }));
+      } else {
+        missing.push(param.name);
+      }
+    });
+    for (const name of kwargs.keys()) {
+      if (!fn.params.some((param) => param.name === name)) {
+        fail('TypeError', `${fn.name}() got an unexpected keyword argument '${name}'`, node);
+      }
+    }
+    if (missing.length > 0) {
+      fail('TypeError', `${fn.name}() missing ${missing.length} required positional argument${missing.length === 1 ? '' : 's'}: ${missing.map((name) => `'${name}'`).join(' and ')}`, node);
+    }
+
+    callDepth++;
+    if (callDepth > MAX_CALL_DEPTH) {
+      callDepth = 0;
+      fail('RecursionError', 'maximum recursion depth exceeded', node);
+    }
+    try {
+      executeBlock(fn.body, { locals, globalNames: new Set(), functionName: fn.name });
+      return null;
+    } catch (signal) {
+      if (signal instanceof ReturnSignal) {
+        return signal.value;
+      }
+      if (signal instanceof BreakSignal || signal instanceof ContinueSignal) {
+        fail('SyntaxError', "'break' or 'continue' outside loop", node);
+      }
+      throw signal;
+    } finally {
+      callDepth = Math.max(0, callDepth - 1);
+    }
+  }
+
+  function subscript(container, indexNode, scope, node) {
+    if (indexNode.type === 'Slice') {
+      const sequence = container instanceof PyTuple ? container.items : container;
+      if (!Array.isArray(sequence) && typeof sequence !== 'string') {
+        return fail('TypeError', `'${typeName(container)}' object is not subscriptable`, node);
+      }
+      const bound = (valueNode) => (valueNode ? evaluate(valueNode, scope) : null);
+      const sliced = sliceSequence(sequence, bound(indexNode.start), bound(indexNode.stop), bound(indexNode.step), node);
+      return container instanceof PyTuple ? new PyTuple(sliced) : sliced;
+    }
+
+    const index = evaluate(indexNode, scope);
+    if (Array.isArray(container) || typeof container === 'string' || container instanceof PyTuple) {
+      const sequence = container instanceof PyTuple ? container.items : container;
+      return sequence[normalizeIndex(sequence.length, index, node, typeName(container))];
+    }
+    if (container instanceof PyDict) {
+      const key = assertHashable(index, node);
+      if (!container.has(key)) {
+        return fail('KeyError', repr(key), node);
+      }
+      return container.get(key);
+    }
+    return fail('TypeError', `'${typeName(container)}' object is not subscriptable`, node);
+  }
+
+  function sliceSequence(sequence, start, stop, step, node) {
+    const length = sequence.length;
+    const stepValue = step === null ? 1 : toIndexNumber(step, node);
+    if (stepValue === 0) {
+      fail('ValueError', 'slice step cannot be zero', node);
+    }
+    const clamp = (value, fallback) => {
+      if (value === null) return fallback;
+      let number = toIndexNumber(value, node);
+      if (number < 0) number += length;
+      return stepValue > 0
+        ? Math.min(Math.max(number, 0), length)
+        : Math.min(Math.max(number, -1), length - 1);
+    };
+    const from = clamp(start, stepValue > 0 ? 0 : length - 1);
+    const to = clamp(stop, stepValue > 0 ? length : -1);
+    const items = [];
+    for (let index = from; stepValue > 0 ? index < to : index > to; index += stepValue) {
+      items.push(sequence[index]);
+    }
+    return typeof sequence === 'string' ? items.join('') : items;
+  }
+
+  function normalizeIndex(length, index, node, kind = 'list') {
+    const number = toIndexNumber(index, node, kind);
+    const normalized = number < 0 ? number + length : number;
+    if (normalized < 0 || normalized >= length) {
+      fail('IndexError', `${kind} index out of range`, node);
+    }
+    return normalized;
+  }
+
+  function toIndexNumber(value, node, kind = 'list') {
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return fail('TypeError', `${kind} indices must be integers, not ${typeName(value)}`, node);
+  }
+
+  function getAttribute(value, name, node) {
+    const method = findMethod(value, name);
+    if (!method) {
+      return fail('AttributeError', `'${typeName(value)}' object has no attribute '${name}'`, node);
+    }
+    return new BuiltinFunction(name, (args, kwargs, callNode) => method(value, args, kwargs, callNode ?? node));
+  }
+
+  function findMethod(value, name) {
+    if (typeof value === 'string') return STRING_METHODS[name];
+    if (Array.isArray(value)) return LIST_METHODS[name];
+    if (value instanceof PyDict) return DICT_METHODS[name];
+    return null;
+  }
+
+  function expectArgs(name, args, min, max, node) {
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `exactly ${min}` : `${min} to ${max}`;
+      fail('TypeError', `${name}() takes ${expected} argument${max === 1 ? '' : 's'} (${args.length} given)`, node);
+    }
+  }
+
+  function expectString(value, name, node) {
+    if (typeof value !== 'string') {
+      fail('TypeError', `${name}() argument must be str, not ${typeName(value)}`, node);
+    }
+    return value;
+  }
+
+  const STRING_METHODS = {
+    upper: (self, args, _kw, node) => (expectArgs('upper', args, 0, 0, node), self.toUpperCase()),
+    lower: (self, args, _kw, node) => (expectArgs('lower', args, 0, 0, node), self.toLowerCase()),
+    title: (self, args, _kw, node) => (
+      expectArgs('title', args, 0, 0, node),
+      self.toLowerCase().replace(/(^|[^A-Za-z])([a-z])/g, (_m, before, letter) => before + letter.toUpperCase())
+    ),
+    capitalize: (self, args, _kw, node) => (
+      expectArgs('capitalize', args, 0, 0, node),
+      self.charAt(0).toUpperCase() + self.slice(1).toLowerCase()
+    ),
+    strip: (self, args, _kw, node) => (expectArgs('strip', args, 0, 0, node), self.trim()),
+    lstrip: (self, args, _kw, node) => (expectArgs('lstrip', args, 0, 0, node), self.trimStart()),
+    rstrip: (self, args, _kw, node) => (expectArgs('rstrip', args, 0, 0, node), self.trimEnd()),
+    replace: (self, args, _kw, node) => {
+      expectArgs('replace', args, 2, 2, node);
+      return self.split(expectString(args[0], 'replace', node)).join(expectString(args[1], 'replace', node));
+    },
+    split: (self, args, _kw, node) => {
+      expectArgs('split', args, 0, 1, node);
+      if (args.length === 0 || args[0] === null) {
+        return self.trim() ? self.trim().split(/\s+/) : [];
+      }
+      const separator = expectString(args[0], 'split', node);
+      if (!separator) fail('ValueError', 'empty separator', node);
+      return self.split(separator);
+    },
+    join: (self, args, _kw, node) => {
+      expectArgs('join', args, 1, 1, node);
+      return Array.from(iterate(args[0], node), (item, index) => {
+        if (typeof item !== 'string') {
+          fail('TypeError', `sequence item ${index}: expected str instance, ${typeName(item)} found`, node);
+        }
+        return item;
+      }).join(self);
+    },
+    startswith: (self, args, _kw, node) => (expectArgs('startswith', args, 1, 1, node), self.startsWith(expectString(args[0], 'startswith', node))),
+    endswith: (self, args, _kw, node) => (expectArgs('endswith', args, 1, 1, node), self.endsWith(expectString(args[0], 'endswith', node))),
+    find: (self, args, _kw, node) => (expectArgs('find', args, 1, 1, node), BigInt(self.indexOf(expectString(args[0], 'find', node)))),
+    count: (self, args, _kw, node) => {
+      expectArgs('count', args, 1, 1, node);
+      const needle = expectString(args[0], 'count', node);
+      return BigInt(needle ? self.split(needle).length - 1 : self.length + 1);
+    },
+    isdigit: (self, args, _kw, node) => (expectArgs('isdigit', args, 0, 0, node), /^\d+$/.test(self)),
+    isalpha: (self, args, _kw, node) => (expectArgs('isalpha', args, 0, 0, node), /^[A-Za-z]+$/.test(self)),
+    format: (self, args) => {
+      let next = 0;
+      return self.replace(/\{(\d*)\}/g, (_m, position) => toStr(args[position === '' ? next++ : Number(position)] ?? ''));
+    },
+  };
+
+  const LIST_METHODS = {
+    append: (self, args, _kw, node) => {
+      expectArgs('append', args, 1, 1, node);
+      guardLength(self.length + 1, node);
+      self.push(args[0]);
+      return null;
+    },
+    extend: (self, args, _kw, node) => {
+      expectArgs('extend', args, 1, 1, node);
+      const items = Array.from(iterate(args[0], node));
+      guardLength(self.length + items.length, node);
+      self.push(...items);
+      return null;
+    },
+    insert: (self, args, _kw, node) => {
+      expectArgs('insert', args, 2, 2, node);
+      let index = toIndexNumber(args[0], node);
+      if (index < 0) index = Math.max(0, self.length + index);
+      guardLength(self.length + 1, node);
+      self.splice(Math.min(index, self.length), 0, args[1]);
+      return null;
+    },
+    pop: (self, args, _kw, node) => {
+      expectArgs('pop', args, 0, 1, node);
+      if (self.length === 0) fail('IndexError', 'pop from empty list', node);
+      const index = args.length ? normalizeIndex(self.length, args[0], node, 'pop') : self.length - 1;
+      return self.splice(index, 1)[0];
+    },
+    remove: (self, args, _kw, node) => {
+      expectArgs('remove', args, 1, 1, node);
+      const index = self.findIndex((item) => pyEquals(item, args[0]));
+      if (index === -1) fail('ValueError', 'list.remove(x): x not in list', node);
+      self.splice(index, 1);
+      return null;
+    },
+    index: (self, args, _kw, node) => {
+      expectArgs('index', args, 1, 1, node);
+      const index = self.findIndex((item) => pyEquals(item, args[0]));
+      if (index === -1) fail('ValueError', `${repr(args[0])} is not in list`, node);
+      return BigInt(index);
+    },
+    count: (self, args, _kw, node) => (
+      expectArgs('count', args, 1, 1, node),
+      BigInt(self.filter((item) => pyEquals(item, args[0])).length)
+    ),
+    sort: (self, args, kwargs, node) => {
+      expectArgs('sort', args, 0, 0, node);
+      self.sort((a, b) => compareOrder(a, b, node));
+      if (isTruthy(kwargs.get('reverse') ?? false)) self.reverse();
+      return null;
+    },
+    reverse: (self, args, _kw, node) => (expectArgs('reverse', args, 0, 0, node), self.reverse(), null),
+    copy: (self, args, _kw, node) => (expectArgs('copy', args, 0, 0, node), [...self]),
+  };
+
+  const DICT_METHODS = {
+    get: (self, args, _kw, node) => {
+      expectArgs('get', args, 1, 2, node);
+      const key = assertHashable(args[0], node);
+      return self.has(key) ? self.get(key) : (args[1] ?? null);
+    },
+    keys: (self, args, _kw, node) => (expectArgs('keys', args, 0, 0, node), self.keys()),
+    values: (self, args, _kw, node) => (expectArgs('values', args, 0, 0, node), self.values()),
+    items: (self, args, _kw, node) => (expectArgs('items', args, 0, 0, node), self.items()),
+  };
+
+  function guardLength(length, node, kind = 'list') {
+    if (length > MAX_SEQUENCE_LENGTH) {
+      fail('MemoryError', `this ${kind} is getting too big`, node);
+    }
+  }
+
+  function binaryOperation(operator, left, right, node) {
+    if (operator === '+') {
+      if (typeof left === 'string' || typeof right === 'string') {
+        if (typeof left === 'string' && typeof right === 'string') {
+          return left + right;
+        }
+        if (typeof left === 'string') {
+          return fail('TypeError', `can only concatenate str (not "${typeName(right)}") to str`, node);
+        }
+        return fail('TypeError', `unsupported operand type(s) for +: '${typeName(left)}' and 'str'`, node);
+      }
+      if (Array.isArray(left) && Array.isArray(right)) {
+        guardLength(left.length + right.length, node);
+        return [...left, ...right];
+      }
+      if (left instanceof PyTuple && right instanceof PyTuple) {
+        return new PyTuple([...left.items, ...right.items]);
+      }
+    }
+
+    if (operator === '*') {
+      const [sequence, count] = typeof right === 'bigint' || typeof right === 'boolean' ? [left, right] : [right, left];
+      if ((typeof sequence === 'string' || Array.isArray(sequence)) && isInteger(count)) {
+        const times = Math.max(0, Number(count));
+        guardLength(sequence.length * times, node, typeof sequence === 'string' ? 'string' : 'list');
+        return typeof sequence === 'string'
+          ? sequence.repeat(times)
+          : Array.from({ length: times }, () => sequence).flat();
+      }
+    }
+
+    if (!isNumber(left) || !isNumber(right)) {
+      return fail('TypeError', `unsupported operand type(s) for ${operator}: '${typeName(left)}' and '${typeName(right)}'`, node);
+    }
+
+    if (isInteger(left) && isInteger(right)) {
+      const a = toBigInt(left);
+      const b = toBigInt(right);
+      switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0n) fail('ZeroDivisionError', 'division by zero', node);
+          return Number(a) / Number(b);
+        case '//':
+          if (b === 0n) fail('ZeroDivisionError', 'integer division or modulo by zero', node);
+          return floorDivide(a, b);
+        case '%':
+          if (b === 0n) fail('ZeroDivisionError', 'integer division or modulo by zero', node);
+          return a - floorDivide(a, b) * b;
+        case '**':
+          if (b < 0n) return Number(a) ** Number(b);
+          if (b > 10000n) fail('MemoryError', 'that number is too big', node);
+          return a ** b;
+        default:
+          break;
+      }
+    }
+
+    const a = Number(left);
+    const b = Number(right);
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+        if (b === 0) fail('ZeroDivisionError', 'float division by zero', node);
+        return a / b;
+      case '//':
+        if (b === 0) fail('ZeroDivisionError', 'float floor division by zero', node);
+        return Math.floor(a / b);
+      case '%':
+        if (b === 0) fail('ZeroDivisionError', 'float modulo', node);
+        return a - Math.floor(a / b) * b;
+      case '**': return a ** b;
+      default:
+        return fail('SyntaxError', `unsupported operator ${operator}`, node);
+    }
+  }
+
+  function unaryOperation(operator, operand, node) {
+    if (operator === 'not') {
+      return !isTruthy(operand);
+    }
+    if (!isNumber(operand)) {
+      return fail('TypeError', `bad operand type for unary ${operator}: '${typeName(operand)}'`, node);
+    }
+    if (isInteger(operand)) {
+      return operator === '-' ? -toBigInt(operand) : toBigInt(operand);
+    }
+    return operator === '-' ? -operand : operand;
+  }
+
+  function compare(operator, left, right, node) {
+    switch (operator) {
+      case '==': return pyEquals(left, right);
+      case '!=': return !pyEquals(left, right);
+      case 'is': return left === right || (left === null && right === null);
+      case 'is not': return !(left === right || (left === null && right === null));
+      case 'in': return contains(right, left, node);
+      case 'not in': return !contains(right, left, node);
+      default: {
+        const order = compareOrder(left, right, node, operator);
+        if (operator === '<') return order < 0;
+        if (operator === '<=') return order <= 0;
+        if (operator === '>') return order > 0;
+        return order >= 0;
+      }
+    }
+  }
+
+  function compareOrder(left, right, node, operator = '<') {
+    if (isNumber(left) && isNumber(right)) {
+      if (isInteger(left) && isInteger(right)) {
+        const a = toBigInt(left);
+        const b = toBigInt(right);
+        return a < b ? -1 : a > b ? 1 : 0;
+      }
+      return Number(left) - Number(right);
+    }
+    if (typeof left === 'string' && typeof right === 'string') {
+      return left < right ? -1 : left > right ? 1 : 0;
+    }
+    if (Array.isArray(left) && Array.isArray(right)) {
+      for (let index = 0; index < Math.min(left.length, right.length); index++) {
+        if (!pyEquals(left[index], right[index])) {
+          return compareOrder(left[index], right[index], node, operator);
+        }
+      }
+      return left.length - right.length;
+    }
+    return fail('TypeError', `'${operator}' not supported between instances of '${typeName(left)}' and '${typeName(right)}'`, node);
+  }
+
+  function contains(container, item, node) {
+    if (typeof container === 'string') {
+      if (typeof item !== 'string') {
+        fail('TypeError', `'in <string>' requires string as left operand, not ${typeName(item)}`, node);
+      }
+      return container.includes(item);
+    }
+    if (container instanceof PyDict) {
+      return container.has(assertHashable(item, node));
+    }
+    return Array.from(iterate(container, node)).some((value) => pyEquals(value, item));
+  }
+
+  function iterate(value, node) {
+    if (Array.isArray(value)) return [...value];
+    if (typeof value === 'string') return Array.from(value);
+    if (value instanceof PyTuple) return value.items;
+    if (value instanceof PyDict) return value.keys();
+    if (value instanceof PyRange) return value;
+    return fail('TypeError', `'${typeName(value)}' object is not iterable`, node);
+  }
+
+  function assertHashable(value, node) {
+    if (Array.isArray(value) || value instanceof PyDict) {
+      fail('TypeError', `unhashable type: '${typeName(value)}'`, node);
+    }
+    return value;
+  }
+
+  /**
+   * Run a Python program in this interpreter's global scope
+   * @param {string} source - Python source code
+   * @returns {void}
+   * @throws {PythonError} Syntax or runtime error raised by the program
+   */
+  function run(source) {
+    const module = parse(source);
+    try {
+      executeBlock(module.body, { locals: null, globalNames: new Set() });
+    } catch (signal) {
+      if (signal instanceof BreakSignal || signal instanceof ContinueSignal) {
+        throw new PythonError('SyntaxError', "'break' or 'continue' outside loop", { line: currentLine });
+      }
+      throw signal;
+    }
+  }
+
+  /**
+   * Evaluate a single expression against the current global scope
+   * @param {string} source - Expression source code
+   * @returns {*} Python value
+   */
+  function evaluateExpression(source) {
+    const expression = parseExpression(source);
+    return evaluate(expression, { locals: null, globalNames: new Set() });
+  }
+
+  /**
+   * Snapshot of user-defined global variables (functions are skipped)
+   * @returns {Object<string, { type: string, value: *, text: string }>} Variables by name
+   */
+  function getVariables() {
+    return describeVariables(globals);
+  }
+
+  return {
+    run,
+    evaluate: evaluateExpression,
+    getOutput: () => output,
+    getVariables,
+    getSteps: () => steps,
+  };
+}
+
+function describeVariables(scope) {
+  const variables = {};
+  for (const [name, value] of scope.entries()) {
+    if (value instanceof PyFunction || value instanceof BuiltinFunction) {
+      continue;
+    }
+    variables[name] = describeValue(value);
+  }
+  return variables;
+}
+
+function createBuiltins({ write, fail }) {
+  const builtins = new Map();
+  const define = (name, implementation) => builtins.set(name, new BuiltinFunction(name, implementation));
+
+  define('print', (args, kwargs) => {
+    const separator = kwargs.has('sep') ? toStr(kwargs.get('sep')) : ' ';
+    const end = kwargs.has('end') ? toStr(kwargs.get('end')) : '\n';
+    write(args.map(toStr).join(separator) + end);
+    return null;
+  });
+  define('len', ([value]) => {
+    if (typeof value === 'string' || Array.isArray(value)) return BigInt(value.length);
+    if (value instanceof PyTuple) return BigInt(value.items.length);
+    if (value instanceof PyDict) return BigInt(value.entries.size);
+    if (value instanceof PyRange) return BigInt(value.length);
+    return fail('TypeError', `object of type '${typeName(value)}' has no len()`);
+  });
+  define('str', ([value = '']) => toStr(value));
+  define('repr', ([value]) => repr(value));
+  define('int', ([value = 0n]) => {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'boolean') return value ? 1n : 0n;
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) fail('ValueError', 'cannot convert float to integer');
+      return BigInt(Math.trunc(value));
+    }
+    if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) return BigInt(value.trim());
+    if (typeof value === 'string') return fail('ValueError', `invalid literal for int() with base 10: ${repr(value)}`);
+    return fail('TypeError', `int() argument must be a string or a number, not '${typeName(value)}'`);
+  });
+  define('float', ([value = 0]) => {
+    if (isNumber(value)) return Number(value);
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    if (typeof value === 'string') return fail('ValueError', `could not convert string to float: ${repr(value)}`);
+    return fail('TypeError', `float() argument must be a string or a number, not '${typeName(value)}'`);
+  });
+  define('bool', ([value = false]) => isTruthy(value));
+  define('abs', ([value]) => {
+    if (typeof value === 'bigint') return value < 0n ? -value : value;
+    if (isNumber(value)) return Math.abs(Number(value));
+    return fail('TypeError', `bad operand type for abs(): '${typeName(value)}'`);
+  });
+  define('round', ([value, digits]) => {
+    if (!isNumber(value)) return fail('TypeError', `type ${typeName(value)} doesn't define __round__ method`);
+    if (digits === undefined || digits === null) {
+      return isInteger(value) ? toBigInt(value) : BigInt(roundHalfEven(Number(value)));
+    }
+    const factor = 10 ** Number(digits);
+    return roundHalfEven(Number(value) * factor) / factor;
+  });
+  define('range', (args) => {
+    if (args.length === 0 || args.length > 3 || !args.every(isInteger)) {
+      return fail('TypeError', 'range() needs 1 to 3 whole numbers');
+    }
+    const values = args.map(toBigInt);
+    const [start, stop, step] = values.length === 1 ? [0n, values[0], 1n] : [values[0], values[1], values[2] ?? 1n];
+    if (step === 0n) fail('ValueError', 'range() arg 3 must not be zero');
+    return new PyRange(start, stop, step);
+  });
+  define('list', ([value]) => (value === undefined ? [] : Array.from(iterableOf(value, fail))));
+  define('tuple', ([value]) => new PyTuple(value === undefined ? [] : Array.from(iterableOf(value, fail))));
+  define('sorted', ([value], kwargs) => {
+    const items = Array.from(iterableOf(value, fail));
+    items.sort((a, b) => {
+      if (isNumber(a) && isNumber(b)) return Number(a) - Number(b);
+      if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+      return fail('TypeError', `'<' not supported between instances of '${typeName(a)}' and '${typeName(b)}'`);
+    });
+    return isTruthy(kwargs.get('reverse') ?? false) ? items.reverse() : items;
+  });
+  define('reversed', ([value]) => Array.from(iterableOf(value, fail)).reverse());
+  define('enumerate', ([value, start = 0n]) => (
+    Array.from(iterableOf(value, fail), (item, index) => new PyTuple([toBigInt(start) + BigInt(index), item]))
+  ));
+  define('sum', ([value, start = 0n]) => Array.from(iterableOf(value, fail)).reduce((total, item) => {
+    if (!isNumber(item)) fail('TypeError', `unsupported operand type(s) for +: 'int' and '${typeName(item)}'`);
+    return isInteger(total) && isInteger(item) ? toBigInt(total) + toBigInt(item) : Number(total) + Number(item);
+  }, start));
+  const extreme = (name, pick) => (args) => {
+    const items = args.length === 1 ? Array.from(iterableOf(args[0], fail)) : args;
+    if (items.length === 0) fail('ValueError', `${name}() arg is an empty sequence`);
+    return items.reduce((best, item) => {
+      const bothNumbers = isNumber(best) && isNumber(item);
+      const bothStrings = typeof best === 'string' && typeof item === 'string';
+      if (!bothNumbers && !bothStrings) {
+        fail('TypeError', `'<' not supported between instances of '${typeName(item)}' and '${typeName(best)}'`);
+      }
+      const itemIsLess = bothNumbers ? Number(item) < Number(best) : item < best;
+      const itemIsGreater = bothNumbers ? Number(item) > Number(best) : item > best;
+      return pick === 'min' ? (itemIsLess ? item : best) : (itemIsGreater ? item : best);
+    });
+  };
+  define('min', extreme('min', 'min'));
+  define('max', extreme('max', 'max'));
+  define('type', ([value]) => `<class '${typeName(value)}'>`);
+  define('input', () => fail('InputError', 'input() is not available in LearnKids exercises. Put the value in a variable instead!'));
+  define('open', () => fail('PermissionError', 'files are not available in LearnKids exercises'));
+
+  return builtins;
+}
+
+function iterableOf(value, fail) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return Array.from(value);
+  if (value instanceof PyTuple) return value.items;
+  if (value instanceof PyDict) return value.keys();
+  if (value instanceof PyRange) return value;
+  return fail('TypeError', `'${typeName(value)}' object is not iterable`);
+}
+
+function roundHalfEven(value) {
+  const floor = Math.floor(value);
+  const difference = value - floor;
+  if (difference > 0.5) return floor + 1;
+  if (difference < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+}
+
+function floorDivide(a, b) {
+  const quotient = a / b;
+  return (a % b !== 0n) && ((a < 0n) !== (b < 0n)) ? quotient - 1n : quotient;
+}
+
+function isInteger(value) {
+  return typeof value === 'bigint' || typeof value === 'boolean';
+}
+
+function isNumber(value) {
+  return isInteger(value) || typeof value === 'number';
+}
+
+function toBigInt(value) {
+  if (typeof value === 'boolean') return value ? 1n : 0n;
+  return value;
+}
+
+function isTruthy(value) {
+  if (value === null || value === false) return false;
+  if (value === 0n || value === 0 || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (value instanceof PyTuple) return value.items.length > 0;
+  if (value instanceof PyDict) return value.entries.size > 0;
+  if (value instanceof PyRange) return value.length > 0;
+  return true;
+}
+
+function pyEquals(left, right) {
+  if (isNumber(left) && isNumber(right)) {
+    if (isInteger(left) && isInteger(right)) return toBigInt(left) === toBigInt(right);
+    return Number(left) === Number(right);
+  }
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, index) => pyEquals(item, right[index]));
+  }
+  if (left instanceof PyTuple && right instanceof PyTuple) {
+    return pyEquals(left.items, right.items);
+  }
+  if (left instanceof PyDict && right instanceof PyDict) {
+    return left.entries.size === right.entries.size
+      && left.keys().every((key) => right.has(key) && pyEquals(left.get(key), right.get(key)));
+  }
+  return left === right;
+}
+
+function hashKey(value) {
+  if (isNumber(value)) {
+    const number = Number(value);
+    return Number.isInteger(number) ? `n:${toBigInt(typeof value === 'number' ? BigInt(number) : value)}` : `n:${number}`;
+  }
+  if (value instanceof PyTuple) return `t:(${value.items.map(hashKey).join(',')})`;
+  return `${typeof value}:${String(value)}`;
+}
+
+/**
+ * Python type name of a runtime value
+ * @param {*} value - Python value
+ * @returns {string} Type name such as "int", "str" or "list"
+ */
+export function typeName(value) {
+  if (value === null) return 'NoneType';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'bigint') return 'int';
+  if (typeof value === 'number') return 'float';
+  if (typeof value === 'string') return 'str';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof PyTuple) return 'tuple';
+  if (value instanceof PyDict) return 'dict';
+  if (value instanceof PyRange) return 'range';
+  if (value instanceof PyFunction || value instanceof BuiltinFunction) return 'function';
+  return 'object';
+}
+
+function formatFloat(value) {
+  if (Number.isNaN(value)) return 'nan';
+  if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+  if (Number.isInteger(value) && Math.abs(value) < 1e16) return value.toFixed(1);
+  return String(value).replace(/e([+-])(\d)$/, 'e$10$2');
+}
+
+/**
+ * Python str() of a runtime value
+ * @param {*} value - Python value
+ * @returns {string} Text as Python would print it
+ */
+export function toStr(value) {
+  return typeof value === 'string' ? value : repr(value);
+}
+
+/**
+ * Python repr() of a runtime value
+ * @param {*} value - Python value
+ * @returns {string} Representation as Python would show it inside a list
+ */
+export function repr(value) {
+  if (value === null) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'number') return formatFloat(value);
+  if (typeof value === 'string') {
+    const quote = value.includes("'") && !value.includes('"') ? '"' : "'";
+    const escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/\t/g, '\\t')
+      .split(quote).join(`\\${quote}`);
+    return `${quote}${escaped}${quote}`;
+  }
+  if (Array.isArray(value)) return `[${value.map(repr).join(', ')}]`;
+  if (value instanceof PyTuple) {
+    return value.items.length === 1 ? `(${repr(value.items[0])},)` : `(${value.items.map(repr).join(', ')})`;
+  }
+  if (value instanceof PyDict) {
+    return `{${Array.from(value.entries.values(), ([key, item]) => `${repr(key)}: ${repr(item)}`).join(', ')}}`;
+  }
+  if (value instanceof PyRange) {
+    return value.step === 1n ? `range(${value.start}, ${value.stop})` : `range(${value.start}, ${value.stop}, ${value.step})`;
+  }
+  if (value instanceof PyFunction || value instanceof BuiltinFunction) return `<function ${value.name}>`;
+  return '<object>';
+}
+
+/**
+ * Convert a Python value to plain JSON data
+ * @param {*} value - Python value
+ * @returns {*} JSON-safe value (large ints become strings)
+ */
+export function toJsonValue(value) {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : formatFloat(value);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value instanceof PyTuple) return value.items.map(toJsonValue);
+  if (value instanceof PyDict) {
+    return Object.fromEntries(Array.from(value.entries.values(), ([key, item]) => [toStr(key), toJsonValue(item)]));
+  }
+  if (value instanceof PyRange) return Array.from(value, (item) => toJsonValue(item));
+  if (value instanceof PyFunction || value instanceof BuiltinFunction) return repr(value);
+  return value;
+}
+
+/**
+ * Describe a Python value for results sent outside the interpreter
+ * @param {*} value - Python value
+ * @returns {{ type: string, value: *, text: string }} Type name, JSON value and str() text
+ */
+export function describeValue(value) {
+  const text = toStr(value);
+  return {
+    type: typeName(value),
+    value: toJsonValue(value),
+    text: text.length > MAX_DESCRIBED_TEXT_LENGTH ? `${text.slice(0, MAX_DESCRIBED_TEXT_LENGTH)}...` : text,
+  };
+}
@@ -0,0 +1,756 @@
+/**
+ * Recursive-descent parser for the beginner Python subset used in LearnKids lessons
+ * Supports assignments, arithmetic, strings (including simple f-strings), lists,
+ * tuples, dicts, if/elif/else, while and for loops, and functions.
+ * Valid Python outside that subset (classes, try/except, lambda, :=, comprehensions...)
+ * raises a SyntaxError with kind 'unsupported', so it is never explained as a mistake.
+ */
+
+import { PythonError } from './pythonErrors.js';
+import { tokenize } from './pythonTokenizer.js';
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+const AUGMENTED_OPERATORS = new Set(['+=', '-=', '*=', '/=', '//=', '%=', '**=']);
+
+// Tokens that only appear in Python the interpreter does not run
+const UNSUPPORTED_KEYWORDS = new Set([
+  'assert', 'async', 'await', 'class', 'del', 'except', 'finally', 'lambda', 'nonlocal',
+  'raise', 'try', 'with', 'yield',
+]);
+const UNSUPPORTED_OPERATORS = new Set([
+  ':=', '&', '|', '^', '~', '<<', '>>', '@', '&=', '|=', '^=', '<<=', '>>=', '@=', '->', '*', '**',
+]);
+
+/**
+ * Parse Python source code into a module AST
+ * @param {string} source - Python source code
+ * @returns {{ type: 'Module', body: Array<Object> }} Module node
+ * @throws {PythonError} SyntaxError or IndentationError with line and column
+ */
+export function parse(source) {
+  const parser = new Parser(tokenize(source));
+  return parser.parseModule();
+}
+
+/**
+ * Parse a single Python expression (used for test-case calls)
+ * @param {string} source - Expression source code
+ * @returns {Object} Expression node
+ * @throws {PythonError} SyntaxError when the source is not a single expression
+ */
+export function parseExpression(source) {
+  const parser = new Parser(tokenize(source));
+  const expression = parser.parseExpressionList();
+  parser.skipNewlines();
+  parser.expect('EOF');
+  return expression;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  advance() {
+    const token = this.current;
+    if (token.type !== 'EOF') {
+      this.index++;
+    }
+    return token;
+  }
+
+  check(type, value) {
+    const token = this.current;
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  match(type, value) {
+    if (this.check(type, value)) {
+      return this.advance();
+    }
+    return null;
+  }
+
+  expect(type, value, kind = 'invalid-syntax') {
+    if (this.check(type, value)) {
+      return this.advance();
+    }
+    const token = this.current;
+    if (type === 'INDENT') {
+      throw new PythonError('IndentationError', 'expected an indented block', {
+        line: token.line,
+        column: token.column,
+        kind: 'expected-indent',
+      });
+    }
+    const expected = value ? `'${value}'` : type.toLowerCase();
+    throw this.error(`expected ${expected}`, token, kind);
+  }
+
+  error(message, token = this.current, kind = 'invalid-syntax') {
+    if (token.type === 'INDENT') {
+      return new PythonError('IndentationError', 'unexpected indent', {
+        line: token.line,
+        column: token.column,
+        kind: 'unexpected-indent',
+      });
+    }
+    if (token.type === 'KEYWORD' && token.value === 'for') {
+      return this.unsupported('comprehensions are not supported in LearnKids yet', token);
+    }
+    if ((token.type === 'KEYWORD' && UNSUPPORTED_KEYWORDS.has(token.value))
+      || (token.type === 'OP' && UNSUPPORTED_OPERATORS.has(token.value))) {
+      return this.unsupported(`'${token.value}' is not supported in LearnKids yet`, token);
+    }
+    return new PythonError('SyntaxError', message, { line: token.line, column: token.column, kind });
+  }
+
+  unsupported(message, token = this.current) {
+    return new PythonError('SyntaxError', message, { line: token.line, column: token.column, kind: 'unsupported' });
+  }
+
+  skipNewlines() {
+    while (this.match('NEWLINE'));
+  }
+
+  parseModule() {
+    const body = [];
+    this.skipNewlines();
+    while (!this.check('EOF')) {
+      body.push(...this.parseStatement());
+      this.skipNewlines();
+    }
+    return { type: 'Module', body };
+  }
+
+  parseStatement() {
+    const token = this.current;
+    if (token.type === 'KEYWORD') {
+      switch (token.value) {
+        case 'def':
+          return [this.parseFunctionDef()];
+        case 'if':
+          return [this.parseIf()];
+        case 'while':
+          return [this.parseWhile()];
+        case 'for':
+          return [this.parseFor()];
+        default:
+          break;
+      }
+    }
+    return this.parseSimpleStatements();
+  }
+
+  parseSimpleStatements() {
+    const statements = [this.parseSmallStatement()];
+    while (this.match('OP', ';')) {
+      if (this.check('NEWLINE') || this.check('EOF')) {
+        break;
+      }
+      statements.push(this.parseSmallStatement());
+    }
+    if (!this.check('EOF') && !this.check('DEDENT')) {
+      if (!this.check('NEWLINE')) {
+        throw this.error('invalid syntax');
+      }
+      this.advance();
+    }
+    return statements;
+  }
+
+  parseSmallStatement() {
+    const token = this.current;
+    const line = token.line;
+
+    // `match` is only a keyword at the start of a match statement
+    if (token.type === 'NAME' && token.value === 'match' && ['NAME', 'NUMBER', 'STRING'].includes(this.peek().type)) {
+      throw this.unsupported('match statements are not supported in LearnKids yet', token);
+    }
+
+    if (token.type === 'KEYWORD') {
+      switch (token.value) {
+        case 'pass':
+          this.advance();
+          return { type: 'Pass', line };
+        case 'break':
+          this.advance();
+          return { type: 'Break', line };
+        case 'continue':
+          this.advance();
+          return { type: 'Continue', line };
+        case 'return': {
+          this.advance();
+          const value = this.isStatementEnd() ? null : this.parseExpressionList();
+          return { type: 'Return', value, line };
+        }
+        case 'global': {
+          this.advance();
+          const names = [this.expect('NAME').value];
+          while (this.match('OP', ',')) {
+            names.push(this.expect('NAME').value);
+          }
+          return { type: 'Global', names, line };
+        }
+        case 'import':
+        case 'from': {
+          this.advance();
+          const module = this.expect('NAME').value;
+          while (!this.isStatementEnd()) {
+            this.advance();
+          }
+          return { type: 'Import', module, line };
+        }
+        default:
+          break;
+      }
+    }
+
+    const expression = this.parseExpressionList();
+
+    if (this.check('OP', ':') && ['Name', 'Attribute', 'Subscript'].includes(expression.type)
+      && !['NEWLINE', 'EOF'].includes(this.peek().type)) {
+      throw this.unsupported('type annotations are not supported in LearnKids yet');
+    }
+
+    if (this.check('OP', '=')) {
+      const targets = [expression];
+      let value;
+      while (this.match('OP', '=')) {
+        value = this.parseExpressionList();
+        targets.push(value);
+      }
+      targets.pop();
+      targets.forEach((target) => this.assertAssignable(target));
+      return { type: 'Assign', targets, value, line };
+    }
+
+    if (this.current.type === 'OP' && AUGMENTED_OPERATORS.has(this.current.value)) {
+      const operator = this.advance().value.slice(0, -1);
+      this.assertAssignable(expression);
+      const value = this.parseExpressionList();
+      return { type: 'AugAssign', target: expression, operator, value, line };
+    }
+
+    return { type: 'Expr', value: expression, line };
+  }
+
+  isStatementEnd() {
+    return this.check('NEWLINE') || this.check('EOF') || this.check('OP', ';') || this.check('DEDENT');
+  }
+
+  assertAssignable(node) {
+    if (node.type === 'Name' || node.type === 'Subscript') {
+      return;
+    }
+    if ((node.type === 'Tuple' || node.type === 'List') && node.elements.length > 0) {
+      node.elements.forEach((element) => this.assertAssignable(element));
+      return;
+    }
+    const description = node.type === 'Call' ? 'function call' : 'expression';
+    throw new PythonError('SyntaxError', `cannot assign to ${description}`, {
+      line: node.line,
+      column: node.column,
+      kind: 'invalid-assignment',
+    });
+  }
+
+  parseBlock() {
+    this.expect('OP', ':', 'missing-colon');
+    if (!this.check('NEWLINE')) {
+      return this.parseSimpleStatements();
+    }
+    this.advance();
+    this.expect('INDENT');
+    const body = [];
+    while (!this.check('DEDENT') && !this.check('EOF')) {
+      body.push(...this.parseStatement());
+      this.skipNewlines();
+    }
+    this.match('DEDENT');
+    return body;
+  }
+
+  parseFunctionDef() {
+    const line = this.advance().line;
+    const name = this.expect('NAME').value;
+    this.expect('OP', '(');
+    const params = [];
+    while (!this.check('OP', ')')) {
+      const paramName = this.expect('NAME').value;
+      if (this.check('OP', ':')) {
+        throw this.unsupported('type annotations are not supported in LearnKids yet');
+      }
+      let defaultValue = null;
+      if (this.match('OP', '=')) {
+        defaultValue = this.parseExpression();
+      }
+      params.push({ name: paramName, default: defaultValue });
+      if (!this.match('OP', ',')) {
+        break;
+      }
+    }
+    this.expect('OP', ')');
+    const body = this.parseBlock();
+    return { type: 'FunctionDef', name, params, body, line };
+  }
+
+  parseIf() {
+    const line = this.advance().line;
+    const test = this.parseExpression();
+    const body = this.parseBlock();
+    let orelse = [];
+    if (this.check('KEYWORD', 'elif')) {
+      orelse = [this.parseIf()];
+    } else if (this.match('KEYWORD', 'else')) {
+      orelse = this.parseBlock();
+    }
+    return { type: 'If', test, body, orelse, line };
+  }
+
+  parseWhile() {
+    const line = this.advance().line;
+    const test = this.parseExpression();
+    const body = this.parseBlock();
+    this.rejectLoopElse();
+    return { type: 'While', test, body, line };
+  }
+
+  parseFor() {
+    const line = this.advance().line;
+    const targets = [this.parseTarget()];
+    while (this.match('OP', ',')) {
+      targets.push(this.parseTarget());
+    }
+    const target = targets.length === 1
+      ? targets[0]
+      : { type: 'Tuple', elements: targets, line: targets[0].line, column: targets[0].column };
+    this.expect('KEYWORD', 'in');
+    const iter = this.parseExpressionList();
+    const body = this.parseBlock();
+    this.rejectLoopElse();
+    return { type: 'For', target, iter, body, line };
+  }
+
+  rejectLoopElse() {
+    if (this.check('KEYWORD', 'else')) {
+      throw this.unsupported('else after a loop is not supported in LearnKids yet');
+    }
+  }
+
+  parseTarget() {
+    const token = this.expect('NAME');
+    return { type: 'Name', id: token.value, line: token.line, column: token.column };
+  }
+
+  parseExpressionList() {
+    const first = this.parseExpression();
+    if (!this.check('OP', ',')) {
+      return first;
+    }
+    const elements = [first];
+    while (this.match('OP', ',')) {
+      if (this.isStatementEnd() || this.check('OP', '=') || this.check('OP', ')')) {
+        break;
+      }
+      elements.push(this.parseExpression());
+    }
+    return { type: 'Tuple', elements, line: first.line, column: first.column };
+  }
+
+  parseExpression() {
+    const body = this.parseOr();
+    if (this.check('KEYWORD', 'if')) {
+      this.advance();
+      const test = this.parseOr();
+      this.expect('KEYWORD', 'else');
+      const orelse = this.parseExpression();
+      return { type: 'IfExp', test, body, orelse, line: body.line, column: body.column };
+    }
+    return body;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.check('KEYWORD', 'or')) {
+      this.advance();
+      const right = this.parseAnd();
+      left = { type: 'BoolOp', operator: 'or', left, right, line: left.line, column: left.column };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.check('KEYWORD', 'and')) {
+      this.advance();
+      const right = this.parseNot();
+      left = { type: 'BoolOp', operator: 'and', left, right, line: left.line, column: left.column };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.check('KEYWORD', 'not')) {
+      const token = this.advance();
+      const operand = this.parseNot();
+      return { type: 'UnaryOp', operator: 'not', operand, line: token.line, column: token.column };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseArithmetic();
+    const operators = [];
+    const comparators = [];
+
+    while (true) {
+      let operator = null;
+      if (this.current.type === 'OP' && COMPARISON_OPERATORS.has(this.current.value)) {
+        operator = this.advance().value;
+      } else if (this.check('KEYWORD', 'in')) {
+        this.advance();
+        operator = 'in';
+      } else if (this.check('KEYWORD', 'not') && this.peek().type === 'KEYWORD' && this.peek().value === 'in') {
+        this.advance();
+        this.advance();
+        operator = 'not in';
+      } else if (this.check('KEYWORD', 'is')) {
+        this.advance();
+        operator = this.match('KEYWORD', 'not') ? 'is not' : 'is';
+      }
+      if (!operator) {
+        break;
+      }
+      operators.push(operator);
+      comparators.push(this.parseArithmetic());
+    }
+
+    if (operators.length === 0) {
+      return left;
+    }
+    return { type: 'Compare', left, operators, comparators, line: left.line, column: left.column };
+  }
+
+  parseArithmetic() {
+    let left = this.parseTerm();
+    while (this.check('OP', '+') || this.check('OP', '-')) {
+      const operator = this.advance().value;
+      const right = this.parseTerm();
+      left = { type: 'BinOp', operator, left, right, line: left.line, column: left.column };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseFactor();
+    while (['*', '/', '//', '%'].some((op) => this.check('OP', op))) {
+      const operator = this.advance().value;
+      const right = this.parseFactor();
+      left = { type: 'BinOp', operator, left, right, line: left.line, column: left.column };
+    }
+    return left;
+  }
+
+  parseFactor() {
+    if (this.check('OP', '-') || this.check('OP', '+')) {
+      const token = this.advance();
+      const operand = this.parseFactor();
+      return { type: 'UnaryOp', operator: token.value, operand, line: token.line, column: token.column };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.match('OP', '**')) {
+      const exponent = this.parseFactor();
+      return { type: 'BinOp', operator: '**', left: base, right: exponent, line: base.line, column: base.column };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    let node = this.parseAtom();
+
+    while (true) {
+      if (this.check('OP', '(')) {
+        const token = this.advance();
+        const { args, keywords } = this.parseCallArguments();
+        node = { type: 'Call', func: node, args, keywords, line: token.line, column: node.column };
+      } else if (this.check('OP', '[')) {
+        const token = this.advance();
+        const index = this.parseSubscriptIndex();
+        this.expect('OP', ']');
+        node = { type: 'Subscript', value: node, index, line: token.line, column: node.column };
+      } else if (this.check('OP', '.')) {
+        this.advance();
+        const attribute = this.expect('NAME');
+        node = { type: 'Attribute', value: node, attr: attribute.value, line: attribute.line, column: node.column };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseCallArguments() {
+    const args = [];
+    const keywords = [];
+    while (!this.check('OP', ')')) {
+      if (this.check('NAME') && this.peek().type === 'OP' && this.peek().value === '=') {
+        const name = this.advance().value;
+        this.advance();
+        keywords.push({ name, value: this.parseExpression() });
+      } else {
+        if (keywords.length > 0) {
+          throw this.error('positional argument follows keyword argument');
+        }
+        args.push(this.parseExpression());
+      }
+      if (!this.match('OP', ',')) {
+        break;
+      }
+    }
+    this.expect('OP', ')');
+    return { args, keywords };
+  }
+
+  parseSubscriptIndex() {
+    const token = this.current;
+    let start = null;
+    if (!this.check('OP', ':')) {
+      start = this.parseExpression();
+      if (!this.check('OP', ':')) {
+        return start;
+      }
+    }
+    this.advance();
+    const stop = this.check('OP', ']') || this.check('OP', ':') ? null : this.parseExpression();
+    let step = null;
+    if (this.match('OP', ':') && !this.check('OP', ']')) {
+      step = this.parseExpression();
+    }
+    return { type: 'Slice', start, stop, step, line: token.line, column: token.column };
+  }
+
+  parseAtom() {
+    const token = this.current;
+    const location = { line: token.line, column: token.column };
+
+    switch (token.type) {
+      case 'NAME':
+        this.advance();
+        return { type: 'Name', id: token.value, ...location };
+      case 'NUMBER': {
+        this.advance();
+        const isFloat = /[.eE]/.test(token.value);
+        return { type: 'Constant', value: isFloat ? Number(token.value) : BigInt(token.value), ...location };
+      }
+      case 'STRING':
+        return this.parseStrings();
+      case 'KEYWORD':
+        if (token.value === 'True' || token.value === 'False') {
+          this.advance();
+          return { type: 'Constant', value: token.value === 'True', ...location };
+        }
+        if (token.value === 'None') {
+          this.advance();
+          return { type: 'Constant', value: null, ...location };
+        }
+        break;
+      case 'OP':
+        if (token.value === '(') {
+          this.advance();
+          if (this.match('OP', ')')) {
+            return { type: 'Tuple', elements: [], ...location };
+          }
+          const inner = this.parseExpression();
+          if (this.match('OP', ')')) {
+            return inner;
+          }
+          const elements = [inner];
+          while (this.match('OP', ',')) {
+            if (this.check('OP', ')')) {
+              break;
+            }
+            elements.push(this.parseExpression());
+          }
+          this.expect('OP', ')');
+          return { type: 'Tuple', elements, ...location };
+        }
+        if (token.value === '[') {
+          this.advance();
+          const elements = [];
+          while (!this.check('OP', ']')) {
+            elements.push(this.parseExpression());
+            if (this.check('KEYWORD', 'for')) {
+              throw this.unsupported('list comprehensions are not supported in LearnKids yet');
+            }
+            if (!this.match('OP', ',')) {
+              break;
+            }
+          }
+          this.expect('OP', ']');
+          return { type: 'List', elements, ...location };
+        }
+        if (token.value === '{') {
+          this.advance();
+          const keys = [];
+          const values = [];
+          while (!this.check('OP', '}')) {
+            keys.push(this.parseExpression());
+            if (keys.length === 1 && (this.check('OP', ',') || this.check('OP', '}'))) {
+              throw this.unsupported('sets are not supported in LearnKids yet');
+            }
+            this.expect('OP', ':');
+            values.push(this.parseExpression());
+            if (!this.match('OP', ',')) {
+              break;
+            }
+          }
+          this.expect('OP', '}');
+          return { type: 'Dict', keys, values, ...location };
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (token.type === 'EOF' || token.type === 'NEWLINE') {
+      throw this.error('invalid syntax', token, 'unexpected-end');
+    }
+    throw this.error('invalid syntax', token);
+  }
+
+  parseStrings() {
+    const first = this.current;
+    const parts = [];
+    while (this.check('STRING')) {
+      const token = this.advance();
+      if (token.fstring) {
+        parts.push(...parseFormattedString(token));
+      } else {
+        parts.push({ type: 'Constant', value: token.value, line: token.line, column: token.column });
+      }
+    }
+    if (parts.length === 1 && parts[0].type === 'Constant') {
+      return { ...parts[0], line: first.line, column: first.column };
+    }
+    return { type: 'JoinedStr', parts, line: first.line, column: first.column };
+  }
+}
+
+function parseFormattedString(token) {
+  const parts = [];
+  const text = token.value;
+  let literal = '';
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+    if (char === '{' && text[position + 1] === '{') {
+      literal += '{';
+      position += 2;
+      continue;
+    }
+    if (char === '}' && text[position + 1] === '}') {
+      literal += '}';
+      position += 2;
+      continue;
+    }
+    if (char === '}') {
+      throw new PythonError('SyntaxError', "f-string: single '}' is not allowed", {
+        line: token.line,
+        column: token.column,
+        kind: 'invalid-syntax',
+      });
+    }
+    if (char === '{') {
+      const end = text.indexOf('}', position);
+      if (end === -1) {
+        throw new PythonError('SyntaxError', "f-string: expecting '}'", {
+          line: token.line,
+          column: token.column,
+          kind: 'invalid-syntax',
+        });
+      }
+      if (literal) {
+        parts.push({ type: 'Constant', value: literal, line: token.line, column: token.column });
+        literal = '';
+      }
+      const expressionSource = text.slice(position + 1, end).trim();
+      if (hasFormatSpec(expressionSource)) {
+        throw new PythonError('SyntaxError', 'format specs in f-strings are not supported in LearnKids yet', {
+          line: token.line,
+          column: token.column,
+          kind: 'unsupported',
+        });
+      }
+      if (!expressionSource) {
+        throw new PythonError('SyntaxError', 'f-string: empty expression not allowed', {
+          line: token.line,
+          column: token.column,
+          kind: 'invalid-syntax',
+        });
+      }
+      const expression = withLocation(parseExpression(expressionSource), token);
+      parts.push({ type: 'FormattedValue', value: expression, line: token.line, column: token.column });
+      position = end + 1;
+      continue;
+    }
+    literal += char;
+    position++;
+  }
+
+  if (literal) {
+    parts.push({ type: 'Constant', value: literal, line: token.line, column: token.column });
+  }
+  return parts;
+}
+
+// `{value:.2f}`, `{value!r}` and `{value=}` outside any brackets or quotes
+function hasFormatSpec(source) {
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (depth === 0) {
+      if (char === ':' || (char === '!' && source[index + 1] !== '=')) return true;
+      if (char === '=' && index === source.length - 1 && !'=!<>'.includes(source[index - 1])) return true;
+    }
+  }
+  return false;
+}
+
+function withLocation(node, token) {
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => withLocation(item, token));
+    } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+      withLocation(value, token);
+    }
+  }
+  node.line = token.line;
+  node.column = token.column;
+  return node;
+}
@@ -0,0 +1,269 @@
+/**
+ * Tokenizer for the beginner Python subset used in LearnKids lessons
+ * Produces NAME, KEYWORD, NUMBER, STRING, OP, NEWLINE, INDENT, DEDENT and EOF tokens.
+ * Lines and columns are 1-based, like Python's own error messages.
+ */
+
+import { PythonError } from './pythonErrors.js';
+
+// Includes the keywords of constructs LearnKids does not run yet (class, try, lambda...),
+// so the parser can tell them apart from mistakes
+export const KEYWORDS = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import',
+  'in', 'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return',
+  'True', 'try', 'while', 'with', 'yield',
+]);
+
+const OPERATORS = [
+  '**=', '//=', '<<=', '>>=', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=',
+  '^=', '@=', '**', '//', '<<', '>>', '->', ':=',
+  '+', '-', '*', '/', '%', '<', '>', '=', '&', '|', '^', '~', '@',
+  '(', ')', '[', ']', '{', '}', ',', ':', '.', ';',
+];
+
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+const NUMBER_PATTERN = /^(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?/;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const STRING_PREFIX_PATTERN = /^([fFrR]{0,2})(['"])/;
+const INDENT_TAB_SIZE = 8;
+
+/**
+ * Split Python source code into tokens
+ * @param {string} source - Python source code
+ * @returns {Array<{ type: string, value: string, line: number, column: number, endColumn?: number }>} Tokens
+ * @throws {PythonError} SyntaxError or IndentationError with line and column
+ */
+export function tokenize(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const tokens = [];
+  const indentStack = [0];
+  const brackets = [];
+
+  let joiningLine = false;
+  let lineIndex = 0;
+  while (lineIndex < lines.length) {
+    const lineNumber = lineIndex + 1;
+    let line = lines[lineIndex];
+    let position = 0;
+
+    if (brackets.length === 0 && !joiningLine) {
+      const indentMatch = line.match(/^[ \t]*/)[0];
+      const rest = line.slice(indentMatch.length);
+      if (rest.length === 0 || rest.startsWith('#')) {
+        lineIndex++;
+        continue;
+      }
+
+      const width = measureIndent(indentMatch);
+      const current = indentStack[indentStack.length - 1];
+      if (width > current) {
+        indentStack.push(width);
+        tokens.push({ type: 'INDENT', value: indentMatch, line: lineNumber, column: 1 });
+      } else if (width < current) {
+        while (indentStack[indentStack.length - 1] > width) {
+          indentStack.pop();
+          tokens.push({ type: 'DEDENT', value: '', line: lineNumber, column: 1 });
+        }
+        if (indentStack[indentStack.length - 1] !== width) {
+          throw new PythonError('IndentationError', 'unindent does not match any outer indentation level', {
+            line: lineNumber,
+            column: indentMatch.length + 1,
+            kind: 'inconsistent-dedent',
+          });
+        }
+      }
+      position = indentMatch.length;
+    }
+
+    let continued = false;
+    while (position < line.length) {
+      const char = line[position];
+      const column = position + 1;
+
+      if (char === ' ' || char === '\t') {
+        position++;
+        continue;
+      }
+
+      if (char === '#') {
+        break;
+      }
+
+      if (char === '\\' && position === line.length - 1) {
+        continued = true;
+        break;
+      }
+
+      const stringStart = line.slice(position).match(STRING_PREFIX_PATTERN);
+      if (stringStart) {
+        const result = readString(lines, lineIndex, position, stringStart[1], stringStart[2]);
+        tokens.push({
+          type: 'STRING',
+          value: result.value,
+          raw: result.raw,
+          fstring: /f/i.test(stringStart[1]),
+          line: lineNumber,
+          column,
+        });
+        lineIndex = result.lineIndex;
+        line = lines[lineIndex];
+        position = result.position;
+        continue;
+      }
+
+      const numberMatch = /[0-9.]/.test(char) ? line.slice(position).match(NUMBER_PATTERN) : null;
+      if (numberMatch && numberMatch[0] !== '.') {
+        tokens.push({ type: 'NUMBER', value: numberMatch[0].replace(/_/g, ''), line: lineNumber, column });
+        position += numberMatch[0].length;
+        continue;
+      }
+
+      const nameMatch = line.slice(position).match(NAME_PATTERN);
+      if (nameMatch) {
+        const value = nameMatch[0];
+        tokens.push({ type: KEYWORDS.has(value) ? 'KEYWORD' : 'NAME', value, line: lineNumber, column });
+        position += value.length;
+        continue;
+      }
+
+      const operator = OPERATORS.find((op) => line.startsWith(op, position));
+      if (operator) {
+        if (OPENING_BRACKETS[operator]) {
+          brackets.push({ char: operator, line: lineNumber, column });
+        } else if (CLOSING_BRACKETS[operator]) {
+          const opener = brackets.pop();
+          if (!opener) {
+            throw new PythonError('SyntaxError', `unmatched '${operator}'`, {
+              line: lineNumber,
+              column,
+              kind: 'unmatched-bracket',
+            });
+          }
+          if (opener.char !== CLOSING_BRACKETS[operator]) {
+            throw new PythonError(
+              'SyntaxError',
+              `closing parenthesis '${operator}' does not match opening parenthesis '${opener.char}'`,
+              { line: lineNumber, column, kind: 'mismatched-bracket' }
+            );
+          }
+        }
+        tokens.push({ type: 'OP', value: operator, line: lineNumber, column });
+        position += operator.length;
+        continue;
+      }
+
+      throw new PythonError('SyntaxError', `invalid character '${char}'`, {
+        line: lineNumber,
+        column,
+        kind: 'invalid-character',
+      });
+    }
+
+    if (brackets.length === 0 && !continued) {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type !== 'NEWLINE' && last.type !== 'INDENT' && last.type !== 'DEDENT') {
+        tokens.push({ type: 'NEWLINE', value: '\n', line: lineNumber, column: line.length + 1 });
+      }
+    }
+    joiningLine = continued;
+    lineIndex++;
+  }
+
+  if (brackets.length > 0) {
+    const opener = brackets[brackets.length - 1];
+    throw new PythonError('SyntaxError', `'${opener.char}' was never closed`, {
+      line: opener.line,
+      column: opener.column,
+      kind: 'unclosed-bracket',
+    });
+  }
+
+  const lastLine = lines.length;
+  while (indentStack.length > 1) {
+    indentStack.pop();
+    tokens.push({ type: 'DEDENT', value: '', line: lastLine, column: 1 });
+  }
+  tokens.push({ type: 'EOF', value: '', line: lastLine, column: 1 });
+  return tokens;
+}
+
+function measureIndent(whitespace) {
+  let width = 0;
+  for (const char of whitespace) {
+    width = char === '\t' ? (Math.floor(width / INDENT_TAB_SIZE) + 1) * INDENT_TAB_SIZE : width + 1;
+  }
+  return width;
+}
+
+function readString(lines, startLineIndex, startPosition, prefix, quote) {
+  const isRaw = /r/i.test(prefix);
+  let lineIndex = startLineIndex;
+  let line = lines[lineIndex];
+  let position = startPosition + prefix.length;
+  const triple = line.startsWith(quote.repeat(3), position);
+  const delimiter = triple ? quote.repeat(3) : quote;
+  position += delimiter.length;
+
+  let value = '';
+  let raw = '';
+  while (true) {
+    if (position >= line.length) {
+      if (!triple || lineIndex + 1 >= lines.length) {
+        throw new PythonError('SyntaxError', triple
+          ? 'unterminated triple-quoted string literal'
+          : 'unterminated string literal', {
+          line: startLineIndex + 1,
+          column: startPosition + 1,
+          kind: 'unterminated-string',
+        });
+      }
+      value += '\n';
+      raw += '\n';
+      lineIndex++;
+      line = lines[lineIndex];
+      position = 0;
+      continue;
+    }
+
+    if (line.startsWith(delimiter, position)) {
+      return { value, raw, lineIndex, position: position + delimiter.length };
+    }
+
+    const char = line[position];
+    if (char === '\\' && !isRaw) {
+      if (position + 1 >= line.length) {
+        // Backslash at end of line continues the string on the next line
+        if (lineIndex + 1 >= lines.length) {
+          position++;
+          continue;
+        }
+        lineIndex++;
+        line = lines[lineIndex];
+        position = 0;
+        continue;
+      }
+      const next = line[position + 1];
+      value += ESCAPES[next] ?? `\\${next}`;
+      raw += `\\${next}`;
+      position += 2;
+      continue;
+    }
+
+    value += char;
+    raw += char;
+    position++;
+  }
+}
+
+const ESCAPES = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  '\\': '\\',
+  "'": "'",
+  '"': '"',
+  '0': '\0',
+};
@@ -0,0 +1,343 @@
+/**
+ * Minimal Redis client (RESP2 over TCP)
+ *
+ * Just enough of the protocol for the shared session backend: plain commands
+ * with a FIFO reply queue, plus a separate subscriber connection for pub/sub.
+ * Works with Redis, Valkey, Memorystore and anything else that speaks RESP.
+ */
+
+import net from 'node:net';
+
+const CRLF = '\r\n';
+
+/**
+ * Error reply from the server (e.g. "-ERR unknown command")
+ */
+export class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number|Buffer>} args - Command name and arguments
+ * @returns {Buffer} Bytes to write to the socket
+ */
+export function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}${CRLF}`)];
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}${CRLF}`), value, Buffer.from(CRLF));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse one RESP reply from the start of a buffer
+ * Bulk strings are returned as UTF-8 strings and error replies as RedisReplyError.
+ * @param {Buffer} buffer - Bytes received so far
+ * @param {number} [offset] - Where the reply starts
+ * @returns {{ value: *, offset: number }|null} Reply and the offset after it, or null when incomplete
+ */
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Create a Redis client
+ * Connects lazily on the first command and again after the connection drops.
+ * @param {Object} [options]
+ * @param {string} [options.url] - redis://[:password@]host[:port][/db]
+ * @param {number} [options.connectTimeoutMs] - Give up connecting after this long
+ * @returns {Object} Client with command, subscribe and quit
+ */
+export function createRedisClient({ url = 'redis://localhost:6379', connectTimeoutMs = 5000 } = {}) {
+  const target = parseRedisUrl(url);
+  const commands = createConnection(target, { connectTimeoutMs });
+  let subscriber = null;
+  const handlers = new Map();
+
+  function onPush(reply) {
+    // Subscriber connections push ["message", channel, payload]
+    if (Array.isArray(reply) && reply[0] === 'message') {
+      for (const handler of handlers.get(reply[1]) || []) {
+        try {
+          handler(reply[2]);
+        } catch (error) {
+          console.error(`[Redis] Subscriber for ${reply[1]} failed:`, error);
+        }
+      }
+      return true;
+    }
+    return false;
+  }
+
+  function getSubscriber() {
+    if (!subscriber) {
+      subscriber = createConnection(target, {
+        connectTimeoutMs,
+        onPush,
+        // Subscriptions belong to the connection, so a new one has to make them again
+        onReconnect: (connection) => Promise.all(
+          Array.from(handlers.keys()).map((channel) => connection.send(['SUBSCRIBE', channel])),
+        ),
+      });
+    }
+    return subscriber;
+  }
+
+  return {
+    /**
+     * Run a command
+     * @param {Array<string|number>} args - e.g. ['SET', 'key', 'value', 'PX', 1000]
+     * @returns {Promise<*>} Reply
+     */
+    command(args) {
+      return commands.send(args);
+    },
+
+    /**
+     * Listen to a pub/sub channel
+     * @param {string} channel - Channel name
+     * @param {(message: string) => void} handler - Called for every message
+     * @returns {Promise<() => Promise<void>>} Unsubscribe function
+     */
+    async subscribe(channel, handler) {
+      const connection = getSubscriber();
+      const channelHandlers = handlers.get(channel) || new Set();
+      const isNew = channelHandlers.size === 0;
+      channelHandlers.add(handler);
+      handlers.set(channel, channelHandlers);
+      if (isNew) {
+        await connection.send(['SUBSCRIBE', channel]);
+      }
+
+      return async () => {
+        channelHandlers.delete(handler);
+        if (channelHandlers.size === 0 && handlers.get(channel) === channelHandlers) {
+          handlers.delete(channel);
+          await connection.send(['UNSUBSCRIBE', channel]);
+        }
+      };
+    },
+
+    /**
+     * Close both connections
+     * @returns {Promise<void>}
+     */
+    async quit() {
+      handlers.clear();
+      await Promise.all([commands.close(), subscriber?.close()]);
+    },
+  };
+}
+
+/**
+ * Split a redis:// URL into connection settings
+ * @param {string} url - redis://[[user]:password@]host[:port][/db]
+ * @returns {{ host: string, port: number, username: string|null, password: string|null, db: number }}
+ */
+export function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:') {
+    throw new Error(`Unsupported Redis URL "${url}" (only redis:// is supported)`);
+  }
+  const db = Number(parsed.pathname.replace(/^\//, '') || 0);
+  return {
+    host: parsed.hostname || 'localhost',
+    port: Number(parsed.port || 6379),
+    username: parsed.username ? decodeURIComponent(parsed.username) : null,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: Number.isInteger(db) ? db : 0,
+  };
+}
+
+// One socket with a FIFO of pending replies; replies the onPush hook claims are not matched to a command.
+// Connections with onReconnect (subscribers) reconnect by themselves, since no command would trigger it.
+function createConnection(target, { connectTimeoutMs, onPush = () => false, onReconnect = null, reconnectDelayMs = 1000 }) {
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let connectedBefore = false;
+  let closed = false;
+
+  function failPending(error) {
+    const failed = pending;
+    pending = [];
+    for (const { reject } of failed) {
+      reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let parsed;
+    try {
+      while ((parsed = parseReply(buffer)) !== null) {
+        buffer = buffer.subarray(parsed.offset);
+        if (onPush(parsed.value)) {
+          continue;
+        }
+        const waiting = pending.shift();
+        if (!waiting) {
+          continue;
+        }
+        if (parsed.value instanceof RedisReplyError) {
+          waiting.reject(parsed.value);
+        } else {
+          waiting.resolve(parsed.value);
+        }
+      }
+    } catch (error) {
+      socket.destroy(error);
+    }
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) {
+      return ready;
+    }
+    ready = new Promise((resolve, reject) => {
+      const current = net.createConnection({ host: target.host, port: target.port });
+      socket = current;
+      buffer = Buffer.alloc(0);
+      current.setTimeout(connectTimeoutMs, () => {
+        current.destroy(new Error(`Timed out connecting to Redis at ${target.host}:${target.port}`));
+      });
+      current.on('data', onData);
+      current.on('error', (error) => {
+        reject(error);
+        failPending(error);
+      });
+      current.on('close', () => {
+        if (socket === current) {
+          ready = null;
+          socket = null;
+        }
+        failPending(new Error('Redis connection closed'));
+        if (onReconnect && connectedBefore && !closed) {
+          scheduleReconnect();
+        }
+      });
+      current.once('connect', async () => {
+        current.setTimeout(0);
+        try {
+          if (target.password) {
+            await write(target.username ? ['AUTH', target.username, target.password] : ['AUTH', target.password]);
+          }
+          if (target.db) {
+            await write(['SELECT', target.db]);
+          }
+          if (connectedBefore && onReconnect) {
+            await onReconnect({ send: write });
+          }
+          connectedBefore = true;
+          resolve();
+        } catch (error) {
+          current.destroy();
+          reject(error);
+        }
+      });
+    });
+    // A failed attempt must not stick: the next command tries again
+    const attempt = ready;
+    attempt.catch(() => {
+      if (ready === attempt) {
+        ready = null;
+      }
+    });
+    return attempt;
+  }
+
+  function scheduleReconnect() {
+    const timer = setTimeout(() => {
+      if (closed || ready) {
+        return;
+      }
+      connect().catch((error) => {
+        console.error('[Redis] Reconnect failed:', error.message);
+        scheduleReconnect();
+      });
+    }, reconnectDelayMs);
+    timer.unref?.();
+  }
+
+  return {
+    async send(args) {
+      if (closed) {
+        throw new Error('Redis client is closed');
+      }
+      await connect();
+      return write(args);
+    },
+
+    async close() {
+      closed = true;
+      if (!socket) {
+        return;
+      }
+      const current = socket;
+      try {
+        await write(['QUIT']);
+      } catch {
+        // The server may drop the connection before answering
+      }
+      current.destroy();
+    },
+  };
+}
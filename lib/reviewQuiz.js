@@ -0,0 +1,181 @@
+/**
+ * Review quiz items
+ *
+ * Short multiple-choice questions built from lessons the learner already
+ * finished, so no extra content has to be written for reviews:
+ * - "predict-output": an example from the lesson is run through the Python
+ *   interpreter and the kid picks what it prints (distractors are the
+ *   variable's name instead of its value and what other examples print);
+ * - "working-code": the exercise's solution next to its `knownWrong`
+ *   programs (not the untouched template), and the kid picks the one that works.
+ * Items have stable ids and option order, so an answer can be graded later by
+ * building the item again; clients only get publicReviewItem.
+ */
+
+import { runPythonProgram } from './codeSandbox.js';
+import { translate } from './i18n.js';
+import { conceptOf } from './spacedRepetition.js';
+
+const MAX_OPTIONS = 3;
+const BLANK = /_{3,}/;
+
+/**
+ * Build every review item of a course
+ * @param {string} courseId - Course ID
+ * @param {Array<Object>} lessons - Course lessons (localized)
+ * @param {string} [locale] - Locale for prompts
+ * @returns {Array<Object>} Items: { id, courseId, lessonId, lessonTitle, concept, kind, prompt, code?, options, answer, explanation? }
+ */
+export function buildReviewItems(courseId, lessons, locale) {
+  const examples = lessons.flatMap((lesson) => exampleRuns(lesson).map((run) => ({ lesson, ...run })));
+  const items = [];
+
+  for (const { lesson, index, code, output, explanation, printedName } of examples) {
+    const others = examples
+      .filter((other) => other.output !== output)
+      .sort((a, b) => Number(b.lesson === lesson) - Number(a.lesson === lesson))
+      .map((other) => other.output);
+    const distractors = unique([printedName, ...others].filter((option) => option && option !== output));
+    if (distractors.length === 0) continue;
+
+    items.push(finishItem({
+      id: `${courseId}/${lesson.id}/example-${index + 1}`,
+      courseId,
+      lesson,
+      kind: 'predict-output',
+      prompt: translate(locale, 'review.predictOutput'),
+      code,
+      correct: output,
+      distractors,
+      explanation,
+    }));
+  }
+
+  for (const lesson of lessons) {
+    const { solution, knownWrong = [] } = lesson.exercise ?? {};
+    // A blank left as ____ still runs, so it would be a second right answer
+    const wrongPrograms = knownWrong.filter((program) => !BLANK.test(program));
+    if (!solution || wrongPrograms.length === 0) continue;
+    items.push(finishItem({
+      id: `${courseId}/${lesson.id}/exercise`,
+      courseId,
+      lesson,
+      kind: 'working-code',
+      prompt: translate(locale, 'review.workingCode', { lesson: lesson.title }),
+      correct: solution,
+      distractors: wrongPrograms,
+      explanation: null,
+    }));
+  }
+
+  return items;
+}
+
+/**
+ * Choose the items for a review session: one per due concept first, most overdue first.
+ * Only items from the concept's completed lessons qualify: another lesson with the same
+ * concept may still be unfinished, and its working-code item would show its solution.
+ * @param {Array<Object>} items - From buildReviewItems
+ * @param {Array<{ concept: string, lessonIds: string[] }>} dueConcepts - Due entries from planReviews, in order
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Most items to return
+ * @param {string} [options.seed] - Changes which item of a concept comes first (e.g. the day)
+ * @returns {Array<Object>}
+ */
+export function pickReviewItems(items, dueConcepts, { limit = 5, seed = '' } = {}) {
+  const queues = dueConcepts.map(({ concept, lessonIds }) => items
+    .filter((item) => item.concept === concept && lessonIds.includes(item.lessonId))
+    .sort((a, b) => hash(`${seed}:${a.id}`) - hash(`${seed}:${b.id}`)));
+
+  const picked = [];
+  for (let round = 0; picked.length < limit && queues.some((queue) => queue.length > round); round++) {
+    for (const queue of queues) {
+      if (queue[round] && picked.length < limit) picked.push(queue[round]);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Grade an answer to a review item
+ * @param {Object} item - From buildReviewItems
+ * @param {number} choice - Index of the chosen option
+ * @returns {{ correct: boolean, answer: string, explanation: string|null }}
+ */
+export function gradeReviewAnswer(item, choice) {
+  return {
+    correct: choice === item.answer,
+    answer: item.options[item.answer],
+    explanation: item.explanation ?? null,
+  };
+}
+
+/**
+ * Review item as sent to clients (without the answer)
+ * @param {Object} item - From buildReviewItems
+ * @returns {Object}
+ */
+export function publicReviewItem(item) {
+  const { answer, explanation, ...shown } = item;
+  return shown;
+}
+
+// Examples that print something; later examples may use variables from earlier ones
+function exampleRuns(lesson) {
+  const examples = lesson.content?.examples ?? [];
+  const runs = [];
+
+  examples.forEach((example, index) => {
+    if (!example.code) return;
+    let code = example.code;
+    let run = runPythonProgram(code);
+    if (!run.ok) {
+      const before = examples.slice(0, index).map((earlier) => earlier.code).join('\n');
+      const setup = runPythonProgram(before);
+      code = `${before}\n${example.code}`;
+      run = runPythonProgram(code);
+      if (!run.ok || !setup.ok) return;
+      run = { ...run, stdout: run.stdout.slice(setup.stdout.length) };
+    }
+    const output = run.stdout.replace(/\n$/, '');
+    if (!run.ok || !output) return;
+
+    // print(name) shows the value, not the name: the classic mix-up
+    const printed = /print\(\s*([A-Za-z_]\w*)\s*\)\s*$/.exec(example.code.trim());
+    runs.push({ index, code, output, explanation: example.explanation ?? null, printedName: printed?.[1] ?? null });
+  });
+
+  return runs;
+}
+
+function finishItem({ id, courseId, lesson, kind, prompt, code, correct, distractors, explanation }) {
+  const options = [correct, ...distractors.slice(0, MAX_OPTIONS - 1)]
+    .sort((a, b) => hash(`${id}:${a}`) - hash(`${id}:${b}`));
+  return {
+    id,
+    courseId,
+    lessonId: lesson.id,
+    lessonTitle: lesson.title,
+    concept: conceptOf(lesson),
+    kind,
+    prompt,
+    ...(code && { code }),
+    options,
+    answer: options.indexOf(correct),
+    explanation,
+  };
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Small string hash (FNV-1a) for a stable, shuffled-looking order
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    value ^= text.charCodeAt(index);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
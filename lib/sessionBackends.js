@@ -0,0 +1,293 @@
+/**
+ * Shared session metadata backends
+ *
+ * A live MCP session (its transport and server) only exists in the process
+ * that accepted the connection. What instances can share is a small record
+ * per session: which instance owns it, its transport type and whether it has
+ * ended. Every backend stores those records with a time-to-live and offers
+ * publish/subscribe so one instance can hand a message to the owner.
+ *
+ * Backends implement:
+ *   get(key) -> record | null
+ *   set(key, record, ttlMs)
+ *   delete(key)
+ *   publish(channel, message)
+ *   subscribe(channel, handler) -> unsubscribe()
+ *   close()
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createRedisClient } from './redisClient.js';
+
+/**
+ * In-process backend (the default)
+ * Instances sharing one backend object see each other's sessions, which is
+ * what a single process needs and what tests use to stand in for a cluster.
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Clock, overridable in tests
+ * @returns {Object} Session backend
+ */
+export function createMemorySessionBackend({ now = () => Date.now() } = {}) {
+  const records = new Map();
+  const channels = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        records.delete(key);
+        return null;
+      }
+      return structuredClone(entry.record);
+    },
+
+    async set(key, record, ttlMs) {
+      records.set(key, { record: structuredClone(record), expiresAt: now() + ttlMs });
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+
+    async publish(channel, message) {
+      const handlers = channels.get(channel);
+      if (!handlers) return 0;
+      // Deliver asynchronously, as a network backend would
+      const payload = structuredClone(message);
+      for (const handler of handlers) {
+        queueMicrotask(() => handler(structuredClone(payload)));
+      }
+      return handlers.size;
+    },
+
+    async subscribe(channel, handler) {
+      const handlers = channels.get(channel) || new Set();
+      handlers.add(handler);
+      channels.set(channel, handlers);
+      return async () => {
+        handlers.delete(handler);
+      };
+    },
+
+    async close() {
+      channels.clear();
+    },
+  };
+}
+
+/**
+ * File backend for several processes on one machine or a shared volume
+ * Each record is its own JSON file, written atomically, so processes never
+ * overwrite each other's sessions. Published messages are spooled as files
+ * in a per-channel directory that subscribers poll. Subscribers keep a
+ * heartbeat file there while they poll, so the directory of an instance that
+ * crashed without cleaning up stops counting as a listener.
+ * @param {Object} options
+ * @param {string} options.directory - Directory for records and spooled messages
+ * @param {number} [options.pollIntervalMs] - How often subscribers look for messages
+ * @param {number} [options.heartbeatTimeoutMs] - How old a subscriber's heartbeat may get before it counts as gone
+ * @param {() => number} [options.now] - Clock, overridable in tests
+ * @returns {Object} Session backend
+ */
+export function createFileSessionBackend({
+  directory,
+  pollIntervalMs = 200,
+  heartbeatTimeoutMs = Math.max(10000, pollIntervalMs * 10),
+  now = () => Date.now(),
+}) {
+  if (!directory) {
+    throw new Error('The file session backend needs a directory');
+  }
+  const recordDir = path.join(directory, 'sessions');
+  const spoolDir = path.join(directory, 'relay');
+  const pollers = new Set();
+  let sequence = 0;
+
+  const recordPath = (key) => path.join(recordDir, `${encodeURIComponent(key)}.json`);
+  const channelDir = (channel) => path.join(spoolDir, encodeURIComponent(channel));
+  // No .json extension, so polling never takes it for a message
+  const heartbeatPath = (channel) => path.join(channelDir(channel), 'heartbeat');
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entry = await readJson(recordPath(key));
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        await fs.rm(recordPath(key), { force: true });
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlMs) {
+      await writeFileAtomic(recordPath(key), JSON.stringify({ record, expiresAt: now() + ttlMs }));
+    },
+
+    async delete(key) {
+      await fs.rm(recordPath(key), { force: true });
+    },
+
+    async publish(channel, message) {
+      // Subscribers create their channel directory and keep its heartbeat fresh, so a
+      // missing directory or a stale heartbeat means nobody listens
+      const heartbeat = await readJson(heartbeatPath(channel));
+      if (!heartbeat || now() - heartbeat.at > heartbeatTimeoutMs) {
+        return 0;
+      }
+      // Names sort in publish order: time, then a counter for messages sent in the same
+      // millisecond, then a random suffix against clashes between instances
+      sequence = (sequence + 1) % 1e9;
+      const name = `${String(now()).padStart(15, '0')}-${String(sequence).padStart(9, '0')}-${randomUUID()}.json`;
+      await writeFileAtomic(path.join(channelDir(channel), name), JSON.stringify(message));
+      return 1;
+    },
+
+    async subscribe(channel, handler) {
+      const dir = channelDir(channel);
+      let lastBeat = now();
+      await writeFileAtomic(heartbeatPath(channel), JSON.stringify({ at: lastBeat }));
+      let polling = false;
+
+      const poll = async () => {
+        if (polling) return;
+        polling = true;
+        try {
+          if (now() - lastBeat >= heartbeatTimeoutMs / 4) {
+            lastBeat = now();
+            await writeFileAtomic(heartbeatPath(channel), JSON.stringify({ at: lastBeat }));
+          }
+          const names = (await fs.readdir(dir)).filter((name) => name.endsWith('.json')).sort();
+          for (const name of names) {
+            const filePath = path.join(dir, name);
+            const message = await readJson(filePath);
+            await fs.rm(filePath, { force: true });
+            if (message !== null) {
+              handler(message);
+            }
+          }
+        } catch (error) {
+          console.error(`[Sessions] Failed to read relayed messages for ${channel}:`, error);
+        } finally {
+          polling = false;
+        }
+      };
+
+      const timer = setInterval(poll, pollIntervalMs);
+      timer.unref?.();
+      pollers.add(timer);
+      return async () => {
+        clearInterval(timer);
+        pollers.delete(timer);
+        await fs.rm(dir, { recursive: true, force: true });
+      };
+    },
+
+    async close() {
+      for (const timer of pollers) {
+        clearInterval(timer);
+      }
+      pollers.clear();
+    },
+  };
+}
+
+/**
+ * Redis backend for instances on different machines (e.g. Cloud Run)
+ * Records are JSON strings with PX expiry; relaying uses PUBLISH/SUBSCRIBE.
+ * @param {Object} [options]
+ * @param {string} [options.url] - redis:// URL
+ * @param {string} [options.prefix] - Prefix for keys and channels
+ * @param {Object} [options.client] - Existing client from createRedisClient
+ * @returns {Object} Session backend
+ */
+export function createRedisSessionBackend({ url, prefix = 'learnkids:', client = createRedisClient({ url }) } = {}) {
+  const sessionKey = (key) => `${prefix}session:${key}`;
+  const channelName = (channel) => `${prefix}${channel}`;
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await client.command(['GET', sessionKey(key)]);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, record, ttlMs) {
+      await client.command(['SET', sessionKey(key), JSON.stringify(record), 'PX', Math.max(1, Math.round(ttlMs))]);
+    },
+
+    async delete(key) {
+      await client.command(['DEL', sessionKey(key)]);
+    },
+
+    async publish(channel, message) {
+      return client.command(['PUBLISH', channelName(channel), JSON.stringify(message)]);
+    },
+
+    async subscribe(channel, handler) {
+      return client.subscribe(channelName(channel), (payload) => {
+        let message;
+        try {
+          message = JSON.parse(payload);
+        } catch {
+          console.warn(`[Sessions] Ignoring malformed relay message on ${channel}`);
+          return;
+        }
+        handler(message);
+      });
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+/**
+ * Pick a backend from environment variables
+ * SESSION_BACKEND=memory (default) | file | redis; the file backend uses
+ * SESSION_DIR and the Redis backend REDIS_URL.
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @param {Object} [defaults]
+ * @param {string} [defaults.directory] - SESSION_DIR fallback
+ * @returns {Object} Session backend
+ */
+export function createSessionBackendFromEnv(env = process.env, { directory } = {}) {
+  const kind = String(env.SESSION_BACKEND || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemorySessionBackend();
+    case 'file':
+      return createFileSessionBackend({ directory: env.SESSION_DIR || directory });
+    case 'redis':
+      return createRedisSessionBackend({ url: env.REDIS_URL || 'redis://localhost:6379' });
+    default:
+      throw new Error(`Unknown SESSION_BACKEND "${env.SESSION_BACKEND}" (use memory, file or redis)`);
+  }
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    // Missing, or caught half-way through a rename by another process
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, contents, 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,91 @@
+/**
+ * Cross-instance message relay for legacy SSE sessions
+ *
+ * An SSE client holds its stream open on one instance but may POST its
+ * messages to any of them. The instance that receives a POST for a session
+ * it does not own publishes the message on the owner's relay channel; the
+ * owner hands it to the session's transport, and the reply goes out on the
+ * client's stream as usual. A verified OAuth token travels along as its auth
+ * info, so the owner doesn't need to check it again.
+ */
+
+/**
+ * Create a relay for one instance
+ * @param {Object} options
+ * @param {Object} options.backend - Session backend from sessionBackends.js
+ * @param {string} options.instanceId - This instance's id
+ * @param {(sessionId: string, message: Object, extra: Object) => Promise<void>} options.deliver
+ *   Hands a relayed message to a local session
+ * @returns {Object} Relay with start, forward and stop
+ */
+export function createSessionRelay({ backend, instanceId, deliver }) {
+  let unsubscribe = null;
+
+  async function receive(envelope) {
+    if (!envelope || typeof envelope.sessionId !== 'string' || !envelope.message) {
+      console.warn('[Relay] Ignoring malformed relay message');
+      return;
+    }
+    try {
+      const authInfo = envelope.authInfo
+        ? { ...envelope.authInfo, resource: envelope.authInfo.resource && new URL(envelope.authInfo.resource) }
+        : undefined;
+      await deliver(envelope.sessionId, envelope.message, { requestInfo: { headers: envelope.headers || {} }, authInfo });
+    } catch (error) {
+      console.error(`[Relay] Failed to deliver message for session ${envelope.sessionId}:`, error);
+    }
+  }
+
+  return {
+    instanceId,
+
+    /**
+     * Start receiving messages relayed to this instance
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (!unsubscribe) {
+        unsubscribe = await backend.subscribe(relayChannel(instanceId), (envelope) => {
+          void receive(envelope);
+        });
+      }
+    },
+
+    /**
+     * Send a message to the instance that owns a session
+     * @param {string} ownerId - Instance that owns the session
+     * @param {string} sessionId - Session the message belongs to
+     * @param {Object} message - JSON-RPC message from the client
+     * @param {Object} [headers] - Request headers passed on to the owner's tool handlers
+     * @param {Object} [authInfo] - Verified token of the request, if it had one
+     * @returns {Promise<boolean>} False when no instance is listening on the owner's channel
+     */
+    async forward(ownerId, sessionId, message, headers = {}, authInfo = undefined) {
+      const receivers = await backend.publish(relayChannel(ownerId), {
+        from: instanceId,
+        sessionId,
+        message,
+        headers,
+        // Envelopes are JSON, so the resource URL goes as a string
+        authInfo: authInfo && { ...authInfo, resource: authInfo.resource?.href },
+      });
+      return receivers > 0;
+    },
+
+    /**
+     * Stop receiving relayed messages
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      if (unsubscribe) {
+        const stopListening = unsubscribe;
+        unsubscribe = null;
+        await stopListening();
+      }
+    },
+  };
+}
+
+function relayChannel(instanceId) {
+  return `relay:${instanceId}`;
+}
@@ -1,21 +1,71 @@
 /**
- * Session store for managing SSE connections
+ * Session store for MCP connections (legacy SSE and Streamable HTTP)
+ *
+ * Sessions are keyed by the id their transport issued, so a request only ever
+ * reaches the MCP server instance created for its own connection.
  * Added periodic cleanup functionality - Claude (Opus 4.5) - 2025-12-27
+ *
+ * Live sessions stay in this process. With a shared backend (see
+ * sessionBackends.js) the store also records which instance owns each
+ * session, so other instances can tell a session they should relay to from
+ * one that ended or never existed.
  */
-export function createSessionStore() {
+export function createSessionStore({
+  closedHistory = 1000,
+  backend = null,
+  instanceId = null,
+  sharedTtlMs = 3600000,
+  shareIntervalMs = 60000,
+} = {}) {
   const sessions = new Map();
+  const closedKeys = new Map();
 
+  /**
+   * Store a live session
+   * With a backend, `entry.shared` resolves once other instances can find it.
+   * @param {string} key - Session id the transport issued
+   * @param {Object} session - Session fields (server, transport, transportType, close)
+   * @returns {Object} Stored entry
+   */
   function addSession(key, session) {
     const now = Date.now();
     const createdAt = session.createdAt ?? now;
     const lastSeen = session.lastSeen ?? createdAt;
     const entry = { ...session, key, createdAt, lastSeen };
     sessions.set(key, entry);
+    void shareSession(entry);
     return entry;
   }
 
+  // Write the entry's shared record after any earlier write for it, so a close never
+  // lands before the add. Failures are logged; the local session still works.
+  function shareSession(entry, { closed = false } = {}) {
+    if (!backend) {
+      return Promise.resolve(false);
+    }
+    entry.sharedAt = Date.now();
+    const record = {
+      instanceId,
+      transportType: entry.transportType ?? null,
+      createdAt: entry.createdAt,
+      lastSeen: entry.lastSeen,
+      ...(closed ? { closedAt: entry.sharedAt } : {}),
+    };
+    entry.shared = (entry.shared ?? Promise.resolve()).then(async () => {
+      try {
+        await backend.set(entry.key, record, sharedTtlMs);
+        return true;
+      } catch (error) {
+        console.error(`[LearnKids] Failed to share session ${entry.key}:`, error);
+        return false;
+      }
+    });
+    return entry.shared;
+  }
+
   /**
    * Clean up stale sessions that exceed the max age
+   * Sessions stored with a `close` function are closed as they are removed.
    * @param {number} maxAgeMs - Maximum session age in milliseconds (default: 1 hour)
    * @returns {number} Number of sessions cleaned up
    */
@@ -27,7 +77,12 @@ export function createSessionStore() {
       const lastSeen = session.lastSeen ?? session.createdAt;
       if (lastSeen && now - lastSeen > maxAgeMs) {
         sessions.delete(key);
+        rememberClosed(key);
+        void shareSession(session, { closed: true });
         cleanedCount++;
+        void Promise.resolve()
+          .then(() => session.close?.())
+          .catch((error) => console.error(`[LearnKids] Failed to close stale session ${key}:`, error));
         console.log(`[LearnKids] Cleaned up stale session: ${key}`);
       }
     }
@@ -35,42 +90,65 @@ export function createSessionStore() {
     return cleanedCount;
   }
 
-  function promoteSession(sessionId) {
-    if (!sessionId) {
-      return { session: null, promoted: false, previousKey: null };
+  /**
+   * Find the session a request belongs to, by the exact id its transport issued
+   * @param {string|null|undefined} key - Session id from the request
+   * @param {Object} [options]
+   * @param {string} [options.transportType] - Only match sessions of this transport ("sse" or "streamable-http")
+   * @returns {{ session: Object|null, status: 'active'|'closed'|'unknown' }} The session, or why there is none
+   */
+  function findSession(key, { transportType } = {}) {
+    const session = key ? sessions.get(key) : undefined;
+    if (session && (!transportType || session.transportType === transportType)) {
+      return { session, status: 'active' };
     }
-
-    const existing = sessions.get(sessionId);
-    if (existing) {
-      return { session: existing, promoted: false, previousKey: null };
+    if (key && closedKeys.has(key)) {
+      return { session: null, status: 'closed' };
     }
+    return { session: null, status: 'unknown' };
+  }
 
-    let newestTemp = null;
-    let newestKey = null;
-    let newestSeen = -Infinity;
+  /**
+   * Like findSession, but also asks the shared backend about ids this process does not hold
+   * @param {string|null|undefined} key - Session id from the request
+   * @param {Object} [options]
+   * @param {string} [options.transportType] - Only match sessions of this transport
+   * @returns {Promise<{ session: Object|null, status: 'active'|'remote'|'closed'|'unknown', instanceId?: string }>}
+   *   'remote' sessions are live on the instance named by instanceId
+   */
+  async function locateSession(key, { transportType } = {}) {
+    const local = findSession(key, { transportType });
+    if (local.session || !backend || !key) {
+      return local;
+    }
 
-    for (const [key, value] of sessions.entries()) {
-      if (!value.temp) {
-        continue;
-      }
-      const lastSeen = value.lastSeen ?? value.createdAt ?? 0;
-      if (lastSeen > newestSeen) {
-        newestSeen = lastSeen;
-        newestTemp = value;
-        newestKey = key;
-      }
+    let record;
+    try {
+      record = await backend.get(key);
+    } catch (error) {
+      console.error(`[LearnKids] Failed to look up session ${key}:`, error);
+      return local;
     }
 
-    if (newestTemp && newestKey) {
-      sessions.delete(newestKey);
-      newestTemp.temp = false;
-      newestTemp.key = sessionId;
-      newestTemp.lastSeen = Date.now();
-      sessions.set(sessionId, newestTemp);
-      return { session: newestTemp, promoted: true, previousKey: newestKey };
+    if (!record || record.instanceId === instanceId) {
+      return local;
     }
+    if (record.closedAt) {
+      return { session: null, status: 'closed' };
+    }
+    if (transportType && record.transportType !== transportType) {
+      return { session: null, status: 'unknown' };
+    }
+    return { session: null, status: 'remote', instanceId: record.instanceId };
+  }
 
-    return { session: null, promoted: false, previousKey: null };
+  // Remember ended ids for a while so late requests get "gone" instead of "not found"
+  function rememberClosed(key) {
+    closedKeys.delete(key);
+    closedKeys.set(key, Date.now());
+    while (closedKeys.size > closedHistory) {
+      closedKeys.delete(closedKeys.keys().next().value);
+    }
   }
 
   function touchSession(session) {
@@ -80,6 +158,10 @@ export function createSessionStore() {
 
     if (sessions.get(session.key) === session) {
       session.lastSeen = Date.now();
+      // Refresh the shared record's expiry now and then, not on every message
+      if (backend && session.lastSeen - (session.sharedAt ?? 0) >= shareIntervalMs) {
+        void shareSession(session);
+      }
       return true;
     }
 
@@ -93,6 +175,8 @@ export function createSessionStore() {
 
     if (sessions.get(session.key) === session) {
       sessions.delete(session.key);
+      rememberClosed(session.key);
+      void shareSession(session, { closed: true });
       return true;
     }
 
@@ -121,7 +205,8 @@ export function createSessionStore() {
   return {
     sessions,
     addSession,
-    promoteSession,
+    findSession,
+    locateSession,
     touchSession,
     removeSession,
     listKeys,
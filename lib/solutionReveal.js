@@ -0,0 +1,91 @@
+/**
+ * Solution reveals
+ *
+ * Lesson solutions stay on the server: lessons are sent without them (see
+ * publicExercise) and `reveal-solution` hands one out only to a learner who
+ * has failed the exercise SOLUTION_MIN_FAILED_ATTEMPTS times, the same point
+ * where the hint ladder runs out, or when a parent or teacher enters the
+ * grown-up code set in SOLUTION_OVERRIDE_CODE. Every reveal is recorded in the
+ * learner's progress, so reports show which lessons were solved with help.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { exerciseKind, shuffledLines, solutionOf } from './exerciseKinds.js';
+import { SOLUTION_MIN_FAILED_ATTEMPTS } from './hintLadder.js';
+
+// Exercise fields used for grading and self-checks; the widget never needs them
+const PRIVATE_EXERCISE_FIELDS = ['solution', 'answer', 'knownWrong', 'validation', 'guidedRules'];
+
+/**
+ * Reveal that can't be allowed; `code` maps to a `server.solution<Code>` message
+ */
+export class SolutionRevealError extends Error {
+  /**
+   * @param {'too-early'|'wrong-override'|'no-solution'} code - What went wrong
+   * @param {string} message - Description for logs
+   * @param {Object} [details] - Values for the message (such as failed attempts so far)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SolutionRevealError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Exercise as sent to clients, without the solution or grading rules
+ * @param {Object} exercise - Lesson exercise
+ * @returns {Object} Order-lines exercises get their solution's `lines`, mixed up
+ */
+export function publicExercise(exercise) {
+  const shown = Object.fromEntries(
+    Object.entries(exercise ?? {}).filter(([field]) => !PRIVATE_EXERCISE_FIELDS.includes(field))
+  );
+  return exerciseKind(exercise) === 'order-lines' ? { ...shown, lines: shuffledLines(exercise) } : shown;
+}
+
+/**
+ * Read the grown-up override code from the environment
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {string|null} The code, or null when overrides are turned off
+ */
+export function readOverrideCode(env = process.env) {
+  const code = env.SOLUTION_OVERRIDE_CODE?.trim();
+  return code ? code : null;
+}
+
+/**
+ * Decide whether a learner may see a lesson's solution
+ * @param {Object} params
+ * @param {Object} params.exercise - Lesson exercise
+ * @param {number} params.failedAttempts - Failed attempts on the lesson so far
+ * @param {string} [params.overrideCode] - Code a parent or teacher entered
+ * @param {string|null} [params.expectedOverrideCode] - From readOverrideCode
+ * @returns {{ via: 'attempts'|'override' }} Why the reveal is allowed
+ * @throws {SolutionRevealError} no-solution, wrong-override or too-early
+ */
+export function checkSolutionReveal({ exercise, failedAttempts, overrideCode, expectedOverrideCode = null }) {
+  if (!solutionOf(exercise)) {
+    throw new SolutionRevealError('no-solution', 'The lesson has no solution');
+  }
+  if (overrideCode) {
+    if (!expectedOverrideCode || !codesMatch(overrideCode, expectedOverrideCode)) {
+      throw new SolutionRevealError('wrong-override', 'The override code does not match');
+    }
+    return { via: 'override' };
+  }
+  if (failedAttempts < SOLUTION_MIN_FAILED_ATTEMPTS) {
+    throw new SolutionRevealError('too-early', 'Not enough failed attempts yet', {
+      count: SOLUTION_MIN_FAILED_ATTEMPTS - failedAttempts,
+    });
+  }
+  return { via: 'attempts' };
+}
+
+// Compare without leaking how much of the code was right through timing
+function codesMatch(given, expected) {
+  const a = Buffer.from(String(given).trim());
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,108 @@
+/**
+ * Spaced-repetition scheduling (SM-2)
+ *
+ * Each lesson teaches a concept (`concept` in the lesson JSON, the lesson id
+ * when it has none). Once a lesson is completed its concept is due for review
+ * the next day; how the lesson went (first try, hints, a revealed solution)
+ * counts as the first review, so concepts that were hard come back sooner.
+ * Every review answer is graded 0-5 and moves the concept's next review with
+ * the SM-2 rules: the interval grows 1 day, 6 days, then by the concept's
+ * easiness factor, and a wrong answer starts it over at one day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INITIAL_EASINESS = 2.5;
+export const MIN_EASINESS = 1.3;
+/** Grades for a review answer (SM-2 quality, 0-5) */
+export const REVIEW_QUALITY = { correct: 5, wrong: 2 };
+
+/**
+ * Apply one graded review to a concept's schedule
+ * @param {{ repetitions: number, interval: number, easiness: number }|null} state - Schedule so far (null for a new concept)
+ * @param {number} quality - SM-2 grade, 0 (blackout) to 5 (perfect); 3 and up counts as remembered
+ * @param {string} reviewedAt - ISO timestamp of the review
+ * @returns {{ repetitions: number, interval: number, easiness: number, due: string, lastReviewedAt: string }}
+ *   New schedule; `due` is the UTC day of the next review (YYYY-MM-DD)
+ */
+export function scheduleReview(state, quality, reviewedAt) {
+  const previous = state ?? { repetitions: 0, interval: 0, easiness: INITIAL_EASINESS };
+  let { repetitions, interval } = previous;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(previous.interval * previous.easiness);
+  }
+  const miss = 5 - quality;
+  const easiness = Math.max(MIN_EASINESS, previous.easiness + 0.1 - miss * (0.08 + miss * 0.02));
+
+  return {
+    repetitions,
+    interval,
+    easiness: Math.round(easiness * 100) / 100,
+    due: addDays(reviewedAt, interval),
+    lastReviewedAt: reviewedAt,
+  };
+}
+
+/**
+ * Grade how a lesson went, as the first review of its concept
+ * @param {Object} lesson - Lesson progress (progressStore.getProgress(...).courses[id].lessons[id])
+ * @returns {number} SM-2 grade: 5 first try without hints, 4 within three tries, 3 after more, 2 with the solution
+ */
+export function qualityFromLesson(lesson) {
+  if (lesson.solutionBeforeComplete) return 2;
+  const attempts = lesson.attemptsToComplete ?? lesson.attempts ?? 1;
+  if (attempts <= 1 && !lesson.hintsBeforeComplete) return 5;
+  return attempts <= 3 ? 4 : 3;
+}
+
+/**
+ * List the concepts of a course a learner has reached, with their schedule
+ * @param {Array<Object>} lessons - Course lessons in order
+ * @param {Object|undefined} courseProgress - progressStore.getProgress(...).courses[courseId]
+ * @param {Object<string, Object>} saved - progressStore.getReviewSchedule result for the course
+ * @param {string} now - ISO timestamp
+ * @returns {Array<{ concept: string, lessonIds: string[], state: Object, due: boolean }>} Concepts with at
+ *   least one completed lesson, the most overdue first
+ */
+export function planReviews(lessons, courseProgress, saved, now) {
+  const today = now.slice(0, 10);
+  const concepts = new Map();
+
+  for (const lesson of lessons) {
+    const progress = courseProgress?.lessons?.[lesson.id];
+    if (!progress?.completed) continue;
+    const concept = conceptOf(lesson);
+    const entry = concepts.get(concept) ?? { concept, lessonIds: [], firstCompleted: progress };
+    entry.lessonIds.push(lesson.id);
+    if ((progress.completedAt ?? '') < (entry.firstCompleted.completedAt ?? '')) {
+      entry.firstCompleted = progress;
+    }
+    concepts.set(concept, entry);
+  }
+
+  return [...concepts.values()]
+    .map(({ concept, lessonIds, firstCompleted }) => {
+      const state = saved[concept]
+        ?? scheduleReview(null, qualityFromLesson(firstCompleted), firstCompleted.completedAt ?? now);
+      return { concept, lessonIds, state, due: state.due <= today };
+    })
+    .sort((a, b) => a.state.due.localeCompare(b.state.due) || a.concept.localeCompare(b.concept));
+}
+
+/**
+ * Concept a lesson teaches
+ * @param {Object} lesson - Lesson from the lessons file
+ * @returns {string}
+ */
+export function conceptOf(lesson) {
+  return lesson.concept ?? lesson.id;
+}
+
+function addDays(timestamp, days) {
+  return new Date(Date.parse(timestamp.slice(0, 10)) + days * DAY_MS).toISOString().slice(0, 10);
+}
@@ -0,0 +1,242 @@
+/**
+ * Kid-friendly explanations for Python syntax mistakes
+ *
+ * Runs the submission through the beginner Python parser and turns its
+ * SyntaxError / IndentationError into a short message with the exact line
+ * and column, so the widget can point at the problem.
+ */
+
+import { translate } from './i18n.js';
+import { PythonError } from './pythonErrors.js';
+import { parse } from './pythonParser.js';
+import { tokenize } from './pythonTokenizer.js';
+
+const BLOCK_KEYWORDS = new Set(['def', 'if', 'elif', 'else', 'for', 'while']);
+const CLOSING_FOR = { '(': ')', '[': ']', '{': '}' };
+const CURLY_QUOTES = /[‘’“”]/;
+
+/**
+ * Explain why a submission is not valid Python
+ * @param {string} source - Student code
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for the message (defaults to English)
+ * @returns {{ kind: string, message: string, line: number, column: number, pythonMessage: string }|null}
+ *   Explanation, or null when the code parses (or uses syntax LearnKids does not check)
+ */
+export function explainSyntaxError(source, { locale } = {}) {
+  if (typeof source !== 'string') {
+    return null;
+  }
+
+  try {
+    parse(source);
+    return null;
+  } catch (error) {
+    if (!(error instanceof PythonError) || error.kind === 'unsupported') {
+      return null;
+    }
+    return describeError(source, error, locale);
+  }
+}
+
+/**
+ * Find a likely `=` / `==` mix-up in code that is valid Python
+ * e.g. `age == 10` on its own line, which compares and throws the answer away.
+ * @param {string} source - Student code
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for the message (defaults to English)
+ * @returns {{ kind: string, message: string, line: number, column: number }|null} First mix-up found
+ */
+export function findAssignmentMixUp(source, { locale } = {}) {
+  let module;
+  try {
+    module = parse(source);
+  } catch {
+    return null;
+  }
+  const mixUp = findComparisonStatement(module.body, locale);
+  if (!mixUp) {
+    return null;
+  }
+  const operator = tokenize(source).find((token) => (
+    token.line === mixUp.line && token.type === 'OP' && token.value === '=='
+  ));
+  return { ...mixUp, column: operator ? operator.column : mixUp.column };
+}
+
+function findComparisonStatement(statements, locale) {
+  for (const statement of statements) {
+    if (statement.type === 'Expr'
+      && statement.value.type === 'Compare'
+      && statement.value.operators.length === 1
+      && statement.value.operators[0] === '=='
+      && statement.value.left.type === 'Name') {
+      const name = statement.value.left.id;
+      return {
+        kind: 'compare-instead-of-assign',
+        message: translate(locale, 'syntax.line', {
+          line: statement.line,
+          message: translate(locale, 'syntax.compareInsteadOfAssign', { name }),
+        }),
+        line: statement.line,
+        column: statement.value.column,
+      };
+    }
+
+    for (const block of [statement.body, statement.orelse]) {
+      if (Array.isArray(block)) {
+        const found = findComparisonStatement(block, locale);
+        if (found) return found;
+      }
+    }
+  }
+  return null;
+}
+
+function describeError(source, error, locale) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const line = Math.min(error.line ?? 1, lastCodeLine(lines));
+  const column = error.line === line ? error.column ?? 1 : 1;
+  const text = lines[line - 1] ?? '';
+  const base = { line, column, pythonMessage: `${error.pythonType}: ${error.message}` };
+
+  const refined = refineInvalidSyntax(source, error, text);
+  if (refined) {
+    return {
+      ...base,
+      kind: refined.kind,
+      message: translate(locale, 'syntax.line', { line, message: translate(locale, refined.key) }),
+    };
+  }
+
+  const explanation = explainKind(error, text, lines, line);
+  return {
+    ...base,
+    kind: explanation.kind ?? error.kind,
+    message: translate(locale, 'syntax.line', { line, message: translate(locale, explanation.key, explanation.params) }),
+  };
+}
+
+function explainKind(error, text, lines, line) {
+  switch (error.kind) {
+    case 'unterminated-string': {
+      const quote = text[(error.column ?? 1) - 1] === "'" ? "'" : '"';
+      return { key: 'syntax.unterminatedString', params: { quote } };
+    }
+
+    case 'unclosed-bracket': {
+      const opener = text[(error.column ?? 1) - 1] || '(';
+      return { key: 'syntax.unclosedBracket', params: { opener, closer: CLOSING_FOR[opener] || ')' } };
+    }
+
+    case 'unmatched-bracket': {
+      const closer = text[(error.column ?? 1) - 1] || ')';
+      return { key: 'syntax.unmatchedBracket', params: { closer } };
+    }
+
+    case 'mismatched-bracket': {
+      const match = error.message.match(/'(.)' does not match opening parenthesis '(.)'/);
+      if (match) {
+        return { key: 'syntax.mismatchedBracket', params: { opener: match[2], closer: match[1], expected: CLOSING_FOR[match[2]] } };
+      }
+      return { key: 'syntax.mismatchedBrackets' };
+    }
+
+    case 'missing-colon': {
+      const keyword = firstWord(text);
+      if (BLOCK_KEYWORDS.has(keyword)) {
+        return { key: 'syntax.missingColonAfter', params: { keyword } };
+      }
+      return { key: 'syntax.missingColon' };
+    }
+
+    case 'expected-indent': {
+      const keyword = firstWord(previousCodeLine(lines, error.line ?? line));
+      if (keyword === 'def') {
+        return { key: 'syntax.indentFunction' };
+      }
+      return BLOCK_KEYWORDS.has(keyword)
+        ? { key: 'syntax.indentBlock', params: { keyword } }
+        : { key: 'syntax.indentLineAbove' };
+    }
+
+    case 'unexpected-indent':
+      return { key: 'syntax.unexpectedIndent' };
+
+    case 'inconsistent-dedent':
+      return { key: 'syntax.inconsistentDedent' };
+
+    case 'invalid-character':
+      if (CURLY_QUOTES.test(error.message)) {
+        return { kind: 'curly-quote', key: 'syntax.curlyQuote' };
+      }
+      return { key: 'syntax.invalidCharacter', params: { character: error.message.replace('invalid character ', '') } };
+
+    case 'invalid-assignment':
+      return { key: 'syntax.invalidAssignment' };
+
+    case 'unexpected-end':
+      return { key: 'syntax.unexpectedEnd' };
+
+    default:
+      return { key: 'syntax.generic' };
+  }
+}
+
+/**
+ * Turn a generic "invalid syntax" into a specific mix-up when the tokens make it obvious
+ */
+function refineInvalidSyntax(source, error, text) {
+  if (error.kind !== 'invalid-syntax' && error.kind !== 'missing-colon') {
+    return null;
+  }
+
+  let tokens;
+  try {
+    tokens = tokenize(source);
+  } catch {
+    return null;
+  }
+
+  const index = tokens.findIndex((token) => token.line === error.line && token.column === error.column);
+  if (index === -1) {
+    return null;
+  }
+  const token = tokens[index];
+  const previous = tokens[index - 1];
+
+  if (token.type === 'OP' && token.value === '=' && ['if', 'elif', 'while'].includes(firstWord(text))) {
+    return { kind: 'assign-in-condition', key: 'syntax.assignInCondition' };
+  }
+
+  if (previous && previous.type === 'NAME' && previous.value === 'print' && previous.line === token.line
+    && !(token.type === 'OP' && token.value === '(')) {
+    return { kind: 'missing-parentheses', key: 'syntax.missingParentheses' };
+  }
+
+  return null;
+}
+
+function firstWord(text) {
+  const match = (text || '').trim().match(/^[A-Za-z_]+/);
+  return match ? match[0] : '';
+}
+
+function previousCodeLine(lines, line) {
+  for (let index = line - 2; index >= 0; index--) {
+    const trimmed = lines[index].trim();
+    if (trimmed && !trimmed.startsWith('#')) {
+      return lines[index];
+    }
+  }
+  return '';
+}
+
+function lastCodeLine(lines) {
+  for (let index = lines.length - 1; index >= 0; index--) {
+    if (lines[index].trim()) {
+      return index + 1;
+    }
+  }
+  return 1;
+}
@@ -3,6 +3,9 @@
  * Extracted for testability
  */
 
+import { firstHintText } from './hintLadder.js';
+import { translate } from './i18n.js';
+
 /**
  * Validate a course ID for security and existence
  * @param {string} courseId - Course ID to validate
@@ -90,15 +93,17 @@ export function validateStudentCode(studentCode, maxLength = 5000) {
  * Validate user's code answer against lesson's regex pattern
  * @param {Object} lesson - The lesson object containing validation rules
  * @param {string} userAnswer - User's submitted code
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Locale for built-in messages (defaults to English)
  * @returns {Object} Validation result
  */
-export function validateAnswer(lesson, userAnswer) {
+export function validateAnswer(lesson, userAnswer, { locale } = {}) {
   // Check for empty answer
   if (!userAnswer || (typeof userAnswer === 'string' && userAnswer.trim().length === 0)) {
     return {
       correct: false,
       hasAttempt: false,
-      message: 'Please write some code first!',
+      message: translate(locale, 'feedback.emptyCode'),
     };
   }
 
@@ -107,14 +112,16 @@ export function validateAnswer(lesson, userAnswer) {
     return {
       correct: true,
       hasAttempt: true,
-      message: 'Good effort! Keep going!',
+      message: translate(locale, 'feedback.noValidation'),
     };
   }
 
   const { validation } = lesson.exercise;
 
   try {
-    if (validation.type === 'regex' && validation.pattern) {
+    // Execute and tests validations may keep a pattern as a quick structural
+    // check before the code is run (see evaluateStudentWork in lessonValidation.js)
+    if (['regex', 'execute', 'tests'].includes(validation.type) && validation.pattern) {
       // Use dotall flag (s) to handle multiline code
       const regex = new RegExp(validation.pattern, 's');
       const isValid = regex.test(userAnswer);
@@ -123,7 +130,7 @@ export function validateAnswer(lesson, userAnswer) {
         return {
           correct: true,
           hasAttempt: true,
-          message: lesson.reward?.message || 'Excellent work!',
+          message: lesson.reward?.message || translate(locale, 'feedback.correct'),
           reward: lesson.reward || null,
           nextLesson: lesson.nextLesson || null,
         };
@@ -131,8 +138,8 @@ export function validateAnswer(lesson, userAnswer) {
         return {
           correct: false,
           hasAttempt: true,
-          message: validation.errorMessage || 'Not quite right. Try again!',
-          hint: lesson.exercise.hint,
+          message: validation.errorMessage || translate(locale, 'feedback.incorrect'),
+          hint: firstHintText(lesson.exercise),
         };
       }
     }
@@ -141,7 +148,7 @@ export function validateAnswer(lesson, userAnswer) {
     return {
       correct: true,
       hasAttempt: true,
-      message: 'Good effort!',
+      message: translate(locale, 'feedback.goodEffort'),
     };
   } catch (error) {
     // Regex error - fallback to basic check
@@ -149,7 +156,7 @@ export function validateAnswer(lesson, userAnswer) {
     return {
       correct: userAnswer.trim().length > 10,
       hasAttempt: true,
-      message: 'Good effort!',
+      message: translate(locale, 'feedback.goodEffort'),
       error: error.message,
     };
   }
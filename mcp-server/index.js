@@ -17,7 +17,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { APP_VERSION } from '../lib/config.js';
-import { buildStudentValidation } from '../lib/lessonValidation.js';
+import { loadCourseAssets, resolveContentAssets } from '../lib/contentAssets.js';
+import { contentWithBlocks } from '../lib/contentBlocks.js';
+import { evaluateExerciseAnswer } from '../lib/lessonValidation.js';
+import { publicExercise } from '../lib/solutionReveal.js';
 import { isValidCourseId } from '../lib/validation.js';
 
 // Get current directory (ESM equivalent of __dirname)
@@ -167,7 +170,7 @@ server.setRequestHandler('tools/list', async () => {
       },
       {
         name: 'check-student-work',
-        description: 'Validates a student\'s code submission for an exercise. Returns whether the answer is correct and provides feedback. Use this when the student submits their code for an exercise.',
+        description: 'Validates a student\'s code or answer for an exercise. Returns whether the answer is correct and provides feedback. Use this when the student submits their work for an exercise.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -183,11 +186,23 @@ server.setRequestHandler('tools/list', async () => {
             },
             studentCode: {
               type: 'string',
-              description: 'The student\'s code submission',
+              description: 'The student\'s code submission (code exercises)',
               maxLength: 5000,
             },
+            answer: {
+              description: 'Answer to an exercise that is not code, by exercise.kind: option index (multiple-choice), one text per ____ blank (fill-blank), indexes of exercise.lines in the chosen order (order-lines) or the predicted output (predict-output)',
+              anyOf: [
+                { type: 'integer', minimum: 0, maximum: 9 },
+                { type: 'string', maxLength: 2000 },
+                {
+                  type: 'array',
+                  maxItems: 30,
+                  items: { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', maxLength: 200 }] },
+                },
+              ],
+            },
           },
-          required: ['courseId', 'lessonNumber', 'studentCode'],
+          required: ['courseId', 'lessonNumber'],
           additionalProperties: false,
         },
       },
@@ -346,9 +361,15 @@ server.setRequestHandler('tools/call', async (request) => {
             title: lesson.title,
             objective: lesson.objective,
             duration: lesson.duration,
-            content: lesson.content,
+            // Only small images are inlined here; larger ones need CONTENT_ASSET_BASE_URL
+            // (e.g. the main server, which serves /content-assets)
+            content: resolveContentAssets(
+              contentWithBlocks(lesson.content),
+              await loadCourseAssets(path.join(__dirname, 'data'), courseId),
+              process.env.CONTENT_ASSET_BASE_URL?.replace(/\/+$/, '') ?? ''
+            ),
             examples: lesson.examples,
-            exercise: lesson.exercise,
+            exercise: publicExercise(lesson.exercise),
           },
         },
       };
@@ -364,7 +385,7 @@ server.setRequestHandler('tools/call', async (request) => {
         answerLength: args.studentCode?.length,
       });
 
-      const { courseId, lessonNumber, studentCode } = args;
+      const { courseId, lessonNumber, studentCode, answer } = args;
 
       // Validate inputs
       if (!isValidCourseId(courseId, coursesData)) {
@@ -397,7 +418,7 @@ server.setRequestHandler('tools/call', async (request) => {
       }
 
       // Validate the answer
-      const validationResult = buildStudentValidation(lesson, studentCode, { maxLength: 5000 });
+      const validationResult = await evaluateExerciseAnswer(lesson, { studentCode, answer }, { maxLength: 5000, courseId });
       const feedback = validationResult.message
         || (validationResult.correct
           ? '✨ Great job! Your code is correct!'
@@ -411,6 +432,9 @@ server.setRequestHandler('tools/call', async (request) => {
         nextLesson: validationResult.correct ? validationResult.nextLesson || null : null,
         hint: validationResult.hint,
         error: validationResult.error,
+        execution: validationResult.execution,
+        syntaxError: validationResult.syntaxError,
+        tests: validationResult.tests,
       };
 
       return {
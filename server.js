@@ -12,24 +12,92 @@
  */
 
 import { createServer } from 'node:http';
-import { randomUUID } from 'node:crypto';
+import { randomBytes, randomUUID } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { URL, fileURLToPath } from 'node:url';
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
   ListResourcesRequestSchema,
   ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  JSONRPCMessageSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
 
+import {
+  buildAchievementCatalog,
+  buildTrophyShelf,
+  evaluateAchievements,
+  publicAchievement,
+} from './lib/achievements.js';
+import {
+  buildCertificate,
+  CERTIFICATE_FORMATS,
+  CertificateError,
+  checkCertificateEligibility,
+  cleanDisplayName,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  renderCertificatePdf,
+  renderCertificateSvg,
+} from './lib/certificate.js';
+import { solutionOf } from './lib/exerciseKinds.js';
+import { applyHintLadder, buildHintLadder, exerciseWithFirstHint, unlockedHintLevel } from './lib/hintLadder.js';
+import { checkSolutionReveal, publicExercise, readOverrideCode, SolutionRevealError } from './lib/solutionReveal.js';
+import { planReviews, REVIEW_QUALITY, scheduleReview } from './lib/spacedRepetition.js';
+import { buildReviewItems, gradeReviewAnswer, pickReviewItems, publicReviewItem } from './lib/reviewQuiz.js';
+import { traceExample } from './lib/codeTrace.js';
+import {
+  AuthError,
+  buildProtectedResourceMetadata,
+  buildWwwAuthenticate,
+  createTokenVerifier,
+  learnerIdFor,
+  readAuthConfig,
+  readBearerToken,
+  toolRequiresAuth,
+  toolSecuritySchemes,
+} from './lib/auth.js';
+import { buildClassReport, ClassroomError, createClassroomStore } from './lib/classroomStore.js';
 import { APP_VERSION } from './lib/config.js';
+import {
+  CONTENT_ASSETS_PATH,
+  checkCourseAssets,
+  optimizedAssetsDir,
+  resolveContentAssets,
+} from './lib/contentAssets.js';
+import { contentWithBlocks } from './lib/contentBlocks.js';
+import { localizeCourse, localizeLessons } from './lib/contentLocalization.js';
+import { checkContentData, formatContentIssue } from './lib/contentValidation.js';
+import { watchContent } from './lib/contentWatcher.js';
 import { createDataLoader } from './lib/data.js';
-import { buildStudentValidation } from './lib/lessonValidation.js';
+import { createEventStore } from './lib/eventStore.js';
+import { negotiateLocale, translate } from './lib/i18n.js';
+import {
+  buildLearningReport,
+  describeMistake,
+  formatMinutes,
+  LearningReportError,
+  REPORT_FORMATS,
+  renderLearningReportCsv,
+  renderLearningReportHtml,
+  renderLearningReportPdf,
+  resolveReportRange,
+  signReportToken,
+  verifyReportToken,
+} from './lib/learningReport.js';
+import { createLessonLockCheck, getCourseLock, getLessonLock, isLockingEnabled } from './lib/lessonLocking.js';
+import { formatSelfCheckReport, selfCheckCourses } from './lib/lessonSelfCheck.js';
+import { classifyMistake, evaluateExerciseAnswer } from './lib/lessonValidation.js';
+import { createProgressStore } from './lib/progressStore.js';
+import { createSessionBackendFromEnv } from './lib/sessionBackends.js';
+import { createSessionRelay } from './lib/sessionRelay.js';
 import { createSessionStore } from './lib/sessionStore.js';
 import { isValidCourseId } from './lib/validation.js';
 
@@ -37,7 +105,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 8000;
-const SSE_PATH = '/mcp';
+// Streamable HTTP uses POST/GET/DELETE on MCP_PATH with an Mcp-Session-Id header.
+// Older clients open a legacy SSE stream with GET on the same path (no session header)
+// and post their messages to POST_PATH.
+const MCP_PATH = '/mcp';
+const SSE_PATH = MCP_PATH;
 const POST_PATH = '/mcp/messages';
 const MAX_BODY_BYTES = 1024 * 1024;
 const WEB_COMPONENT_DIR = path.join(__dirname, 'web-component', 'dist');
@@ -64,11 +136,132 @@ const MIME_TYPES = {
   '.jpeg': 'image/jpeg',
   '.gif': 'image/gif',
   '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
   '.ico': 'image/x-icon',
 };
 
-// Session management for SSE connections
-const sessionStore = createSessionStore();
+// Session management for MCP connections. Session records can be shared between
+// instances (SESSION_BACKEND=memory|file|redis, default memory) so a legacy SSE POST
+// that lands on the wrong instance is relayed to the one holding the stream.
+const INSTANCE_ID = process.env.INSTANCE_ID || randomUUID();
+const sessionBackend = createSessionBackendFromEnv(process.env, {
+  directory: path.join(__dirname, '.data', 'sessions'),
+});
+const sessionStore = createSessionStore({ backend: sessionBackend, instanceId: INSTANCE_ID });
+const sessionRelay = createSessionRelay({
+  backend: sessionBackend,
+  instanceId: INSTANCE_ID,
+  deliver: deliverRelayedMessage,
+});
+
+// Learner progress, persisted to a JSON file (set PROGRESS_FILE to move it)
+const PROGRESS_FILE = process.env.PROGRESS_FILE || path.join(__dirname, '.data', 'progress.json');
+const progressStore = createProgressStore({ filePath: PROGRESS_FILE });
+
+// Teachers' classes and their rosters (set CLASSROOM_FILE to move it)
+const CLASSROOM_FILE = process.env.CLASSROOM_FILE || path.join(__dirname, '.data', 'classrooms.json');
+const classroomStore = createClassroomStore({ filePath: CLASSROOM_FILE });
+
+// Message keys for the classroom failures a user can cause
+const CLASSROOM_ERROR_KEYS = {
+  'unknown-code': 'server.classUnknownCode',
+  'own-class': 'server.classOwnClass',
+  'class-not-found': 'server.classNotFound',
+  'no-classes': 'server.classNone',
+};
+
+// Learning report links (GET /reports/learning?token=...) are signed so they never
+// carry a readable learner id. Set REPORT_LINK_SECRET so links survive restarts
+// and work on every instance.
+const REPORT_PATH = '/reports/learning';
+const REPORT_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REPORT_LINK_SECRET = process.env.REPORT_LINK_SECRET || randomBytes(32).toString('hex');
+
+// Message keys for report requests a user can get wrong
+const REPORT_ERROR_KEYS = {
+  'invalid-date': 'server.reportInvalidDate',
+  'invalid-range': 'server.reportInvalidRange',
+  'invalid-link': 'server.reportInvalidLink',
+  'expired-link': 'server.reportExpiredLink',
+};
+
+// Course certificates, opened by their verification code (GET /certificates/<code>)
+const CERTIFICATE_PATH = '/certificates';
+
+// Message keys for certificate requests that can't be served
+const CERTIFICATE_ERROR_KEYS = {
+  'not-available': 'server.certificateNotAvailable',
+  'not-completed': 'server.certificateNotCompleted',
+  'name-required': 'server.certificateNameRequired',
+  'not-found': 'server.certificateNotFound',
+};
+
+// Grown-up code a parent or teacher can give reveal-solution to show a solution
+// before the learner has failed enough attempts; unset means no overrides
+const SOLUTION_OVERRIDE_CODE = readOverrideCode();
+
+// Message keys for solution reveals that are not allowed
+const SOLUTION_ERROR_KEYS = {
+  'too-early': 'server.solutionTooEarly',
+  'wrong-override': 'server.solutionWrongOverride',
+  'no-solution': 'server.solutionNoSolution',
+};
+
+// Optional sequential unlocking (LESSON_LOCKING=true): lessons open in order and
+// courses open once their prerequisite courses are finished
+const LESSON_LOCKING = isLockingEnabled();
+const checkLessonLock = createLessonLockCheck({ enabled: LESSON_LOCKING, progressStore });
+
+// Lesson self-check at startup (LESSON_SELF_CHECK=strict|warn|off, default strict):
+// every solution must pass its validator and every untouched template must fail
+const LESSON_SELF_CHECK = process.env.LESSON_SELF_CHECK || 'strict';
+
+// Content hot reload (on unless CONTENT_HOT_RELOAD=false): edits under DATA_DIR are
+// validated and swapped in without a restart; invalid edits keep the current content
+const CONTENT_HOT_RELOAD = process.env.CONTENT_HOT_RELOAD !== 'false';
+
+// Lesson images are served from CONTENT_ASSETS_PATH on this server unless
+// CONTENT_ASSET_BASE_URL names another origin with the same paths (e.g. a CDN in front of it)
+const CONTENT_ASSET_BASE_URL = process.env.CONTENT_ASSET_BASE_URL?.replace(/\/+$/, '') || null;
+const CONTENT_ASSET_ORIGIN = CONTENT_ASSET_BASE_URL ? new URL(CONTENT_ASSET_BASE_URL).origin : null;
+
+// Optional OAuth (OAUTH_ISSUER=<authorization server>): tokens are verified when sent,
+// and every tool except course browsing then needs one
+const AUTH_CONFIG = readAuthConfig(process.env, { resourcePath: MCP_PATH });
+const tokenVerifier = AUTH_CONFIG.enabled
+  ? createTokenVerifier({ issuer: AUTH_CONFIG.issuer, jwksUrl: AUTH_CONFIG.jwksUrl })
+  : null;
+const PROTECTED_RESOURCE_PATH = '/.well-known/oauth-protected-resource';
+
+// Optional `locale` argument shared by the tools that return lesson text
+const LOCALE_PROPERTY = {
+  type: 'string',
+  description: 'Language for lesson text and feedback, e.g. "en" or "es" (defaults to the user\'s ChatGPT language, then English)',
+  pattern: '^[A-Za-z]{2,3}([-_][A-Za-z0-9]+)*$',
+};
+
+/**
+ * Identify the learner behind a tool call
+ * A verified OAuth token names the person; otherwise ChatGPT sends a stable
+ * anonymous user id in `openai/subject`, and other clients fall back to the
+ * MCP session, so their progress lasts for the connection (see learnerIdFor).
+ */
+function resolveLearnerId(request, extra) {
+  return learnerIdFor({
+    tokenSubject: extra?.authInfo?.extra?.subject,
+    clientSubject: request.params?._meta?.['openai/subject'],
+    sessionId: extra?.sessionId,
+  }, AUTH_CONFIG);
+}
+
+/**
+ * Pick the language for a request
+ * An explicit `locale` argument wins over ChatGPT's `openai/locale` hint;
+ * anything unsupported falls back to English.
+ */
+function resolveLocale(request) {
+  return negotiateLocale(request.params?.arguments?.locale, request.params?._meta?.['openai/locale']);
+}
 
 // ============================================================================
 // DATA LOADING
@@ -94,6 +287,189 @@ async function loadLessons(courseId) {
   return lessonsData;
 }
 
+// Localized views of the content; grading always uses the English exercise fields
+async function loadLocalizedCourses(locale) {
+  const coursesData = await loadCourses();
+  const translations = await dataLoader.loadCourseTranslations(locale);
+  if (!translations?.courses) {
+    return coursesData;
+  }
+  return {
+    ...coursesData,
+    courses: coursesData.courses.map(course => localizeCourse(course, translations.courses[course.id])),
+  };
+}
+
+async function loadLocalizedLessons(courseId, locale) {
+  const lessonsData = await loadLessons(courseId);
+  return localizeLessons(lessonsData, await dataLoader.loadLessonTranslations(locale, courseId));
+}
+
+// Course and lesson titles for the courses a learning report mentions
+async function loadReportTitles(history, locale) {
+  const coursesData = await loadLocalizedCourses(locale);
+  const titles = {
+    courses: Object.fromEntries(coursesData.courses.map((course) => [course.id, course.title])),
+    lessons: {},
+  };
+
+  for (const courseId of new Set(history.map((event) => event.courseId))) {
+    if (!titles.courses[courseId]) continue;
+    const { lessons } = await loadLocalizedLessons(courseId, locale);
+    for (const lesson of lessons) {
+      titles.lessons[`${courseId}/${lesson.id}`] = lesson.title;
+    }
+  }
+  return titles;
+}
+
+/**
+ * Build a learner's report for a range of days
+ * @returns {Promise<Object>} Report from buildLearningReport
+ */
+async function createLearningReport(learnerId, { from, to, courseId = null }, locale) {
+  const range = resolveReportRange({ from, to });
+  const history = await progressStore.getHistory(learnerId, { from: range.start, to: range.end, courseId });
+  return buildLearningReport({
+    history,
+    range,
+    courseId,
+    titles: await loadReportTitles(history, locale),
+  });
+}
+
+// A learner's review plan for a course: concepts with their schedule, and every quiz item
+async function loadReview(learnerId, courseId, locale) {
+  const { lessons } = await loadLocalizedLessons(courseId, locale);
+  const progress = await progressStore.getProgress(learnerId, courseId);
+  const saved = await progressStore.getReviewSchedule(learnerId, courseId);
+  return {
+    lessons,
+    concepts: planReviews(lessons, progress.courses[courseId], saved, new Date().toISOString()),
+    items: buildReviewItems(courseId, lessons, locale),
+  };
+}
+
+// Review days (YYYY-MM-DD) as the learner reads dates, e.g. "March 7"
+function formatReviewDay(day, locale) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString(locale, { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Failed attempts a learner has made on a lesson (for the hint ladder)
+async function countFailedAttempts(learnerId, courseId, lessonId) {
+  const { courses } = await progressStore.getProgress(learnerId, courseId);
+  return courses[courseId]?.lessons?.[lessonId]?.failedAttempts ?? 0;
+}
+
+// Every achievement the content and milestones offer, in the learner's language
+async function loadAchievementCatalog(locale) {
+  const coursesData = await loadLocalizedCourses(locale);
+  const courses = await Promise.all(coursesData.courses.map(async (course) => ({
+    course,
+    lessons: (await loadLocalizedLessons(course.id, locale)).lessons,
+  })));
+  return buildAchievementCatalog(courses, locale);
+}
+
+/**
+ * Award whatever achievements a learner's progress now satisfies
+ * @returns {Promise<{ catalog: Array<Object>, awarded: Array<Object> }>} The catalog, and the achievements
+ *   awarded just now
+ */
+async function updateAchievements(learnerId, locale) {
+  const catalog = await loadAchievementCatalog(locale);
+  const satisfied = evaluateAchievements(catalog, await progressStore.getProgress(learnerId));
+  const awarded = await progressStore.awardAchievements(
+    learnerId,
+    satisfied.map(({ id, courseId }) => ({ id, courseId })),
+  );
+
+  const definitions = new Map(catalog.map((definition) => [definition.id, definition]));
+  return {
+    catalog,
+    awarded: awarded.map(({ id, earnedAt }) => publicAchievement(definitions.get(id), earnedAt)),
+  };
+}
+
+async function runLessonSelfCheck() {
+  if (LESSON_SELF_CHECK === 'off') {
+    return;
+  }
+
+  const coursesData = await loadCourses();
+  const courses = await Promise.all(coursesData.courses.map(async (course) => ({
+    courseId: course.id,
+    lessons: (await loadLessons(course.id)).lessons,
+  })));
+  const report = await selfCheckCourses(courses);
+
+  if (report.ok) {
+    console.log(`[LearnKids] ${formatSelfCheckReport(report)}`);
+    return;
+  }
+
+  console.error(`[LearnKids] ${formatSelfCheckReport(report)}`);
+  if (LESSON_SELF_CHECK === 'strict') {
+    console.error('[LearnKids] Refusing to start. Fix the lessons above or set LESSON_SELF_CHECK=warn.');
+    process.exit(1);
+  }
+}
+
+// Missing and oversized lesson images are reported but do not stop the server;
+// lessons are sent without the missing ones
+async function reportContentAssets() {
+  const coursesData = await loadCourses();
+  for (const course of coursesData.courses) {
+    const issues = checkCourseAssets(await loadLessons(course.id), await dataLoader.loadCourseAssets(course.id));
+    for (const issue of issues) {
+      const line = formatContentIssue({ file: `lessons/${course.id}.json`, ...issue });
+      if (issue.level === 'error') {
+        console.error(`[LearnKids] ✖ ${line}`);
+      } else {
+        console.warn(`[LearnKids] ⚠ ${line}`);
+      }
+    }
+  }
+}
+
+/**
+ * Reload course content after a file change and tell connected clients
+ * The schema, consistency checks (missing lesson images included) and lesson
+ * self-check must all pass first; warnings such as oversized images are only logged.
+ */
+async function reloadContent(changedFiles) {
+  console.log('[LearnKids] Content changed:', changedFiles.join(', '));
+
+  const result = await dataLoader.reload({
+    validate: async (snapshot) => {
+      const { errors, warnings } = await checkContentData(snapshot);
+      for (const warning of warnings) {
+        console.warn(`[LearnKids] ⚠ ${formatContentIssue(warning)}`);
+      }
+      return errors.map(formatContentIssue);
+    },
+  });
+
+  if (!result.ok) {
+    console.error('[LearnKids] Content reload rejected, keeping the current content:');
+    for (const error of result.errors) {
+      console.error(`  ✖ ${error}`);
+    }
+    return;
+  }
+
+  console.log(`[LearnKids] Content reloaded (${result.courses} courses)`);
+  notifyResourceListChanged();
+}
+
+function notifyResourceListChanged() {
+  for (const session of sessionStore.sessions.values()) {
+    session.server.sendResourceListChanged().catch((error) => {
+      console.error(`[LearnKids] Failed to notify session ${session.key}:`, error);
+    });
+  }
+}
+
 function getBaseUrl(url, req) {
   if (process.env.BASE_URL) {
     return process.env.BASE_URL;
@@ -132,6 +508,80 @@ function getBaseUrlFromHeaders(headers = {}) {
   return `${protocol}://${host}`;
 }
 
+// The resource URL tokens must be issued for (fixed by configuration, never by request
+// headers), and where its metadata lives (RFC 9728)
+function getResourceUrl() {
+  return AUTH_CONFIG.resource;
+}
+
+function getResourceMetadataUrl(resourceUrl) {
+  const resource = new URL(resourceUrl);
+  return `${resource.origin}${PROTECTED_RESOURCE_PATH}${resource.pathname.replace(/\/$/, '')}`;
+}
+
+/**
+ * Verify the bearer token on an MCP request, if it has one
+ * Requests without a token go through (browsing needs no sign-in); a bad token
+ * gets a 401 that points the client at the protected-resource metadata.
+ * @returns {Promise<boolean>} False when the response was already sent
+ */
+async function authenticateRequest(req, res, url) {
+  if (!tokenVerifier) {
+    return true;
+  }
+
+  const resourceUrl = getResourceUrl();
+  try {
+    const token = readBearerToken(req.headers.authorization);
+    if (token) {
+      req.auth = await tokenVerifier.verify(token, { audience: resourceUrl });
+    }
+    return true;
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('[LearnKids] Token verification failed:', error);
+      res.writeHead(503, { 'Access-Control-Allow-Origin': '*' }).end('Authorization server unavailable');
+      return false;
+    }
+    console.warn(`[LearnKids] Rejected token: ${error.message}`);
+    res.writeHead(error.code === 'invalid_request' ? 400 : 401, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'WWW-Authenticate',
+      'WWW-Authenticate': buildWwwAuthenticate({
+        resourceMetadataUrl: getResourceMetadataUrl(resourceUrl),
+        scopes: AUTH_CONFIG.scopes,
+        error,
+      }),
+    });
+    res.end(JSON.stringify({ error: error.code, error_description: error.message }));
+    return false;
+  }
+}
+
+// Tool result asking the host to sign the user in (OpenAI Apps SDK `mcp/www_authenticate`)
+function buildSignInRequiredResult(locale, error) {
+  const resourceUrl = getResourceUrl();
+  return {
+    content: [
+      {
+        type: 'text',
+        text: translate(locale, 'server.signInRequired'),
+      },
+    ],
+    isError: true,
+    _meta: {
+      'mcp/www_authenticate': [
+        buildWwwAuthenticate({
+          resourceMetadataUrl: getResourceMetadataUrl(resourceUrl),
+          scopes: AUTH_CONFIG.scopes,
+          error,
+        }),
+      ],
+    },
+  };
+}
+
 function buildWidgetMeta(requestInfo) {
   const baseUrl = getBaseUrlFromHeaders(requestInfo?.headers ?? {});
 
@@ -142,7 +592,7 @@ function buildWidgetMeta(requestInfo) {
     'openai/widgetDescription': WIDGET_DESCRIPTION,
     'openai/widgetCSP': {
       connect_domains: [baseUrl],
-      resource_domains: [baseUrl],
+      resource_domains: CONTENT_ASSET_ORIGIN ? [baseUrl, CONTENT_ASSET_ORIGIN] : [baseUrl],
     },
   };
 }
@@ -200,16 +650,17 @@ ${jsContent}
 // STATIC FILE SERVING
 // ============================================================================
 
-async function serveStaticFile(res, filePath) {
+// Files are served from WEB_COMPONENT_DIR unless `root` names another folder
+async function serveStaticFile(res, filePath, { root = WEB_COMPONENT_DIR, cacheControl = 'public, max-age=3600' } = {}) {
   if (DEBUG) console.log('[DEBUG] serveStaticFile called with:', filePath);
   try {
     // Security: prevent path traversal
     const normalizedPath = path.normalize(filePath);
     if (DEBUG) {
       console.log('[DEBUG] normalizedPath:', normalizedPath);
-      console.log('[DEBUG] startsWith check:', normalizedPath.startsWith(WEB_COMPONENT_DIR));
+      console.log('[DEBUG] startsWith check:', normalizedPath.startsWith(root));
     }
-    if (!normalizedPath.startsWith(WEB_COMPONENT_DIR)) {
+    if (!normalizedPath.startsWith(root)) {
       if (DEBUG) console.log('[DEBUG] Path traversal blocked');
       res.writeHead(403, { 'Content-Type': 'text/plain' });
       res.end('Forbidden');
@@ -223,7 +674,7 @@ async function serveStaticFile(res, filePath) {
 
     res.writeHead(200, {
       'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=3600',
+      'Cache-Control': cacheControl,
     });
     res.end(data);
   } catch (error) {
@@ -251,7 +702,7 @@ function createMcpServer() {
     {
       capabilities: {
         tools: {},
-        resources: {},
+        resources: { listChanged: true },
       },
     }
   );
@@ -320,16 +771,21 @@ function createMcpServer() {
   });
 
   // List available tools
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
+  server.setRequestHandler(ListToolsRequestSchema, async (request) => {
+    const locale = negotiateLocale(request.params?._meta?.['openai/locale']);
+    const toolText = (key) => translate(locale, key);
+
     return {
       tools: [
         {
           name: 'get-courses',
-          title: 'Browse Learning Courses',
-          description: 'Shows all available educational courses for kids. Safe, read-only operation.',
+          title: toolText('tools.get-courses.title'),
+          description: toolText('tools.get-courses.description'),
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              locale: LOCALE_PROPERTY,
+            },
             additionalProperties: false,
           },
           annotations: {
@@ -337,19 +793,19 @@ function createMcpServer() {
             openWorldHint: false,
             readOnlyHint: true,
           },
-          securitySchemes: [{ type: 'noauth' }],
+          securitySchemes: toolSecuritySchemes('get-courses', AUTH_CONFIG),
           _meta: {
             'openai/outputTemplate': WIDGET_URI,
-            'openai/toolInvocation/invoking': 'Loading courses...',
-            'openai/toolInvocation/invoked': 'Courses loaded',
+            'openai/toolInvocation/invoking': toolText('tools.get-courses.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-courses.invoked'),
             'openai/widgetAccessible': true,
             'openai/resultCanProduceWidget': true,
           },
         },
         {
           name: 'view-course-details',
-          title: 'View Course Details',
-          description: 'Shows lesson plan and learning objectives for a specific course. Safe, read-only operation that helps students plan their learning journey.',
+          title: toolText('tools.view-course-details.title'),
+          description: toolText('tools.view-course-details.description'),
           inputSchema: {
             type: 'object',
             properties: {
@@ -358,6 +814,7 @@ function createMcpServer() {
                 description: 'Course ID from the course list (e.g., "python-kids")',
                 pattern: '^[a-z0-9-]+$',
               },
+              locale: LOCALE_PROPERTY,
             },
             required: ['courseId'],
             additionalProperties: false,
@@ -367,19 +824,19 @@ function createMcpServer() {
             openWorldHint: false,
             readOnlyHint: true,
           },
-          securitySchemes: [{ type: 'noauth' }],
+          securitySchemes: toolSecuritySchemes('view-course-details', AUTH_CONFIG),
           _meta: {
             'openai/outputTemplate': WIDGET_URI,
-            'openai/toolInvocation/invoking': 'Loading course details...',
-            'openai/toolInvocation/invoked': 'Course details loaded',
+            'openai/toolInvocation/invoking': toolText('tools.view-course-details.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.view-course-details.invoked'),
             'openai/widgetAccessible': true,
             'openai/resultCanProduceWidget': true,
           },
         },
         {
           name: 'get-course-details',
-          title: 'View Course Details',
-          description: 'Alias for view-course-details. Returns lesson plan and learning objectives for a specific course.',
+          title: toolText('tools.view-course-details.title'),
+          description: toolText('tools.get-course-details.description'),
           inputSchema: {
             type: 'object',
             properties: {
@@ -388,6 +845,7 @@ function createMcpServer() {
                 description: 'Course ID from the course list (e.g., "python-kids")',
                 pattern: '^[a-z0-9-]+$',
               },
+              locale: LOCALE_PROPERTY,
             },
             required: ['courseId'],
             additionalProperties: false,
@@ -397,19 +855,19 @@ function createMcpServer() {
             openWorldHint: false,
             readOnlyHint: true,
           },
-          securitySchemes: [{ type: 'noauth' }],
+          securitySchemes: toolSecuritySchemes('get-course-details', AUTH_CONFIG),
           _meta: {
             'openai/outputTemplate': WIDGET_URI,
-            'openai/toolInvocation/invoking': 'Loading course details...',
-            'openai/toolInvocation/invoked': 'Course details loaded',
+            'openai/toolInvocation/invoking': toolText('tools.view-course-details.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.view-course-details.invoked'),
             'openai/widgetAccessible': true,
             'openai/resultCanProduceWidget': true,
           },
         },
         {
           name: 'start-lesson',
-          title: 'Start Learning Lesson',
-          description: 'Loads educational content for a specific lesson. Safe, read-only operation that provides learning materials to students.',
+          title: toolText('tools.start-lesson.title'),
+          description: toolText('tools.start-lesson.description'),
           inputSchema: {
             type: 'object',
             properties: {
@@ -424,28 +882,72 @@ function createMcpServer() {
                 minimum: 1,
                 maximum: 10,
               },
+              locale: LOCALE_PROPERTY,
             },
             required: ['courseId', 'lessonNumber'],
             additionalProperties: false,
           },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false, // Records the start in the learner's progress
+          },
+          securitySchemes: toolSecuritySchemes('start-lesson', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.start-lesson.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.start-lesson.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'trace-example',
+          title: toolText('tools.trace-example.title'),
+          description: toolText('tools.trace-example.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Course ID',
+                pattern: '^[a-z0-9-]+$',
+              },
+              lessonNumber: {
+                type: 'number',
+                description: 'Lesson number',
+                minimum: 1,
+                maximum: 10,
+              },
+              example: {
+                type: 'integer',
+                description: 'Example number in the lesson, starting at 1',
+                minimum: 1,
+                maximum: 20,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['courseId', 'lessonNumber', 'example'],
+            additionalProperties: false,
+          },
           annotations: {
             destructiveHint: false,
             openWorldHint: false,
             readOnlyHint: true,
           },
-          securitySchemes: [{ type: 'noauth' }],
+          securitySchemes: toolSecuritySchemes('trace-example', AUTH_CONFIG),
           _meta: {
             'openai/outputTemplate': WIDGET_URI,
-            'openai/toolInvocation/invoking': 'Loading lesson...',
-            'openai/toolInvocation/invoked': 'Lesson ready',
+            'openai/toolInvocation/invoking': toolText('tools.trace-example.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.trace-example.invoked'),
             'openai/widgetAccessible': true,
             'openai/resultCanProduceWidget': true,
           },
         },
         {
           name: 'check-student-work',
-          title: 'Validate Learning Exercise',
-          description: 'Provides feedback on student code exercises. Educational tool for learning validation only. Does not execute code.',
+          title: toolText('tools.check-student-work.title'),
+          description: toolText('tools.check-student-work.description'),
           inputSchema: {
             type: 'object',
             properties: {
@@ -462,177 +964,1330 @@ function createMcpServer() {
               },
               studentCode: {
                 type: 'string',
-                description: 'Student\'s code submission',
+                description: 'Student\'s code submission (code exercises)',
                 maxLength: 5000,
               },
+              answer: {
+                description: 'Answer to an exercise that is not code, by exercise.kind: option index (multiple-choice), one text per ____ blank (fill-blank), indexes of exercise.lines in the chosen order (order-lines) or the predicted output (predict-output)',
+                anyOf: [
+                  { type: 'integer', minimum: 0, maximum: 9 },
+                  { type: 'string', maxLength: 2000 },
+                  {
+                    type: 'array',
+                    maxItems: 30,
+                    items: { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', maxLength: 200 }] },
+                  },
+                ],
+              },
+              locale: LOCALE_PROPERTY,
             },
-            required: ['courseId', 'lessonNumber', 'studentCode'],
+            required: ['courseId', 'lessonNumber'],
             additionalProperties: false,
           },
           annotations: {
             destructiveHint: false,
             openWorldHint: false,
-            readOnlyHint: true, // Validates but doesn't persist or execute code
+            readOnlyHint: false, // Records the attempt in the learner's progress
           },
-          securitySchemes: [{ type: 'noauth' }],
+          securitySchemes: toolSecuritySchemes('check-student-work', AUTH_CONFIG),
           _meta: {
             'openai/outputTemplate': WIDGET_URI,
-            'openai/toolInvocation/invoking': 'Checking your work...',
-            'openai/toolInvocation/invoked': 'Feedback ready',
+            'openai/toolInvocation/invoking': toolText('tools.check-student-work.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.check-student-work.invoked'),
             'openai/widgetAccessible': true,
             'openai/resultCanProduceWidget': true,
           },
         },
-      ],
-    };
-  });
-
-  // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-
-    try {
-      switch (name) {
-        case 'get-courses': {
-          const coursesData = await loadCourses();
-
-          const coursesList = coursesData.courses.map(course => ({
-            id: course.id,
-            title: course.title,
-            emoji: course.emoji,
-            color: course.color,
-            description: course.description,
-            ageRange: course.ageRange,
-            difficulty: course.difficulty,
-            totalLessons: course.totalLessons,
-            estimatedDuration: course.estimatedDuration,
-          }));
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Found ${coursesList.length} course${coursesList.length !== 1 ? 's' : ''} available for learning.`,
+        {
+          name: 'open-hint',
+          title: toolText('tools.open-hint.title'),
+          description: toolText('tools.open-hint.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Course ID',
+                pattern: '^[a-z0-9-]+$',
               },
-            ],
-            structuredContent: {
-              courses: coursesList,
-            },
-            _meta: {
-              'openai/outputTemplate': WIDGET_URI,
-              'openai/widgetAccessible': true,
-              'openai/resultCanProduceWidget': true,
-            },
-          };
-        }
-
-        case 'view-course-details':
-        case 'get-course-details': {
-          const { courseId } = args;
-          const coursesData = await loadCourses();
-
-          if (!isValidCourseId(courseId, coursesData)) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Course "${courseId}" not found. Please use get-courses to see available courses.`,
-                },
-              ],
-              isError: true,
-            };
-          }
-
-          const course = coursesData.courses.find(c => c.id === courseId);
-          const lessonsData = await loadLessons(courseId);
-          const lessonsSummary = lessonsData.lessons.map(lesson => ({
-            id: lesson.id,
-            number: lesson.order,
-            title: lesson.title,
-            duration: lesson.duration,
-          }));
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Loaded details for "${course.title}" - ${course.totalLessons} lessons covering ${course.description}`,
+              lessonNumber: {
+                type: 'number',
+                description: 'Lesson number',
+                minimum: 1,
+                maximum: 10,
               },
-            ],
-            structuredContent: {
-              course: {
-                id: course.id,
-                title: course.title,
-                description: course.description,
-                ageRange: course.ageRange,
-                difficulty: course.difficulty,
-                totalLessons: course.totalLessons,
-                estimatedDuration: course.estimatedDuration,
-                prerequisites: course.prerequisites || [],
-                learningObjectives: course.learningObjectives || [],
-                lessonIds: course.lessonIds || lessonsSummary.map(lesson => lesson.id),
-                lessons: lessonsSummary,
+              level: {
+                type: 'integer',
+                description: 'Rung of the hint ladder to open, starting at 1',
+                minimum: 1,
               },
+              locale: LOCALE_PROPERTY,
             },
-            _meta: {
-              'openai/outputTemplate': WIDGET_URI,
-              'openai/widgetAccessible': true,
-              'openai/resultCanProduceWidget': true,
-            },
-          };
-        }
+            required: ['courseId', 'lessonNumber', 'level'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false, // Records the hint in the learner's progress
+          },
+          securitySchemes: toolSecuritySchemes('open-hint', AUTH_CONFIG),
+          _meta: {
+            'openai/toolInvocation/invoking': toolText('tools.open-hint.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.open-hint.invoked'),
+            'openai/widgetAccessible': true,
+          },
+        },
+        {
+          name: 'reveal-solution',
+          title: toolText('tools.reveal-solution.title'),
+          description: toolText('tools.reveal-solution.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Course ID',
+                pattern: '^[a-z0-9-]+$',
+              },
+              lessonNumber: {
+                type: 'number',
+                description: 'Lesson number',
+                minimum: 1,
+                maximum: 10,
+              },
+              overrideCode: {
+                type: 'string',
+                description: 'Grown-up code typed by a parent or teacher; only when they ask to show the solution early',
+                maxLength: 100,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['courseId', 'lessonNumber'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false, // Records the reveal in the learner's progress
+          },
+          securitySchemes: toolSecuritySchemes('reveal-solution', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.reveal-solution.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.reveal-solution.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'get-progress',
+          title: toolText('tools.get-progress.title'),
+          description: toolText('tools.get-progress.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Only show progress for this course',
+                pattern: '^[a-z0-9-]+$',
+              },
+            },
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: true,
+          },
+          securitySchemes: toolSecuritySchemes('get-progress', AUTH_CONFIG),
+          _meta: {
+            'openai/toolInvocation/invoking': toolText('tools.get-progress.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-progress.invoked'),
+            'openai/widgetAccessible': true,
+          },
+        },
+        {
+          name: 'reset-progress',
+          title: toolText('tools.reset-progress.title'),
+          description: toolText('tools.reset-progress.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Course to reset (omit to reset everything)',
+                pattern: '^[a-z0-9-]+$',
+              },
+            },
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: true,
+            openWorldHint: false,
+            readOnlyHint: false,
+          },
+          securitySchemes: toolSecuritySchemes('reset-progress', AUTH_CONFIG),
+          _meta: {
+            'openai/toolInvocation/invoking': toolText('tools.reset-progress.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.reset-progress.invoked'),
+            'openai/widgetAccessible': true,
+          },
+        },
+        {
+          name: 'create-class',
+          title: toolText('tools.create-class.title'),
+          description: toolText('tools.create-class.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Class name students will see (e.g., "Room 4B Coders")',
+                minLength: 1,
+                maxLength: 40,
+              },
+              courseId: {
+                type: 'string',
+                description: 'Course the class works on (omit to report on every course)',
+                pattern: '^[a-z0-9-]+$',
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['name'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false,
+          },
+          securitySchemes: toolSecuritySchemes('create-class', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.create-class.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.create-class.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'join-class',
+          title: toolText('tools.join-class.title'),
+          description: toolText('tools.join-class.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              code: {
+                type: 'string',
+                description: 'Join code from the teacher (e.g., "K7P2QX")',
+                pattern: '^[A-Za-z0-9 -]{4,12}$',
+              },
+              displayName: {
+                type: 'string',
+                description: 'Name the teacher will see, such as a first name or nickname',
+                minLength: 1,
+                maxLength: 40,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['code', 'displayName'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false,
+          },
+          securitySchemes: toolSecuritySchemes('join-class', AUTH_CONFIG),
+          _meta: {
+            'openai/toolInvocation/invoking': toolText('tools.join-class.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.join-class.invoked'),
+            'openai/widgetAccessible': true,
+          },
+        },
+        {
+          name: 'get-class-report',
+          title: toolText('tools.get-class-report.title'),
+          description: toolText('tools.get-class-report.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              classId: {
+                type: 'string',
+                description: 'Class ID from create-class (omit for the newest class)',
+                pattern: '^class-[a-z0-9-]+$',
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: true,
+          },
+          securitySchemes: toolSecuritySchemes('get-class-report', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.get-class-report.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-class-report.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'get-learning-report',
+          title: toolText('tools.get-learning-report.title'),
+          description: toolText('tools.get-learning-report.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from: {
+                type: 'string',
+                description: 'First day of the report, YYYY-MM-DD (default: 6 days before "to")',
+                pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+              },
+              to: {
+                type: 'string',
+                description: 'Last day of the report, YYYY-MM-DD (default: today)',
+                pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+              },
+              courseId: {
+                type: 'string',
+                description: 'Only report on this course',
+                pattern: '^[a-z0-9-]+$',
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: true,
+          },
+          securitySchemes: toolSecuritySchemes('get-learning-report', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.get-learning-report.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-learning-report.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'get-certificate',
+          title: toolText('tools.get-certificate.title'),
+          description: toolText('tools.get-certificate.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Finished course to certify',
+                pattern: '^[a-z0-9-]+$',
+              },
+              displayName: {
+                type: 'string',
+                description: 'Name to print on the certificate (needed the first time; omit to reuse the last one)',
+                minLength: 1,
+                maxLength: 40,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['courseId'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false,
+          },
+          securitySchemes: toolSecuritySchemes('get-certificate', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.get-certificate.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-certificate.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'get-achievements',
+          title: toolText('tools.get-achievements.title'),
+          description: toolText('tools.get-achievements.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Only show this course\'s achievements (plus streaks and other milestones)',
+                pattern: '^[a-z0-9-]+$',
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false, // Awards achievements earned before the engine saw them
+          },
+          securitySchemes: toolSecuritySchemes('get-achievements', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.get-achievements.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-achievements.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'get-review',
+          title: toolText('tools.get-review.title'),
+          description: toolText('tools.get-review.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              courseId: {
+                type: 'string',
+                description: 'Course to review (only finished lessons are reviewed)',
+                pattern: '^[a-z0-9-]+$',
+              },
+              limit: {
+                type: 'number',
+                description: 'Most questions to ask (default 5)',
+                minimum: 1,
+                maximum: 10,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['courseId'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: true,
+          },
+          securitySchemes: toolSecuritySchemes('get-review', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.get-review.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.get-review.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+        {
+          name: 'answer-review-item',
+          title: toolText('tools.answer-review-item.title'),
+          description: toolText('tools.answer-review-item.description'),
+          inputSchema: {
+            type: 'object',
+            properties: {
+              itemId: {
+                type: 'string',
+                description: 'Question id from get-review (e.g., "python-kids/lesson-2/example-1")',
+                pattern: '^[a-z0-9-]+/lesson-\\d+/[a-z0-9-]+$',
+                maxLength: 100,
+              },
+              choice: {
+                type: 'number',
+                description: 'Index of the option the learner picked, starting at 0',
+                minimum: 0,
+                maximum: 9,
+              },
+              locale: LOCALE_PROPERTY,
+            },
+            required: ['itemId', 'choice'],
+            additionalProperties: false,
+          },
+          annotations: {
+            destructiveHint: false,
+            openWorldHint: false,
+            readOnlyHint: false, // Records the answer and reschedules the concept
+          },
+          securitySchemes: toolSecuritySchemes('answer-review-item', AUTH_CONFIG),
+          _meta: {
+            'openai/outputTemplate': WIDGET_URI,
+            'openai/toolInvocation/invoking': toolText('tools.answer-review-item.invoking'),
+            'openai/toolInvocation/invoked': toolText('tools.answer-review-item.invoked'),
+            'openai/widgetAccessible': true,
+            'openai/resultCanProduceWidget': true,
+          },
+        },
+      ],
+    };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const locale = resolveLocale(request);
+
+    if (toolRequiresAuth(name, AUTH_CONFIG)) {
+      const missing = AUTH_CONFIG.scopes.filter((scope) => !extra?.authInfo?.scopes.includes(scope));
+      if (!extra?.authInfo || missing.length > 0) {
+        return buildSignInRequiredResult(locale, new AuthError(
+          'insufficient_scope',
+          extra?.authInfo ? `Token is missing the scope ${missing.join(' ')}` : 'Sign in to use this tool',
+        ));
+      }
+    }
+
+    try {
+      switch (name) {
+        case 'get-courses': {
+          const coursesData = await loadLocalizedCourses(locale);
+
+          const coursesList = coursesData.courses.map(course => ({
+            id: course.id,
+            title: course.title,
+            emoji: course.emoji,
+            color: course.color,
+            description: course.description,
+            ageRange: course.ageRange,
+            difficulty: course.difficulty,
+            totalLessons: course.totalLessons,
+            estimatedDuration: course.estimatedDuration,
+          }));
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.coursesFound', { count: coursesList.length }),
+              },
+            ],
+            structuredContent: {
+              courses: coursesList,
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'view-course-details':
+        case 'get-course-details': {
+          const { courseId } = args;
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFoundTryList', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const course = coursesData.courses.find(c => c.id === courseId);
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const { courses: progressByCourse } = await progressStore.getProgress(resolveLearnerId(request, extra));
+          const completedLessons = progressByCourse[courseId]?.completedLessons || [];
+          const lessonsSummary = lessonsData.lessons.map(lesson => ({
+            id: lesson.id,
+            number: lesson.order,
+            title: lesson.title,
+            duration: lesson.duration,
+            completed: completedLessons.includes(lesson.id),
+            locked: LESSON_LOCKING
+              ? getLessonLock({ course, coursesData, lessons: lessonsData.lessons, lessonId: lesson.id, progressByCourse, locale })
+              : null,
+          }));
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.courseDetails', {
+                  title: course.title,
+                  count: course.totalLessons,
+                  description: course.description,
+                }),
+              },
+            ],
+            structuredContent: {
+              course: {
+                id: course.id,
+                title: course.title,
+                emoji: course.emoji,
+                color: course.color,
+                description: course.description,
+                ageRange: course.ageRange,
+                difficulty: course.difficulty,
+                totalLessons: course.totalLessons,
+                estimatedDuration: course.estimatedDuration,
+                prerequisites: course.prerequisites || [],
+                learningObjectives: course.learningObjectives || [],
+                lessonIds: course.lessonIds || lessonsSummary.map(lesson => lesson.id),
+                lessons: lessonsSummary,
+                lockingEnabled: LESSON_LOCKING,
+                locked: LESSON_LOCKING ? getCourseLock(course, coursesData, progressByCourse, locale) : null,
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'start-lesson': {
+          const { courseId, lessonNumber } = args;
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const lessonId = `lesson-${lessonNumber}`;
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+
+          if (!lesson) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.lessonNotFoundRange', {
+                    number: lessonNumber,
+                    total: lessonsData.lessons.length,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const locked = await checkLessonLock(resolveLearnerId(request, extra), {
+            course: coursesData.courses.find(c => c.id === courseId),
+            coursesData,
+            lessons: lessonsData.lessons,
+            lessonId,
+            locale,
+          });
+
+          if (locked) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔒 ${locked.message}`,
+                },
+              ],
+              structuredContent: {
+                courseId,
+                locked: {
+                  ...locked,
+                  lessonId,
+                  lessonNumber,
+                },
+                locale,
+              },
+              _meta: {
+                'openai/outputTemplate': WIDGET_URI,
+                'openai/widgetAccessible': true,
+                'openai/resultCanProduceWidget': true,
+              },
+            };
+          }
+
+          // Opening a lesson starts the clock for the time estimate in learning reports
+          try {
+            await progressStore.recordLessonStart(resolveLearnerId(request, extra), { courseId, lessonId });
+          } catch (progressError) {
+            console.error('[LearnKids] Failed to record lesson start:', progressError);
+          }
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.lessonStarted', { title: lesson.title }),
+              },
+            ],
+            structuredContent: {
+              lesson: {
+                id: lesson.id,
+                courseId,
+                number: lessonNumber,
+                title: lesson.title,
+                objective: lesson.objective,
+                duration: lesson.duration,
+                content: resolveContentAssets(
+                  contentWithBlocks(lesson.content),
+                  await dataLoader.loadCourseAssets(courseId),
+                  CONTENT_ASSET_BASE_URL ?? getBaseUrlFromHeaders(extra?.requestInfo?.headers ?? {})
+                ),
+                examples: lesson.examples,
+                exercise: publicExercise(exerciseWithFirstHint(lesson.exercise, locale)),
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'trace-example': {
+          const { courseId, lessonNumber, example } = args;
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const lessonId = `lesson-${lessonNumber}`;
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+
+          if (!lesson) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.lessonNotFoundRange', {
+                    number: lessonNumber,
+                    total: lessonsData.lessons.length,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const locked = await checkLessonLock(resolveLearnerId(request, extra), {
+            course: coursesData.courses.find(c => c.id === courseId),
+            coursesData,
+            lessons: lessonsData.lessons,
+            lessonId,
+            locale,
+          });
+
+          if (locked) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔒 ${locked.message}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const examples = lesson.content?.examples ?? [];
+          const trace = traceExample(examples, example - 1);
+
+          if (!trace) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.exampleNotFound', {
+                    number: example,
+                    total: examples.length,
+                  }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const notes = [
+            translate(locale, 'server.traceReady', { count: trace.steps.length, number: example, title: lesson.title }),
+            trace.truncated && translate(locale, 'server.traceTruncated', { count: trace.steps.length }),
+            trace.error && translate(locale, 'server.traceFailed', { line: trace.error.line ?? '?', message: trace.error.message }),
+          ].filter(Boolean);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: notes.join(' '),
+              },
+            ],
+            structuredContent: {
+              trace: {
+                courseId,
+                lessonId,
+                lessonNumber,
+                lessonTitle: lesson.title,
+                example,
+                code: examples[example - 1].code,
+                explanation: examples[example - 1].explanation ?? null,
+                ...trace,
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'check-student-work': {
+          const { courseId, lessonNumber, studentCode, answer } = args;
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const lessonId = `lesson-${lessonNumber}`;
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+
+          if (!lesson) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.lessonNotFound', { number: lessonNumber }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const learnerId = resolveLearnerId(request, extra);
+          const locked = await checkLessonLock(learnerId, {
+            course: coursesData.courses.find(c => c.id === courseId),
+            coursesData,
+            lessons: lessonsData.lessons,
+            lessonId,
+            locale,
+          });
+
+          if (locked) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔒 ${locked.message}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          // Each failed attempt on the lesson opens a stronger hint
+          const validationResult = applyHintLadder(
+            await evaluateExerciseAnswer(lesson, { studentCode, answer }, { maxLength: 5000, courseId, locale }),
+            lesson.exercise,
+            { failedAttempts: (await countFailedAttempts(learnerId, courseId, lessonId)) + 1, locale },
+          );
+          const feedback = validationResult.message
+            || translate(locale, validationResult.correct ? 'server.codeCorrect' : 'server.codeNeedsWork');
+
+          const responseValidation = {
+            correct: validationResult.correct,
+            hasAttempt: validationResult.hasAttempt,
+            message: feedback,
+            reward: validationResult.correct ? validationResult.reward || null : null,
+            nextLesson: validationResult.correct ? validationResult.nextLesson || null : null,
+            hint: validationResult.hint,
+            hintLevel: validationResult.hintLevel,
+            hintLevels: validationResult.hintLevels,
+            hints: validationResult.hints,
+            error: validationResult.error,
+            execution: validationResult.execution,
+            syntaxError: validationResult.syntaxError,
+            tests: validationResult.tests,
+          };
+
+          // Empty submissions are not attempts; a failed write must not cost the child their feedback
+          let progress = null;
+          let achievements = [];
+          if (validationResult.hasAttempt) {
+            try {
+              progress = await progressStore.recordAttempt(learnerId, {
+                courseId,
+                lessonId,
+                correct: validationResult.correct,
+                reward: validationResult.reward,
+                mistake: classifyMistake(validationResult),
+                hintLevel: validationResult.hintLevel ?? 0,
+              });
+              ({ awarded: achievements } = await updateAchievements(learnerId, locale));
+            } catch (progressError) {
+              console.error('[LearnKids] Failed to record progress:', progressError);
+            }
+          }
+
+          const achievementText = achievements.length === 0 ? '' : `\n${translate(locale, 'server.newAchievements', {
+            count: achievements.length,
+            names: achievements.map((achievement) => achievement.title).join(', '),
+          })}`;
+          // Finishing the course also unlocks its certificate (get-certificate)
+          const certificateText = achievements
+            .filter((achievement) => achievement.type === 'course-complete' && achievement.certificateAvailable)
+            .map((achievement) => {
+              const course = coursesData.courses.find((candidate) => candidate.id === achievement.courseId);
+              return `\n${translate(locale, 'server.certificateUnlocked', { course: course?.title ?? achievement.courseId })}`;
+            })
+            .join('');
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: feedback + achievementText + certificateText,
+              },
+            ],
+            structuredContent: {
+              validation: responseValidation,
+              progress,
+              achievements,
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'open-hint': {
+          const { courseId, lessonNumber, level } = args ?? {};
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const lessonId = `lesson-${lessonNumber}`;
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+
+          if (!lesson) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.lessonNotFound', { number: lessonNumber }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const learnerId = resolveLearnerId(request, extra);
+          const locked = await checkLessonLock(learnerId, {
+            course: coursesData.courses.find(c => c.id === courseId),
+            coursesData,
+            lessons: lessonsData.lessons,
+            lessonId,
+            locale,
+          });
+
+          if (locked) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔒 ${locked.message}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          // Only hint rungs the learner has unlocked; the solution rung goes through reveal-solution
+          const ladder = buildHintLadder(lesson.exercise, locale);
+          const failedAttempts = await countFailedAttempts(learnerId, courseId, lessonId);
+          const rung = ladder[level - 1];
+          if (!rung || rung.kind === 'solution' || level > unlockedHintLevel(ladder, failedAttempts)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.hintNotOpen'),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const { hintsOpened } = await progressStore.recordHintOpen(learnerId, { courseId, lessonId, level });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `💡 ${rung.text}${rung.code ? `\n\n${rung.code}` : ''}`,
+              },
+            ],
+            structuredContent: {
+              hint: {
+                courseId,
+                lessonId,
+                lessonNumber,
+                ...rung,
+                hintsOpened,
+              },
+              locale,
+            },
+          };
+        }
+
+        case 'reveal-solution': {
+          const { courseId, lessonNumber, overrideCode } = args ?? {};
+          const coursesData = await loadLocalizedCourses(locale);
+
+          if (!isValidCourseId(courseId, coursesData)) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const lessonId = `lesson-${lessonNumber}`;
+          const lessonsData = await loadLocalizedLessons(courseId, locale);
+          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+
+          if (!lesson) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.lessonNotFound', { number: lessonNumber }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const learnerId = resolveLearnerId(request, extra);
+          const locked = await checkLessonLock(learnerId, {
+            course: coursesData.courses.find(c => c.id === courseId),
+            coursesData,
+            lessons: lessonsData.lessons,
+            lessonId,
+            locale,
+          });
+
+          if (locked) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `🔒 ${locked.message}`,
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const code = solutionOf(lesson.exercise);
+          const { via } = checkSolutionReveal({
+            exercise: lesson.exercise,
+            failedAttempts: await countFailedAttempts(learnerId, courseId, lessonId),
+            overrideCode,
+            expectedOverrideCode: SOLUTION_OVERRIDE_CODE,
+          });
+          // Recorded before the solution goes out: no reveal without a trace in progress
+          const { solutionReveals } = await progressStore.recordSolutionReveal(learnerId, { courseId, lessonId, via });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${translate(locale, 'server.solutionRevealed', { title: lesson.title })}\n\n${code}`,
+              },
+            ],
+            structuredContent: {
+              solution: {
+                courseId,
+                lessonId,
+                lessonNumber,
+                lessonTitle: lesson.title,
+                code,
+                via,
+                reveals: solutionReveals,
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'get-progress': {
+          const { courseId } = args ?? {};
+          const progress = await progressStore.getProgress(resolveLearnerId(request, extra), courseId);
+          const courseSummaries = Object.values(progress.courses);
+          const completedCount = courseSummaries.reduce((total, course) => total + course.completedLessons.length, 0);
+          const starCount = courseSummaries.reduce((total, course) => total + course.earnedStars, 0);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: courseSummaries.length === 0
+                  ? translate(locale, 'server.noProgress')
+                  : translate(locale, 'server.progressSummary', {
+                    lessons: translate(locale, 'server.lessonCount', { count: completedCount }),
+                    stars: translate(locale, 'server.starCount', { count: starCount }),
+                  }),
+              },
+            ],
+            structuredContent: {
+              progress: { courses: progress.courses },
+            },
+          };
+        }
+
+        case 'reset-progress': {
+          const { courseId } = args ?? {};
+          const removed = await progressStore.resetProgress(resolveLearnerId(request, extra), courseId);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, removed
+                  ? (courseId ? 'server.progressResetCourse' : 'server.progressResetAll')
+                  : (courseId ? 'server.noProgressCourse' : 'server.noProgressAll'), { courseId }),
+              },
+            ],
+            structuredContent: {
+              reset: removed,
+              courseId: courseId ?? null,
+            },
+          };
+        }
+
+        case 'create-class': {
+          const { name: className, courseId } = args;
+          if (courseId && !isValidCourseId(courseId, await loadCourses())) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: translate(locale, 'server.courseNotFoundTryList', { courseId }),
+                },
+              ],
+              isError: true,
+            };
+          }
+
+          const created = await classroomStore.createClass(resolveLearnerId(request, extra), { name: className, courseId });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.classCreated', { name: created.name, code: created.code }),
+              },
+            ],
+            structuredContent: {
+              classReport: { class: created, students: [] },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'join-class': {
+          const { code, displayName } = args;
+          const joined = await classroomStore.joinClass(resolveLearnerId(request, extra), { code, displayName });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, joined.alreadyJoined ? 'server.classRejoined' : 'server.classJoined', {
+                  name: joined.class.name,
+                  displayName: joined.displayName,
+                }),
+              },
+            ],
+            structuredContent: {
+              joinedClass: joined,
+              locale,
+            },
+          };
+        }
+
+        case 'get-class-report': {
+          const { classId } = args ?? {};
+          const roster = await classroomStore.getRoster(resolveLearnerId(request, extra), classId);
+          const progressByLearner = new Map(await Promise.all(
+            roster.students.map(async (student) => [student.learnerId, await progressStore.getProgress(student.learnerId)])
+          ));
+          const report = buildClassReport(roster, progressByLearner);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.classReport', {
+                  name: report.class.name,
+                  code: report.class.code,
+                  count: report.students.length,
+                }),
+              },
+            ],
+            structuredContent: {
+              classReport: report,
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
 
-        case 'start-lesson': {
-          const { courseId, lessonNumber } = args;
-          const coursesData = await loadCourses();
+        case 'get-achievements': {
+          const { courseId } = args ?? {};
+          const learnerId = resolveLearnerId(request, extra);
+          const { catalog } = await updateAchievements(learnerId, locale);
+          const shelf = buildTrophyShelf(catalog, await progressStore.getAchievements(learnerId), { courseId });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: translate(locale, 'server.achievementsSummary', { earned: shelf.earnedCount, total: shelf.total }),
+              },
+            ],
+            structuredContent: {
+              achievementShelf: shelf,
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'get-review': {
+          const { courseId, limit = 5 } = args ?? {};
+          const coursesData = await loadLocalizedCourses(locale);
 
           if (!isValidCourseId(courseId, coursesData)) {
             return {
               content: [
                 {
                   type: 'text',
-                  text: `Course "${courseId}" not found.`,
+                  text: translate(locale, 'server.courseNotFound', { courseId }),
                 },
               ],
               isError: true,
             };
           }
 
-          const lessonId = `lesson-${lessonNumber}`;
-          const lessonsData = await loadLessons(courseId);
-          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
-
-          if (!lesson) {
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: `Lesson ${lessonNumber} not found in this course. Available lessons: 1-${lessonsData.lessons.length}`,
-                },
-              ],
-              isError: true,
-            };
+          const learnerId = resolveLearnerId(request, extra);
+          const { lessons, concepts, items } = await loadReview(learnerId, courseId, locale);
+          const due = concepts.filter((concept) => concept.due);
+          const picked = pickReviewItems(items, due, { limit, seed: new Date().toISOString().slice(0, 10) });
+          const conceptTitle = (concept) => lessons
+            .filter((lesson) => concept.lessonIds.includes(lesson.id))
+            .map((lesson) => lesson.title)
+            .join(' + ');
+
+          let text;
+          if (concepts.length === 0) {
+            text = translate(locale, 'server.reviewNothingYet');
+          } else if (picked.length === 0) {
+            text = translate(locale, 'server.reviewNothingDue', { date: formatReviewDay(concepts[0].state.due, locale) });
+          } else {
+            text = translate(locale, 'server.reviewReady', {
+              count: picked.length,
+              concepts: [...new Set(picked.map((item) => item.lessonTitle))].join(', '),
+            });
           }
 
           return {
             content: [
               {
                 type: 'text',
-                text: `Starting "${lesson.title}" - ${lesson.objective}`,
+                text,
               },
             ],
             structuredContent: {
-              lesson: {
-                id: lesson.id,
+              review: {
                 courseId,
-                number: lessonNumber,
-                title: lesson.title,
-                objective: lesson.objective,
-                duration: lesson.duration,
-                content: lesson.content,
-                examples: lesson.examples,
-                exercise: lesson.exercise,
+                items: picked.map(publicReviewItem),
+                concepts: concepts.map((concept) => ({
+                  concept: concept.concept,
+                  title: conceptTitle(concept),
+                  lessonIds: concept.lessonIds,
+                  due: concept.due,
+                  nextReview: concept.state.due,
+                  interval: concept.state.interval,
+                  repetitions: concept.state.repetitions,
+                })),
+                nextReview: concepts[0]?.state.due ?? null,
               },
+              locale,
             },
             _meta: {
               'openai/outputTemplate': WIDGET_URI,
@@ -642,63 +2297,165 @@ function createMcpServer() {
           };
         }
 
-        case 'check-student-work': {
-          const { courseId, lessonNumber, studentCode } = args;
-          const coursesData = await loadCourses();
-
-          if (!isValidCourseId(courseId, coursesData)) {
+        case 'answer-review-item': {
+          const { itemId, choice } = args ?? {};
+          const [courseId] = String(itemId ?? '').split('/');
+          const coursesData = await loadLocalizedCourses(locale);
+          const learnerId = resolveLearnerId(request, extra);
+          const review = isValidCourseId(courseId, coursesData) ? await loadReview(learnerId, courseId, locale) : null;
+          const item = review?.items.find((candidate) => candidate.id === itemId);
+          // Only items from lessons the learner has completed can be reviewed
+          const concept = item && review.concepts.find((candidate) => candidate.concept === item.concept
+            && candidate.lessonIds.includes(item.lessonId));
+
+          if (!concept) {
             return {
               content: [
                 {
                   type: 'text',
-                  text: `Course "${courseId}" not found.`,
+                  text: translate(locale, 'server.reviewItemNotFound'),
                 },
               ],
               isError: true,
             };
           }
 
-          const lessonId = `lesson-${lessonNumber}`;
-          const lessonsData = await loadLessons(courseId);
-          const lesson = lessonsData.lessons.find(l => l.id === lessonId);
+          const result = gradeReviewAnswer(item, choice);
+          // Only the first answer while a concept is due moves its schedule
+          const schedule = concept.due
+            ? scheduleReview(concept.state, result.correct ? REVIEW_QUALITY.correct : REVIEW_QUALITY.wrong, new Date().toISOString())
+            : null;
+          await progressStore.recordReviewAnswer(learnerId, {
+            courseId,
+            lessonId: item.lessonId,
+            concept: item.concept,
+            itemId,
+            correct: result.correct,
+            schedule,
+          });
+          const nextReview = (schedule ?? concept.state).due;
 
-          if (!lesson) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: [
+                  result.correct
+                    ? translate(locale, 'server.reviewCorrect')
+                    : translate(locale, 'server.reviewWrong', { answer: result.answer }),
+                  result.explanation,
+                  translate(locale, 'server.reviewNext', { date: formatReviewDay(nextReview, locale) }),
+                ].filter(Boolean).join('\n'),
+              },
+            ],
+            structuredContent: {
+              reviewAnswer: {
+                itemId,
+                concept: item.concept,
+                correct: result.correct,
+                answer: result.answer,
+                answerIndex: item.answer,
+                explanation: result.explanation,
+                nextReview,
+                rescheduled: Boolean(schedule),
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
+          };
+        }
+
+        case 'get-certificate': {
+          const { courseId, displayName } = args ?? {};
+          const learnerId = resolveLearnerId(request, extra);
+          const coursesData = await loadLocalizedCourses(locale);
+          const course = coursesData.courses.find((candidate) => candidate.id === courseId);
+          if (!course) {
             return {
               content: [
                 {
                   type: 'text',
-                  text: `Lesson ${lessonNumber} not found.`,
+                  text: translate(locale, 'server.courseNotFoundTryList', { courseId }),
                 },
               ],
               isError: true,
             };
           }
 
-          const validationResult = buildStudentValidation(lesson, studentCode, { maxLength: 5000 });
-          const feedback = validationResult.message
-            || (validationResult.correct
-              ? '✨ Great job! Your code is correct!'
-              : 'Your code needs some adjustments. Check the instructions and try again!');
+          const progress = await progressStore.getProgress(learnerId, courseId);
+          const { completedAt } = checkCertificateEligibility(course, progress.courses[courseId]);
+          const previous = await progressStore.getCertificate(learnerId, courseId);
+          const record = await progressStore.issueCertificate(learnerId, courseId, {
+            displayName: cleanDisplayName(displayName ?? previous?.displayName),
+            completedAt,
+            generateCode: generateVerificationCode,
+          });
 
-          const responseValidation = {
-            correct: validationResult.correct,
-            hasAttempt: validationResult.hasAttempt,
-            message: feedback,
-            reward: validationResult.correct ? validationResult.reward || null : null,
-            nextLesson: validationResult.correct ? validationResult.nextLesson || null : null,
-            hint: validationResult.hint,
-            error: validationResult.error,
+          const certificate = buildCertificate({ course, record });
+          const certificateUrl = `${getBaseUrlFromHeaders(extra?.requestInfo?.headers ?? {})}${CERTIFICATE_PATH}/${record.code}?locale=${locale}`;
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${translate(locale, 'server.certificateReady', {
+                  name: certificate.displayName,
+                  course: certificate.courseTitle,
+                  code: certificate.code,
+                })}\n${certificateUrl}`,
+              },
+            ],
+            structuredContent: {
+              certificate: {
+                ...certificate,
+                links: Object.fromEntries(CERTIFICATE_FORMATS.map((format) => [format, `${certificateUrl}&format=${format}`])),
+              },
+              locale,
+            },
+            _meta: {
+              'openai/outputTemplate': WIDGET_URI,
+              'openai/widgetAccessible': true,
+              'openai/resultCanProduceWidget': true,
+            },
           };
+        }
+
+        case 'get-learning-report': {
+          const { from, to, courseId } = args ?? {};
+          const learnerId = resolveLearnerId(request, extra);
+          const report = await createLearningReport(learnerId, { from, to, courseId }, locale);
+
+          const token = signReportToken(
+            { learnerId, from: report.from, to: report.to, courseId: report.courseId },
+            { secret: REPORT_LINK_SECRET, expiresAt: Date.now() + REPORT_LINK_TTL_MS },
+          );
+          const reportUrl = `${getBaseUrlFromHeaders(extra?.requestInfo?.headers ?? {})}${REPORT_PATH}?token=${token}&locale=${locale}`;
+          const { attempts, ...summary } = report;
 
           return {
             content: [
               {
                 type: 'text',
-                text: feedback,
+                text: `${translate(locale, 'server.learningReport', {
+                  from: report.from,
+                  to: report.to,
+                  lessons: translate(locale, 'server.lessonCount', { count: report.totals.lessonsCompleted }),
+                  stars: translate(locale, 'server.starCount', { count: report.totals.stars }),
+                  time: formatMinutes(report.totals.minutesSpent, locale),
+                })}\n${reportUrl}`,
               },
             ],
             structuredContent: {
-              validation: responseValidation,
+              learningReport: {
+                ...summary,
+                mistakes: summary.mistakes.map((mistake) => ({ ...mistake, label: describeMistake(mistake.kind, locale) })),
+                links: Object.fromEntries(REPORT_FORMATS.map((format) => [format, `${reportUrl}&format=${format}`])),
+              },
+              locale,
             },
             _meta: {
               'openai/outputTemplate': WIDGET_URI,
@@ -720,6 +2477,50 @@ function createMcpServer() {
           };
       }
     } catch (error) {
+      if (error instanceof ClassroomError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: translate(locale, CLASSROOM_ERROR_KEYS[error.code], args ?? {}),
+            },
+          ],
+          isError: true,
+        };
+      }
+      if (error instanceof CertificateError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: translate(locale, CERTIFICATE_ERROR_KEYS[error.code], error.details),
+            },
+          ],
+          isError: true,
+        };
+      }
+      if (error instanceof SolutionRevealError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: translate(locale, SOLUTION_ERROR_KEYS[error.code], error.details),
+            },
+          ],
+          isError: true,
+        };
+      }
+      if (error instanceof LearningReportError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: translate(locale, REPORT_ERROR_KEYS[error.code]),
+            },
+          ],
+          isError: true,
+        };
+      }
       console.error(`[LearnKids] Error in tool ${name}:`, error);
       return {
         content: [
@@ -740,6 +2541,80 @@ function createMcpServer() {
 // HTTP SERVER
 // ============================================================================
 
+// Learning report page and downloads behind a signed link from get-learning-report
+async function handleLearningReportRequest(req, res, url) {
+  const locale = negotiateLocale(url.searchParams.get('locale'), req.headers['accept-language']);
+  const format = url.searchParams.get('format') || 'html';
+  if (!REPORT_FORMATS.includes(format)) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Unknown format "${format}"`);
+    return;
+  }
+
+  let scope;
+  try {
+    scope = verifyReportToken(url.searchParams.get('token'), { secret: REPORT_LINK_SECRET });
+  } catch (error) {
+    if (!(error instanceof LearningReportError)) throw error;
+    res.writeHead(error.code === 'expired-link' ? 410 : 403, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(translate(locale, REPORT_ERROR_KEYS[error.code]));
+    return;
+  }
+
+  const report = await createLearningReport(scope.learnerId, scope, locale);
+  const filename = `learnkids-report-${report.from}-to-${report.to}.${format}`;
+  const headers = { 'Cache-Control': 'private, no-store' };
+
+  if (format === 'csv') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` });
+    res.end(`\uFEFF${renderLearningReportCsv(report, { locale })}`);
+  } else if (format === 'pdf') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+    res.end(renderLearningReportPdf(report, { locale }));
+  } else {
+    const link = (target) => `${REPORT_PATH}?token=${url.searchParams.get('token')}&locale=${locale}&format=${target}`;
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderLearningReportHtml(report, { locale, downloads: { pdf: link('pdf'), csv: link('csv') } }));
+  }
+}
+
+// Certificate image or PDF, found by its verification code
+async function handleCertificateRequest(req, res, url) {
+  const locale = negotiateLocale(url.searchParams.get('locale'), req.headers['accept-language']);
+  const format = url.searchParams.get('format') || 'svg';
+  if (!CERTIFICATE_FORMATS.includes(format)) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Unknown format "${format}"`);
+    return;
+  }
+
+  // Typed codes may arrive with escaped spaces; a malformed escape is just an unknown code
+  let code = null;
+  try {
+    code = normalizeVerificationCode(decodeURIComponent(url.pathname.slice(CERTIFICATE_PATH.length + 1)));
+  } catch (error) {
+    code = null;
+  }
+  const record = code ? await progressStore.findCertificate(code) : null;
+  const course = record && (await loadLocalizedCourses(locale)).courses.find((candidate) => candidate.id === record.courseId);
+  if (!course) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(translate(locale, CERTIFICATE_ERROR_KEYS['not-found']));
+    return;
+  }
+
+  const certificate = buildCertificate({ course, record });
+  const verifyUrl = `${getBaseUrl(url, req)}${CERTIFICATE_PATH}/${record.code}`;
+  const filename = `learnkids-certificate-${record.courseId}-${record.code}.${format}`;
+  const headers = { 'Cache-Control': 'private, no-store' };
+
+  if (format === 'pdf') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+    res.end(renderCertificatePdf(certificate, { locale, verifyUrl }));
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Type': 'image/svg+xml; charset=utf-8', 'Content-Disposition': `inline; filename="${filename}"` });
+    res.end(renderCertificateSvg(certificate, { locale, verifyUrl }));
+  }
+}
+
 async function handleSseRequest(req, res, url) {
   console.log('[LearnKids] New SSE connection request');
 
@@ -773,25 +2648,19 @@ async function handleSseRequest(req, res, url) {
     void closeSession();
   };
 
+  // The transport issues the session id and sends it to the client in its `endpoint`
+  // event, so every POST names exactly this session. Store (and share) it before
+  // connecting so the first POST can never arrive ahead of it, on any instance.
+  session = sessionStore.addSession(transport.sessionId, {
+    server,
+    transport,
+    transportType: 'sse',
+  });
+  await session.shared;
+
   try {
     await server.connect(transport);
-    console.log('[LearnKids] SSE connection established');
-
-    // Note: ChatGPT generates its own sessionId and includes it in POST requests
-    // We can't know it ahead of time, so we store this session globally and match later
-    // Store with a temporary key that we'll update when first POST arrives
-    const transportSessionId = transport.sessionId;
-    const tempKey = transportSessionId || `temp-${randomUUID()}`;
-    session = sessionStore.addSession(tempKey, {
-      server,
-      transport,
-      createdAt: Date.now(),
-      lastSeen: Date.now(),
-      temp: true,
-      transportSessionId,
-    });
-
-    console.log(`[LearnKids] Stored session with temp key: ${tempKey}`);
+    console.log(`[LearnKids] SSE connection established: ${session.key}`);
 
     // Clean up session when connection closes
     req.on('close', () => {
@@ -799,6 +2668,7 @@ async function handleSseRequest(req, res, url) {
     });
   } catch (error) {
     console.error('[LearnKids] SSE connection error:', error);
+    await closeSession();
     if (!res.headersSent) {
       res.writeHead(500).end('Failed to establish SSE connection');
     }
@@ -817,21 +2687,84 @@ async function handlePostMessage(req, res, url) {
     return;
   }
 
-  // Try to find session by exact sessionId first
-  const { session, promoted, previousKey } = sessionStore.promoteSession(sessionId);
+  const { session, status, instanceId } = await sessionStore.locateSession(sessionId, { transportType: 'sse' });
+  if (!session && status !== 'remote') {
+    console.warn(`[LearnKids] Rejected POST for ${status} session: ${sessionId}`);
+    sendSessionError(res, status);
+    return;
+  }
+
+  const body = await readRequestBody(req, res);
+  if (body === null) {
+    return;
+  }
+
+  console.log('[LearnKids] Message body size:', body.length);
+
+  try {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (parseError) {
+      res.writeHead(400).end('Parse error');
+      return;
+    }
+
+    if (!session) {
+      await relayPostMessage(req, res, { sessionId, ownerId: instanceId, message });
+      return;
+    }
+
+    sessionStore.touchSession(session);
+
+    await session.transport.handlePostMessage(req, res, message);
+  } catch (error) {
+    console.error('[LearnKids] Error handling message:', error);
+    if (!res.headersSent) {
+      res.writeHead(500).end('Failed to process message');
+    }
+  }
+}
+
+/**
+ * Pass a legacy SSE message to the instance that holds the session's stream
+ * The reply reaches the client on that stream, so this POST only gets 202 like a local one.
+ */
+async function relayPostMessage(req, res, { sessionId, ownerId, message }) {
+  if (!JSONRPCMessageSchema.safeParse(message).success) {
+    res.writeHead(400).end('Invalid message');
+    return;
+  }
 
-  if (promoted) {
-    console.log(`[LearnKids] Promoting temp session ${previousKey} to ${sessionId}`);
+  const delivered = await sessionRelay.forward(ownerId, sessionId, message, req.headers, req.auth);
+  if (!delivered) {
+    // Nobody listens on the owner's channel: that instance has shut down
+    console.warn(`[LearnKids] Owner ${ownerId} of session ${sessionId} is gone`);
+    sendSessionError(res, 'closed');
+    return;
   }
 
+  console.log(`[LearnKids] Relayed POST for session ${sessionId} to instance ${ownerId}`);
+  res.writeHead(202).end('Accepted');
+}
+
+// Counterpart of relayPostMessage on the owning instance
+async function deliverRelayedMessage(sessionId, message, extra) {
+  const { session } = sessionStore.findSession(sessionId, { transportType: 'sse' });
   if (!session) {
-    console.error(`[LearnKids] No session available for: ${sessionId}`);
-    console.log('[LearnKids] Active sessions:', sessionStore.listKeys());
-    res.writeHead(404).end('Session not found');
+    console.warn(`[LearnKids] Dropped relayed message for ended session: ${sessionId}`);
     return;
   }
+  sessionStore.touchSession(session);
+  await session.transport.handleMessage(message, extra);
+}
 
-  // Read request body
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ * Answers 413 itself when the body is too large.
+ * @returns {Promise<string|null>} Body text, or null when the request was rejected
+ */
+async function readRequestBody(req, res) {
   const chunks = [];
   let bodySize = 0;
   for await (const chunk of req) {
@@ -839,30 +2772,122 @@ async function handlePostMessage(req, res, url) {
     if (bodySize > MAX_BODY_BYTES) {
       res.writeHead(413).end('Payload too large');
       req.destroy();
-      return;
+      return null;
     }
     chunks.push(chunk);
   }
-  const body = Buffer.concat(chunks).toString();
+  return Buffer.concat(chunks).toString();
+}
 
-  console.log('[LearnKids] Message body size:', body.length);
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
 
-  try {
-    let message;
+// 410 for sessions that existed and ended, 404 for ids this server never issued;
+// either way the client has to connect again. Streamable HTTP replies travel on the
+// request itself, so they can't be relayed: 421 asks for session affinity instead.
+function sendSessionError(res, status) {
+  if (status === 'remote') {
+    sendJsonRpcError(res, 421, -32001, 'Session is held by another server instance. Enable session affinity or reconnect.');
+  } else if (status === 'closed') {
+    sendJsonRpcError(res, 410, -32001, 'Session has ended. Reconnect to start a new session.');
+  } else {
+    sendJsonRpcError(res, 404, -32001, 'Session not found. Reconnect to start a new session.');
+  }
+}
+
+/**
+ * Handle a Streamable HTTP request (POST, GET or DELETE on MCP_PATH)
+ * An initialize POST without a session header starts a new session; every
+ * other request must carry the Mcp-Session-Id the server handed out.
+ */
+async function handleStreamableHttpRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+
+  let message;
+  if (req.method === 'POST') {
+    const body = await readRequestBody(req, res);
+    if (body === null) {
+      return;
+    }
     try {
       message = JSON.parse(body);
     } catch (parseError) {
-      res.writeHead(400).end('Parse error');
+      sendJsonRpcError(res, 400, -32700, 'Parse error');
       return;
     }
+  }
 
+  const sessionId = req.headers['mcp-session-id'];
+  if (sessionId) {
+    const { session, status } = await sessionStore.locateSession(sessionId, { transportType: 'streamable-http' });
+    if (!session) {
+      sendSessionError(res, status);
+      return;
+    }
     sessionStore.touchSession(session);
+    try {
+      await session.transport.handleRequest(req, res, message);
+    } catch (error) {
+      console.error('[LearnKids] Error handling Streamable HTTP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+    return;
+  }
 
-    await session.transport.handlePostMessage(req, res, message);
+  if (req.method !== 'POST' || !isInitializeRequest(message)) {
+    sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    return;
+  }
+
+  const server = createMcpServer();
+  let session = null;
+  let closing = false;
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    eventStore: createEventStore(),
+    onsessioninitialized: (newSessionId) => {
+      session = sessionStore.addSession(newSessionId, {
+        server,
+        transport,
+        transportType: 'streamable-http',
+        close: () => transport.close(),
+      });
+      console.log(`[LearnKids] Streamable HTTP session started: ${newSessionId}`);
+    },
+    onsessionclosed: (closedSessionId) => {
+      console.log(`[LearnKids] Streamable HTTP session terminated by client: ${closedSessionId}`);
+    },
+  });
+
+  transport.onerror = (error) => {
+    console.error('[LearnKids] Streamable HTTP transport error:', error);
+  };
+  transport.onclose = () => {
+    // server.close() closes the transport again, which calls back here
+    if (closing) {
+      return;
+    }
+    closing = true;
+    if (session && sessionStore.removeSession(session)) {
+      console.log(`[LearnKids] Streamable HTTP session closed: ${session.key}`);
+    }
+    server.close().catch((closeError) => {
+      console.error('[LearnKids] Error closing MCP server:', closeError);
+    });
+  };
+
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, message);
   } catch (error) {
-    console.error('[LearnKids] Error handling message:', error);
+    console.error('[LearnKids] Streamable HTTP connection error:', error);
     if (!res.headersSent) {
-      res.writeHead(500).end('Failed to process message');
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
     }
   }
 }
@@ -881,22 +2906,47 @@ const httpServer = createServer(async (req, res) => {
   }
 
   // Handle CORS preflight
-  if (req.method === 'OPTIONS' && (url.pathname === SSE_PATH || url.pathname === POST_PATH)) {
+  if (req.method === 'OPTIONS' && (url.pathname === MCP_PATH || url.pathname === POST_PATH)) {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'content-type',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'authorization, content-type, mcp-session-id, mcp-protocol-version, last-event-id',
+      'Access-Control-Expose-Headers': 'Mcp-Session-Id, WWW-Authenticate',
     });
     res.end();
     return;
   }
 
-  // Handle SSE connection
-  if (req.method === 'GET' && url.pathname === SSE_PATH) {
+  // OAuth protected-resource metadata (only when auth is on)
+  if (req.method === 'GET' && (url.pathname === PROTECTED_RESOURCE_PATH || url.pathname === `${PROTECTED_RESOURCE_PATH}${MCP_PATH}`)) {
+    if (!AUTH_CONFIG.enabled) {
+      res.writeHead(404).end('Not Found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(buildProtectedResourceMetadata({
+      resource: getResourceUrl(),
+      config: AUTH_CONFIG,
+    })));
+    return;
+  }
+
+  if ((url.pathname === MCP_PATH || url.pathname === POST_PATH) && !(await authenticateRequest(req, res, url))) {
+    return;
+  }
+
+  // Legacy SSE connection (a GET without a Streamable HTTP session)
+  if (req.method === 'GET' && url.pathname === SSE_PATH && !req.headers['mcp-session-id']) {
     await handleSseRequest(req, res, url);
     return;
   }
 
+  // Streamable HTTP
+  if (url.pathname === MCP_PATH && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+    await handleStreamableHttpRequest(req, res);
+    return;
+  }
+
   // Handle message posting
   if (req.method === 'POST' && url.pathname === POST_PATH) {
     await handlePostMessage(req, res, url);
@@ -910,7 +2960,9 @@ const httpServer = createServer(async (req, res) => {
       status: 'healthy',
       version: APP_VERSION,
       server: process.env.K_SERVICE ? 'Cloud Run' : 'Local',
-      transport: 'SSE',
+      transport: 'Streamable HTTP',
+      legacyTransport: 'SSE',
+      auth: AUTH_CONFIG.enabled ? 'oauth2' : 'none',
       mcp: 'enabled',
       resources: 'enabled',
       widget: WIDGET_URI,
@@ -918,6 +2970,16 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  if (req.method === 'GET' && url.pathname === REPORT_PATH) {
+    await handleLearningReportRequest(req, res, url);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname.startsWith(`${CERTIFICATE_PATH}/`)) {
+    await handleCertificateRequest(req, res, url);
+    return;
+  }
+
   // API info endpoint
   if (req.method === 'GET' && url.pathname === '/api') {
     const baseUrl = getBaseUrl(url, req);
@@ -927,14 +2989,29 @@ const httpServer = createServer(async (req, res) => {
       version: APP_VERSION,
       description: 'Interactive learning platform for kids',
       mcp: {
-        endpoint: '/mcp',
-        transport: 'SSE',
+        endpoint: MCP_PATH,
+        transport: 'Streamable HTTP',
+        legacyTransport: 'SSE',
+        auth: AUTH_CONFIG.enabled ? { type: 'oauth2', authorizationServers: [AUTH_CONFIG.issuer], scopes: AUTH_CONFIG.scopes } : null,
         tools: [
           'get-courses',
           'view-course-details',
           'get-course-details',
           'start-lesson',
-          'check-student-work'
+          'trace-example',
+          'check-student-work',
+          'open-hint',
+          'reveal-solution',
+          'get-progress',
+          'reset-progress',
+          'create-class',
+          'join-class',
+          'get-class-report',
+          'get-learning-report',
+          'get-achievements',
+          'get-certificate',
+          'get-review',
+          'answer-review-item'
         ],
         resources: [WIDGET_URI],
       },
@@ -945,8 +3022,10 @@ const httpServer = createServer(async (req, res) => {
       },
       endpoints: {
         health: '/health',
-        mcp: '/mcp',
-        mcpMessages: '/mcp/messages',
+        mcp: MCP_PATH,
+        mcpMessages: POST_PATH,
+        learningReport: REPORT_PATH,
+        certificates: `${CERTIFICATE_PATH}/{code}`,
         widget: '/',
       },
       documentation: 'https://github.com/franorzabal-hub/learningkids-ai',
@@ -982,27 +3061,77 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // Serve optimized lesson images; their names change with their content, so they never go stale
+  const contentAssetMatch = req.method === 'GET'
+    && url.pathname.match(new RegExp(`^${CONTENT_ASSETS_PATH}/([a-z0-9]+(?:-[a-z0-9]+)*)/([\\w.-]+)$`));
+  if (contentAssetMatch) {
+    const assetsDir = optimizedAssetsDir(DATA_DIR, contentAssetMatch[1]);
+    await serveStaticFile(res, path.join(assetsDir, contentAssetMatch[2]), {
+      root: `${assetsDir}${path.sep}`,
+      cacheControl: 'public, max-age=31536000, immutable',
+    });
+    return;
+  }
+
   res.writeHead(404).end('Not Found');
 });
 
+// Stop relaying before exiting so other instances see this one is gone
+async function shutdown(signal) {
+  console.log(`[LearnKids] ${signal} received, shutting down`);
+  try {
+    await sessionRelay.stop();
+    await sessionBackend.close();
+  } catch (error) {
+    console.error('[LearnKids] Error closing session backend:', error);
+  }
+  process.exit(0);
+}
+process.once('SIGTERM', () => void shutdown('SIGTERM'));
+process.once('SIGINT', () => void shutdown('SIGINT'));
+
 httpServer.on('clientError', (err, socket) => {
   console.error('[LearnKids] HTTP client error:', err);
   socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
 });
 
+await runLessonSelfCheck();
+await reportContentAssets();
+
 httpServer.listen(PORT, async () => {
   console.log(`🎓 LearnKids AI MCP server listening on port ${PORT}`);
   console.log(`  Widget: http://localhost:${PORT}/`);
-  console.log(`  SSE stream: GET http://localhost:${PORT}${SSE_PATH}`);
-  console.log(`  Message endpoint: POST http://localhost:${PORT}${POST_PATH}`);
+  console.log(`  MCP (Streamable HTTP): POST/GET/DELETE http://localhost:${PORT}${MCP_PATH}`);
+  console.log(`  Legacy SSE stream: GET http://localhost:${PORT}${SSE_PATH}`);
+  console.log(`  Legacy message endpoint: POST http://localhost:${PORT}${POST_PATH}`);
   console.log(`  Health check: GET http://localhost:${PORT}/health`);
   console.log(`  API info: GET http://localhost:${PORT}/api`);
+  console.log(`  Auth: ${AUTH_CONFIG.enabled ? `OAuth (issuer ${AUTH_CONFIG.issuer})` : 'off (all tools noauth)'}`);
+  if (!process.env.REPORT_LINK_SECRET) {
+    console.warn('[LearnKids] REPORT_LINK_SECRET is not set: learning report links stop working after a restart');
+  }
 
   // Start periodic session cleanup (every 15 minutes, remove sessions inactive for 1 hour)
   // Claude (Opus 4.5) - 2025-12-27
   sessionStore.startPeriodicCleanup();
   console.log(`  Session cleanup: enabled (every 15 min)`);
 
+  try {
+    await sessionRelay.start();
+    console.log(`  Session backend: ${sessionBackend.name} (instance ${INSTANCE_ID})`);
+  } catch (error) {
+    console.error('[LearnKids] Session relay unavailable:', error.message);
+  }
+
+  if (CONTENT_HOT_RELOAD) {
+    try {
+      watchContent(DATA_DIR, { onChange: reloadContent });
+      console.log(`  Content hot reload: watching ${DATA_DIR}`);
+    } catch (error) {
+      console.warn('[LearnKids] Content hot reload unavailable:', error.message);
+    }
+  }
+
   // Debug: List widget files
   if (DEBUG) {
     console.log(`  WEB_COMPONENT_DIR: ${WEB_COMPONENT_DIR}`);
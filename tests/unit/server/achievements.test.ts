@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildAchievementCatalog,
+  buildTrophyShelf,
+  evaluateAchievements,
+  publicAchievement,
+  STREAK_MILESTONES,
+} from '../../../lib/achievements.js';
+import { createProgressStore } from '../../../lib/progressStore.js';
+
+const courses = [
+  {
+    course: { id: 'python-kids', title: 'Python for Kids', emoji: '🐍', rewards: { certificateAvailable: true } },
+    lessons: [
+      { id: 'lesson-1', title: 'Variables', reward: { stars: 1, badge: 'First Variable' } },
+      { id: 'lesson-2', title: 'Printing', reward: { stars: 1 } },
+    ],
+  },
+  {
+    course: { id: 'art-kids', title: 'Art for Kids' },
+    lessons: [{ id: 'lesson-1', title: 'Colors', reward: { stars: 1, badge: 'Color Star' } }],
+  },
+];
+
+const catalog = buildAchievementCatalog(courses, 'en');
+
+function progressWith(lessons: Record<string, Record<string, object>>, streak = { current: 0, longest: 0, lastDay: null }) {
+  return {
+    learnerId: 'learner-1',
+    courses: Object.fromEntries(
+      Object.entries(lessons).map(([courseId, courseLessons]) => [courseId, { courseId, lessons: courseLessons }])
+    ),
+    streak,
+  };
+}
+
+const ids = (definitions: Array<{ id: string }>) => definitions.map((definition) => definition.id);
+
+describe('buildAchievementCatalog', () => {
+  it('turns lesson badges and whole courses into achievements', () => {
+    expect(catalog.find((definition) => definition.id === 'lesson:python-kids:lesson-1')).toEqual({
+      id: 'lesson:python-kids:lesson-1',
+      type: 'lesson-badge',
+      emoji: '🏅',
+      title: 'First Variable',
+      description: 'Finished the lesson "Variables"',
+      courseId: 'python-kids',
+      lessonId: 'lesson-1',
+    });
+    // Lessons without a badge have no lesson achievement
+    expect(ids(catalog)).not.toContain('lesson:python-kids:lesson-2');
+
+    expect(catalog.find((definition) => definition.id === 'course:python-kids')).toMatchObject({
+      type: 'course-complete',
+      emoji: '🐍',
+      lessonIds: ['lesson-1', 'lesson-2'],
+      certificateAvailable: true,
+    });
+    expect(catalog.find((definition) => definition.id === 'course:art-kids')).toMatchObject({
+      emoji: '🎓',
+      certificateAvailable: false,
+    });
+  });
+
+  it('adds the streak, first-try and no-hint milestones', () => {
+    expect(ids(catalog.filter((definition) => definition.type === 'streak')))
+      .toEqual(STREAK_MILESTONES.map((days) => `streak-${days}`));
+    expect(ids(catalog)).toEqual(expect.arrayContaining(['first-try-1', 'first-try-10', 'no-hints-5']));
+    expect(catalog.every((definition) => !definition.title.includes('achievements.'))).toBe(true);
+  });
+
+  it('translates titles and descriptions', () => {
+    const spanish = buildAchievementCatalog(courses, 'es');
+    expect(spanish.find((definition) => definition.id === 'course:python-kids')?.title).toBe('Curso completado: Python for Kids');
+    expect(spanish.every((definition) => !definition.description.includes('achievements.'))).toBe(true);
+  });
+});
+
+describe('evaluateAchievements', () => {
+  it('awards lesson badges and course completion from completed lessons', () => {
+    const some = progressWith({ 'python-kids': { 'lesson-1': { completed: true } } });
+    expect(ids(evaluateAchievements(catalog, some))).toContain('lesson:python-kids:lesson-1');
+    expect(ids(evaluateAchievements(catalog, some))).not.toContain('course:python-kids');
+
+    const all = progressWith({ 'python-kids': { 'lesson-1': { completed: true }, 'lesson-2': { completed: true } } });
+    expect(ids(evaluateAchievements(catalog, all))).toContain('course:python-kids');
+  });
+
+  it('counts first-try and hint-free lessons across courses', () => {
+    const progress = progressWith({
+      'python-kids': {
+        'lesson-1': { completed: true, attemptsToComplete: 1, hintsBeforeComplete: 0 },
+        'lesson-2': { completed: true, attemptsToComplete: 3, hintsBeforeComplete: 0 },
+      },
+      'art-kids': { 'lesson-1': { completed: false, attemptsToComplete: 1, hintsBeforeComplete: 0 } },
+    });
+
+    const earned = ids(evaluateAchievements(catalog, progress));
+    expect(earned).toContain('first-try-1');
+    expect(earned).toContain('no-hints-1');
+    expect(earned).not.toContain('first-try-5');
+  });
+
+  it('does not count a first try that came after seeing the solution', () => {
+    const progress = progressWith({
+      'python-kids': {
+        'lesson-1': { completed: true, attemptsToComplete: 1, hintsBeforeComplete: 1, solutionBeforeComplete: true },
+      },
+    });
+
+    const earned = ids(evaluateAchievements(catalog, progress));
+    expect(earned).not.toContain('first-try-1');
+    expect(earned).not.toContain('no-hints-1');
+  });
+
+  it('tells first tries and hint-free lessons apart by the hints the learner opened', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-03-10T09:00:00Z') });
+    const reward = { stars: 1 };
+
+    // Read a hint, then solved it on the first try: first try only
+    await store.recordHintOpen('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', level: 1 });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    let earned = ids(evaluateAchievements(catalog, await store.getProgress('learner-1')));
+    expect(earned).toContain('first-try-1');
+    expect(earned).not.toContain('no-hints-1');
+
+    // Two wrong tries unlock hints, but solving it without opening one is hint-free, not a first try
+    await store.recordAttempt('learner-2', { courseId: 'python-kids', lessonId: 'lesson-1', correct: false, hintLevel: 1 });
+    await store.recordAttempt('learner-2', { courseId: 'python-kids', lessonId: 'lesson-1', correct: false, hintLevel: 2 });
+    await store.recordAttempt('learner-2', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    earned = ids(evaluateAchievements(catalog, await store.getProgress('learner-2')));
+    expect(earned).toContain('no-hints-1');
+    expect(earned).not.toContain('first-try-1');
+  });
+
+  it('uses the longest streak, so breaking it later keeps what was earned', () => {
+    const progress = progressWith({}, { current: 1, longest: 7, lastDay: '2025-03-10' } as never);
+
+    const earned = ids(evaluateAchievements(catalog, progress));
+    expect(earned).toEqual(['streak-3', 'streak-7']);
+  });
+
+  it('ignores progress saved before attempts were counted', () => {
+    const progress = progressWith({ 'python-kids': { 'lesson-2': { completed: true } } });
+
+    expect(ids(evaluateAchievements(catalog, progress))).toEqual([]);
+  });
+});
+
+describe('buildTrophyShelf', () => {
+  const earned = {
+    'lesson:python-kids:lesson-1': { earnedAt: '2025-03-03T16:00:00.000Z', courseId: 'python-kids' },
+    'streak-3': { earnedAt: '2025-03-05T16:00:00.000Z', courseId: null },
+    'lesson:art-kids:lesson-1': { earnedAt: '2025-03-04T16:00:00.000Z', courseId: 'art-kids' },
+  };
+
+  it('lists earned achievements first, newest first', () => {
+    const shelf = buildTrophyShelf(catalog, earned);
+
+    expect(shelf.earnedCount).toBe(3);
+    expect(shelf.total).toBe(catalog.length);
+    expect(ids(shelf.achievements.slice(0, 3))).toEqual(['streak-3', 'lesson:art-kids:lesson-1', 'lesson:python-kids:lesson-1']);
+    expect(shelf.achievements[3]).toMatchObject({ earned: false, earnedAt: null });
+  });
+
+  it('limits the shelf to one course plus the course-wide milestones', () => {
+    const shelf = buildTrophyShelf(catalog, earned, { courseId: 'python-kids' });
+
+    expect(shelf.earnedCount).toBe(2);
+    expect(shelf.achievements.every((achievement) => achievement.courseId === null || achievement.courseId === 'python-kids')).toBe(true);
+  });
+
+  it('keeps rule internals out of what clients see', () => {
+    const course = catalog.find((definition) => definition.id === 'course:python-kids');
+    const shown = publicAchievement(course, '2025-03-05T16:00:00.000Z');
+
+    expect(shown).not.toHaveProperty('lessonIds');
+    expect(shown).toMatchObject({ earned: true, earnedAt: '2025-03-05T16:00:00.000Z' });
+  });
+});
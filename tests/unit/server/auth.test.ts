@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import crypto from 'node:crypto';
+import {
+  AuthError,
+  buildProtectedResourceMetadata,
+  buildWwwAuthenticate,
+  createTokenVerifier,
+  learnerIdFor,
+  readAuthConfig,
+  readBearerToken,
+  toolRequiresAuth,
+  toolSecuritySchemes,
+} from '../../../lib/auth.js';
+import { startMockIdentityProvider } from '../../../lib/mockIdentityProvider.js';
+
+const resource = 'https://learnkids.example/mcp';
+
+describe('createTokenVerifier', () => {
+  let idp: Awaited<ReturnType<typeof startMockIdentityProvider>>;
+
+  beforeAll(async () => {
+    idp = await startMockIdentityProvider();
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  it('accepts tokens from the issuer and discovers its keys', async () => {
+    const verifier = createTokenVerifier({ issuer: idp.issuer });
+    const token = idp.issueToken({ sub: 'teacher-ada', aud: resource });
+
+    const authInfo = await verifier.verify(token, { audience: resource, scopes: ['learnkids'] });
+    expect(authInfo).toMatchObject({
+      token,
+      clientId: 'learnkids-mock-client',
+      scopes: ['learnkids'],
+      extra: { subject: 'teacher-ada' },
+    });
+    expect(authInfo.resource.href).toBe(resource);
+  });
+
+  it('rejects tokens for another resource, issuer or time', async () => {
+    const verifier = createTokenVerifier({ issuer: idp.issuer });
+    const cases = [
+      [idp.issueToken({ sub: 'ada', aud: 'https://other.example/mcp' }), /different resource/],
+      [idp.issueToken({ sub: 'ada', aud: resource, extra: { iss: 'https://evil.example' } }), /different authorization server/],
+      [idp.issueToken({ sub: 'ada', aud: resource, expiresIn: -120 }), /expired/],
+      [idp.issueToken({ sub: 'ada', aud: resource, extra: { nbf: Math.floor(Date.now() / 1000) + 600 } }), /not valid yet/],
+      [idp.issueToken({ sub: '', aud: resource }), /no subject/],
+    ] as const;
+
+    for (const [token, message] of cases) {
+      await expect(verifier.verify(token, { audience: resource })).rejects.toMatchObject({
+        name: 'AuthError',
+        code: 'invalid_token',
+        message: expect.stringMatching(message),
+      });
+    }
+  });
+
+  it('rejects tampered tokens and unknown keys', async () => {
+    const verifier = createTokenVerifier({ issuer: idp.issuer, jwksUrl: `${idp.issuer}/jwks` });
+    const [header, , signature] = idp.issueToken({ sub: 'ada', aud: resource }).split('.');
+    const forgedClaims = Buffer.from(JSON.stringify({ iss: idp.issuer, sub: 'admin', aud: resource, exp: 9999999999 })).toString('base64url');
+
+    await expect(verifier.verify(`${header}.${forgedClaims}.${signature}`, { audience: resource }))
+      .rejects.toThrow('Token signature is not valid');
+    await expect(verifier.verify('not-a-jwt', { audience: resource })).rejects.toThrow('Token is not a JWT');
+
+    const otherIdp = await startMockIdentityProvider();
+    try {
+      await expect(verifier.verify(otherIdp.issueToken({ sub: 'ada', aud: resource }), { audience: resource }))
+        .rejects.toThrow('unknown key');
+    } finally {
+      await otherIdp.close();
+    }
+  });
+
+  it('reports missing scopes as insufficient_scope', async () => {
+    const verifier = createTokenVerifier({ issuer: idp.issuer });
+    const token = idp.issueToken({ sub: 'ada', aud: resource, scope: 'profile' });
+
+    await expect(verifier.verify(token, { audience: resource, scopes: ['learnkids'] }))
+      .rejects.toMatchObject({ code: 'insufficient_scope' });
+  });
+
+  it('verifies ES256 tokens and refetches keys at most every 30 seconds', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    let jwks: object[] = [];
+    let jwksRequests = 0;
+    let now = Date.now();
+    const fakeFetch = async (url: string) => {
+      if (url.endsWith('/jwks')) jwksRequests++;
+      const body = url.endsWith('/jwks') ? { keys: jwks } : { jwks_uri: 'https://idp.example/jwks' };
+      return new Response(JSON.stringify(body), { status: url.includes('openid-configuration') || url.endsWith('/jwks') ? 200 : 404 });
+    };
+    const sign = (kid: string) => {
+      const input = [{ alg: 'ES256', kid }, { iss: 'https://idp.example', sub: 'ada', aud: resource, exp: Math.floor(now / 1000) + 60 }]
+        .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .join('.');
+      return `${input}.${crypto.sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url')}`;
+    };
+
+    const verifier = createTokenVerifier({ issuer: 'https://idp.example', fetch: fakeFetch as typeof fetch, now: () => now });
+    await expect(verifier.verify(sign('key-1'), { audience: resource })).rejects.toThrow('unknown key');
+
+    // The issuer rotates in a new key; it isn't fetched again right away
+    jwks = [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }];
+    await expect(verifier.verify(sign('key-1'), { audience: resource })).rejects.toThrow('unknown key');
+    expect(jwksRequests).toBe(1);
+
+    now += 30000;
+    expect((await verifier.verify(sign('key-1'), { audience: resource })).extra.subject).toBe('ada');
+    expect(jwksRequests).toBe(2);
+  });
+});
+
+describe('auth helpers', () => {
+  const enabled = readAuthConfig({
+    OAUTH_ISSUER: 'https://idp.example/',
+    OAUTH_SCOPES: 'learnkids progress',
+    BASE_URL: 'https://learnkids.example/',
+  });
+  const disabled = readAuthConfig({});
+
+  it('reads the config from the environment', () => {
+    expect(enabled).toEqual({
+      enabled: true,
+      issuer: 'https://idp.example',
+      jwksUrl: null,
+      scopes: ['learnkids', 'progress'],
+      resource,
+    });
+    expect(disabled).toMatchObject({ enabled: false, issuer: null, scopes: ['learnkids'] });
+  });
+
+  it('takes the token audience from configuration only', () => {
+    expect(readAuthConfig({ OAUTH_ISSUER: 'https://idp.example', OAUTH_RESOURCE: 'https://api.example/learnkids' }).resource)
+      .toBe('https://api.example/learnkids');
+    expect(readAuthConfig({ OAUTH_ISSUER: 'https://idp.example', BASE_URL: 'https://learnkids.example' }, { resourcePath: '/tools' }).resource)
+      .toBe('https://learnkids.example/tools');
+    expect(() => readAuthConfig({ OAUTH_ISSUER: 'https://idp.example' })).toThrow(/OAUTH_RESOURCE or BASE_URL/);
+  });
+
+  it('keeps browsing open and protects progress tools when auth is on', () => {
+    expect(toolSecuritySchemes('get-progress', disabled)).toEqual([{ type: 'noauth' }]);
+    expect(toolSecuritySchemes('get-courses', enabled)).toEqual([
+      { type: 'noauth' },
+      { type: 'oauth2', scopes: ['learnkids', 'progress'] },
+    ]);
+    expect(toolSecuritySchemes('check-student-work', enabled)).toEqual([{ type: 'oauth2', scopes: ['learnkids', 'progress'] }]);
+
+    expect(toolRequiresAuth('start-lesson', enabled)).toBe(false);
+    expect(toolRequiresAuth('get-class-report', enabled)).toBe(true);
+    expect(toolRequiresAuth('get-class-report', disabled)).toBe(false);
+  });
+
+  it('builds protected-resource metadata and WWW-Authenticate challenges', () => {
+    expect(buildProtectedResourceMetadata({ resource, config: enabled })).toMatchObject({
+      resource,
+      authorization_servers: ['https://idp.example'],
+      scopes_supported: ['learnkids', 'progress'],
+    });
+
+    const metadataUrl = 'https://learnkids.example/.well-known/oauth-protected-resource/mcp';
+    expect(buildWwwAuthenticate({ resourceMetadataUrl: metadataUrl })).toBe(`Bearer resource_metadata="${metadataUrl}"`);
+    expect(buildWwwAuthenticate({
+      resourceMetadataUrl: metadataUrl,
+      scopes: ['learnkids'],
+      error: new AuthError('invalid_token', 'Token has "expired"'),
+    })).toBe(`Bearer resource_metadata="${metadataUrl}", scope="learnkids", error="invalid_token", error_description="Token has 'expired'"`);
+  });
+
+  it('keeps client-sent subjects apart from signed-in users when auth is on', () => {
+    expect(learnerIdFor({ tokenSubject: 'kid-1', clientSubject: 'user:kid-2' }, enabled)).toBe('user:kid-1');
+    expect(learnerIdFor({ clientSubject: 'user:kid-1' }, enabled)).toBe('anon:user:kid-1');
+    expect(learnerIdFor({ clientSubject: 'v1/abc' }, disabled)).toBe('v1/abc');
+    expect(learnerIdFor({ sessionId: 's-1' }, enabled)).toBe('session:s-1');
+    expect(learnerIdFor({}, disabled)).toBe('anonymous');
+  });
+
+  it('reads bearer tokens from the Authorization header', () => {
+    expect(readBearerToken(undefined)).toBeNull();
+    expect(readBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi');
+    expect(readBearerToken('bearer  abc ')).toBe('abc');
+    expect(() => readBearerToken('Basic dXNlcjpwYXNz')).toThrow(AuthError);
+  });
+});
+
+describe('startMockIdentityProvider', () => {
+  it('issues tokens over HTTP', async () => {
+    const idp = await startMockIdentityProvider();
+    try {
+      const response = await fetch(`${idp.issuer}/token`, {
+        method: 'POST',
+        body: new URLSearchParams({ sub: 'ada', resource }),
+      });
+      const { access_token: token } = await response.json();
+      const verifier = createTokenVerifier({ issuer: idp.issuer });
+      expect((await verifier.verify(token, { audience: resource })).extra.subject).toBe('ada');
+
+      const missing = await fetch(`${idp.issuer}/token`, { method: 'POST', body: new URLSearchParams({ sub: 'ada' }) });
+      expect(missing.status).toBe(400);
+    } finally {
+      await idp.close();
+    }
+  });
+});
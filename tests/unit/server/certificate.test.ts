@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCertificate,
+  CertificateError,
+  checkCertificateEligibility,
+  cleanDisplayName,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  renderCertificatePdf,
+  renderCertificateSvg,
+} from '../../../lib/certificate.js';
+
+const course = {
+  id: 'python-kids',
+  title: 'Python for Kids',
+  emoji: '🐍',
+  color: '#8B5CF6',
+  lessonIds: ['lesson-1', 'lesson-2'],
+  rewards: { certificateAvailable: true },
+};
+
+const record = {
+  code: 'K7P2-QX9M-4TRA',
+  displayName: 'Ada <3',
+  completedAt: '2025-03-05T16:00:00.000Z',
+  issuedAt: '2025-03-06T09:00:00.000Z',
+};
+
+function errorOf(run: () => unknown) {
+  try {
+    run();
+  } catch (error) {
+    return error as CertificateError;
+  }
+  throw new Error('Expected an error');
+}
+
+describe('checkCertificateEligibility', () => {
+  it('dates the certificate by the last lesson finished', () => {
+    const progress = {
+      lessons: {
+        'lesson-1': { completed: true, completedAt: '2025-03-05T16:00:00.000Z' },
+        'lesson-2': { completed: true, completedAt: '2025-03-03T16:00:00.000Z' },
+      },
+    };
+
+    expect(checkCertificateEligibility(course, progress)).toEqual({ completedAt: '2025-03-05T16:00:00.000Z' });
+  });
+
+  it('says how far along an unfinished course is', () => {
+    const error = errorOf(() => checkCertificateEligibility(course, { lessons: { 'lesson-1': { completed: true } } }));
+
+    expect(error).toBeInstanceOf(CertificateError);
+    expect(error.code).toBe('not-completed');
+    expect(error.details).toEqual({ done: 1, total: 2 });
+    expect(errorOf(() => checkCertificateEligibility(course, undefined)).details).toEqual({ done: 0, total: 2 });
+  });
+
+  it('refuses courses without a certificate', () => {
+    const plain = { ...course, rewards: { certificateAvailable: false } };
+
+    expect(errorOf(() => checkCertificateEligibility(plain, {})).code).toBe('not-available');
+  });
+});
+
+describe('cleanDisplayName', () => {
+  it('tidies spacing and length', () => {
+    expect(cleanDisplayName('  Ada \n  Lovelace ')).toBe('Ada Lovelace');
+    expect(cleanDisplayName('x'.repeat(60))).toHaveLength(40);
+  });
+
+  it('asks for a name when there is none', () => {
+    expect(errorOf(() => cleanDisplayName('   ')).code).toBe('name-required');
+    expect(errorOf(() => cleanDisplayName(undefined)).code).toBe('name-required');
+  });
+});
+
+describe('verification codes', () => {
+  it('generates codes that read back unchanged', () => {
+    const code = generateVerificationCode();
+
+    expect(code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(normalizeVerificationCode(code)).toBe(code);
+  });
+
+  it('accepts codes typed in lower case or without dashes', () => {
+    expect(normalizeVerificationCode('k7p2 qx9m 4tra')).toBe('K7P2-QX9M-4TRA');
+    expect(normalizeVerificationCode('K7P2QX9M4TRA')).toBe('K7P2-QX9M-4TRA');
+  });
+
+  it('rejects anything that cannot be a code', () => {
+    expect(normalizeVerificationCode('K7P2-QX9M')).toBeNull();
+    // 0 and O are never used, so a typed 0 is a mistake
+    expect(normalizeVerificationCode('K7P2-QX9M-4TR0')).toBeNull();
+    expect(normalizeVerificationCode(undefined)).toBeNull();
+  });
+});
+
+describe('rendering', () => {
+  const certificate = buildCertificate({ course, record });
+
+  it('describes the certificate without the learner id', () => {
+    expect(certificate).toEqual({
+      courseId: 'python-kids',
+      courseTitle: 'Python for Kids',
+      emoji: '🐍',
+      color: '#8B5CF6',
+      displayName: 'Ada <3',
+      completedAt: '2025-03-05T16:00:00.000Z',
+      issuedAt: '2025-03-06T09:00:00.000Z',
+      code: 'K7P2-QX9M-4TRA',
+    });
+    expect(buildCertificate({ course: { ...course, color: 'purple' }, record }).color).toBe('#8B5CF6');
+  });
+
+  it('renders an SVG with escaped text in the course color', () => {
+    const svg = renderCertificateSvg(certificate, { locale: 'en', verifyUrl: 'https://example.com/certificates/K7P2-QX9M-4TRA' });
+
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).toContain('Ada &lt;3');
+    expect(svg).not.toContain('Ada <3');
+    expect(svg).toContain('stroke="#8B5CF6"');
+    expect(svg).toContain('Certificate of Completion');
+    expect(svg).toContain('Completed on March 5, 2025');
+    expect(svg).toContain('Verification code: K7P2-QX9M-4TRA');
+    expect(svg).toContain('Check it at https://example.com/certificates/K7P2-QX9M-4TRA');
+  });
+
+  it('renders a landscape PDF in the learner\'s language', () => {
+    const pdf = renderCertificatePdf(certificate, { locale: 'es' }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/MediaBox [0 0 842 595]');
+    expect(pdf).toContain('(Certificado de finalización)');
+    expect(pdf).toContain('(Ada <3)');
+    expect(pdf).toContain('0.545 0.361 0.965 RG');
+  });
+});
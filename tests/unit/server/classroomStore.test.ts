@@ -0,0 +1,150 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  buildClassReport,
+  ClassroomError,
+  createClassroomStore,
+  normalizeJoinCode,
+} from '../../../lib/classroomStore.js';
+import { createProgressStore } from '../../../lib/progressStore.js';
+
+const reward = { stars: 1, badge: 'First Variable', message: 'Great job!' };
+
+function codes(...values: string[]) {
+  return () => values.shift() ?? 'ZZZZZZ';
+}
+
+describe('createClassroomStore', () => {
+  let tempDir: string | null = null;
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  it('creates classes with a fresh join code', async () => {
+    const store = createClassroomStore({
+      now: () => Date.parse('2025-03-01T09:00:00Z'),
+      generateCode: codes('K7P2QX', 'K7P2QX', 'M4N8RT'),
+    });
+
+    const first = await store.createClass('teacher-1', { name: '  Room 4B   Coders ', courseId: 'python-kids' });
+    const second = await store.createClass('teacher-1', { name: 'Art Club' });
+
+    expect(first).toMatchObject({
+      name: 'Room 4B Coders',
+      code: 'K7P2QX',
+      courseId: 'python-kids',
+      createdAt: '2025-03-01T09:00:00.000Z',
+      studentCount: 0,
+    });
+    expect(first.id).toMatch(/^class-/);
+    // The duplicate code was skipped
+    expect(second.code).toBe('M4N8RT');
+  });
+
+  it('lets students join with the code however they type it', async () => {
+    const store = createClassroomStore({ generateCode: codes('K7P2QX') });
+    const created = await store.createClass('teacher-1', { name: 'Room 4B' });
+
+    const joined = await store.joinClass('student-1', { code: 'k7p-2qx', displayName: 'Ada' });
+    expect(joined).toEqual({
+      class: { id: created.id, name: 'Room 4B', courseId: null },
+      displayName: 'Ada',
+      alreadyJoined: false,
+    });
+
+    const again = await store.joinClass('student-1', { code: 'K7P2QX', displayName: 'Ada L.' });
+    expect(again.alreadyJoined).toBe(true);
+
+    const roster = await store.getRoster('teacher-1');
+    expect(roster.class.studentCount).toBe(1);
+    expect(roster.students).toEqual([{ learnerId: 'student-1', displayName: 'Ada L.', joinedAt: expect.any(String) }]);
+  });
+
+  it('rejects unknown codes and teachers joining their own class', async () => {
+    const store = createClassroomStore({ generateCode: codes('K7P2QX') });
+    await store.createClass('teacher-1', { name: 'Room 4B' });
+
+    await expect(store.joinClass('student-1', { code: 'NOPE42', displayName: 'Ada' }))
+      .rejects.toMatchObject({ name: 'ClassroomError', code: 'unknown-code' });
+    await expect(store.joinClass('teacher-1', { code: 'K7P2QX', displayName: 'Me' }))
+      .rejects.toMatchObject({ code: 'own-class' });
+    await expect(store.joinClass('student-1', { code: 'K7P2QX', displayName: '   ' }))
+      .rejects.toThrow('displayName is required');
+  });
+
+  it('only shows a roster to the class\'s teacher', async () => {
+    const store = createClassroomStore({ generateCode: codes('K7P2QX') });
+    const created = await store.createClass('teacher-1', { name: 'Room 4B' });
+
+    await expect(store.getRoster('teacher-2', created.id)).rejects.toBeInstanceOf(ClassroomError);
+    await expect(store.getRoster('teacher-2', created.id)).rejects.toMatchObject({ code: 'class-not-found' });
+    await expect(store.getRoster('teacher-2')).rejects.toMatchObject({ code: 'no-classes' });
+    expect(await store.listClasses('teacher-2')).toEqual([]);
+  });
+
+  it('persists classes and rosters to disk', async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-classroom-'));
+    const filePath = path.join(tempDir, 'classrooms.json');
+
+    const store = createClassroomStore({ filePath, generateCode: codes('K7P2QX') });
+    await store.createClass('teacher-1', { name: 'Room 4B' });
+    await store.joinClass('student-1', { code: 'K7P2QX', displayName: 'Ada' });
+    await store.flush();
+
+    const reopened = createClassroomStore({ filePath });
+    const roster = await reopened.getRoster('teacher-1');
+    expect(roster.students.map((student) => student.displayName)).toEqual(['Ada']);
+  });
+});
+
+describe('buildClassReport', () => {
+  it('summarizes each student\'s progress without learner ids', async () => {
+    let minute = 0;
+    const progressStore = createProgressStore({ now: () => Date.parse('2025-03-02T10:00:00Z') + minute++ * 60000 });
+    await progressStore.recordAttempt('student-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: false });
+    await progressStore.recordAttempt('student-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await progressStore.recordAttempt('student-1', { courseId: 'art-kids', lessonId: 'lesson-1', correct: true, reward });
+
+    const roster = {
+      class: { id: 'class-1', name: 'Room 4B', code: 'K7P2QX', courseId: 'python-kids', createdAt: '', studentCount: 2 },
+      students: [
+        { learnerId: 'student-1', displayName: 'Ada', joinedAt: '2025-03-01T09:00:00.000Z' },
+        { learnerId: 'student-2', displayName: 'Bo', joinedAt: '2025-03-01T09:05:00.000Z' },
+      ],
+    };
+    const progressByLearner = new Map([
+      ['student-1', await progressStore.getProgress('student-1')],
+      ['student-2', await progressStore.getProgress('student-2')],
+    ]);
+
+    const report = buildClassReport(roster, progressByLearner);
+
+    expect(report.students[0]).toMatchObject({
+      displayName: 'Ada',
+      completedLessons: 1,
+      earnedStars: 1,
+      totalAttempts: 2,
+      lastActive: '2025-03-02T10:01:00.000Z',
+      courses: [{ courseId: 'python-kids', completedLessons: ['lesson-1'], earnedStars: 1, currentLessonId: 'lesson-1' }],
+      recentAttempts: [
+        { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, at: '2025-03-02T10:01:00.000Z' },
+        { courseId: 'python-kids', lessonId: 'lesson-1', correct: false, at: '2025-03-02T10:00:00.000Z' },
+      ],
+    });
+    expect(report.students[1]).toMatchObject({ displayName: 'Bo', completedLessons: 0, lastActive: null, recentAttempts: [] });
+    expect(JSON.stringify(report)).not.toContain('student-1');
+  });
+});
+
+describe('normalizeJoinCode', () => {
+  it('ignores case, spaces and dashes', () => {
+    expect(normalizeJoinCode(' k7p-2qx ')).toBe('K7P2QX');
+    expect(normalizeJoinCode(undefined)).toBe('');
+  });
+});
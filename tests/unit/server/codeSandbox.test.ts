@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { runPythonProgram, runPythonSandboxed } from '../../../lib/codeSandbox.js';
+
+describe('runPythonProgram', () => {
+  it('returns output and variables for a successful run', () => {
+    const result = runPythonProgram('favorite_animal = "cat"\nprint(favorite_animal)');
+
+    expect(result.ok).toBe(true);
+    expect(result.stdout).toBe('cat\n');
+    expect(result.variables.favorite_animal).toMatchObject({ type: 'str', text: 'cat' });
+    expect(result.error).toBeNull();
+  });
+
+  it('evaluates calls after the program runs', () => {
+    const result = runPythonProgram('def greet(name):\n    print("debug")\n    return "Hi " + name\nprint("start")', {
+      calls: ['greet("Ana")', 'greet(1)'],
+    });
+
+    expect(result.stdout).toBe('start\n');
+    expect(result.calls[0]).toMatchObject({ call: 'greet("Ana")', ok: true, result: { type: 'str', value: 'Hi Ana' } });
+    expect(result.calls[1]).toMatchObject({ ok: false, error: { type: 'TypeError' } });
+  });
+
+  it('keeps output printed before an error', () => {
+    const result = runPythonProgram('print("start")\nprint(missing)');
+
+    expect(result.ok).toBe(false);
+    expect(result.stdout).toBe('start\n');
+    expect(result.error).toMatchObject({ type: 'NameError', line: 2 });
+  });
+});
+
+describe('runPythonSandboxed', () => {
+  it('runs code in a worker thread', async () => {
+    const result = await runPythonSandboxed('print(7 + 5)');
+
+    expect(result.ok).toBe(true);
+    expect(result.stdout).toBe('12\n');
+  });
+
+  it('terminates programs that exceed the time limit', async () => {
+    const result = await runPythonSandboxed('while True:\n    pass', { timeoutMs: 200, maxSteps: Infinity });
+
+    expect(result.ok).toBe(false);
+    expect(result.timedOut).toBe(true);
+    expect(result.error).toMatchObject({ type: 'TimeoutError', kind: 'timeout' });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_TRACE_STEPS, traceExample, traceProgram } from '../../../lib/codeTrace.js';
+
+describe('traceProgram', () => {
+  it('records a step per line with the variables it changed and what it printed', () => {
+    const trace = traceProgram('age = 9\nage = age + 1\nprint("I am", age)');
+
+    expect(trace.ok).toBe(true);
+    expect(trace.initial).toEqual({});
+    expect(trace.steps.map((step) => step.line)).toEqual([1, 2, 3]);
+    expect(trace.steps[0]).toMatchObject({ changed: ['age'], printed: '', frame: null });
+    expect(trace.steps[1].variables.age).toMatchObject({ type: 'int', text: '10' });
+    expect(trace.steps[1].changed).toEqual(['age']);
+    expect(trace.steps[2]).toMatchObject({ changed: [], printed: 'I am 10\n' });
+    expect(trace.output).toBe('I am 10\n');
+  });
+
+  it('shows loop turns and the local variables inside functions', () => {
+    const trace = traceProgram([
+      'def greet(name):',
+      '    message = "Hi " + name',
+      '    return message',
+      'for pet in ["cat", "dog"]:',
+      '    print(greet(pet))',
+    ].join('\n'));
+
+    expect(trace.steps.map((step) => step.line)).toEqual([1, 4, 2, 3, 5, 4, 2, 3, 5]);
+    expect(trace.steps[1].variables.pet.text).toBe('cat');
+    expect(trace.steps[2].frame).toMatchObject({
+      name: 'greet',
+      variables: { name: { text: 'cat' }, message: { text: 'Hi cat' } },
+      changed: ['name', 'message'],
+    });
+    expect(trace.steps[3].frame?.changed).toEqual([]);
+    expect(trace.steps[4].printed).toBe('Hi cat\n');
+  });
+
+  it('starts from the variables a setup program leaves', () => {
+    const trace = traceProgram('print(name)', { setup: 'name = "Luna"\nprint("setup")' });
+
+    expect(trace.initial.name.text).toBe('Luna');
+    expect(trace.steps).toHaveLength(1);
+    expect(trace.steps[0].printed).toBe('Luna\n');
+    expect(trace.output).toBe('Luna\n');
+  });
+
+  it('keeps the steps before an error', () => {
+    const trace = traceProgram('x = 1\nprint(y)');
+
+    expect(trace.ok).toBe(false);
+    expect(trace.steps).toHaveLength(1);
+    expect(trace.error).toMatchObject({ type: 'NameError', line: 2 });
+  });
+
+  it('stops recording long programs at the step limit', () => {
+    const trace = traceProgram('n = 0\nwhile True:\n    n += 1');
+
+    expect(trace).toMatchObject({ ok: true, truncated: true, error: null });
+    expect(trace.steps).toHaveLength(MAX_TRACE_STEPS);
+    expect(traceProgram('for i in range(10):\n    pass', { maxSteps: 5 }).steps).toHaveLength(5);
+  });
+});
+
+describe('traceExample', () => {
+  const examples = [
+    { code: 'my_name = "Alex"' },
+    { code: 'print(my_name)' },
+    { code: 'print(missing)' },
+    { explanation: 'No code here' },
+  ];
+
+  it('traces an example on its own when it runs', () => {
+    const trace = traceExample(examples, 0);
+
+    expect(trace?.ok).toBe(true);
+    expect(trace?.steps[0].changed).toEqual(['my_name']);
+  });
+
+  it('runs the earlier examples first when an example needs them', () => {
+    const trace = traceExample(examples, 1);
+
+    expect(trace?.ok).toBe(true);
+    expect(trace?.initial.my_name.text).toBe('Alex');
+    expect(trace?.output).toBe('Alex\n');
+  });
+
+  it('returns the failed trace when earlier examples do not help, and null without code', () => {
+    expect(traceExample(examples, 2)?.error?.type).toBe('NameError');
+    expect(traceExample(examples, 3)).toBeNull();
+    expect(traceExample(examples, 9)).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import {
+  INLINE_MAX_BYTES,
+  MAX_ASSET_BYTES,
+  MAX_IMAGE_WIDTH,
+  checkCourseAssets,
+  isAssetName,
+  loadCourseAssets,
+  optimizeCourseAssets,
+  optimizedAssetsDir,
+  resolveContentAssets,
+} from '../../../lib/contentAssets.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="30"><circle cx="20" cy="15" r="10"/></svg>';
+
+function lessonsWith(content: Record<string, unknown>) {
+  return { courseId: 'python-kids', lessons: [{ id: 'lesson-1', content }] };
+}
+
+describe('isAssetName', () => {
+  it('tells asset file names from URLs', () => {
+    expect(isAssetName('robot.png')).toBe(true);
+    expect(isAssetName('magic-box.v2.svg')).toBe(true);
+    expect(isAssetName('https://example.com/robot.png')).toBe(false);
+    expect(isAssetName('../robot.png')).toBe(false);
+    expect(isAssetName(null)).toBe(false);
+  });
+});
+
+describe('optimizeCourseAssets', () => {
+  let dataDir: string;
+  let sourceDir: string;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-assets-'));
+    sourceDir = path.join(dataDir, 'assets', 'python-kids');
+    await fs.mkdir(sourceDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('shrinks images to WebP under content-hashed names and writes a manifest', async () => {
+    await sharp({ create: { width: 1600, height: 1000, channels: 3, background: '#3366cc' } })
+      .png()
+      .toFile(path.join(sourceDir, 'robot.png'));
+    await fs.writeFile(path.join(sourceDir, 'box.svg'), SVG);
+    await fs.writeFile(path.join(sourceDir, 'notes.txt'), 'not an image');
+
+    const result = await optimizeCourseAssets(dataDir, 'python-kids');
+    expect(result?.assets.map((asset) => asset.name)).toEqual(['box.svg', 'robot.png']);
+
+    const manifest = JSON.parse(await fs.readFile(path.join(optimizedAssetsDir(dataDir, 'python-kids'), 'manifest.json'), 'utf-8'));
+    expect(manifest.courseId).toBe('python-kids');
+    expect(manifest.assets['robot.png']).toEqual({
+      file: expect.stringMatching(/^robot\.[0-9a-f]{8}\.webp$/),
+      type: 'image/webp',
+      width: MAX_IMAGE_WIDTH,
+      height: 500,
+      bytes: expect.any(Number),
+    });
+    expect(manifest.assets['box.svg']).toMatchObject({
+      file: expect.stringMatching(/^box\.[0-9a-f]{8}\.svg$/),
+      type: 'image/svg+xml',
+      width: 40,
+      height: 30,
+    });
+
+    const optimized = await sharp(path.join(optimizedAssetsDir(dataDir, 'python-kids'), manifest.assets['robot.png'].file)).metadata();
+    expect(optimized.format).toBe('webp');
+  });
+
+  it('removes optimized files whose source is gone', async () => {
+    await fs.writeFile(path.join(sourceDir, 'box.svg'), SVG);
+    const first = await optimizeCourseAssets(dataDir, 'python-kids');
+    await fs.writeFile(path.join(sourceDir, 'box.svg'), SVG.replace('r="10"', 'r="12"'));
+
+    const second = await optimizeCourseAssets(dataDir, 'python-kids');
+    expect(second?.assets[0].file).not.toBe(first?.assets[0].file);
+    expect(second?.removed).toEqual([first?.assets[0].file]);
+    expect(await fs.readdir(optimizedAssetsDir(dataDir, 'python-kids'))).toEqual(
+      [second?.assets[0].file, 'manifest.json'].sort()
+    );
+  });
+
+  it('skips courses without an assets folder', async () => {
+    expect(await optimizeCourseAssets(dataDir, 'other-course')).toBe(null);
+  });
+
+  it('loads the manifest with small files inlined and lost files marked', async () => {
+    await fs.writeFile(path.join(sourceDir, 'box.svg'), SVG);
+    await fs.writeFile(path.join(sourceDir, 'dot.svg'), SVG);
+    const { assets } = (await optimizeCourseAssets(dataDir, 'python-kids'))!;
+    await fs.rm(path.join(optimizedAssetsDir(dataDir, 'python-kids'), assets[1].file));
+
+    const loaded = await loadCourseAssets(dataDir, 'python-kids');
+    expect(loaded?.assets['box.svg'].dataUri).toBe(`data:image/svg+xml;base64,${Buffer.from(SVG).toString('base64')}`);
+    expect(loaded?.assets['dot.svg'].missing).toBe(true);
+    expect(await loadCourseAssets(dataDir, 'other-course')).toBe(null);
+  });
+});
+
+describe('checkCourseAssets', () => {
+  const courseAssets = {
+    courseId: 'python-kids',
+    assets: {
+      'robot.png': { file: 'robot.1234abcd.webp', type: 'image/webp', bytes: 4000 },
+      'poster.png': { file: 'poster.1234abcd.webp', type: 'image/webp', bytes: MAX_ASSET_BYTES + 1 },
+      'lost.png': { file: 'lost.1234abcd.webp', type: 'image/webp', missing: true },
+    },
+  };
+
+  it('reports missing images as errors and oversized ones as warnings', () => {
+    const lessonsData = lessonsWith({
+      image: 'robot.png',
+      blocks: [
+        { type: 'image', src: 'ghost.png', alt: 'A ghost' },
+        { type: 'image', src: 'lost.png', alt: 'Lost' },
+        { type: 'image', src: 'poster.png', alt: 'Poster' },
+        { type: 'image', src: 'https://example.com/cat.png', alt: 'A cat' },
+      ],
+    });
+
+    const issues = checkCourseAssets(lessonsData, courseAssets);
+    expect(issues).toEqual([
+      expect.objectContaining({ level: 'error', path: '/lessons/0/content/blocks/0/src', message: expect.stringContaining('"ghost.png" is not in') }),
+      expect.objectContaining({ level: 'error', path: '/lessons/0/content/blocks/1/src', message: expect.stringContaining('file is missing') }),
+      expect.objectContaining({
+        level: 'warning',
+        file: 'assets/python-kids/optimized/manifest.json',
+        path: '/assets/poster.png',
+        message: expect.stringContaining('more than 200 KB'),
+      }),
+    ]);
+  });
+
+  it('reports every referenced image when the course has no manifest', () => {
+    expect(checkCourseAssets(lessonsWith({ image: 'robot.png' }), null)).toHaveLength(1);
+  });
+
+  it('warns about unused assets when linting', () => {
+    const issues = checkCourseAssets(lessonsWith({ image: 'robot.png' }), courseAssets, { lint: true });
+    expect(issues.filter((issue) => issue.message === 'Not used by any lesson').map((issue) => issue.path)).toEqual([
+      '/assets/poster.png',
+      '/assets/lost.png',
+    ]);
+  });
+});
+
+describe('resolveContentAssets', () => {
+  const courseAssets = {
+    courseId: 'python-kids',
+    assets: {
+      'dot.png': { file: 'dot.1234abcd.webp', type: 'image/webp', bytes: 90, dataUri: 'data:image/webp;base64,AAAA' },
+      'robot.png': { file: 'robot.1234abcd.webp', type: 'image/webp', bytes: INLINE_MAX_BYTES + 1 },
+      'lost.png': { file: 'lost.1234abcd.webp', type: 'image/webp', missing: true },
+    },
+  };
+
+  it('inlines small images and links the rest', () => {
+    const content = resolveContentAssets({
+      image: 'robot.png',
+      blocks: [
+        { type: 'paragraph', text: 'Hi' },
+        { type: 'image', src: 'dot.png', alt: 'A dot' },
+        { type: 'image', src: 'https://example.com/cat.png', alt: 'A cat' },
+      ],
+    }, courseAssets, 'https://kids.example');
+
+    expect(content.image).toBe('https://kids.example/content-assets/python-kids/robot.1234abcd.webp');
+    expect(content.blocks.map((block: { src?: string }) => block.src)).toEqual([
+      undefined,
+      'data:image/webp;base64,AAAA',
+      'https://example.com/cat.png',
+    ]);
+  });
+
+  it('drops images whose asset is missing', () => {
+    const content = resolveContentAssets({
+      image: 'lost.png',
+      blocks: [{ type: 'image', src: 'ghost.png', alt: 'A ghost' }, { type: 'paragraph', text: 'Hi' }],
+    }, courseAssets, 'https://kids.example');
+
+    expect(content.image).toBe(null);
+    expect(content.blocks).toEqual([{ type: 'paragraph', text: 'Hi' }]);
+  });
+
+  it('leaves content without images alone', () => {
+    expect(resolveContentAssets({ image: null, blocks: [] }, null, 'https://kids.example')).toEqual({ image: null, blocks: [] });
+  });
+});
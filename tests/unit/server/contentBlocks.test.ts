@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { blockProblems, contentWithBlocks, explanationToBlocks } from '../../../lib/contentBlocks.js';
+
+describe('explanationToBlocks', () => {
+  it('turns paragraphs, bullet lists and code fences into blocks', () => {
+    const text = [
+      'A **list** holds many items.',
+      '',
+      '```python',
+      'foods = ["pizza", "tacos"]',
+      '```',
+      '',
+      'You can:',
+      '- Add items',
+      '- Count them',
+      'Lists are useful!',
+    ].join('\n');
+
+    expect(explanationToBlocks(text)).toEqual([
+      { type: 'paragraph', text: 'A **list** holds many items.' },
+      { type: 'code', code: 'foods = ["pizza", "tacos"]', language: 'python' },
+      { type: 'paragraph', text: 'You can:' },
+      { type: 'list', items: ['Add items', 'Count them'] },
+      { type: 'paragraph', text: 'Lists are useful!' },
+    ]);
+  });
+
+  it('keeps code indentation and joins wrapped lines of a paragraph', () => {
+    expect(explanationToBlocks('To make one:\nuse def.\n```\ndef hi():\n    print("hi")\n```')).toEqual([
+      { type: 'paragraph', text: 'To make one: use def.' },
+      { type: 'code', code: 'def hi():\n    print("hi")' },
+    ]);
+    expect(explanationToBlocks('')).toEqual([]);
+  });
+});
+
+describe('contentWithBlocks', () => {
+  it('converts the explanation and keeps authored blocks as they are', () => {
+    const converted = contentWithBlocks({ character: '🦉', explanation: 'Hello!' });
+    expect(converted).toEqual({ character: '🦉', explanation: 'Hello!', blocks: [{ type: 'paragraph', text: 'Hello!' }] });
+
+    const authored = { explanation: 'Old text', blocks: [{ type: 'analogy', text: 'Like a box' }] };
+    expect(contentWithBlocks(authored)).toBe(authored);
+  });
+});
+
+describe('blockProblems', () => {
+  it('accepts blocks with only their own fields', () => {
+    expect(blockProblems({ type: 'callout', tone: 'tip', title: 'Tip', text: 'Use quotes' })).toEqual([]);
+    expect(blockProblems({ type: 'quiz', question: 'Which?', options: ['a', 'b'], answer: 0, explanation: 'a' })).toEqual([]);
+  });
+
+  it('reports fields of other block types and quiz answers that do not fit', () => {
+    expect(blockProblems({ type: 'paragraph', text: 'Hi', code: 'x = 1' })).toEqual([
+      { field: 'code', message: 'A paragraph block cannot have "code"' },
+    ]);
+    expect(blockProblems({ type: 'quiz', question: 'Which?', options: ['a', 'a'], answer: 2 }).map((problem) => problem.field))
+      .toEqual(['answer', 'options']);
+  });
+});
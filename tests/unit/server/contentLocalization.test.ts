@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { localizeCourse, localizeLesson, localizeLessons } from '../../../lib/contentLocalization.js';
+import { createDataLoader } from '../../../lib/data.js';
+import { buildStudentValidation } from '../../../lib/lessonValidation.js';
+import { checkLesson } from '../../../lib/lessonSelfCheck.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../../../mcp-server/data');
+
+const lesson = {
+  id: 'lesson-1',
+  order: 1,
+  title: 'Magic Variables',
+  content: {
+    greeting: 'Hello!',
+    examples: [
+      { code: 'x = 1', explanation: 'Stores 1' },
+      { code: 'print(x)', explanation: 'Shows x' },
+    ],
+  },
+  exercise: {
+    instruction: 'Create a variable',
+    template: 'x = ____',
+    solution: 'x = 1',
+    validation: { type: 'regex', pattern: 'x\\s*=', errorMessage: 'Try again' },
+    guidedRules: [
+      { id: 'quote', type: 'error', when: [{ matches: 'x' }], message: 'Use quotes' },
+      { id: 'name', type: 'accept', when: [{ matches: 'y' }], message: 'Nice' },
+    ],
+  },
+  reward: { stars: 1, badge: 'First Variable', message: 'Great!' },
+};
+
+describe('localizeLesson', () => {
+  it('returns the lesson unchanged without a translation', () => {
+    expect(localizeLesson(lesson, undefined)).toBe(lesson);
+  });
+
+  it('overlays translated text and keeps the rest in English', () => {
+    const localized = localizeLesson(lesson, {
+      title: 'Variables mágicas',
+      content: { examples: [{ explanation: 'Guarda 1' }] },
+      exercise: {
+        validation: { errorMessage: 'Inténtalo otra vez' },
+        guidedRules: { name: 'Muy bien' },
+      },
+      reward: { message: '¡Genial!' },
+    });
+
+    expect(localized.title).toBe('Variables mágicas');
+    expect(localized.content.greeting).toBe('Hello!');
+    expect(localized.content.examples).toEqual([
+      { code: 'x = 1', explanation: 'Guarda 1' },
+      { code: 'print(x)', explanation: 'Shows x' },
+    ]);
+    expect(localized.exercise.validation).toEqual({ type: 'regex', pattern: 'x\\s*=', errorMessage: 'Inténtalo otra vez' });
+    expect(localized.exercise.guidedRules.map((rule: { message: string }) => rule.message)).toEqual(['Use quotes', 'Muy bien']);
+    expect(localized.reward).toEqual({ stars: 1, badge: 'First Variable', message: '¡Genial!' });
+    expect(lesson.title).toBe('Magic Variables');
+  });
+
+  it('never overrides code, patterns, ids or rewards', () => {
+    const localized = localizeLesson(lesson, {
+      id: 'lesson-9',
+      content: { examples: [{ code: 'hack()' }] },
+      exercise: { solution: 'hack()', template: 'hack()', validation: { pattern: '.*' } },
+      reward: { stars: 99, badge: 'Hacker' },
+      nextLesson: 'lesson-9',
+    });
+
+    expect(localized).toEqual(lesson);
+  });
+
+  it('ignores text for fields the English lesson does not have', () => {
+    const localized = localizeLesson(lesson, { completionMessage: '¡Felicidades!', title: 42 });
+    expect(localized).not.toHaveProperty('completionMessage');
+    expect(localized.title).toBe('Magic Variables');
+  });
+
+  it('translates the text of content blocks but not their code or answers', () => {
+    const withBlocks = {
+      ...lesson,
+      content: {
+        blocks: [
+          { type: 'code', code: 'x = 1' },
+          { type: 'quiz', question: 'Which one?', options: ['a = 1', 'Text'], answer: 1 },
+          { type: 'dialogue', lines: [{ speaker: 'Sam', text: 'Hi!' }] },
+        ],
+      },
+    };
+    const localized = localizeLesson(withBlocks, {
+      content: {
+        blocks: [
+          { code: 'y = 2' },
+          { question: '¿Cuál?', options: ['a = 1', 'Texto'], answer: 0 },
+          { lines: [{ speaker: 'Sara', text: '¡Hola!' }] },
+        ],
+      },
+    });
+
+    expect(localized.content.blocks).toEqual([
+      { type: 'code', code: 'x = 1' },
+      { type: 'quiz', question: '¿Cuál?', options: ['a = 1', 'Texto'], answer: 1 },
+      { type: 'dialogue', lines: [{ speaker: 'Sara', text: '¡Hola!' }] },
+    ]);
+  });
+});
+
+describe('localizeCourse', () => {
+  it('translates course text and objectives', () => {
+    const course = { id: 'python-kids', title: 'Python for Kids', learningObjectives: ['Variables', 'Lists'], lessonIds: ['lesson-1'] };
+    expect(localizeCourse(course, { title: 'Python para niños', learningObjectives: ['Variables'] })).toEqual({
+      ...course,
+      title: 'Python para niños',
+      learningObjectives: ['Variables', 'Lists'],
+    });
+  });
+});
+
+describe('shipped Spanish translation', () => {
+  async function loadSpanishLessons() {
+    const loader = createDataLoader(DATA_DIR);
+    const lessonsData = await loader.loadLessons('python-kids');
+    const translations = await loader.loadLessonTranslations('es', 'python-kids');
+    return { lessonsData, localized: localizeLessons(lessonsData, translations) };
+  }
+
+  it('translates every lesson', async () => {
+    const { lessonsData, localized } = await loadSpanishLessons();
+    localized.lessons.forEach((item: typeof lesson, index: number) => {
+      const english = lessonsData.lessons[index];
+      expect(item.content.greeting).not.toBe(english.content.greeting);
+      expect(item.reward.message).not.toBe(english.reward.message);
+      expect(item.exercise.solution).toBe(english.exercise.solution);
+    });
+  });
+
+  it('grades Spanish lessons exactly like the English ones', async () => {
+    const { localized } = await loadSpanishLessons();
+    for (const item of localized.lessons) {
+      expect((await checkLesson(item, { courseId: 'python-kids' })).failures).toEqual([]);
+    }
+  });
+
+  it('gives guided feedback in Spanish', async () => {
+    const { localized } = await loadSpanishLessons();
+    const result = buildStudentValidation(
+      localized.lessons[1],
+      'my_candies = "7"\nfriend_candies = 5\ntotal_candies = my_candies + friend_candies',
+      { courseId: 'python-kids', locale: 'es' }
+    );
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toContain('sin comillas');
+  });
+});
@@ -0,0 +1,364 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  checkCatalog,
+  checkCourseLessons,
+  checkTranslation,
+  lintCourseLessons,
+  validateContent,
+} from '../../../lib/contentValidation.js';
+import { appendLesson, createCourseScaffold } from '../../../lib/contentAuthoring.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../../../mcp-server/data');
+
+async function readData() {
+  const courses = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'courses.json'), 'utf-8'));
+  const lessons = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'lessons', 'python-kids.json'), 'utf-8'));
+  return { courses, course: courses.courses[0], lessons };
+}
+
+function messages(issues: Array<{ message: string }>) {
+  return issues.map((issue) => issue.message);
+}
+
+describe('validateContent', () => {
+  let tempDir: string | null = null;
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  async function writeDataDir(courses: unknown, lessons: Record<string, unknown>) {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-content-'));
+    await fs.mkdir(path.join(tempDir, 'lessons'));
+    await fs.writeFile(path.join(tempDir, 'courses.json'), JSON.stringify(courses));
+    for (const [courseId, data] of Object.entries(lessons)) {
+      await fs.writeFile(path.join(tempDir, 'lessons', `${courseId}.json`), JSON.stringify(data));
+    }
+    return tempDir;
+  }
+
+  it('accepts the shipped course content without warnings', async () => {
+    const result = await validateContent(DATA_DIR, { lint: true });
+    expect(result).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('reports schema errors with their JSON path', async () => {
+    const { courses, lessons } = await readData();
+    courses.courses[0].difficulty = 'easy';
+    delete lessons.lessons[1].exercise.solution;
+
+    const dataDir = await writeDataDir(courses, {});
+    const { errors } = await validateContent(dataDir);
+    expect(errors).toEqual([
+      expect.objectContaining({ file: 'courses.json', path: '/courses/0/difficulty' }),
+    ]);
+
+    await fs.writeFile(path.join(dataDir, 'courses.json'), JSON.stringify((await readData()).courses));
+    await fs.writeFile(path.join(dataDir, 'lessons', 'python-kids.json'), JSON.stringify(lessons));
+    const second = await validateContent(dataDir);
+    expect(second.errors).toEqual([
+      expect.objectContaining({
+        file: path.join('lessons', 'python-kids.json'),
+        path: '/lessons/1/exercise',
+        message: "must have required property 'solution'",
+      }),
+    ]);
+  });
+
+  it('checks each exercise kind for the fields it needs', async () => {
+    const { courses, lessons } = await readData();
+    lessons.lessons[0].exercise = {
+      kind: 'multiple-choice',
+      instruction: 'Which line stores text?',
+      options: ['pet = cat', 'pet = "cat"'],
+      answer: 1,
+      hints: [{ text: 'Text needs quotes.' }],
+    };
+    lessons.lessons[1].exercise = { kind: 'predict-output', instruction: 'What does this print?', hints: [{ text: 'Read it' }] };
+
+    const { errors, warnings } = await validateContent(await writeDataDir(courses, { 'python-kids': lessons }), { lint: true });
+    expect(errors).toEqual([
+      expect.objectContaining({ path: '/lessons/1/exercise', message: "must have required property 'code'" }),
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('validates content blocks by type', async () => {
+    const { courses, lessons } = await readData();
+    const { explanation, ...content } = lessons.lessons[0].content;
+    lessons.lessons[0].content = {
+      ...content,
+      blocks: [
+        { type: 'paragraph', text: 'A **variable** is a box.' },
+        { type: 'analogy', emoji: '📦', text: 'Like a labelled box.' },
+        { type: 'quiz', question: 'Which stores text?', options: ['a = 1', 'a = "hi"'], answer: 1 },
+        { type: 'dialogue', lines: [{ text: 'Hi!' }, { speaker: 'Sam', text: 'Hello!' }] },
+      ],
+    };
+    lessons.lessons[1].content.blocks = [
+      { type: 'callout', text: 'Careful!' },
+      { type: 'quiz', question: 'Pick one', options: ['a', 'a'], answer: 3 },
+      { type: 'code', code: 'x = 1', text: 'Stray' },
+    ];
+
+    const dataDir = await writeDataDir(courses, { 'python-kids': lessons });
+    expect((await validateContent(dataDir)).errors).toEqual([
+      expect.objectContaining({ path: '/lessons/1/content/blocks/0', message: "must have required property 'tone'" }),
+    ]);
+
+    lessons.lessons[1].content.blocks[0].tone = 'tip';
+    await fs.writeFile(path.join(dataDir, 'lessons', 'python-kids.json'), JSON.stringify(lessons));
+    const { errors, warnings } = await validateContent(dataDir, { lint: true });
+    expect(messages(errors)).toEqual([
+      'lesson-2: answer 3 is not one of the 2 options',
+      'lesson-2: Two options are the same',
+      'lesson-2: A code block cannot have "text"',
+    ]);
+    expect(errors[0].path).toBe('/lessons/1/content/blocks/1/answer');
+    expect(warnings).toEqual([
+      expect.objectContaining({ path: '/lessons/1/content/explanation', message: 'lesson-2 has both explanation and blocks; only blocks is used' }),
+    ]);
+  });
+
+  it('checks lesson images against the course asset manifest', async () => {
+    const { courses, lessons } = await readData();
+    lessons.lessons[0].content.image = 'robot.png';
+    lessons.lessons[1].content.image = 'http://example.com/robot.png';
+
+    const dataDir = await writeDataDir(courses, { 'python-kids': lessons });
+    expect((await validateContent(dataDir)).errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/lessons/1/content/image', message: expect.stringMatching(/^must match pattern/) }),
+    ]));
+
+    lessons.lessons[1].content.image = 'https://example.com/robot.png';
+    await fs.writeFile(path.join(dataDir, 'lessons', 'python-kids.json'), JSON.stringify(lessons));
+    expect((await validateContent(dataDir)).errors).toEqual([
+      expect.objectContaining({
+        path: '/lessons/0/content/image',
+        message: expect.stringContaining('"robot.png" is not in assets/python-kids/optimized/manifest.json'),
+      }),
+    ]);
+
+    const assetsDir = path.join(dataDir, 'assets', 'python-kids', 'optimized');
+    await fs.mkdir(assetsDir, { recursive: true });
+    await fs.writeFile(path.join(assetsDir, 'robot.1234abcd.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+    await fs.writeFile(path.join(assetsDir, 'manifest.json'), JSON.stringify({
+      courseId: 'python-kids',
+      assets: { 'robot.png': { file: 'robot.1234abcd.svg', type: 'image/svg+xml', width: 1, height: 1, bytes: 41 } },
+    }));
+    expect(await validateContent(dataDir, { lint: true })).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('reports missing lesson files and invalid JSON', async () => {
+    const { courses } = await readData();
+    const dataDir = await writeDataDir(courses, {});
+    expect(messages((await validateContent(dataDir)).errors)).toEqual(['File not found']);
+
+    await fs.writeFile(path.join(dataDir, 'courses.json'), '{ "courses": [');
+    expect(messages((await validateContent(dataDir)).errors)[0]).toMatch(/^Invalid JSON/);
+  });
+});
+
+describe('checkCatalog', () => {
+  it('checks ids, prerequisites and totalLessons', async () => {
+    const { courses } = await readData();
+    const copy = structuredClone(courses.courses[0]);
+    copy.prerequisites = ['python-kids', 'missing-course'];
+    copy.totalLessons = 4;
+
+    expect(messages(checkCatalog({ courses: [courses.courses[0], copy] }))).toEqual([
+      'Duplicate course id "python-kids"',
+      'Course "python-kids" lists itself as a prerequisite',
+      'Unknown prerequisite course "missing-course"',
+      'totalLessons is 4 but lessonIds lists 5 lessons',
+    ]);
+  });
+});
+
+describe('checkCourseLessons', () => {
+  it('accepts a consistent course', async () => {
+    const { course, lessons } = await readData();
+    expect(await checkCourseLessons(course, lessons)).toEqual([]);
+  });
+
+  it('checks lessonIds against the lessons file', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons.pop();
+    lessons.lessons[3].nextLesson = null;
+
+    expect(messages(await checkCourseLessons(course, lessons))).toEqual(expect.arrayContaining([
+      'courses.json lists "lesson-5" but this file has no such lesson',
+    ]));
+  });
+
+  it('checks the nextLesson chain', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[1].nextLesson = 'lesson-4';
+    lessons.lessons[4].nextLesson = 'lesson-1';
+
+    expect(messages(await checkCourseLessons(course, lessons))).toEqual([
+      'lesson-2.nextLesson should be "lesson-3", found "lesson-4"',
+      'lesson-5.nextLesson should be null, found "lesson-1"',
+    ]);
+  });
+
+  it('checks badges and stars against the course rewards', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[0].reward.badge = 'Variable Master';
+    lessons.lessons[0].reward.stars = 2;
+
+    expect(messages(await checkCourseLessons(course, lessons))).toEqual([
+      'Badge "Variable Master" is not listed in rewards.badges of course "python-kids"',
+      'Lessons award 6 stars but rewards.totalStars of course "python-kids" is 5',
+    ]);
+  });
+
+  it('checks that every solution passes its own pattern', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[2].exercise.solution = 'print("hi")';
+    lessons.lessons[3].exercise.validation.pattern = 'my_list\\s*=\\s*[';
+
+    const issues = await checkCourseLessons(course, lessons);
+    expect(issues).toEqual([
+      expect.objectContaining({
+        path: '/lessons/2/exercise/solution',
+        message: 'The solution of lesson-3 does not match its validation.pattern',
+      }),
+      expect.objectContaining({
+        path: '/lessons/3/exercise/validation/pattern',
+        message: expect.stringMatching(/^Invalid pattern/),
+      }),
+    ]);
+  });
+
+  it('flags guided rules limited to another course', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[0].exercise.guidedRules[0].courseId = 'art-kids';
+
+    const issues = await checkCourseLessons(course, lessons);
+    expect(issues).toEqual([
+      expect.objectContaining({
+        path: '/lessons/0/exercise/guidedRules/0/courseId',
+        message: 'Rule "quote-animal-name" is limited to "art-kids", so it never applies in "python-kids"',
+      }),
+    ]);
+  });
+
+  it('includes the lesson self-check', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[0].exercise.validation.pattern = 'favorite_animal\\s*=';
+
+    // The known-wrong answers still fail when they run, so only the template gets through
+    expect(await checkCourseLessons(course, lessons)).toEqual([
+      expect.objectContaining({ path: '/lessons/0/exercise/template', message: 'lesson-1: the untouched template is accepted' }),
+    ]);
+  });
+
+  it('runs the solution against the declared tests', async () => {
+    const { course, lessons } = await readData();
+    lessons.lessons[4].exercise.validation.tests[0].expect = 'WRONG';
+
+    expect(await checkCourseLessons(course, lessons)).toEqual([
+      expect.objectContaining({
+        path: '/lessons/4/exercise/solution',
+        message: expect.stringContaining('lesson-5: the solution is rejected'),
+      }),
+    ]);
+  });
+});
+
+describe('content scaffolding', () => {
+  it('creates a course whose starter lesson passes validation', async () => {
+    const { course, lessonsData } = createCourseScaffold({ id: 'art-kids', title: 'Art for Kids' });
+
+    expect(course).toMatchObject({ totalLessons: 1, lessonIds: ['lesson-1'], rewards: { totalStars: 1 } });
+    expect(checkCatalog({ courses: [course] })).toEqual([]);
+    expect(await checkCourseLessons(course, lessonsData)).toEqual([]);
+    expect(lintCourseLessons(course, lessonsData).length).toBeGreaterThan(0);
+  });
+
+  it('rejects ids that are not kebab-case', () => {
+    expect(() => createCourseScaffold({ id: 'Art Kids', title: 'Art' })).toThrow(/lowercase words/);
+  });
+
+  it('appends a lesson and keeps the chain and final-lesson flag in sync', async () => {
+    const { course, lessons } = await readData();
+    const result = appendLesson(course, lessons, { title: 'Loops', badge: 'Loop Legend' });
+
+    expect(result.lesson.id).toBe('lesson-6');
+    expect(result.course).toMatchObject({
+      totalLessons: 6,
+      rewards: { totalStars: 6, badges: expect.arrayContaining(['Loop Legend']) },
+    });
+    expect(result.lessonsData.lessons[4]).toMatchObject({ nextLesson: 'lesson-6' });
+    expect(result.lessonsData.lessons[4].isFinalLesson).toBeUndefined();
+    expect(result.lesson.isFinalLesson).toBe(true);
+    expect(await checkCourseLessons(result.course, result.lessonsData)).toEqual([]);
+    expect(lessons.lessons[4].nextLesson).toBeNull();
+  });
+});
+
+describe('checkTranslation', () => {
+  async function readTranslation() {
+    const { courses, lessons } = await readData();
+    const read = async (...parts: string[]) => JSON.parse(await fs.readFile(path.join(DATA_DIR, 'locales', 'es', ...parts), 'utf-8'));
+    return {
+      content: { coursesData: courses, lessonsByCourse: { 'python-kids': lessons } },
+      translation: {
+        courses: await read('courses.json'),
+        lessonsByCourse: { 'python-kids': await read('lessons', 'python-kids.json') },
+      },
+    };
+  }
+
+  it('accepts the shipped Spanish translation', async () => {
+    const { content, translation } = await readTranslation();
+    expect(checkTranslation('es', translation, content, { lint: true })).toEqual([]);
+  });
+
+  it('reports unknown ids', async () => {
+    const { content, translation } = await readTranslation();
+    translation.courses.courses['art-kids'] = { title: 'Arte' };
+    const lessonsText = translation.lessonsByCourse['python-kids'];
+    lessonsText.lessons['lesson-9'] = { title: 'Nueve' };
+    lessonsText.lessons['lesson-1'].exercise.guidedRules['no-such-rule'] = 'Hola';
+
+    expect(messages(checkTranslation('es', translation, content))).toEqual([
+      'Unknown course "art-kids"',
+      'Unknown guided rule "no-such-rule"',
+      'Unknown lesson "lesson-9"',
+    ]);
+  });
+
+  it('rejects fields that are not text', async () => {
+    const { content, translation } = await readTranslation();
+    const lessonText = translation.lessonsByCourse['python-kids'].lessons['lesson-1'];
+    lessonText.exercise.solution = 'print("hola")';
+    lessonText.reward.message = 42;
+    lessonText.completionMessage = '¡Fin!';
+
+    expect(checkTranslation('es', translation, content)).toEqual([
+      expect.objectContaining({ path: '/lessons/lesson-1/exercise/solution', message: '"solution" cannot be translated' }),
+      expect.objectContaining({ path: '/lessons/lesson-1/reward/message', message: 'Must be text' }),
+      expect.objectContaining({ path: '/lessons/lesson-1/completionMessage', message: 'Has no English text to translate' }),
+    ]);
+  });
+
+  it('warns about untranslated lessons when linting', async () => {
+    const { content, translation } = await readTranslation();
+    delete translation.lessonsByCourse['python-kids'].lessons['lesson-3'];
+
+    expect(checkTranslation('es', translation, content)).toEqual([]);
+    expect(messages(checkTranslation('es', translation, content, { lint: true }))).toEqual([
+      'lesson-3 has no es translation',
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { watchContent } from '../../../lib/contentWatcher.js';
+
+function createFakeWatch() {
+  let listener: (eventType: string, filename: string | null) => void = () => {};
+  const close = vi.fn();
+  const watch = vi.fn((_dir: string, _options: unknown, callback: typeof listener) => {
+    listener = callback;
+    return { close, on: vi.fn() };
+  });
+  return { watch, close, emit: (filename: string | null) => listener('change', filename) };
+}
+
+describe('watchContent', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('watches the data directory recursively', () => {
+    const fake = createFakeWatch();
+    const handle = watchContent('/data', { onChange: vi.fn(), watch: fake.watch });
+
+    expect(fake.watch).toHaveBeenCalledWith('/data', { recursive: true }, expect.any(Function));
+    handle.close();
+    expect(fake.close).toHaveBeenCalled();
+  });
+
+  it('calls onChange once per burst of JSON changes', async () => {
+    vi.useFakeTimers();
+    const fake = createFakeWatch();
+    const onChange = vi.fn();
+    watchContent('/data', { onChange, debounceMs: 100, watch: fake.watch });
+
+    fake.emit('lessons/python-kids.json');
+    fake.emit('lessons/python-kids.json');
+    fake.emit('courses.json');
+    fake.emit('lessons/.python-kids.json.swp');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(['lessons/python-kids.json', 'courses.json']);
+  });
+
+  it('runs again for changes that arrive while a reload is running', async () => {
+    vi.useFakeTimers();
+    const fake = createFakeWatch();
+    let finishFirst: () => void = () => {};
+    const onChange = vi.fn()
+      .mockImplementationOnce(() => new Promise<void>((resolve) => { finishFirst = resolve; }))
+      .mockImplementation(() => undefined);
+    watchContent('/data', { onChange, debounceMs: 50, watch: fake.watch });
+
+    fake.emit('courses.json');
+    await vi.advanceTimersByTimeAsync(50);
+    fake.emit('lessons/python-kids.json');
+    await vi.advanceTimersByTimeAsync(50);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    finishFirst();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange).toHaveBeenLastCalledWith(['lessons/python-kids.json']);
+  });
+
+  it('keeps watching after onChange throws', async () => {
+    vi.useFakeTimers();
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fake = createFakeWatch();
+    const onChange = vi.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue(undefined);
+    watchContent('/data', { onChange, debounceMs: 10, watch: fake.watch });
+
+    fake.emit('courses.json');
+    await vi.advanceTimersByTimeAsync(10);
+    fake.emit('courses.json');
+    await vi.advanceTimersByTimeAsync(10);
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(errorSpy).toHaveBeenCalledWith('[Content] Reload failed:', expect.any(Error));
+    errorSpy.mockRestore();
+  });
+});
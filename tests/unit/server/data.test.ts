@@ -1,10 +1,15 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import {
   loadCoursesFromFile,
   loadLessonsFromFile,
   createDataLoader,
+  loadContentSnapshot,
+  loadTranslationFile,
+  listTranslationLocales,
 } from '../../../lib/data.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -145,6 +150,104 @@ describe('createDataLoader', () => {
       expect(loader.getCoursesCached()).toBe(null);
     });
   });
+
+  describe('reload', () => {
+    let tempDir: string;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-data-'));
+      await fs.cp(DATA_DIR, tempDir, { recursive: true });
+      loader = createDataLoader(tempDir);
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function editLessons(edit: (data: { lessons: Array<{ title: string }> }) => void) {
+      const lessonsPath = path.join(tempDir, 'lessons', 'python-kids.json');
+      const data = JSON.parse(await fs.readFile(lessonsPath, 'utf-8'));
+      edit(data);
+      await fs.writeFile(lessonsPath, JSON.stringify(data));
+    }
+
+    it('swaps in new content', async () => {
+      await loader.loadLessons('python-kids');
+      await editLessons((data) => {
+        data.lessons[0].title = 'Updated title';
+      });
+
+      expect(await loader.reload()).toEqual({ ok: true, courses: 1 });
+      const { lessons } = await loader.loadLessons('python-kids');
+      expect(lessons[0].title).toBe('Updated title');
+    });
+
+    it('keeps the current content when validation fails', async () => {
+      const before = await loader.loadLessons('python-kids');
+      await editLessons((data) => {
+        data.lessons[0].title = 'Broken';
+      });
+
+      const validate = vi.fn(() => ['lesson-1 is broken']);
+      expect(await loader.reload({ validate })).toEqual({ ok: false, errors: ['lesson-1 is broken'] });
+      expect(validate).toHaveBeenCalledWith(expect.objectContaining({
+        lessonsByCourse: { 'python-kids': expect.any(Object) },
+      }));
+      expect(await loader.loadLessons('python-kids')).toBe(before);
+    });
+
+    it('keeps the current content when a file cannot be read', async () => {
+      const before = await loader.loadCourses();
+      await fs.writeFile(path.join(tempDir, 'courses.json'), '{ "courses": [');
+
+      const result = await loader.reload();
+      expect(result.ok).toBe(false);
+      expect(result.errors[0]).toMatch(/JSON/);
+      expect(await loader.loadCourses()).toBe(before);
+    });
+  });
+});
+
+describe('loadContentSnapshot', () => {
+  it('loads the catalog and the lessons of every course', async () => {
+    const { coursesData, lessonsByCourse } = await loadContentSnapshot(DATA_DIR);
+    expect(Object.keys(lessonsByCourse)).toEqual(coursesData.courses.map((course: { id: string }) => course.id));
+  });
+
+  it('loads the assets of every course, null when a course has none', async () => {
+    const { assetsByCourse } = await loadContentSnapshot(DATA_DIR);
+    expect(assetsByCourse).toEqual({ 'python-kids': null });
+  });
+
+  it('loads every translation', async () => {
+    const { translations } = await loadContentSnapshot(DATA_DIR);
+    expect(Object.keys(translations)).toEqual(['es']);
+    expect(translations.es.courses.courses['python-kids'].title).toBe('Python para niños');
+    expect(Object.keys(translations.es.lessonsByCourse)).toEqual(['python-kids']);
+  });
+});
+
+describe('translations', () => {
+  it('loads course and lesson translations for a locale', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    const courses = await loader.loadCourseTranslations('es');
+    const lessons = await loader.loadLessonTranslations('es', 'python-kids');
+
+    expect(courses.courses['python-kids']).toBeDefined();
+    expect(lessons.lessons['lesson-1'].content.greeting).toMatch(/^¡Hola/);
+    expect(await loader.loadCourseTranslations('es')).toBe(courses);
+  });
+
+  it('returns null for locales without translations', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    expect(await loader.loadCourseTranslations('fr')).toBeNull();
+    expect(await loader.loadLessonTranslations('es', 'missing-course')).toBeNull();
+  });
+
+  it('ignores locales that are not folder names', async () => {
+    expect(await loadTranslationFile(DATA_DIR, '../lessons', 'python-kids.json')).toBeNull();
+    expect(await listTranslationLocales('/nonexistent/path')).toEqual([]);
+  });
 });
 
 describe('data integrity', () => {
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventStore } from '../../../lib/eventStore.js';
+
+const notification = (n: number) => ({ jsonrpc: '2.0', method: 'notifications/message', params: { n } });
+
+describe('createEventStore', () => {
+  it('replays the events of the same stream after the last one received', async () => {
+    const store = createEventStore();
+    const first = await store.storeEvent('stream-a', notification(1));
+    await store.storeEvent('stream-b', notification(2));
+    const third = await store.storeEvent('stream-a', notification(3));
+
+    const send = vi.fn(async () => {});
+    expect(await store.replayEventsAfter(first, { send })).toBe('stream-a');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(third, notification(3));
+  });
+
+  it('skips priming events', async () => {
+    const store = createEventStore();
+    const priming = await store.storeEvent('stream-a', {});
+    await store.storeEvent('stream-a', {});
+    const message = await store.storeEvent('stream-a', notification(1));
+
+    const send = vi.fn(async () => {});
+    await store.replayEventsAfter(priming, { send });
+    expect(send.mock.calls).toEqual([[message, notification(1)]]);
+  });
+
+  it('maps event ids to their stream', async () => {
+    const store = createEventStore();
+    const eventId = await store.storeEvent('_GET_stream', notification(1));
+
+    expect(await store.getStreamIdForEventId(eventId)).toBe('_GET_stream');
+    expect(await store.getStreamIdForEventId('unknown')).toBeUndefined();
+    expect(await store.replayEventsAfter('unknown', { send: vi.fn() })).toBe('');
+  });
+
+  it('keeps only the newest events', async () => {
+    const store = createEventStore({ maxEvents: 2 });
+    const oldest = await store.storeEvent('stream-a', notification(1));
+    await store.storeEvent('stream-a', notification(2));
+    await store.storeEvent('stream-a', notification(3));
+
+    expect(store.size).toBe(2);
+    expect(await store.getStreamIdForEventId(oldest)).toBeUndefined();
+  });
+});
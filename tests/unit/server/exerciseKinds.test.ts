@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countBlanks,
+  exerciseKind,
+  expectedOutput,
+  fillBlanks,
+  linesInOrder,
+  sameOutput,
+  shuffledLines,
+  solutionOf,
+} from '../../../lib/exerciseKinds.js';
+
+const ordering = {
+  kind: 'order-lines',
+  solution: 'name = "Ada"\ngreeting = "Hi " + name\n\nprint(greeting)',
+};
+
+describe('fillBlanks', () => {
+  const template = 'pet = "____"\nprint(______)';
+
+  it('puts each answer into its blank', () => {
+    expect(countBlanks(template)).toBe(2);
+    expect(fillBlanks(template, [' cat ', 'pet'])).toBe('pet = "cat"\nprint(pet)');
+  });
+
+  it('refuses missing, empty or multi-line answers', () => {
+    expect(fillBlanks(template, ['cat'])).toBeNull();
+    expect(fillBlanks(template, ['cat', '  '])).toBeNull();
+    expect(fillBlanks(template, ['cat', 'pet\nprint(1)'])).toBeNull();
+    expect(fillBlanks(template, 'cat')).toBeNull();
+  });
+});
+
+describe('order-lines', () => {
+  it('mixes up the solution lines the same way every time, never in the right order', () => {
+    const lines = shuffledLines(ordering);
+    expect([...lines].sort()).toEqual(['greeting = "Hi " + name', 'name = "Ada"', 'print(greeting)']);
+    expect(lines).not.toEqual(['name = "Ada"', 'greeting = "Hi " + name', 'print(greeting)']);
+    expect(shuffledLines({ ...ordering })).toEqual(lines);
+    expect(shuffledLines({ solution: 'a = 1\nb = 2' })).toEqual(['b = 2', 'a = 1']);
+  });
+
+  it('builds the program from indexes into the shown lines', () => {
+    const lines = shuffledLines(ordering);
+    const order = ['name = "Ada"', 'greeting = "Hi " + name', 'print(greeting)'].map((line) => lines.indexOf(line));
+    expect(linesInOrder(ordering, order)).toBe('name = "Ada"\ngreeting = "Hi " + name\nprint(greeting)');
+  });
+
+  it('needs every line exactly once', () => {
+    expect(linesInOrder(ordering, [0, 1])).toBeNull();
+    expect(linesInOrder(ordering, [0, 0, 1])).toBeNull();
+    expect(linesInOrder(ordering, [0, 1, 3])).toBeNull();
+    expect(linesInOrder(ordering, '0,1,2')).toBeNull();
+  });
+});
+
+describe('predict-output', () => {
+  it('runs the program to know what it prints', () => {
+    expect(expectedOutput({ code: 'for n in range(3):\n    print(n * 2)' })).toBe('0\n2\n4');
+    expect(expectedOutput({ code: 'print(missing)' })).toBeNull();
+  });
+
+  it('forgives spaces around lines but not different text', () => {
+    expect(sameOutput(' 0\n2 \n4\n\n', '0\n2\n4')).toBe(true);
+    expect(sameOutput('0\r\n2\r\n4', '0\n2\n4')).toBe(true);
+    expect(sameOutput('0 2 4', '0\n2\n4')).toBe(false);
+    expect(sameOutput('hello', 'Hello')).toBe(false);
+  });
+});
+
+describe('solutionOf', () => {
+  it('gives the right answer of each kind', () => {
+    expect(exerciseKind({})).toBe('code');
+    expect(solutionOf({ solution: 'x = 1' })).toBe('x = 1');
+    expect(solutionOf({ kind: 'multiple-choice', options: ['a', 'b'], answer: 1 })).toBe('b');
+    expect(solutionOf({ kind: 'predict-output', code: 'print(2 + 2)' })).toBe('4');
+    expect(solutionOf(ordering)).toBe(ordering.solution);
+    expect(solutionOf({ kind: 'multiple-choice', options: ['a'] })).toBeNull();
+  });
+});
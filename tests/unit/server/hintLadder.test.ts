@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyHintLadder,
+  buildHintLadder,
+  exerciseWithFirstHint,
+  firstHintText,
+  SOLUTION_MIN_FAILED_ATTEMPTS,
+  unlockedHintLevel,
+} from '../../../lib/hintLadder.js';
+
+const exercise = {
+  instruction: 'Store your name',
+  template: 'name = ',
+  solution: 'name = "Ada"',
+  hints: [
+    { text: 'A variable is a labeled box.' },
+    { text: 'Put your name in quotes.' },
+    { text: 'It looks like this:', code: 'name = "..."' },
+  ],
+};
+
+const wrong = { correct: false, hasAttempt: true, feedback: 'Not quite', hint: 'Put your name in quotes.' };
+
+describe('buildHintLadder', () => {
+  it('orders hints from a nudge to the solution, without the solution code', () => {
+    const ladder = buildHintLadder(exercise, 'en');
+    expect(ladder.map((rung) => rung.kind)).toEqual(['nudge', 'clue', 'code', 'solution']);
+    expect(ladder[2]).toEqual({ level: 3, kind: 'code', text: 'It looks like this:', code: 'name = "..."' });
+    expect(ladder[3]).toEqual({ level: 4, kind: 'solution', text: expect.any(String) });
+    expect(ladder[3].text).not.toBe('hints.solution');
+  });
+
+  it('turns a single legacy hint into a one-rung ladder', () => {
+    const ladder = buildHintLadder({ hint: 'Use print()' }, 'en');
+    expect(ladder).toEqual([{ level: 1, kind: 'nudge', text: 'Use print()' }]);
+    expect(buildHintLadder({}, 'en')).toEqual([]);
+  });
+
+  it('finds the gentlest hint in either format', () => {
+    expect(firstHintText(exercise)).toBe('A variable is a labeled box.');
+    expect(firstHintText({ hint: 'Use print()' })).toBe('Use print()');
+    expect(firstHintText(undefined)).toBeUndefined();
+  });
+});
+
+describe('unlockedHintLevel', () => {
+  it('opens one rung per failed attempt and the solution only after enough of them', () => {
+    const ladder = buildHintLadder(exercise, 'en');
+    expect(unlockedHintLevel(ladder, 0)).toBe(1);
+    expect(unlockedHintLevel(ladder, 2)).toBe(2);
+    expect(unlockedHintLevel(ladder, SOLUTION_MIN_FAILED_ATTEMPTS - 1)).toBe(3);
+    expect(unlockedHintLevel(ladder, SOLUTION_MIN_FAILED_ATTEMPTS)).toBe(4);
+  });
+});
+
+describe('applyHintLadder', () => {
+  it('gives a wrong answer the hints opened so far', () => {
+    const result = applyHintLadder(wrong, exercise, { failedAttempts: 2, locale: 'en' });
+    expect(result).toMatchObject({ hint: 'Put your name in quotes.', hintLevel: 2, hintLevels: 4, feedback: 'Not quite' });
+    expect(result.hints.map((rung: { level: number }) => rung.level)).toEqual([1, 2]);
+
+    const stuck = applyHintLadder(wrong, exercise, { failedAttempts: SOLUTION_MIN_FAILED_ATTEMPTS, locale: 'es' });
+    expect(stuck.hintLevel).toBe(4);
+    expect(stuck.hints.at(-1)).toMatchObject({ kind: 'solution' });
+    expect(JSON.stringify(stuck)).not.toContain('Ada');
+  });
+
+  it('leaves correct answers, empty submissions and hintless exercises alone', () => {
+    const correct = { correct: true, hasAttempt: true, feedback: 'Yes!' };
+    const empty = { correct: false, hasAttempt: false, feedback: 'Write some code' };
+    expect(applyHintLadder(correct, exercise, { failedAttempts: 3, locale: 'en' })).toBe(correct);
+    expect(applyHintLadder(empty, exercise, { failedAttempts: 3, locale: 'en' })).toBe(empty);
+    expect(applyHintLadder(wrong, { instruction: 'x' }, { failedAttempts: 3, locale: 'en' })).toBe(wrong);
+  });
+});
+
+describe('exerciseWithFirstHint', () => {
+  it('opens only the first rung', () => {
+    const shown = exerciseWithFirstHint(exercise, 'en');
+    expect(shown.hint).toBe('A variable is a labeled box.');
+    expect(shown.hints).toEqual([{ level: 1, kind: 'nudge', text: 'A variable is a labeled box.' }]);
+    expect(shown.hintLevels).toBe(4);
+  });
+});
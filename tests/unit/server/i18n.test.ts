@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_LOCALE, negotiateLocale, translate } from '../../../lib/i18n.js';
+import en from '../../../lib/locales/en.js';
+import es from '../../../lib/locales/es.js';
+
+describe('negotiateLocale', () => {
+  it('falls back to English', () => {
+    expect(negotiateLocale()).toBe(DEFAULT_LOCALE);
+    expect(negotiateLocale(undefined, null, '')).toBe('en');
+    expect(negotiateLocale('fr')).toBe('en');
+  });
+
+  it('matches region tags to their language', () => {
+    expect(negotiateLocale('es-MX')).toBe('es');
+    expect(negotiateLocale('ES_es')).toBe('es');
+  });
+
+  it('takes the first supported candidate', () => {
+    expect(negotiateLocale('fr', 'es')).toBe('es');
+    expect(negotiateLocale(undefined, 'es-419,es;q=0.9,en;q=0.8')).toBe('es');
+    expect(negotiateLocale('fr-CA,fr;q=0.9,en;q=0.5')).toBe('en');
+  });
+});
+
+describe('translate', () => {
+  it('fills placeholders', () => {
+    expect(translate('en', 'server.courseNotFound', { courseId: 'art' })).toBe('Course "art" not found.');
+    expect(translate('es', 'server.courseNotFound', { courseId: 'art' })).toBe('No se encontró el curso "art".');
+  });
+
+  it('leaves unknown placeholders in place', () => {
+    expect(translate('en', 'server.courseNotFound')).toBe('Course "{courseId}" not found.');
+  });
+
+  it('picks plural forms by count', () => {
+    expect(translate('en', 'server.lessonCount', { count: 1 })).toBe('1 lesson');
+    expect(translate('en', 'server.lessonCount', { count: 3 })).toBe('3 lessons');
+    expect(translate('es', 'server.starCount', { count: 1 })).toBe('1 estrella');
+    expect(translate('es', 'server.starCount', { count: 0 })).toBe('0 estrellas');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('fr', 'feedback.correct')).toBe('Excellent work!');
+    expect(translate('es', 'missing.key')).toBe('missing.key');
+  });
+
+  it('has a Spanish message for every English one', () => {
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+  });
+});
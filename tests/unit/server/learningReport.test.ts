@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildLearningReport,
+  describeMistake,
+  formatMinutes,
+  LearningReportError,
+  renderLearningReportCsv,
+  renderLearningReportHtml,
+  renderLearningReportPdf,
+  resolveReportRange,
+  signReportToken,
+  verifyReportToken,
+} from '../../../lib/learningReport.js';
+
+const history = [
+  { type: 'start', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:00:00.000Z' },
+  { type: 'hint', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:02:00.000Z', level: 1 },
+  { type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:04:00.000Z', correct: false, mistake: 'missing-colon' },
+  { type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:06:00.000Z', correct: false, mistake: 'missing-colon' },
+  { type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:09:00.000Z', correct: true, completed: true, stars: 1, badge: 'First Variable' },
+  // An hour later: the break doesn't count as practice time
+  { type: 'start', courseId: 'python-kids', lessonId: 'lesson-2', at: '2025-03-03T17:10:00.000Z' },
+  { type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-2', at: '2025-03-05T09:00:00.000Z', correct: false, mistake: 'NameError' },
+];
+
+const titles = {
+  courses: { 'python-kids': 'Python for Kids' },
+  lessons: { 'python-kids/lesson-1': 'Variables, "boxes" for data', 'python-kids/lesson-2': 'Printing' },
+};
+
+const range = resolveReportRange({ from: '2025-03-01', to: '2025-03-07' });
+
+describe('resolveReportRange', () => {
+  it('defaults to the last seven days, today included', () => {
+    expect(resolveReportRange({}, () => Date.parse('2025-03-07T18:30:00Z'))).toEqual({
+      from: '2025-03-01',
+      to: '2025-03-07',
+      start: '2025-03-01T00:00:00.000Z',
+      end: '2025-03-08T00:00:00.000Z',
+    });
+  });
+
+  it('rejects bad dates and ranges', () => {
+    expect(() => resolveReportRange({ from: '2025-02-30' })).toThrow(LearningReportError);
+    expect(() => resolveReportRange({ from: 'last week' })).toThrow(expect.objectContaining({ code: 'invalid-date' }));
+    expect(() => resolveReportRange({ from: '2025-03-08', to: '2025-03-07' })).toThrow(expect.objectContaining({ code: 'invalid-range' }));
+    expect(() => resolveReportRange({ from: '2023-01-01', to: '2025-03-07' })).toThrow(expect.objectContaining({ code: 'invalid-range' }));
+  });
+});
+
+describe('buildLearningReport', () => {
+  it('summarizes lessons, time, hints and mistakes', () => {
+    const report = buildLearningReport({ history, range, titles });
+
+    expect(report.totals).toEqual({
+      lessonsCompleted: 1,
+      stars: 1,
+      badges: ['First Variable'],
+      attempts: 4,
+      correctAttempts: 1,
+      hintsUsed: 1,
+      solutionsRevealed: 0,
+      minutesSpent: 9,
+      activeDays: 2,
+    });
+    expect(report.lessons).toEqual([{
+      courseId: 'python-kids',
+      courseTitle: 'Python for Kids',
+      lessonId: 'lesson-1',
+      lessonTitle: 'Variables, "boxes" for data',
+      completedAt: '2025-03-03T16:09:00.000Z',
+      stars: 1,
+      badge: 'First Variable',
+      attempts: 3,
+    }]);
+    expect(report.mistakes).toEqual([
+      { kind: 'missing-colon', count: 2, lessons: ['Variables, "boxes" for data'] },
+      { kind: 'NameError', count: 1, lessons: ['Printing'] },
+    ]);
+    expect(report.attempts.map((attempt) => attempt.hintOpened)).toEqual([true, false, false, false]);
+    expect(report.days).toHaveLength(7);
+    expect(report.days[2]).toEqual({ date: '2025-03-03', attempts: 3, lessonsCompleted: 1, minutesSpent: 9 });
+    expect(JSON.stringify(report)).not.toContain('learner');
+  });
+});
+
+describe('report rendering', () => {
+  const report = buildLearningReport({ history, range, titles });
+
+  it('renders an HTML page with escaped content and download links', () => {
+    const html = renderLearningReportHtml(report, { locale: 'es', downloads: { pdf: '/r?format=pdf', csv: '/r?format=csv' } });
+
+    expect(html).toContain('<html lang="es">');
+    expect(html).toContain('Informe de aprendizaje');
+    expect(html).toContain('Variables, &quot;boxes&quot; for data');
+    expect(html).toContain('Faltan dos puntos');
+    expect(html).toContain('href="/r?format=pdf"');
+  });
+
+  it('renders one CSV row per attempt', () => {
+    const csv = renderLearningReportCsv(report);
+    const lines = csv.trimEnd().split('\r\n');
+
+    expect(lines[0]).toBe('Time (UTC),Course,Lesson,Lesson title,Result,Mistake,Hint opened');
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe('2025-03-03T16:04:00.000Z,python-kids,lesson-1,"Variables, ""boxes"" for data",not yet,Missing colon,yes');
+    expect(lines[4]).toContain('Python error: NameError');
+  });
+
+  it('renders a PDF', () => {
+    const pdf = renderLearningReportPdf(report, { locale: 'es' }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(Informe de aprendizaje)');
+    expect(pdf).toContain('Lecciones completadas: 1');
+
+    // The xref table points at each object
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)![1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstObject = Number(pdf.slice(xrefOffset).split('\n')[3].slice(0, 10));
+    expect(pdf.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+  });
+
+  it('labels mistakes and minutes in the learner\'s language', () => {
+    expect(describeMistake('missing-colon', 'es')).toBe('Faltan dos puntos');
+    expect(describeMistake('ZeroDivisionError', 'en')).toBe('Python error: ZeroDivisionError');
+    expect(describeMistake('some-new-kind', 'en')).toBe('some new kind');
+    expect(formatMinutes(45)).toBe('45 min');
+    expect(formatMinutes(80)).toBe('1 h 20 min');
+  });
+});
+
+describe('report links', () => {
+  const scope = { learnerId: 'chatgpt-user-1', from: '2025-03-01', to: '2025-03-07', courseId: null };
+
+  it('round-trips a signed token until it expires', () => {
+    const token = signReportToken(scope, { secret: 'secret', expiresAt: 2000 });
+
+    expect(verifyReportToken(token, { secret: 'secret', now: () => 1000 })).toEqual(scope);
+    expect(() => verifyReportToken(token, { secret: 'secret', now: () => 2000 }))
+      .toThrow(expect.objectContaining({ code: 'expired-link' }));
+  });
+
+  it('rejects tokens signed with another secret or edited', () => {
+    const token = signReportToken(scope, { secret: 'secret', expiresAt: Date.now() + 60000 });
+    const [, signature] = token.split('.');
+    const edited = `${Buffer.from(JSON.stringify({ l: 'someone-else', f: '2025-03-01', t: '2025-03-07', e: Date.now() + 60000 })).toString('base64url')}.${signature}`;
+
+    expect(() => verifyReportToken(token, { secret: 'other' })).toThrow(expect.objectContaining({ code: 'invalid-link' }));
+    expect(() => verifyReportToken(edited, { secret: 'secret' })).toThrow(expect.objectContaining({ code: 'invalid-link' }));
+    expect(() => verifyReportToken(undefined, { secret: 'secret' })).toThrow(expect.objectContaining({ code: 'invalid-link' }));
+  });
+});
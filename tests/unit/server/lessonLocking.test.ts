@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLessonLockCheck, getCourseLock, getLessonLock, isLockingEnabled } from '../../../lib/lessonLocking.js';
+
+const coursesData = {
+  courses: [
+    { id: 'python-kids', title: 'Python for Kids', prerequisites: [], lessonIds: ['lesson-1', 'lesson-2'] },
+    { id: 'games-kids', title: 'Games with Python', prerequisites: ['python-kids'], lessonIds: ['lesson-1'] },
+  ],
+};
+
+const lessons = [
+  { id: 'lesson-2', order: 2, title: 'Numbers' },
+  { id: 'lesson-1', order: 1, title: 'Variables' },
+];
+
+describe('isLockingEnabled', () => {
+  it('reads LESSON_LOCKING from the environment', () => {
+    expect(isLockingEnabled({})).toBe(false);
+    expect(isLockingEnabled({ LESSON_LOCKING: 'false' })).toBe(false);
+    expect(isLockingEnabled({ LESSON_LOCKING: 'true' })).toBe(true);
+    expect(isLockingEnabled({ LESSON_LOCKING: 'ON' })).toBe(true);
+  });
+});
+
+describe('getLessonLock', () => {
+  const course = coursesData.courses[0];
+
+  it('always opens the first lesson', () => {
+    expect(getLessonLock({ course, coursesData, lessons, lessonId: 'lesson-1', progressByCourse: {} })).toBeNull();
+  });
+
+  it('locks a lesson until the previous one is completed', () => {
+    expect(getLessonLock({ course, coursesData, lessons, lessonId: 'lesson-2', progressByCourse: {} })).toEqual({
+      reason: 'previous-lesson',
+      requiredLessonId: 'lesson-1',
+      message: 'Complete "Variables" first to unlock this lesson!',
+    });
+
+    const progressByCourse = { 'python-kids': { completedLessons: ['lesson-1'] } };
+    expect(getLessonLock({ course, coursesData, lessons, lessonId: 'lesson-2', progressByCourse })).toBeNull();
+  });
+
+  it('explains the lock in the requested locale', () => {
+    expect(getLessonLock({ course, coursesData, lessons, lessonId: 'lesson-2', progressByCourse: {}, locale: 'es' }))
+      .toMatchObject({ message: '¡Completa "Variables" primero para desbloquear esta lección!' });
+  });
+
+  it('locks every lesson of a course until prerequisite courses are finished', () => {
+    const games = coursesData.courses[1];
+    const partial = { 'python-kids': { completedLessons: ['lesson-1'] } };
+
+    expect(getLessonLock({ course: games, coursesData, lessons, lessonId: 'lesson-1', progressByCourse: partial }))
+      .toMatchObject({ reason: 'prerequisite-course', requiredCourseId: 'python-kids' });
+
+    const finished = { 'python-kids': { completedLessons: ['lesson-1', 'lesson-2'] } };
+    expect(getLessonLock({ course: games, coursesData, lessons, lessonId: 'lesson-1', progressByCourse: finished }))
+      .toBeNull();
+  });
+});
+
+describe('getCourseLock', () => {
+  it('ignores unknown prerequisites', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const course = { id: 'art-kids', prerequisites: ['missing-course'], lessonIds: [] };
+
+    expect(getCourseLock(course, coursesData, {})).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
+describe('createLessonLockCheck', () => {
+  const course = coursesData.courses[0];
+  const progressStore = {
+    getProgress: vi.fn(async () => ({ courses: { 'python-kids': { completedLessons: [] } } })),
+  };
+
+  it('reads the learner\'s progress to find the lock', async () => {
+    const checkLessonLock = createLessonLockCheck({ enabled: true, progressStore });
+
+    expect(await checkLessonLock('user:alice', { course, coursesData, lessons, lessonId: 'lesson-2' }))
+      .toMatchObject({ reason: 'previous-lesson', requiredLessonId: 'lesson-1' });
+    expect(progressStore.getProgress).toHaveBeenCalledWith('user:alice');
+  });
+
+  it('opens every lesson when locking is off', async () => {
+    progressStore.getProgress.mockClear();
+    const checkLessonLock = createLessonLockCheck({ enabled: false, progressStore });
+
+    expect(await checkLessonLock('user:alice', { course, coursesData, lessons, lessonId: 'lesson-2' })).toBeNull();
+    expect(progressStore.getProgress).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadCoursesFromFile, loadLessonsFromFile } from '../../../lib/data.js';
+import { checkLesson, formatSelfCheckReport, selfCheckCourses } from '../../../lib/lessonSelfCheck.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../../../mcp-server/data');
+
+const lesson = {
+  id: 'lesson-1',
+  title: 'Magic Variables',
+  exercise: {
+    template: 'pet = "____"',
+    solution: 'pet = "cat"',
+    knownWrong: ['pet = cat'],
+    hint: 'Use quotes',
+    validation: {
+      type: 'regex',
+      pattern: 'pet\\s*=\\s*["\'](?!_+["\'])[^"\']+["\']',
+      errorMessage: 'Put the pet name in quotes!',
+    },
+  },
+  reward: { stars: 1, message: 'Great!' },
+};
+
+function withPattern(pattern: string) {
+  return { ...lesson, exercise: { ...lesson.exercise, validation: { ...lesson.exercise.validation, pattern } } };
+}
+
+describe('shipped lessons', () => {
+  it('accept their solution and reject their template and known-wrong answers', async () => {
+    const coursesData = await loadCoursesFromFile(DATA_DIR);
+    const courses = await Promise.all(coursesData.courses.map(async (course: { id: string }) => ({
+      courseId: course.id,
+      lessons: (await loadLessonsFromFile(DATA_DIR, course.id)).lessons,
+    })));
+
+    const report = await selfCheckCourses(courses);
+    expect(report.ok, formatSelfCheckReport(report)).toBe(true);
+    expect(report.checked).toBeGreaterThan(0);
+  });
+});
+
+describe('checkLesson', () => {
+  it('passes a consistent lesson', async () => {
+    expect(await checkLesson(lesson)).toEqual({ lessonId: 'lesson-1', title: 'Magic Variables', failures: [] });
+  });
+
+  it('reports a solution the validator rejects', async () => {
+    const { failures } = await checkLesson(withPattern('animal\\s*='));
+    expect(failures[0]).toMatchObject({
+      kind: 'solution',
+      field: 'solution',
+      message: 'the solution is rejected: Put the pet name in quotes!',
+    });
+  });
+
+  it('reports a template and known-wrong answers the validator accepts', async () => {
+    const { failures } = await checkLesson(withPattern('pet\\s*='));
+    expect(failures.map((failure) => failure.field)).toEqual(['template', 'knownWrong/0']);
+  });
+
+  it('reports a pattern that does not compile', async () => {
+    const { failures } = await checkLesson(withPattern('pet\\s*=\\s*['));
+    expect(failures[0].message).toMatch(/^the solution is rejected: Invalid regular expression/);
+  });
+});
+
+describe('checkLesson for runnable lessons', () => {
+  it('grades the solution against the declared tests in the sandbox', async () => {
+    const { lessons } = await loadLessonsFromFile(DATA_DIR, 'python-kids');
+    const functions = lessons.find((item: { id: string }) => item.id === 'lesson-5');
+    expect((await checkLesson(functions, { courseId: 'python-kids' })).failures).toEqual([]);
+
+    const broken = structuredClone(functions);
+    broken.exercise.validation.tests[0].expect = 'WRONG';
+    const { failures } = await checkLesson(broken, { courseId: 'python-kids' });
+    expect(failures).toEqual([expect.objectContaining({ kind: 'solution', field: 'solution' })]);
+    expect(failures[0].message).toContain('make_introduction("Ana") gives "Hi, I\'m Ana!", expected "WRONG"');
+  });
+
+  it('grades the solution against the declared output', async () => {
+    const runnable = {
+      ...lesson,
+      exercise: {
+        ...lesson.exercise,
+        solution: 'pet = "cat"\nprint(pet)',
+        validation: { ...lesson.exercise.validation, type: 'execute', expect: { stdout: 'dog\n' } },
+      },
+    };
+
+    expect((await checkLesson(runnable)).failures).toEqual([
+      expect.objectContaining({ kind: 'solution', message: expect.stringContaining('output is "cat\\n", expected "dog\\n"') }),
+    ]);
+  });
+});
+
+describe('checkLesson for other exercise kinds', () => {
+  const withExercise = (exercise: Record<string, unknown>) => ({ ...lesson, exercise });
+
+  it('needs a multiple-choice answer that is one of the options', async () => {
+    const choice = { kind: 'multiple-choice', instruction: 'Pick', options: ['a', 'b'], answer: 1 };
+    expect((await checkLesson(withExercise(choice))).failures).toEqual([]);
+    expect((await checkLesson(withExercise({ ...choice, answer: 2 }))).failures.map((failure) => failure.kind)).toEqual(['answer']);
+    expect((await checkLesson(withExercise({ ...choice, options: ['a', 'a'] }))).failures.map((failure) => failure.kind)).toEqual(['options']);
+  });
+
+  it('needs a predict-output program that runs and prints', async () => {
+    expect((await checkLesson(withExercise({ kind: 'predict-output', code: 'print(1)' }))).failures).toEqual([]);
+    expect((await checkLesson(withExercise({ kind: 'predict-output', code: 'x = 1' }))).failures[0].field).toBe('code');
+  });
+
+  it('needs blanks that the solution fills', async () => {
+    const blanks = { ...lesson.exercise, kind: 'fill-blank' };
+    expect((await checkLesson(withExercise(blanks))).failures).toEqual([]);
+    expect((await checkLesson(withExercise({ ...blanks, template: 'pet = ""' }))).failures.map((failure) => failure.message))
+      .toContain('the template has no ____ to fill in');
+    expect((await checkLesson(withExercise({ ...blanks, solution: 'pet = "cat"\nprint(pet)' }))).failures.map((failure) => failure.message))
+      .toContain('the solution cannot be made by filling in the template');
+  });
+
+  it('needs lines that do not already work in the order shown', async () => {
+    const ordering = { kind: 'order-lines', solution: 'pet = "cat"\nprint(pet)', validation: { type: 'regex', pattern: 'pet = "cat"\\nprint' } };
+    expect((await checkLesson(withExercise(ordering))).failures).toEqual([]);
+    expect((await checkLesson(withExercise({ ...ordering, validation: { type: 'regex', pattern: 'print' } }))).failures)
+      .toEqual([expect.objectContaining({ kind: 'shown-order', code: 'print(pet)\npet = "cat"' })]);
+    expect((await checkLesson(withExercise({ ...ordering, validation: { type: 'execute', pattern: 'print' } }))).failures).toEqual([]);
+  });
+});
+
+describe('formatSelfCheckReport', () => {
+  it('lists each failing lesson with the offending code', async () => {
+    const report = await selfCheckCourses([
+      { courseId: 'python-kids', lessons: [lesson, { ...withPattern('pet'), id: 'lesson-2', title: 'Numbers' }] },
+    ]);
+
+    expect(report.ok).toBe(false);
+    expect(formatSelfCheckReport(report)).toBe([
+      'Lesson self-check failed for 1 of 2 lessons:',
+      '  python-kids/lesson-2 "Numbers"',
+      '    ✖ the untouched template is accepted',
+      '        | pet = "____"',
+      '    ✖ known-wrong answer #1 is accepted',
+      '        | pet = cat',
+    ].join('\n'));
+  });
+});
@@ -1,7 +1,13 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { buildStudentValidation } from '../../../lib/lessonValidation.js';
+import {
+  buildStudentValidation,
+  classifyMistake,
+  evaluateExerciseAnswer,
+  evaluateStudentWork,
+} from '../../../lib/lessonValidation.js';
+import { shuffledLines } from '../../../lib/exerciseKinds.js';
 import { createDataLoader } from '../../../lib/data.js';
 
 const mockLesson = {
@@ -90,6 +96,34 @@ describe('guided validation', () => {
     expect(result.message).toContain('numbers without quotes');
   });
 
+  it('guides when the hobby list has too few items in lesson 4', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    const lessonsData = await loader.loadLessons('python-kids');
+    const lesson = lessonsData.lessons.find((item: { id: string }) => item.id === 'lesson-4');
+
+    const result = buildStudentValidation(lesson, 'my_hobbies = ["reading", "soccer"]');
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toContain('at least three hobbies');
+  });
+
+  it('does not apply python-kids feedback to other courses', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    const lessonsData = await loader.loadLessons('python-kids');
+    const lesson = lessonsData.lessons.find((item: { id: string }) => item.id === 'lesson-1');
+    const code = 'favorite_animal = cat\nprint(favorite_animal)';
+
+    // The shipped rule gives this mistake its own message in python-kids...
+    const own = buildStudentValidation(lesson, code, { courseId: 'python-kids' });
+    expect(own.message).toContain('Use quotes around the animal name');
+
+    // ...but a course that reuses the lesson only gets the generic feedback
+    const result = buildStudentValidation(lesson, code, { courseId: 'another-course' });
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe(lesson.exercise.validation.errorMessage);
+    expect(result.message).not.toContain('Use quotes around the animal name');
+  });
+
   it('accepts alternative function name for lesson 5 when logic is correct', async () => {
     const loader = createDataLoader(DATA_DIR);
     const lessonsData = await loader.loadLessons('python-kids');
@@ -104,3 +138,354 @@ describe('guided validation', () => {
     expect(result.reward).toBeDefined();
   });
 });
+
+describe('declarative guided rules', () => {
+  const ruleLesson = {
+    ...mockLesson,
+    exercise: {
+      ...mockLesson.exercise,
+      guidedRules: [
+        {
+          id: 'missing-quotes',
+          type: 'error',
+          when: [
+            { matches: '\\bfavorite_animal\\s*=\\s*[^"\'\\n]+' },
+            { notMatches: '\\bfavorite_animal\\s*=\\s*["\'][^"\']+["\']' },
+          ],
+          message: 'Use quotes around the animal name.',
+        },
+        {
+          id: 'renamed-variable',
+          type: 'accept',
+          when: [
+            { matches: '\\b(?<variable>[A-Za-z_]\\w*)\\s*=\\s*["\'][^"\']+["\']' },
+            { capture: 'variable', notEquals: 'favorite_animal' },
+            { matches: 'print\\s*\\(\\s*{{variable}}\\s*\\)' },
+          ],
+          message: 'Nice! Next time call "{{variable}}" favorite_animal.',
+        },
+        {
+          id: 'too-few-items',
+          type: 'error',
+          courseId: 'lists-course',
+          when: [
+            { matches: '(?<list>\\[[^\\]]*\\])' },
+            { count: '["\'][^"\']+["\']', in: 'list', max: 2 },
+          ],
+          message: 'Add more items.',
+        },
+      ],
+    },
+  };
+
+  it('returns the message of the first matching error rule', () => {
+    const result = buildStudentValidation(ruleLesson, 'favorite_animal = cat');
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe('Use quotes around the animal name.');
+    expect(result.hint).toBe(mockLesson.exercise.hint);
+  });
+
+  it('accepts with a tip and interpolates captured values', () => {
+    const result = buildStudentValidation(ruleLesson, 'pet = "dog"\nprint(pet)');
+
+    expect(result.correct).toBe(true);
+    expect(result.message).toBe('Nice! Next time call "pet" favorite_animal.');
+    expect(result.reward).toEqual(mockLesson.reward);
+  });
+
+  it('escapes captured values used inside later patterns', () => {
+    const result = buildStudentValidation(ruleLesson, 'pet = "dog"\nprint(pxt)');
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe(mockLesson.exercise.validation.errorMessage);
+  });
+
+  it('only applies rules scoped to the current course', () => {
+    const code = 'items = ["a", "b"]';
+
+    expect(buildStudentValidation(ruleLesson, code, { courseId: 'lists-course' }).message)
+      .toBe('Add more items.');
+    expect(buildStudentValidation(ruleLesson, code, { courseId: 'other-course' }).message)
+      .toBe(mockLesson.exercise.validation.errorMessage);
+  });
+
+  it('falls back to the base result when a lesson has no rules', () => {
+    const result = buildStudentValidation(
+      { ...mockLesson, exercise: { ...mockLesson.exercise, guidedRules: undefined } },
+      'fav_animal = "cat"\nprint(fav_animal)'
+    );
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe(mockLesson.exercise.validation.errorMessage);
+  });
+
+  it('skips rules with invalid patterns', () => {
+    const brokenLesson = {
+      ...mockLesson,
+      exercise: {
+        ...mockLesson.exercise,
+        guidedRules: [
+          { id: 'broken', type: 'error', when: [{ matches: '(' }], message: 'never' },
+        ],
+      },
+    };
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = buildStudentValidation(brokenLesson, 'animal = 1');
+
+    expect(result.message).toBe(mockLesson.exercise.validation.errorMessage);
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('evaluateStudentWork', () => {
+  const executeLesson = {
+    ...mockLesson,
+    exercise: {
+      ...mockLesson.exercise,
+      validation: {
+        ...mockLesson.exercise.validation,
+        type: 'execute',
+        expect: {
+          types: { favorite_animal: 'str' },
+          stdout: '{{favorite_animal}}\n',
+        },
+      },
+    },
+  };
+
+  it('accepts code that runs and prints the expected output', async () => {
+    const result = await evaluateStudentWork(executeLesson, 'favorite_animal = "cat"\nprint(favorite_animal)');
+
+    expect(result.correct).toBe(true);
+    expect(result.reward).toEqual(mockLesson.reward);
+    expect(result.execution).toMatchObject({ ok: true, stdout: 'cat\n', error: null });
+  });
+
+  it('rejects code that matches the pattern but does not run', async () => {
+    const result = await evaluateStudentWork(executeLesson, 'favorite_animal = "cat"\nprint(favorite_animl)');
+
+    expect(result.correct).toBe(false);
+    expect(result.hasAttempt).toBe(true);
+    expect(result.message).toContain('line 2');
+    expect(result.execution.error).toMatchObject({ type: 'NameError', line: 2 });
+  });
+
+  it('reports mismatched output', async () => {
+    const result = await evaluateStudentWork(executeLesson, 'favorite_animal = "cat"\nprint("dog")');
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe(mockLesson.exercise.validation.errorMessage);
+    expect(result.execution.mismatches).toEqual([
+      { check: 'output', expected: 'cat\n', actual: 'dog\n' },
+    ]);
+  });
+
+  it('explains programs that never finish', async () => {
+    const result = await evaluateStudentWork(
+      executeLesson,
+      'favorite_animal = "cat"\nwhile True:\n    pass'
+    );
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toContain('took too long');
+  });
+
+  it('reports runtime problems in the requested locale', async () => {
+    const result = await evaluateStudentWork(
+      executeLesson,
+      'favorite_animal = "cat"\nprint(favorite_animl)',
+      { locale: 'es' }
+    );
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toContain('Python encontró un problema en la línea 2');
+  });
+
+  it('does not run code for regex lessons', async () => {
+    const result = await evaluateStudentWork(mockLesson, 'favorite_animal = "cat"\nprint(favorite_animl)');
+
+    expect(result.correct).toBe(true);
+    expect(result.execution).toBeUndefined();
+  });
+
+  it('grades valid Python that LearnKids does not run instead of calling it a syntax error', async () => {
+    const result = await evaluateStudentWork(mockLesson, 'favorite_animal = "cat"\nclass Pet:\n    pass');
+
+    expect(result.correct).toBe(true);
+    expect(result.syntaxError).toBeUndefined();
+  });
+
+  it('accepts the official solution of every python-kids lesson', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    const { lessons } = await loader.loadLessons('python-kids');
+
+    for (const lesson of lessons) {
+      const result = await evaluateStudentWork(lesson, lesson.exercise.solution, { courseId: 'python-kids' });
+      expect(result.correct, lesson.id).toBe(true);
+    }
+  });
+});
+
+describe('tests validation', () => {
+  const functionLesson = {
+    ...mockLesson,
+    exercise: {
+      ...mockLesson.exercise,
+      validation: {
+        type: 'tests',
+        pattern: 'def\\s+double',
+        errorMessage: 'Write a function called double!',
+        tests: [
+          { call: 'double(2)', expect: 4 },
+          { call: 'double(5)', expect: 10, description: 'double(5) is 10' },
+        ],
+      },
+    },
+  };
+
+  it('passes when every test case returns the expected value', async () => {
+    const result = await evaluateStudentWork(functionLesson, 'def double(x):\n    return x * 2');
+
+    expect(result.correct).toBe(true);
+    expect(result.tests).toEqual([
+      { description: 'double(2) returns 4', call: 'double(2)', expected: 4, actual: 4, passed: true, error: null },
+      { description: 'double(5) is 10', call: 'double(5)', expected: 10, actual: 10, passed: true, error: null },
+    ]);
+  });
+
+  it('reports each failing test case', async () => {
+    const result = await evaluateStudentWork(functionLesson, 'def double(x):\n    return 4');
+
+    expect(result.correct).toBe(false);
+    expect(result.message).toBe('Write a function called double!');
+    expect(result.tests.map((test) => test.passed)).toEqual([true, false]);
+    expect(result.tests[1].actual).toBe(4);
+  });
+
+  it('reports errors raised by a test call', async () => {
+    const result = await evaluateStudentWork(functionLesson, 'def double(x):\n    return x + "x"');
+
+    expect(result.correct).toBe(false);
+    expect(result.tests[0]).toMatchObject({ passed: false, actual: null });
+    expect(result.tests[0].error).toContain('TypeError');
+  });
+
+  it('checks make_introduction with the lesson 5 test cases', async () => {
+    const loader = createDataLoader(DATA_DIR);
+    const lessonsData = await loader.loadLessons('python-kids');
+    const lesson = lessonsData.lessons.find((item) => item.id === 'lesson-5');
+    const code = 'def make_introduction(name):\n    return "Hi, I\'m Alex!"\n\nmy_intro = make_introduction("Alex")\nprint(my_intro)';
+
+    const result = await evaluateStudentWork(lesson, code, { courseId: 'python-kids' });
+
+    expect(result.correct).toBe(false);
+    expect(result.tests.length).toBeGreaterThan(0);
+    expect(result.tests.some((test) => !test.passed)).toBe(true);
+  });
+});
+
+describe('syntax feedback', () => {
+  it('reports syntax errors with their location before checking the pattern', () => {
+    const result = buildStudentValidation(mockLesson, 'favorite_animal = "cat"\nprint(favorite_animal');
+
+    expect(result.correct).toBe(false);
+    expect(result.hasAttempt).toBe(true);
+    expect(result.hint).toBe(mockLesson.exercise.hint);
+    expect(result.syntaxError).toMatchObject({ kind: 'unclosed-bracket', line: 2, column: 6 });
+    expect(result.message).toBe(result.syntaxError.message);
+  });
+
+  it('explains == used instead of = when the answer is wrong', () => {
+    const result = buildStudentValidation(mockLesson, 'favorite_animal == "cat"');
+
+    expect(result.correct).toBe(false);
+    expect(result.syntaxError?.kind).toBe('compare-instead-of-assign');
+  });
+
+  it('does not run code that has a syntax error', async () => {
+    const result = await evaluateStudentWork(
+      { ...mockLesson, exercise: { ...mockLesson.exercise, validation: { ...mockLesson.exercise.validation, type: 'execute' } } },
+      'favorite_animal = "cat\nprint(favorite_animal)'
+    );
+
+    expect(result.syntaxError?.kind).toBe('unterminated-string');
+    expect(result.execution).toBeUndefined();
+  });
+});
+
+describe('evaluateExerciseAnswer', () => {
+  const withExercise = (exercise: Record<string, unknown>) => ({ ...mockLesson, exercise: { hint: 'Look again!', ...exercise } });
+
+  it('grades code exercises like evaluateStudentWork', async () => {
+    const result = await evaluateExerciseAnswer(mockLesson, { studentCode: 'favorite_animal = "cat"' });
+    expect(result).toMatchObject({ correct: true, reward: mockLesson.reward });
+  });
+
+  it('grades a multiple-choice answer by option index', async () => {
+    const lesson = withExercise({ kind: 'multiple-choice', instruction: 'Which is text?', options: ['5', '"5"'], answer: 1 });
+
+    expect(await evaluateExerciseAnswer(lesson, { answer: 1 })).toMatchObject({ correct: true, nextLesson: 'lesson-2' });
+    const wrong = await evaluateExerciseAnswer(lesson, { answer: 0 });
+    expect(wrong).toMatchObject({ correct: false, hasAttempt: true, hint: 'Look again!' });
+    expect(classifyMistake(wrong)).toBe('wrong-choice');
+    expect(await evaluateExerciseAnswer(lesson, { answer: 2 })).toMatchObject({ hasAttempt: false });
+    expect(await evaluateExerciseAnswer(lesson, { answer: '1' })).toMatchObject({ hasAttempt: false });
+  });
+
+  it('grades a predicted output against what the program prints', async () => {
+    const lesson = withExercise({ kind: 'predict-output', instruction: 'What is printed?', code: 'pet = "cat"\nprint(pet)\nprint(2 * 3)' });
+
+    expect(await evaluateExerciseAnswer(lesson, { answer: 'cat\n6\n' })).toMatchObject({ correct: true });
+    const wrong = await evaluateExerciseAnswer(lesson, { answer: 'pet\n6' });
+    expect(wrong.message).toContain('prints something else');
+    expect(classifyMistake(wrong)).toBe('wrong-prediction');
+    expect((await evaluateExerciseAnswer(lesson, { answer: '"cat"\n6' })).message).toContain('without the quotes');
+    expect(await evaluateExerciseAnswer(lesson, { answer: '  ' })).toMatchObject({ hasAttempt: false });
+  });
+
+  it('grades filled-in blanks as the program they make', async () => {
+    const lesson = withExercise({ ...mockLesson.exercise, kind: 'fill-blank', template: 'favorite_animal = ____' });
+
+    expect(await evaluateExerciseAnswer(lesson, { answer: ['"cat"'] })).toMatchObject({ correct: true });
+    const unquoted = await evaluateExerciseAnswer(lesson, { answer: ['cat'] });
+    expect(unquoted).toMatchObject({ correct: false, hasAttempt: true });
+    expect(await evaluateExerciseAnswer(lesson, { answer: [] })).toMatchObject({ hasAttempt: false });
+  });
+
+  it('grades ordered lines by running the program they make', async () => {
+    const exercise = {
+      kind: 'order-lines',
+      instruction: 'Put the lines in order',
+      solution: 'pet = "cat"\nprint(pet)',
+      validation: { type: 'execute', pattern: 'pet', errorMessage: 'Not yet!', expect: { stdout: 'cat' } },
+    };
+    const lesson = withExercise(exercise);
+    const lines = shuffledLines(exercise);
+    const rightOrder = ['pet = "cat"', 'print(pet)'].map((line) => lines.indexOf(line));
+
+    expect(await evaluateExerciseAnswer(lesson, { answer: rightOrder })).toMatchObject({ correct: true });
+    const wrong = await evaluateExerciseAnswer(lesson, { answer: [...rightOrder].reverse() });
+    expect(wrong).toMatchObject({ correct: false, message: 'Not yet!' });
+    expect(wrong.execution.error.type).toBe('NameError');
+    expect(classifyMistake(wrong)).toBe('wrong-order');
+    expect(await evaluateExerciseAnswer(lesson, { answer: [0] })).toMatchObject({ hasAttempt: false });
+  });
+});
+
+describe('classifyMistake', () => {
+  it('names the kind of mistake behind a wrong answer', async () => {
+    expect(classifyMistake(buildStudentValidation(mockLesson, 'favorite_animal = "cat'))).toBe('unterminated-string');
+    expect(classifyMistake(buildStudentValidation(mockLesson, 'favorite_animal = 5'))).toBe('wrong-answer');
+    expect(classifyMistake({ correct: false, hasAttempt: true, execution: { error: { type: 'NameError' } } })).toBe('NameError');
+    expect(classifyMistake({ correct: false, hasAttempt: true, execution: { error: { kind: 'timeout' } } })).toBe('too-long');
+    expect(classifyMistake({ correct: false, hasAttempt: true, tests: [{ passed: true }, { passed: false }] })).toBe('wrong-result');
+  });
+
+  it('ignores correct and empty submissions', () => {
+    expect(classifyMistake(buildStudentValidation(mockLesson, 'favorite_animal = "cat"'))).toBeNull();
+    expect(classifyMistake(buildStudentValidation(mockLesson, ''))).toBeNull();
+  });
+});
@@ -0,0 +1,340 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createProgressStore } from '../../../lib/progressStore.js';
+
+const reward = { stars: 1, badge: 'First Variable', message: 'Great job!' };
+
+describe('createProgressStore', () => {
+  let tempDir: string | null = null;
+
+  async function makeFilePath() {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-progress-'));
+    return path.join(tempDir, 'nested', 'progress.json');
+  }
+
+  afterEach(async () => {
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  });
+
+  it('records attempts and completions per learner', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-01-01T10:00:00Z') });
+
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: false });
+    const summary = await store.recordAttempt('learner-1', {
+      courseId: 'python-kids',
+      lessonId: 'lesson-1',
+      correct: true,
+      reward,
+    });
+
+    expect(summary).toMatchObject({
+      courseId: 'python-kids',
+      completedLessons: ['lesson-1'],
+      earnedStars: 1,
+      badges: ['First Variable'],
+      totalAttempts: 2,
+      currentLessonId: 'lesson-1',
+      lastAccessed: '2025-01-01T10:00:00.000Z',
+    });
+    expect(summary.lessons['lesson-1']).toMatchObject({ attempts: 2, completed: true });
+
+    const other = await store.getProgress('learner-2');
+    expect(other.courses).toEqual({});
+  });
+
+  it('keeps the ten most recent attempts per course, newest first', async () => {
+    let minute = 0;
+    const store = createProgressStore({ now: () => Date.parse('2025-01-01T10:00:00Z') + minute++ * 60000 });
+
+    for (let attempt = 1; attempt <= 12; attempt++) {
+      await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: attempt === 12, reward });
+    }
+
+    const { recentAttempts } = (await store.getProgress('learner-1')).courses['python-kids'];
+    expect(recentAttempts).toHaveLength(10);
+    expect(recentAttempts[0]).toEqual({ lessonId: 'lesson-1', correct: true, at: '2025-01-01T10:11:00.000Z' });
+    expect(recentAttempts[9]).toEqual({ lessonId: 'lesson-1', correct: false, at: '2025-01-01T10:02:00.000Z' });
+  });
+
+  it('does not award stars twice for the same lesson', async () => {
+    const store = createProgressStore();
+
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    const summary = await store.recordAttempt('learner-1', {
+      courseId: 'python-kids',
+      lessonId: 'lesson-1',
+      correct: true,
+      reward,
+    });
+
+    expect(summary.earnedStars).toBe(1);
+    expect(summary.totalAttempts).toBe(2);
+  });
+
+  it('filters progress by course', async () => {
+    const store = createProgressStore();
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.recordAttempt('learner-1', { courseId: 'art-kids', lessonId: 'lesson-1', correct: false });
+
+    const progress = await store.getProgress('learner-1', 'art-kids');
+
+    expect(Object.keys(progress.courses)).toEqual(['art-kids']);
+    expect(progress.courses['art-kids'].completedLessons).toEqual([]);
+  });
+
+  it('resets one course or everything', async () => {
+    const store = createProgressStore();
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.recordAttempt('learner-1', { courseId: 'art-kids', lessonId: 'lesson-1', correct: true, reward });
+
+    expect(await store.resetProgress('learner-1', 'art-kids')).toBe(true);
+    expect(Object.keys((await store.getProgress('learner-1')).courses)).toEqual(['python-kids']);
+
+    expect(await store.resetProgress('learner-1')).toBe(true);
+    expect((await store.getProgress('learner-1')).courses).toEqual({});
+    expect(await store.resetProgress('learner-1')).toBe(false);
+  });
+
+  it('persists progress to disk and reloads it', async () => {
+    const filePath = await makeFilePath();
+    const store = createProgressStore({ filePath });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-2', correct: true, reward });
+    await store.flush();
+
+    const reloaded = createProgressStore({ filePath });
+    const progress = await reloaded.getProgress('learner-1', 'python-kids');
+
+    expect(progress.courses['python-kids'].completedLessons).toEqual(['lesson-2']);
+    const files = await fs.readdir(path.dirname(filePath));
+    expect(files).toEqual(['progress.json']);
+  });
+
+  it('keeps every concurrent attempt', async () => {
+    const filePath = await makeFilePath();
+    const store = createProgressStore({ filePath });
+
+    await Promise.all(Array.from({ length: 5 }, (_, index) => store.recordAttempt('learner-1', {
+      courseId: 'python-kids',
+      lessonId: `lesson-${index + 1}`,
+      correct: true,
+      reward,
+    })));
+
+    const reloaded = createProgressStore({ filePath });
+    const progress = await reloaded.getProgress('learner-1', 'python-kids');
+    expect(progress.courses['python-kids'].earnedStars).toBe(5);
+  });
+
+  it('moves an unreadable file aside instead of overwriting it', async () => {
+    const filePath = await makeFilePath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '{ not json');
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const store = createProgressStore({ filePath });
+    const progress = await store.getProgress('learner-1');
+
+    expect(progress.courses).toEqual({});
+    const files = await fs.readdir(path.dirname(filePath));
+    expect(files.some((file) => file.startsWith('progress.json.corrupt-'))).toBe(true);
+    consoleSpy.mockRestore();
+  });
+
+  it('keeps a dated history of lesson starts and attempts', async () => {
+    let minute = 0;
+    const store = createProgressStore({ now: () => Date.parse('2025-03-03T16:00:00Z') + minute++ * 60000 });
+
+    await store.recordLessonStart('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1' });
+    await store.recordAttempt('learner-1', {
+      courseId: 'python-kids', lessonId: 'lesson-1', correct: false, mistake: 'missing-colon',
+    });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.recordAttempt('learner-1', { courseId: 'art-kids', lessonId: 'lesson-1', correct: false });
+
+    const history = await store.getHistory('learner-1', { courseId: 'python-kids' });
+    expect(history).toEqual([
+      { type: 'start', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:00:00.000Z' },
+      {
+        type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:01:00.000Z',
+        correct: false, mistake: 'missing-colon',
+      },
+      {
+        type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:02:00.000Z',
+        correct: true, completed: true, stars: 1, badge: 'First Variable',
+      },
+      { type: 'attempt', courseId: 'python-kids', lessonId: 'lesson-1', at: '2025-03-03T16:03:00.000Z', correct: true },
+    ]);
+
+    const window = await store.getHistory('learner-1', { from: '2025-03-03T16:02:00.000Z', to: '2025-03-03T16:04:00.000Z' });
+    expect(window.map((event) => event.at)).toEqual(['2025-03-03T16:02:00.000Z', '2025-03-03T16:03:00.000Z']);
+
+    await store.resetProgress('learner-1', 'python-kids');
+    expect((await store.getHistory('learner-1')).map((event) => event.courseId)).toEqual(['art-kids']);
+  });
+
+  it('tracks first-try and hint-free completions and the practice streak', async () => {
+    let time = Date.parse('2025-03-03T16:00:00Z');
+    const store = createProgressStore({ now: () => time });
+    const day = 24 * 60 * 60 * 1000;
+
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-2', correct: false });
+    await store.recordHintOpen('learner-1', { courseId: 'python-kids', lessonId: 'lesson-2', level: 1 });
+    time += day;
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-2', correct: true, reward });
+    time += day;
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-3', correct: false });
+    // Skipping a day starts the streak over
+    time += 2 * day;
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-3', correct: false });
+
+    const progress = await store.getProgress('learner-1');
+    expect(progress.courses['python-kids'].lessons['lesson-1']).toMatchObject({ attemptsToComplete: 1, hintsBeforeComplete: 0 });
+    expect(progress.courses['python-kids'].lessons['lesson-2']).toMatchObject({ attemptsToComplete: 2, hintsBeforeComplete: 1 });
+    expect(progress.streak).toEqual({ current: 1, longest: 3, lastDay: '2025-03-07' });
+    expect((await store.getProgress('learner-2')).streak).toEqual({ current: 0, longest: 0, lastDay: null });
+  });
+
+  it('counts failed attempts and remembers the highest hint rung unlocked', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-03-04T09:00:00Z') });
+    const attempt = { courseId: 'python-kids', lessonId: 'lesson-1' };
+
+    await store.recordAttempt('learner-1', { ...attempt, correct: false, hintLevel: 1 });
+    await store.recordAttempt('learner-1', { ...attempt, correct: false, hintLevel: 2 });
+    await store.recordAttempt('learner-1', { ...attempt, correct: true, reward });
+
+    const progress = await store.getProgress('learner-1', 'python-kids');
+    expect(progress.courses['python-kids'].lessons['lesson-1']).toMatchObject({
+      attempts: 3,
+      failedAttempts: 2,
+      hintLevel: 2,
+      hintsBeforeComplete: 0,
+    });
+    const history = await store.getHistory('learner-1');
+    expect(history.map((event) => event.hintLevel)).toEqual([1, 2, undefined]);
+  });
+
+  it('counts hint rungs the learner opened, once each', async () => {
+    let minute = 0;
+    const store = createProgressStore({ now: () => Date.parse('2025-03-04T10:00:00Z') + minute++ * 60000 });
+    const lesson = { courseId: 'python-kids', lessonId: 'lesson-1' };
+
+    expect(await store.recordHintOpen('learner-1', { ...lesson, level: 1 })).toEqual({ hintsOpened: 1, hintsShown: 1 });
+    // Opening the same rung again, e.g. after reloading the lesson, is not a new hint
+    expect(await store.recordHintOpen('learner-1', { ...lesson, level: 1 })).toEqual({ hintsOpened: 1, hintsShown: 1 });
+    await store.recordAttempt('learner-1', { ...lesson, correct: false, hintLevel: 2 });
+    expect(await store.recordHintOpen('learner-1', { ...lesson, level: 2 })).toEqual({ hintsOpened: 2, hintsShown: 2 });
+    await store.recordAttempt('learner-1', { ...lesson, correct: true, reward });
+
+    const progress = await store.getProgress('learner-1', 'python-kids');
+    expect(progress.courses['python-kids'].lessons['lesson-1']).toMatchObject({ hintsOpened: 2, hintsBeforeComplete: 2 });
+    expect((await store.getHistory('learner-1')).filter((event) => event.type === 'hint')).toEqual([
+      { type: 'hint', ...lesson, at: '2025-03-04T10:00:00.000Z', level: 1 },
+      { type: 'hint', ...lesson, at: '2025-03-04T10:03:00.000Z', level: 2 },
+    ]);
+  });
+
+  it('records solution reveals and counts an early one as a hint', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-03-05T09:00:00Z') });
+    const lesson = { courseId: 'python-kids', lessonId: 'lesson-1' };
+
+    expect(await store.recordSolutionReveal('learner-1', { ...lesson, via: 'override' })).toEqual({
+      solutionReveals: 1,
+      solutionRevealedAt: '2025-03-05T09:00:00.000Z',
+    });
+    await store.recordAttempt('learner-1', { ...lesson, correct: true, reward });
+    await store.recordSolutionReveal('learner-1', { ...lesson, via: 'attempts' });
+
+    const progress = await store.getProgress('learner-1', 'python-kids');
+    expect(progress.courses['python-kids'].lessons['lesson-1']).toMatchObject({
+      solutionReveals: 2,
+      attemptsToComplete: 1,
+      hintsBeforeComplete: 1,
+      hintsShown: 1,
+      solutionBeforeComplete: true,
+    });
+    expect((await store.getHistory('learner-1')).filter((event) => event.type === 'reveal')).toEqual([
+      { type: 'reveal', ...lesson, at: '2025-03-05T09:00:00.000Z', via: 'override' },
+      { type: 'reveal', ...lesson, at: '2025-03-05T09:00:00.000Z', via: 'attempts' },
+    ]);
+  });
+
+  it('saves review schedules, logs review answers and drops them with the course', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-03-06T09:00:00Z') });
+    const schedule = { repetitions: 1, interval: 1, easiness: 2.6, due: '2025-03-07', lastReviewedAt: '2025-03-06T09:00:00.000Z' };
+    const answer = { courseId: 'python-kids', lessonId: 'lesson-1', concept: 'variables', itemId: 'python-kids/lesson-1/exercise' };
+
+    expect(await store.recordReviewAnswer('learner-1', { ...answer, correct: true, schedule })).toEqual({ ...schedule, reviews: 1 });
+    expect(await store.recordReviewAnswer('learner-1', { ...answer, correct: false })).toEqual({ ...schedule, reviews: 1 });
+    expect(await store.getReviewSchedule('learner-1', 'python-kids')).toEqual({ variables: { ...schedule, reviews: 1 } });
+    expect((await store.getHistory('learner-1')).map((event) => [event.type, event.correct])).toEqual([
+      ['review', true],
+      ['review', false],
+    ]);
+    expect((await store.getProgress('learner-1')).streak).toMatchObject({ current: 1, lastDay: '2025-03-06' });
+
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+    await store.resetProgress('learner-1', 'python-kids');
+    expect(await store.getReviewSchedule('learner-1', 'python-kids')).toEqual({});
+  });
+
+  it('awards each achievement once and drops a course\'s achievements on reset', async () => {
+    const store = createProgressStore({ now: () => Date.parse('2025-03-03T16:00:00Z') });
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+
+    const first = await store.awardAchievements('learner-1', [
+      { id: 'lesson:python-kids:lesson-1', courseId: 'python-kids' },
+      { id: 'first-try-1' },
+    ]);
+    expect(first).toEqual([
+      { id: 'lesson:python-kids:lesson-1', earnedAt: '2025-03-03T16:00:00.000Z', courseId: 'python-kids' },
+      { id: 'first-try-1', earnedAt: '2025-03-03T16:00:00.000Z', courseId: null },
+    ]);
+    expect(await store.awardAchievements('learner-1', [{ id: 'first-try-1' }])).toEqual([]);
+
+    await store.resetProgress('learner-1', 'python-kids');
+    expect(await store.getAchievements('learner-1')).toEqual({
+      'first-try-1': { earnedAt: '2025-03-03T16:00:00.000Z', courseId: null },
+    });
+  });
+
+  it('keeps a certificate\'s code when it is issued again and finds it by code', async () => {
+    let time = Date.parse('2025-03-06T09:00:00Z');
+    const store = createProgressStore({ now: () => time });
+    const codes = ['AAAA-AAAA-AAAA', 'AAAA-AAAA-AAAA', 'BBBB-BBBB-BBBB'];
+    const generateCode = () => codes.shift() as string;
+    await store.recordAttempt('learner-1', { courseId: 'python-kids', lessonId: 'lesson-1', correct: true, reward });
+
+    const first = await store.issueCertificate('learner-1', 'python-kids', {
+      displayName: 'Ada', completedAt: '2025-03-05T16:00:00.000Z', generateCode,
+    });
+    time += 60000;
+    const renamed = await store.issueCertificate('learner-1', 'python-kids', {
+      displayName: 'Ada L.', completedAt: '2025-03-05T16:00:00.000Z', generateCode,
+    });
+    expect(renamed).toEqual({ ...first, displayName: 'Ada L.' });
+    expect(first.issuedAt).toBe('2025-03-06T09:00:00.000Z');
+
+    // A code already in use is never handed out twice
+    const other = await store.issueCertificate('learner-2', 'python-kids', { displayName: 'Grace', completedAt: null, generateCode });
+    expect(other.code).toBe('BBBB-BBBB-BBBB');
+
+    expect(await store.findCertificate('AAAA-AAAA-AAAA')).toMatchObject({ courseId: 'python-kids', displayName: 'Ada L.' });
+    expect(await store.findCertificate('CCCC-CCCC-CCCC')).toBeNull();
+
+    await store.resetProgress('learner-1', 'python-kids');
+    expect(await store.getCertificate('learner-1', 'python-kids')).toBeNull();
+  });
+
+  it('requires a learner id', async () => {
+    const store = createProgressStore();
+
+    await expect(store.getProgress('')).rejects.toThrow('learnerId is required');
+  });
+});
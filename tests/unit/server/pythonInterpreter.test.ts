@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { createPythonInterpreter } from '../../../lib/pythonInterpreter.js';
+import { PythonError } from '../../../lib/pythonErrors.js';
+
+function run(source: string, options = {}) {
+  const interpreter = createPythonInterpreter(options);
+  interpreter.run(source);
+  return interpreter;
+}
+
+function runError(source: string, options = {}) {
+  try {
+    run(source, options);
+  } catch (error) {
+    expect(error).toBeInstanceOf(PythonError);
+    return (error as PythonError).toJSON();
+  }
+  throw new Error('Expected the program to fail');
+}
+
+describe('createPythonInterpreter', () => {
+  it('prints values the way Python does', () => {
+    const interpreter = run([
+      'print("cat")',
+      'print(7 + 5, 7 / 2, 7 // 2)',
+      'print(["reading", "soccer"], (1,), {"a": True, "b": None})',
+      'print("a", "b", sep="-", end="!\\n")',
+    ].join('\n'));
+
+    expect(interpreter.getOutput()).toBe(
+      "cat\n12 3.5 3\n['reading', 'soccer'] (1,) {'a': True, 'b': None}\na-b!\n"
+    );
+  });
+
+  it('reports variables with their Python types', () => {
+    const interpreter = run('name = "Luna"\nage = 9\nheight = 1.5\nhobbies = ["art"]\nready = True');
+    const variables = interpreter.getVariables();
+
+    expect(variables.name).toEqual({ type: 'str', value: 'Luna', text: 'Luna' });
+    expect(variables.age).toMatchObject({ type: 'int', value: 9, text: '9' });
+    expect(variables.height.type).toBe('float');
+    expect(variables.hobbies).toMatchObject({ type: 'list', text: "['art']" });
+    expect(variables.ready.type).toBe('bool');
+  });
+
+  it('runs functions, loops and conditionals', () => {
+    const interpreter = run([
+      'def make_introduction(name):',
+      '    return "Hi, I\'m " + name + "!"',
+      '',
+      'total = 0',
+      'for number in range(1, 4):',
+      '    if number % 2 == 0:',
+      '        continue',
+      '    total += number',
+      'print(make_introduction("Alex"), total)',
+    ].join('\n'));
+
+    expect(interpreter.getOutput()).toBe("Hi, I'm Alex! 4\n");
+  });
+
+  it('supports f-strings and string methods', () => {
+    const interpreter = run('name = "luna"\nprint(f"Hello {name.title()}, you are {3 * 3}!")');
+
+    expect(interpreter.getOutput()).toBe('Hello Luna, you are 9!\n');
+  });
+
+  it('evaluates expressions against the current program state', () => {
+    const interpreter = run('def double(x):\n    return x * 2');
+
+    expect(interpreter.evaluate('double(21)')).toBe(42n);
+  });
+
+  it('raises Python-style runtime errors with line numbers', () => {
+    expect(runError('x = 1\nprint(y)')).toMatchObject({
+      type: 'NameError',
+      message: "name 'y' is not defined",
+      line: 2,
+    });
+    expect(runError('print("age: " + 9)')).toMatchObject({
+      type: 'TypeError',
+      message: 'can only concatenate str (not "int") to str',
+    });
+    expect(runError('print(1 / 0)').type).toBe('ZeroDivisionError');
+  });
+
+  it('raises SyntaxError for broken code', () => {
+    expect(runError('print("hi"')).toMatchObject({ type: 'SyntaxError', kind: 'unclosed-bracket', line: 1 });
+    expect(runError('if True\n    print(1)')).toMatchObject({ type: 'SyntaxError', kind: 'missing-colon' });
+  });
+
+  it('stops infinite loops with the step limit', () => {
+    expect(runError('while True:\n    pass', { maxSteps: 1000 })).toMatchObject({
+      type: 'TimeoutError',
+      kind: 'step-limit',
+    });
+  });
+
+  it('stops runaway recursion and output', () => {
+    expect(runError('def f():\n    return f()\nf()').type).toBe('RecursionError');
+    expect(runError('while True:\n    print("spam")', { maxOutputLength: 100 }).kind).toBe('output-limit');
+  });
+
+  it('stops sequences from growing too big', () => {
+    expect(runError('s = "ab" * 100000')).toMatchObject({ type: 'MemoryError', message: 'this string is getting too big' });
+    expect(runError('items = [0] * 200000')).toMatchObject({ type: 'MemoryError', message: 'this list is getting too big' });
+  });
+
+  it('reports each step to onStep with the variables at that point', () => {
+    const steps: Array<{ line: number, variables: Record<string, { text: string }>, locals: Record<string, { text: string }> | null, functionName: string | null }> = [];
+    run([
+      'def double(n):',
+      '    return n * 2',
+      'total = 0',
+      'for n in [1, 2]:',
+      '    total += double(n)',
+    ].join('\n'), { onStep: (step: typeof steps[number]) => steps.push(step) });
+
+    expect(steps.map((step) => step.line)).toEqual([1, 3, 4, 2, 5, 4, 2, 5]);
+    expect(steps[3]).toMatchObject({ functionName: 'double', locals: { n: { text: '1' } } });
+    expect(steps[7].variables.total.text).toBe('6');
+    expect(steps[7].locals).toBeNull();
+    expect(steps[0].variables).toEqual({});
+  });
+
+  it('refuses input() and file access', () => {
+    expect(runError('name = input("Name? ")').message).toContain('input()');
+    expect(runError('open("secrets.txt")').type).toBe('PermissionError');
+  });
+});
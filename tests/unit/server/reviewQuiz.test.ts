@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildReviewItems,
+  gradeReviewAnswer,
+  pickReviewItems,
+  publicReviewItem,
+} from '../../../lib/reviewQuiz.js';
+
+const lessons = [
+  {
+    id: 'lesson-1',
+    title: 'Variables',
+    concept: 'variables',
+    content: {
+      examples: [
+        { code: 'my_name = "Alex"', explanation: 'Stores Alex' },
+        { code: 'print(my_name)', explanation: 'Shows Alex' },
+      ],
+    },
+    exercise: {
+      solution: 'pet = "cat"\nprint(pet)',
+      knownWrong: ['pet = cat\nprint(pet)', 'pet = "____"\nprint(pet)'],
+    },
+  },
+  {
+    id: 'lesson-2',
+    title: 'Numbers',
+    concept: 'numbers',
+    content: { examples: [{ code: 'print(5 + 3)', explanation: 'Adds' }] },
+    exercise: { solution: 'print(7 + 5)' },
+  },
+];
+
+const items = buildReviewItems('python-kids', lessons, 'en');
+const byId = (id: string) => items.find((item) => item.id === id)!;
+
+describe('buildReviewItems', () => {
+  it('asks what an example prints, with the earlier examples it needs', () => {
+    const item = byId('python-kids/lesson-1/example-2');
+    expect(item).toMatchObject({
+      kind: 'predict-output',
+      concept: 'variables',
+      lessonTitle: 'Variables',
+      code: 'my_name = "Alex"\nprint(my_name)',
+      explanation: 'Shows Alex',
+    });
+    expect([...item.options].sort()).toEqual(['8', 'Alex', 'my_name']);
+    expect(item.options[item.answer]).toBe('Alex');
+    expect(item.prompt).not.toBe('review.predictOutput');
+  });
+
+  it('skips examples that print nothing and exercises without wrong programs', () => {
+    expect(items.map((item) => item.id)).toEqual([
+      'python-kids/lesson-1/example-2',
+      'python-kids/lesson-2/example-1',
+      'python-kids/lesson-1/exercise',
+    ]);
+  });
+
+  it('offers the solution next to the known wrong programs, leaving out blanks', () => {
+    const item = byId('python-kids/lesson-1/exercise');
+    expect([...item.options].sort()).toEqual(['pet = "cat"\nprint(pet)', 'pet = cat\nprint(pet)']);
+    expect(item.prompt).toContain('Variables');
+  });
+
+  it('builds the same items every time, so answers can be checked later', () => {
+    expect(buildReviewItems('python-kids', lessons, 'es').map((item) => item.options))
+      .toEqual(items.map((item) => item.options));
+  });
+});
+
+describe('pickReviewItems', () => {
+  it('takes one question per due concept before a second one', () => {
+    const due = [{ concept: 'numbers', lessonIds: ['lesson-2'] }, { concept: 'variables', lessonIds: ['lesson-1'] }];
+    const picked = pickReviewItems(items, due, { limit: 2 });
+    expect(picked.map((item) => item.concept)).toEqual(['numbers', 'variables']);
+    expect(pickReviewItems(items, [due[1]], { limit: 5 })).toHaveLength(2);
+    expect(pickReviewItems(items, [], { limit: 5 })).toEqual([]);
+  });
+
+  it('only asks about completed lessons when an unfinished one shares their concept', () => {
+    const sharedConcept = buildReviewItems('python-kids', [
+      lessons[0],
+      {
+        ...lessons[0],
+        id: 'lesson-3',
+        title: 'More variables',
+        content: { examples: [] },
+        exercise: { solution: 'age = 9\nprint(age)', knownWrong: ['age = nine\nprint(age)'] },
+      },
+    ], 'en');
+    expect(sharedConcept.map((item) => item.id)).toContain('python-kids/lesson-3/exercise');
+
+    const picked = pickReviewItems(sharedConcept, [{ concept: 'variables', lessonIds: ['lesson-1'] }], { limit: 5 });
+    expect(picked.length).toBeGreaterThan(0);
+    expect(picked.every((item) => item.lessonId === 'lesson-1')).toBe(true);
+    expect(picked.flatMap((item) => item.options)).not.toContain('age = 9\nprint(age)');
+  });
+});
+
+describe('gradeReviewAnswer', () => {
+  it('checks the chosen option and keeps the answer out of the public item', () => {
+    const item = byId('python-kids/lesson-2/example-1');
+    expect(gradeReviewAnswer(item, item.answer)).toEqual({ correct: true, answer: '8', explanation: 'Adds' });
+    expect(gradeReviewAnswer(item, item.answer === 0 ? 1 : 0).correct).toBe(false);
+    expect(publicReviewItem(item)).not.toHaveProperty('answer');
+    expect(publicReviewItem(item)).not.toHaveProperty('explanation');
+  });
+});
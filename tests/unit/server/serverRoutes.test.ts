@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn, type ChildProcess } from 'node:child_process';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startMockIdentityProvider } from '../../../lib/mockIdentityProvider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = path.join(__dirname, '../../../server.js');
+
+function freePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address() as net.AddressInfo;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs the real server.js on a free port with its stores in a temporary folder
+async function startServer(dataDir: string, env: Record<string, string> = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PROGRESS_FILE: path.join(dataDir, 'progress.json'),
+      CLASSROOM_FILE: path.join(dataDir, 'classrooms.json'),
+      LESSON_SELF_CHECK: 'off',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 20000);
+    const collect = (chunk: Buffer) => {
+      output += chunk.toString();
+      if (output.includes('listening on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout?.on('data', collect);
+    child.stderr?.on('data', collect);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return { child, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+describe('server routes', () => {
+  let dataDir: string;
+  let server: { child: ChildProcess, baseUrl: string };
+
+  beforeAll(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-routes-'));
+    server = await startServer(dataDir);
+  }, 30000);
+
+  afterAll(async () => {
+    server?.child.kill();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('answers 404 for a certificate code with a malformed escape and keeps running', async () => {
+    const response = await fetch(`${server.baseUrl}/certificates/%E0%A4%A`);
+    expect(response.status).toBe(404);
+
+    const health = await fetch(`${server.baseUrl}/health`);
+    expect(health.status).toBe(200);
+    expect(server.child.exitCode).toBeNull();
+  });
+
+  it('answers 404 for a well-formed code that was never issued', async () => {
+    const response = await fetch(`${server.baseUrl}/certificates/K7P2%20QX9M%204TRA`);
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('server routes with OAuth', () => {
+  let dataDir: string;
+  let idp: Awaited<ReturnType<typeof startMockIdentityProvider>>;
+  let server: { child: ChildProcess, baseUrl: string } | null = null;
+
+  beforeAll(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-routes-'));
+    idp = await startMockIdentityProvider();
+  });
+
+  afterAll(async () => {
+    server?.child.kill();
+    await idp.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  async function tokenFor(resource: string) {
+    const response = await fetch(`${idp.issuer}/token`, { method: 'POST', body: new URLSearchParams({ sub: 'kid-1', resource }) });
+    return (await response.json()).access_token as string;
+  }
+
+  it('refuses to start without a configured resource URL', async () => {
+    await expect(startServer(dataDir, { OAUTH_ISSUER: idp.issuer, OAUTH_RESOURCE: '', BASE_URL: '' }))
+      .rejects.toThrow(/OAUTH_RESOURCE or BASE_URL/);
+  }, 30000);
+
+  it('checks the token audience against the configured resource, whatever the Host headers say', async () => {
+    server = await startServer(dataDir, { OAUTH_ISSUER: idp.issuer, OAUTH_RESOURCE: '', BASE_URL: 'https://learnkids.example' });
+    const forged = { 'X-Forwarded-Host': 'other.example', 'X-Forwarded-Proto': 'https' };
+
+    const metadata = await fetch(`${server.baseUrl}/.well-known/oauth-protected-resource/mcp`, { headers: forged });
+    expect((await metadata.json()).resource).toBe('https://learnkids.example/mcp');
+
+    const response = await fetch(`${server.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        ...forged,
+        Authorization: `Bearer ${await tokenFor('https://other.example/mcp')}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    });
+    expect(response.status).toBe(401);
+  }, 30000);
+});
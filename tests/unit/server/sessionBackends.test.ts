@@ -0,0 +1,288 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createFileSessionBackend,
+  createMemorySessionBackend,
+  createRedisSessionBackend,
+  createSessionBackendFromEnv,
+} from '../../../lib/sessionBackends.js';
+import { createRedisClient, encodeCommand, parseReply, parseRedisUrl, RedisReplyError } from '../../../lib/redisClient.js';
+
+// Local Redis stand-in: GET/SET PX/DEL, PUBLISH/SUBSCRIBE/UNSUBSCRIBE, AUTH, SELECT, PING, QUIT
+function startFakeRedis({ password = null }: { password?: string | null } = {}) {
+  const values = new Map<string, { value: string; expiresAt: number }>();
+  const subscribers = new Map<string, Set<net.Socket>>();
+  const commands: string[][] = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let authed = !password;
+    const reply = (data: string) => socket.write(data);
+    const bulk = (value: string | null) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer)) !== null) {
+        buffer = buffer.subarray(parsed.offset);
+        const [name, ...args] = parsed.value as string[];
+        const command = name.toUpperCase();
+        commands.push([command, ...args]);
+
+        if (command === 'AUTH') {
+          authed = args[args.length - 1] === password;
+          reply(authed ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (!authed) {
+          reply('-NOAUTH Authentication required.\r\n');
+        } else if (command === 'PING' || command === 'SELECT') {
+          reply(command === 'PING' ? '+PONG\r\n' : '+OK\r\n');
+        } else if (command === 'SET') {
+          const pxIndex = args.findIndex((arg) => arg.toUpperCase() === 'PX');
+          const ttl = pxIndex === -1 ? Infinity : Number(args[pxIndex + 1]);
+          values.set(args[0], { value: args[1], expiresAt: Date.now() + ttl });
+          reply('+OK\r\n');
+        } else if (command === 'GET') {
+          const entry = values.get(args[0]);
+          reply(bulk(entry && entry.expiresAt > Date.now() ? entry.value : null));
+        } else if (command === 'DEL') {
+          reply(`:${values.delete(args[0]) ? 1 : 0}\r\n`);
+        } else if (command === 'SUBSCRIBE') {
+          (subscribers.get(args[0]) || subscribers.set(args[0], new Set()).get(args[0])!).add(socket);
+          reply(`*3\r\n${bulk('subscribe')}${bulk(args[0])}:1\r\n`);
+        } else if (command === 'UNSUBSCRIBE') {
+          subscribers.get(args[0])?.delete(socket);
+          reply(`*3\r\n${bulk('unsubscribe')}${bulk(args[0])}:0\r\n`);
+        } else if (command === 'PUBLISH') {
+          const receivers = subscribers.get(args[0]) || new Set();
+          for (const receiver of receivers) {
+            receiver.write(`*3\r\n${bulk('message')}${bulk(args[0])}${bulk(args[1])}`);
+          }
+          reply(`:${receivers.size}\r\n`);
+        } else if (command === 'QUIT') {
+          reply('+OK\r\n');
+          socket.end();
+        } else {
+          reply(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+    socket.on('close', () => {
+      for (const receivers of subscribers.values()) receivers.delete(socket);
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise<{ url: string; commands: string[][]; stop: () => Promise<void> }>((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as net.AddressInfo;
+      resolve({
+        url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${port}`,
+        commands,
+        stop: () => new Promise((done) => {
+          server.close(() => done());
+          for (const receivers of subscribers.values()) receivers.forEach((socket) => socket.destroy());
+        }),
+      });
+    });
+  });
+}
+
+function waitFor<T>(read: () => T | undefined, timeoutMs = 2000): Promise<T> {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const value = read();
+      if (value !== undefined) return resolve(value);
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+const record = { instanceId: 'instance-a', transportType: 'sse', createdAt: 1, lastSeen: 1 };
+
+describe('session backends', () => {
+  const cleanups: Array<() => Promise<void>> = [];
+
+  afterEach(async () => {
+    while (cleanups.length) {
+      await cleanups.pop()!();
+    }
+  });
+
+  async function makeDirectory() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'learnkids-sessions-'));
+    cleanups.push(() => fs.rm(directory, { recursive: true, force: true }));
+    return directory;
+  }
+
+  // Two handles on the same shared storage, as two instances would have
+  const backends: Record<string, () => Promise<[any, any]>> = {
+    memory: async () => {
+      const backend = createMemorySessionBackend();
+      return [backend, backend];
+    },
+    file: async () => {
+      const directory = await makeDirectory();
+      const first = createFileSessionBackend({ directory, pollIntervalMs: 10 });
+      const second = createFileSessionBackend({ directory, pollIntervalMs: 10 });
+      cleanups.push(async () => { await first.close(); await second.close(); });
+      return [first, second];
+    },
+    redis: async () => {
+      const fake = await startFakeRedis();
+      const first = createRedisSessionBackend({ url: fake.url });
+      const second = createRedisSessionBackend({ url: fake.url });
+      cleanups.push(async () => { await first.close(); await second.close(); await fake.stop(); });
+      return [first, second];
+    },
+  };
+
+  describe.each(Object.keys(backends))('%s backend', (name) => {
+    it('shares records between handles until they are deleted', async () => {
+      const [first, second] = await backends[name]();
+
+      expect(await second.get('session-a')).toBeNull();
+      await first.set('session-a', record, 60000);
+      expect(await second.get('session-a')).toEqual(record);
+
+      await second.set('session-a', { ...record, closedAt: 2 }, 60000);
+      expect(await first.get('session-a')).toEqual({ ...record, closedAt: 2 });
+
+      await first.delete('session-a');
+      expect(await second.get('session-a')).toBeNull();
+    });
+
+    it('delivers published messages to subscribers only', async () => {
+      const [first, second] = await backends[name]();
+      const received: object[] = [];
+
+      expect(await first.publish('relay:instance-b', { n: 0 })).toBe(0);
+
+      const unsubscribe = await second.subscribe('relay:instance-b', (message: object) => received.push(message));
+      expect(await first.publish('relay:instance-b', { n: 1 })).toBe(1);
+      await first.publish('relay:instance-b', { n: 2 });
+      await waitFor(() => (received.length === 2 ? true : undefined));
+      expect(received).toEqual([{ n: 1 }, { n: 2 }]);
+
+      await unsubscribe();
+      expect(await first.publish('relay:instance-b', { n: 3 })).toBe(0);
+    });
+  });
+
+  it('expires memory and file records after their time to live', async () => {
+    let now = 1000;
+    const directory = await makeDirectory();
+    for (const backend of [
+      createMemorySessionBackend({ now: () => now }),
+      createFileSessionBackend({ directory, now: () => now }),
+    ]) {
+      await backend.set('session-a', record, 500);
+      now += 499;
+      expect(await backend.get('session-a')).toEqual(record);
+      now += 1;
+      expect(await backend.get('session-a')).toBeNull();
+    }
+  });
+
+  it('stops counting a file subscriber whose instance stopped polling', async () => {
+    let now = 1000;
+    const directory = await makeDirectory();
+    const options = { directory, pollIntervalMs: 10, heartbeatTimeoutMs: 5000, now: () => now };
+    const publisher = createFileSessionBackend(options);
+    const crashed = createFileSessionBackend(options);
+    const live = createFileSessionBackend(options);
+    cleanups.push(async () => { await crashed.close(); await live.close(); });
+
+    await crashed.subscribe('relay:instance-a', () => {});
+    await live.subscribe('relay:instance-b', () => {});
+    expect(await publisher.publish('relay:instance-a', { n: 1 })).toBe(1);
+
+    // A crash leaves the channel directory behind but no longer refreshes its heartbeat
+    await crashed.close();
+    now += 5001;
+    // The live subscriber refreshes its heartbeat on its next poll
+    const heartbeatOf = async (channel: string) =>
+      JSON.parse(await fs.readFile(path.join(directory, 'relay', encodeURIComponent(channel), 'heartbeat'), 'utf-8')).at;
+    for (let tries = 0; tries < 200 && await heartbeatOf('relay:instance-b') !== now; tries++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(await publisher.publish('relay:instance-a', { n: 2 })).toBe(0);
+    expect(await publisher.publish('relay:instance-b', { n: 2 })).toBe(1);
+
+    // A directory without a heartbeat, e.g. left by an older version, does not count either
+    await fs.mkdir(path.join(directory, 'relay', 'relay%3Ainstance-c'), { recursive: true });
+    expect(await publisher.publish('relay:instance-c', { n: 3 })).toBe(0);
+  });
+
+  it('stores redis records under a prefix with a millisecond expiry', async () => {
+    const fake = await startFakeRedis();
+    const backend = createRedisSessionBackend({ url: fake.url, prefix: 'test:' });
+    cleanups.push(async () => { await backend.close(); await fake.stop(); });
+
+    await backend.set('session-a', record, 1500.4);
+    expect(fake.commands).toContainEqual(['SET', 'test:session:session-a', JSON.stringify(record), 'PX', '1500']);
+  });
+
+  it('picks the backend from SESSION_BACKEND', async () => {
+    const directory = await makeDirectory();
+    expect(createSessionBackendFromEnv({}).name).toBe('memory');
+    expect(createSessionBackendFromEnv({ SESSION_BACKEND: 'file' }, { directory }).name).toBe('file');
+    expect(createSessionBackendFromEnv({ SESSION_BACKEND: 'Redis', REDIS_URL: 'redis://localhost:1' }).name).toBe('redis');
+    expect(() => createSessionBackendFromEnv({ SESSION_BACKEND: 'postgres' })).toThrow(/Unknown SESSION_BACKEND/);
+    expect(() => createSessionBackendFromEnv({ SESSION_BACKEND: 'file' })).toThrow(/needs a directory/);
+  });
+});
+
+describe('redisClient', () => {
+  it('encodes commands and parses every reply type', () => {
+    expect(encodeCommand(['SET', 'key', 'héllo']).toString()).toBe('*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$6\r\nhéllo\r\n');
+
+    expect(parseReply(Buffer.from('+OK\r\n'))).toEqual({ value: 'OK', offset: 5 });
+    expect(parseReply(Buffer.from(':42\r\n'))?.value).toBe(42);
+    expect(parseReply(Buffer.from('$-1\r\n'))?.value).toBeNull();
+    expect(parseReply(Buffer.from('$6\r\nhéllo\r\n'))?.value).toBe('héllo');
+    expect(parseReply(Buffer.from('*2\r\n$1\r\na\r\n:1\r\n'))?.value).toEqual(['a', 1]);
+    expect(parseReply(Buffer.from('-ERR nope\r\n'))?.value).toBeInstanceOf(RedisReplyError);
+  });
+
+  it('waits for the rest of a reply that arrived in pieces', () => {
+    expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    expect(parseReply(Buffer.from('*2\r\n$1\r\na\r\n'))).toBeNull();
+    expect(parseReply(Buffer.from('+O'))).toBeNull();
+  });
+
+  it('reads credentials and database from the URL', () => {
+    expect(parseRedisUrl('redis://:s%40cret@cache.internal:6380/2')).toEqual({
+      host: 'cache.internal',
+      port: 6380,
+      username: null,
+      password: 's@cret',
+      db: 2,
+    });
+    expect(() => parseRedisUrl('rediss://cache.internal')).toThrow(/only redis:\/\//);
+  });
+
+  it('authenticates and selects the database before the first command', async () => {
+    const fake = await startFakeRedis({ password: 'secret' });
+    const client = createRedisClient({ url: `${fake.url}/3` });
+
+    expect(await client.command(['PING'])).toBe('PONG');
+    expect(fake.commands.slice(0, 3)).toEqual([['AUTH', 'secret'], ['SELECT', '3'], ['PING']]);
+    await expect(client.command(['FLUSHALL'])).rejects.toThrow(/unknown command/);
+
+    await client.quit();
+    await fake.stop();
+  });
+
+  it('fails commands when the server is unreachable', async () => {
+    const fake = await startFakeRedis();
+    await fake.stop();
+    const client = createRedisClient({ url: fake.url });
+    await expect(client.command(['PING'])).rejects.toThrow();
+  });
+});
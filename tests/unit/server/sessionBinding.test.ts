@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { createSessionStore } from '../../../lib/sessionStore.js';
+
+// Minimal stand-in for the long-lived SSE response of one client
+class FakeStream {
+  chunks: string[] = [];
+  listeners: Record<string, Array<() => void>> = {};
+  writeHead() { return this; }
+  write(chunk: string) { this.chunks.push(chunk); return true; }
+  end() { (this.listeners.close || []).forEach((listener) => listener()); return this; }
+  on(event: string, listener: () => void) { (this.listeners[event] ||= []).push(listener); return this; }
+
+  get sessionId() {
+    const endpoint = this.chunks.find((chunk) => chunk.startsWith('event: endpoint'));
+    return endpoint ? new URL(endpoint.split('data: ')[1].trim(), 'http://localhost').searchParams.get('sessionId') : null;
+  }
+
+  get messages() {
+    return this.chunks
+      .filter((chunk) => chunk.startsWith('event: message'))
+      .map((chunk) => JSON.parse(chunk.split('data: ')[1]));
+  }
+}
+
+class FakeReply {
+  status = 0;
+  writeHead(status: number) { this.status = status; return this; }
+  end() { return this; }
+}
+
+// Same steps as handleSseRequest in server.js: store by the transport's id, then connect
+async function connect(store: ReturnType<typeof createSessionStore>, name: string) {
+  const stream = new FakeStream();
+  const server = new Server({ name, version: '1.0.0' }, { capabilities: {} });
+  const transport = new SSEServerTransport('/mcp/messages', stream as never);
+  const session = store.addSession(transport.sessionId, { server, transport, transportType: 'sse' });
+  await server.connect(transport);
+  return { stream, session };
+}
+
+// Same steps as handlePostMessage in server.js
+async function post(store: ReturnType<typeof createSessionStore>, sessionId: string | null, message: object) {
+  const { session, status } = store.findSession(sessionId, { transportType: 'sse' });
+  if (!session) {
+    return status;
+  }
+  const reply = new FakeReply();
+  await session.transport.handlePostMessage({ headers: { 'content-type': 'application/json' } }, reply, message);
+  return reply.status;
+}
+
+const initialize = (id: number) => ({
+  jsonrpc: '2.0',
+  id,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } },
+});
+
+async function flush() {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('SSE session binding', () => {
+  it('routes each client to the server created for its own connection', async () => {
+    const store = createSessionStore();
+    const [alice, bob] = await Promise.all([connect(store, 'server-alice'), connect(store, 'server-bob')]);
+
+    expect(alice.stream.sessionId).toBe(alice.session.key);
+    expect(bob.stream.sessionId).toBe(bob.session.key);
+    expect(alice.session.key).not.toBe(bob.session.key);
+
+    // Bob posts first even though Alice connected first
+    expect(await post(store, bob.stream.sessionId, initialize(1))).toBe(202);
+    expect(await post(store, alice.stream.sessionId, initialize(2))).toBe(202);
+    await flush();
+
+    expect(alice.stream.messages).toEqual([
+      expect.objectContaining({ id: 2, result: expect.objectContaining({ serverInfo: { name: 'server-alice', version: '1.0.0' } }) }),
+    ]);
+    expect(bob.stream.messages).toEqual([
+      expect.objectContaining({ id: 1, result: expect.objectContaining({ serverInfo: { name: 'server-bob', version: '1.0.0' } }) }),
+    ]);
+  });
+
+  it('rejects ids the server never issued instead of guessing a session', async () => {
+    const store = createSessionStore();
+    const alice = await connect(store, 'server-alice');
+
+    expect(await post(store, 'made-up-session', initialize(1))).toBe('unknown');
+    expect(await post(store, null, initialize(1))).toBe('unknown');
+    await flush();
+    expect(alice.stream.messages).toEqual([]);
+  });
+
+  it('reports ids of closed connections as closed', async () => {
+    const store = createSessionStore();
+    const alice = await connect(store, 'server-alice');
+    const sessionId = alice.stream.sessionId;
+
+    store.removeSession(alice.session);
+    expect(await post(store, sessionId, initialize(1))).toBe('closed');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { createMemorySessionBackend } from '../../../lib/sessionBackends.js';
+import { createSessionRelay } from '../../../lib/sessionRelay.js';
+import { createSessionStore } from '../../../lib/sessionStore.js';
+
+// Minimal stand-in for the long-lived SSE response of one client
+class FakeStream {
+  chunks: string[] = [];
+  writeHead() { return this; }
+  write(chunk: string) { this.chunks.push(chunk); return true; }
+  end() { return this; }
+  on() { return this; }
+
+  get messages() {
+    return this.chunks
+      .filter((chunk) => chunk.startsWith('event: message'))
+      .map((chunk) => JSON.parse(chunk.split('data: ')[1]));
+  }
+}
+
+// One server instance: its own session store and relay on a shared backend,
+// delivering relayed messages the way deliverRelayedMessage in server.js does
+function createInstance(backend: ReturnType<typeof createMemorySessionBackend>, instanceId: string) {
+  const store = createSessionStore({ backend, instanceId });
+  const relay = createSessionRelay({
+    backend,
+    instanceId,
+    deliver: async (sessionId: string, message: object, extra: object) => {
+      const { session } = store.findSession(sessionId, { transportType: 'sse' });
+      await session?.transport.handleMessage(message, extra);
+    },
+  });
+  return { store, relay };
+}
+
+async function connect(instance: ReturnType<typeof createInstance>, name: string) {
+  const stream = new FakeStream();
+  const server = new Server({ name, version: '1.0.0' }, { capabilities: {} });
+  const transport = new SSEServerTransport('/mcp/messages', stream as never);
+  const session = instance.store.addSession(transport.sessionId, { server, transport, transportType: 'sse' });
+  await session.shared;
+  await server.connect(transport);
+  return { stream, session };
+}
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } },
+};
+
+async function flush() {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('createSessionRelay', () => {
+  it('answers a POST that reached another instance on the owner\'s stream', async () => {
+    const backend = createMemorySessionBackend();
+    const first = createInstance(backend, 'instance-a');
+    const second = createInstance(backend, 'instance-b');
+    await first.relay.start();
+    await second.relay.start();
+
+    const alice = await connect(first, 'server-a');
+    const located = await second.store.locateSession(alice.session.key, { transportType: 'sse' });
+    expect(located).toEqual({ session: null, status: 'remote', instanceId: 'instance-a' });
+
+    const delivered = await second.relay.forward(located.instanceId, alice.session.key, initialize, {
+      'content-type': 'application/json',
+    });
+    expect(delivered).toBe(true);
+    await flush();
+
+    expect(alice.stream.messages).toEqual([
+      expect.objectContaining({ id: 1, result: expect.objectContaining({ serverInfo: { name: 'server-a', version: '1.0.0' } }) }),
+    ]);
+  });
+
+  it('passes the verified token of the POST to the owner', async () => {
+    const backend = createMemorySessionBackend();
+    const received = new Map<string, any>();
+    const owner = createSessionRelay({
+      backend,
+      instanceId: 'instance-a',
+      deliver: async (sessionId: string, _message: object, extra: object) => {
+        received.set(sessionId, extra);
+      },
+    });
+    const sender = createSessionRelay({ backend, instanceId: 'instance-b', deliver: async () => {} });
+    await owner.start();
+
+    const authInfo = {
+      token: 'token',
+      clientId: 'client',
+      scopes: ['learnkids'],
+      expiresAt: 1,
+      resource: new URL('https://learnkids.example/mcp'),
+      extra: { subject: 'ada' },
+    };
+    await sender.forward('instance-a', 'session-1', initialize, { host: 'learnkids.example' }, authInfo);
+    await sender.forward('instance-a', 'session-2', initialize);
+    await flush();
+
+    expect(received.get('session-1')).toEqual({ requestInfo: { headers: { host: 'learnkids.example' } }, authInfo });
+    expect(received.get('session-1').authInfo.resource).toBeInstanceOf(URL);
+    expect(received.get('session-2').authInfo).toBeUndefined();
+  });
+
+  it('reports when the owning instance no longer listens', async () => {
+    const backend = createMemorySessionBackend();
+    const first = createInstance(backend, 'instance-a');
+    const second = createInstance(backend, 'instance-b');
+    await first.relay.start();
+
+    const alice = await connect(first, 'server-a');
+    await first.relay.stop();
+
+    expect(await second.relay.forward('instance-a', alice.session.key, initialize)).toBe(false);
+  });
+
+  it('drops messages for sessions that ended on the owner', async () => {
+    const backend = createMemorySessionBackend();
+    const first = createInstance(backend, 'instance-a');
+    const second = createInstance(backend, 'instance-b');
+    await first.relay.start();
+
+    const alice = await connect(first, 'server-a');
+    first.store.removeSession(alice.session);
+    await alice.session.shared;
+
+    expect(await second.store.locateSession(alice.session.key, { transportType: 'sse' }))
+      .toEqual({ session: null, status: 'closed' });
+    await second.relay.forward('instance-a', alice.session.key, initialize);
+    await flush();
+    expect(alice.stream.messages).toEqual([]);
+  });
+});
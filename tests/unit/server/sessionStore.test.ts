@@ -1,67 +1,38 @@
 import { describe, it, expect, vi } from 'vitest';
+import { createMemorySessionBackend } from '../../../lib/sessionBackends.js';
 import { createSessionStore } from '../../../lib/sessionStore.js';
 
 describe('createSessionStore', () => {
-  it('promotes temp sessions and cleans up the promoted key', () => {
+  it('finds sessions only by their exact id', () => {
     const store = createSessionStore();
-    const session = store.addSession('temp-1', { temp: true });
+    const first = store.addSession('session-a', { transportType: 'sse' });
+    const second = store.addSession('session-b', { transportType: 'sse' });
 
-    const result = store.promoteSession('session-123');
-
-    expect(result.promoted).toBe(true);
-    expect(result.previousKey).toBe('temp-1');
-    expect(result.session).toBe(session);
-    expect(store.sessions.has('temp-1')).toBe(false);
-    expect(store.sessions.has('session-123')).toBe(true);
-    expect(session.key).toBe('session-123');
-
-    const removed = store.removeSession(session);
-    expect(removed).toBe(true);
-    expect(store.sessions.size).toBe(0);
+    expect(store.findSession('session-a')).toEqual({ session: first, status: 'active' });
+    expect(store.findSession('session-b')).toEqual({ session: second, status: 'active' });
+    expect(store.findSession('session-c')).toEqual({ session: null, status: 'unknown' });
+    expect(store.findSession(null)).toEqual({ session: null, status: 'unknown' });
   });
 
-  it('returns existing sessions without promotion', () => {
+  it('does not match sessions of another transport', () => {
     const store = createSessionStore();
-    const session = store.addSession('session-abc', { temp: false });
+    store.addSession('session-a', { transportType: 'streamable-http' });
 
-    const result = store.promoteSession('session-abc');
-
-    expect(result.promoted).toBe(false);
-    expect(result.session).toBe(session);
-    expect(store.sessions.has('session-abc')).toBe(true);
+    expect(store.findSession('session-a', { transportType: 'sse' }).status).toBe('unknown');
+    expect(store.findSession('session-a', { transportType: 'streamable-http' }).status).toBe('active');
   });
 
-  it('promotes the most recent temp session', () => {
-    vi.useFakeTimers();
-    const store = createSessionStore();
-
-    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
-    const older = store.addSession('temp-1', { temp: true });
-
-    vi.setSystemTime(new Date('2025-01-01T00:00:02Z'));
-    const newer = store.addSession('temp-2', { temp: true });
-
-    const result = store.promoteSession('session-new');
+  it('reports removed sessions as closed', () => {
+    const store = createSessionStore({ closedHistory: 1 });
+    const first = store.addSession('session-a', {});
+    const second = store.addSession('session-b', {});
 
-    expect(result.promoted).toBe(true);
-    expect(result.previousKey).toBe('temp-2');
-    expect(result.session).toBe(newer);
-    expect(store.sessions.has('temp-1')).toBe(true);
-    expect(store.sessions.has('temp-2')).toBe(false);
-    expect(store.sessions.has('session-new')).toBe(true);
-    expect(older.key).toBe('temp-1');
-    expect(newer.key).toBe('session-new');
+    store.removeSession(first);
+    expect(store.findSession('session-a')).toEqual({ session: null, status: 'closed' });
 
-    vi.useRealTimers();
-  });
-
-  it('returns null when no sessions are available', () => {
-    const store = createSessionStore();
-
-    const result = store.promoteSession('missing-session');
-
-    expect(result.session).toBeNull();
-    expect(result.promoted).toBe(false);
+    store.removeSession(second);
+    expect(store.findSession('session-b').status).toBe('closed');
+    expect(store.findSession('session-a').status).toBe('unknown');
   });
 
   it('uses lastSeen for stale cleanup', () => {
@@ -70,7 +41,7 @@ describe('createSessionStore', () => {
     vi.setSystemTime(start);
 
     const store = createSessionStore();
-    const session = store.addSession('session-1', { temp: false });
+    const session = store.addSession('session-1', {});
 
     vi.setSystemTime(new Date(start.getTime() + 1000));
     store.touchSession(session);
@@ -80,7 +51,77 @@ describe('createSessionStore', () => {
 
     expect(cleaned).toBe(1);
     expect(store.sessions.size).toBe(0);
+    expect(store.findSession('session-1').status).toBe('closed');
+
+    vi.useRealTimers();
+  });
 
+  it('closes stale sessions that know how to close', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const store = createSessionStore();
+    const close = vi.fn(async () => {});
+    store.addSession('streamable-1', { transportType: 'streamable-http', close });
+    store.addSession('sse-1', { transportType: 'sse' });
+
+    vi.setSystemTime(new Date('2025-01-01T02:00:00Z'));
+    expect(store.cleanupStale()).toBe(2);
+    await vi.runAllTimersAsync();
+
+    expect(close).toHaveBeenCalledTimes(1);
     vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('locates sessions other instances hold through a shared backend', async () => {
+    const backend = createMemorySessionBackend();
+    const first = createSessionStore({ backend, instanceId: 'instance-a' });
+    const second = createSessionStore({ backend, instanceId: 'instance-b' });
+
+    const session = first.addSession('session-a', { transportType: 'sse' });
+    await session.shared;
+
+    expect(await first.locateSession('session-a')).toEqual({ session, status: 'active' });
+    expect(await second.locateSession('session-a', { transportType: 'sse' }))
+      .toEqual({ session: null, status: 'remote', instanceId: 'instance-a' });
+    expect(await second.locateSession('session-a', { transportType: 'streamable-http' }))
+      .toEqual({ session: null, status: 'unknown' });
+    expect(await second.locateSession('session-z')).toEqual({ session: null, status: 'unknown' });
+
+    first.removeSession(session);
+    await session.shared;
+    expect(await second.locateSession('session-a')).toEqual({ session: null, status: 'closed' });
+  });
+
+  it('refreshes the shared record only once per share interval', async () => {
+    const backend = createMemorySessionBackend();
+    const set = vi.spyOn(backend, 'set');
+    const store = createSessionStore({ backend, instanceId: 'instance-a', shareIntervalMs: 60000 });
+    const session = store.addSession('session-a', { transportType: 'sse' });
+
+    store.touchSession(session);
+    await session.shared;
+    expect(set).toHaveBeenCalledTimes(1);
+
+    session.sharedAt -= 60000;
+    store.touchSession(session);
+    await session.shared;
+    expect(set).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps working locally when the backend fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const backend = createMemorySessionBackend();
+    backend.set = async () => { throw new Error('backend down'); };
+    backend.get = async () => { throw new Error('backend down'); };
+    const store = createSessionStore({ backend, instanceId: 'instance-a' });
+
+    const session = store.addSession('session-a', { transportType: 'sse' });
+    expect(await session.shared).toBe(false);
+    expect(await store.locateSession('session-a')).toEqual({ session, status: 'active' });
+    expect(await store.locateSession('session-b')).toEqual({ session: null, status: 'unknown' });
+    vi.restoreAllMocks();
   });
 });
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { SOLUTION_MIN_FAILED_ATTEMPTS } from '../../../lib/hintLadder.js';
+import {
+  checkSolutionReveal,
+  publicExercise,
+  readOverrideCode,
+  SolutionRevealError,
+} from '../../../lib/solutionReveal.js';
+
+const exercise = {
+  instruction: 'Store your name',
+  template: 'name = ',
+  hints: [{ text: 'Put your name in quotes.' }],
+  solution: 'name = "Ada"',
+  knownWrong: ['name = Ada'],
+  validation: { type: 'execute', pattern: 'name\\s*=' },
+  guidedRules: [{ id: 'no-quotes', type: 'error' }],
+};
+
+function revealError(params: Parameters<typeof checkSolutionReveal>[0]) {
+  try {
+    checkSolutionReveal(params);
+  } catch (error) {
+    expect(error).toBeInstanceOf(SolutionRevealError);
+    return error as SolutionRevealError;
+  }
+  throw new Error('Expected the reveal to be refused');
+}
+
+describe('publicExercise', () => {
+  it('drops the solution and grading rules', () => {
+    expect(publicExercise(exercise)).toEqual({
+      instruction: 'Store your name',
+      template: 'name = ',
+      hints: [{ text: 'Put your name in quotes.' }],
+    });
+    expect(exercise.solution).toBe('name = "Ada"');
+  });
+
+  it('hides the right option and mixes up lines to order', () => {
+    expect(publicExercise({ kind: 'multiple-choice', instruction: 'Pick', options: ['a', 'b'], answer: 1 }))
+      .toEqual({ kind: 'multiple-choice', instruction: 'Pick', options: ['a', 'b'] });
+    expect(publicExercise({ kind: 'order-lines', instruction: 'Order', solution: 'a = 1\nb = 2', validation: {} }))
+      .toEqual({ kind: 'order-lines', instruction: 'Order', lines: ['b = 2', 'a = 1'] });
+  });
+});
+
+describe('readOverrideCode', () => {
+  it('turns overrides off when no code is set', () => {
+    expect(readOverrideCode({})).toBeNull();
+    expect(readOverrideCode({ SOLUTION_OVERRIDE_CODE: '  ' })).toBeNull();
+    expect(readOverrideCode({ SOLUTION_OVERRIDE_CODE: ' owl-42 ' })).toBe('owl-42');
+  });
+});
+
+describe('checkSolutionReveal', () => {
+  it('allows a reveal once the learner has failed enough attempts', () => {
+    expect(checkSolutionReveal({ exercise, failedAttempts: SOLUTION_MIN_FAILED_ATTEMPTS })).toEqual({ via: 'attempts' });
+
+    const error = revealError({ exercise, failedAttempts: SOLUTION_MIN_FAILED_ATTEMPTS - 2 });
+    expect(error.code).toBe('too-early');
+    expect(error.details).toEqual({ count: 2 });
+  });
+
+  it('accepts the grown-up code at any time and rejects a wrong one', () => {
+    expect(checkSolutionReveal({ exercise, failedAttempts: 0, overrideCode: ' owl-42', expectedOverrideCode: 'owl-42' }))
+      .toEqual({ via: 'override' });
+    expect(revealError({ exercise, failedAttempts: 9, overrideCode: 'owl-41', expectedOverrideCode: 'owl-42' }).code)
+      .toBe('wrong-override');
+    expect(revealError({ exercise, failedAttempts: 0, overrideCode: 'owl-42', expectedOverrideCode: null }).code)
+      .toBe('wrong-override');
+  });
+
+  it('refuses lessons without a solution', () => {
+    expect(revealError({ exercise: { instruction: 'x' }, failedAttempts: 10 }).code).toBe('no-solution');
+  });
+
+  it('reveals the right option of a multiple-choice exercise', () => {
+    const choice = { kind: 'multiple-choice', instruction: 'Pick', options: ['a', 'b'], answer: 0 };
+    expect(checkSolutionReveal({ exercise: choice, failedAttempts: 5 })).toEqual({ via: 'attempts' });
+  });
+});
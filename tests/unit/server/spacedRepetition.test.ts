@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  conceptOf,
+  INITIAL_EASINESS,
+  MIN_EASINESS,
+  planReviews,
+  qualityFromLesson,
+  scheduleReview,
+} from '../../../lib/spacedRepetition.js';
+
+const at = '2025-03-01T10:00:00.000Z';
+
+describe('scheduleReview', () => {
+  it('spaces remembered concepts 1, 6, then easiness-times days apart', () => {
+    const first = scheduleReview(null, 5, at);
+    expect(first).toEqual({ repetitions: 1, interval: 1, easiness: 2.6, due: '2025-03-02', lastReviewedAt: at });
+
+    const second = scheduleReview(first, 4, '2025-03-02T09:00:00.000Z');
+    expect(second).toMatchObject({ repetitions: 2, interval: 6, easiness: 2.6, due: '2025-03-08' });
+
+    const third = scheduleReview(second, 5, '2025-03-08T09:00:00.000Z');
+    expect(third).toMatchObject({ repetitions: 3, interval: 16, easiness: 2.7, due: '2025-03-24' });
+  });
+
+  it('starts a forgotten concept over and makes it harder', () => {
+    const state = { repetitions: 4, interval: 30, easiness: INITIAL_EASINESS };
+    expect(scheduleReview(state, 2, at)).toMatchObject({ repetitions: 0, interval: 1, easiness: 2.18, due: '2025-03-02' });
+    expect(scheduleReview({ repetitions: 0, interval: 1, easiness: 1.35 }, 0, at).easiness).toBe(MIN_EASINESS);
+  });
+});
+
+describe('qualityFromLesson', () => {
+  it('grades how the lesson went', () => {
+    expect(qualityFromLesson({ attemptsToComplete: 1, hintsBeforeComplete: 0 })).toBe(5);
+    expect(qualityFromLesson({ attemptsToComplete: 3, hintsBeforeComplete: 2 })).toBe(4);
+    expect(qualityFromLesson({ attemptsToComplete: 6, hintsBeforeComplete: 5 })).toBe(3);
+    expect(qualityFromLesson({ attemptsToComplete: 1, solutionBeforeComplete: true })).toBe(2);
+    expect(qualityFromLesson({ attempts: 1 })).toBe(5);
+  });
+});
+
+describe('planReviews', () => {
+  const lessons = [
+    { id: 'lesson-1', concept: 'variables' },
+    { id: 'lesson-2', concept: 'numbers' },
+    { id: 'lesson-3', concept: 'numbers' },
+    { id: 'lesson-4' },
+  ];
+
+  it('seeds finished concepts from the lessons and keeps saved schedules', () => {
+    const courseProgress = {
+      lessons: {
+        'lesson-1': { completed: true, completedAt: '2025-03-01T10:00:00.000Z', attemptsToComplete: 1, hintsBeforeComplete: 0 },
+        'lesson-2': { completed: true, completedAt: '2025-03-02T10:00:00.000Z', attemptsToComplete: 5, hintsBeforeComplete: 4 },
+        'lesson-3': { completed: true, completedAt: '2025-03-03T10:00:00.000Z', attemptsToComplete: 1, hintsBeforeComplete: 0 },
+        'lesson-4': { completed: false, attempts: 2 },
+      },
+    };
+    const saved = { variables: { repetitions: 2, interval: 6, easiness: 2.6, due: '2025-03-10' } };
+
+    const plan = planReviews(lessons, courseProgress, saved, '2025-03-04T08:00:00.000Z');
+    expect(plan.map(({ concept, lessonIds, due }) => ({ concept, lessonIds, due }))).toEqual([
+      { concept: 'numbers', lessonIds: ['lesson-2', 'lesson-3'], due: true },
+      { concept: 'variables', lessonIds: ['lesson-1'], due: false },
+    ]);
+    expect(plan[0].state).toMatchObject({ repetitions: 1, due: '2025-03-03' });
+    expect(plan[1].state).toBe(saved.variables);
+  });
+
+  it('has nothing to review before a lesson is finished', () => {
+    expect(planReviews(lessons, undefined, {}, at)).toEqual([]);
+    expect(conceptOf(lessons[3])).toBe('lesson-4');
+  });
+});
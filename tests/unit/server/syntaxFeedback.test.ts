@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { explainSyntaxError, findAssignmentMixUp } from '../../../lib/syntaxFeedback.js';
+
+describe('explainSyntaxError', () => {
+  it('returns null for valid code', () => {
+    expect(explainSyntaxError('favorite_animal = "cat"\nprint(favorite_animal)')).toBeNull();
+  });
+
+  it('returns null for valid Python that LearnKids does not run yet', () => {
+    const sources = [
+      'class Pet:\n    pass',
+      'try:\n    x = 1\nexcept ValueError:\n    x = 0',
+      'double = lambda x: x * 2',
+      'if (n := 5) > 3:\n    print(n)',
+      'squares = [n * n for n in range(5)]',
+      'total = sum(n for n in range(5))',
+      'colors = {"red", "blue"}',
+      'age: int = 9',
+      'def greet(*names):\n    pass',
+      'with open("pets.txt") as f:\n    pass',
+      'for n in range(3):\n    pass\nelse:\n    print("done")',
+      'print(f"{price:.2f}")',
+      'flags = a | b',
+    ];
+    for (const source of sources) {
+      expect(explainSyntaxError(source), source).toBeNull();
+    }
+  });
+
+  it('points at an unclosed quote', () => {
+    expect(explainSyntaxError('favorite_animal = "cat\nprint(favorite_animal)')).toMatchObject({
+      kind: 'unterminated-string',
+      line: 1,
+      column: 19,
+    });
+  });
+
+  it('points at unmatched parentheses', () => {
+    const unclosed = explainSyntaxError('x = 1\nprint((x)');
+    expect(unclosed).toMatchObject({ kind: 'unclosed-bracket', line: 2, column: 6 });
+    expect(unclosed?.message).toContain('Add a `)`');
+
+    expect(explainSyntaxError('print(x))')).toMatchObject({ kind: 'unmatched-bracket', line: 1, column: 9 });
+    expect(explainSyntaxError('x = [1, 2)')?.message).toContain('Use `]`');
+  });
+
+  it('explains missing indentation after def', () => {
+    const result = explainSyntaxError('def make_introduction(name):\nreturn "Hi " + name');
+
+    expect(result).toMatchObject({ kind: 'expected-indent', line: 2, column: 1 });
+    expect(result?.message).toContain('inside your function');
+  });
+
+  it('explains a missing colon', () => {
+    expect(explainSyntaxError('def greet(name)\n    return name')).toMatchObject({
+      kind: 'missing-colon',
+      line: 1,
+      column: 16,
+    });
+  });
+
+  it('spots = used instead of == in a condition', () => {
+    const result = explainSyntaxError('age = 9\nif age = 9:\n    print("nine")');
+
+    expect(result).toMatchObject({ kind: 'assign-in-condition', line: 2, column: 8 });
+    expect(result?.message).toContain('`==`');
+  });
+
+  it('explains curly quotes and print without parentheses', () => {
+    expect(explainSyntaxError('x = “cat”')?.kind).toBe('curly-quote');
+    expect(explainSyntaxError('print "hi"')?.kind).toBe('missing-parentheses');
+  });
+
+  it('keeps the original Python message for reference', () => {
+    expect(explainSyntaxError('print("hi"')?.pythonMessage).toBe("SyntaxError: '(' was never closed");
+  });
+});
+
+describe('findAssignmentMixUp', () => {
+  it('spots == used instead of = as a statement', () => {
+    const result = findAssignmentMixUp('def f():\n    total == 5\n    return total');
+
+    expect(result).toMatchObject({ kind: 'compare-instead-of-assign', line: 2, column: 11 });
+    expect(result?.message).toContain('`total`');
+  });
+
+  it('ignores comparisons that are used', () => {
+    expect(findAssignmentMixUp('ok = age == 9\nif age == 9:\n    print(ok)')).toBeNull();
+  });
+});
+
+describe('localized explanations', () => {
+  it('explains syntax errors in Spanish', () => {
+    const result = explainSyntaxError('x = 1\nprint((x)', { locale: 'es' });
+    expect(result).toMatchObject({ kind: 'unclosed-bracket', line: 2 });
+    expect(result?.message).toBe('Línea 2: el `(` de aquí nunca se cierra. Añade un `)` para terminarlo.');
+  });
+
+  it('falls back to English for unsupported locales', () => {
+    expect(explainSyntaxError('print "hi"', { locale: 'fr' })?.message).toContain('`print` needs parentheses');
+  });
+});
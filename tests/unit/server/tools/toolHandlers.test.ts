@@ -2,11 +2,19 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { createDataLoader } from '../../../../lib/data.js';
+import { buildHintLadder, SOLUTION_MIN_FAILED_ATTEMPTS, unlockedHintLevel } from '../../../../lib/hintLadder.js';
+import { createLessonLockCheck } from '../../../../lib/lessonLocking.js';
 import { isValidCourseId, validateAnswer } from '../../../../lib/validation.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '../../../../mcp-server/data');
 
+// A learner who has not completed any lesson yet, with LESSON_LOCKING on
+const checkLessonLock = createLessonLockCheck({
+  enabled: true,
+  progressStore: { getProgress: async () => ({ courses: {} }) },
+});
+
 /**
  * These tests simulate the MCP tool handlers by testing the
  * underlying logic that powers them
@@ -189,6 +197,20 @@ describe('check-student-work tool logic', () => {
     }
   });
 
+  it('refuses a lesson that is still locked before grading it', async () => {
+    const courseId = 'python-kids';
+    const lessonsData = await loader.loadLessons(courseId);
+    const params = {
+      course: coursesData.courses.find((c) => c.id === courseId),
+      coursesData,
+      lessons: lessonsData.lessons,
+    };
+
+    expect(await checkLessonLock('user:kid', { ...params, lessonId: 'lesson-2' }))
+      .toMatchObject({ reason: 'previous-lesson', requiredLessonId: 'lesson-1' });
+    expect(await checkLessonLock('user:kid', { ...params, lessonId: 'lesson-1' })).toBeNull();
+  });
+
   it('returns nextLesson for correct answer', async () => {
     const courseId = 'python-kids';
     const lessonsData = await loader.loadLessons(courseId);
@@ -204,6 +226,58 @@ describe('check-student-work tool logic', () => {
   });
 });
 
+describe('open-hint tool logic', () => {
+  let loader: ReturnType<typeof createDataLoader>;
+
+  beforeEach(() => {
+    loader = createDataLoader(DATA_DIR);
+  });
+
+  // Same check as the open-hint handler: an unlocked rung that is not the solution
+  const canOpen = (ladder: ReturnType<typeof buildHintLadder>, level: number, failedAttempts: number) => {
+    const rung = ladder[level - 1];
+    return Boolean(rung) && rung.kind !== 'solution' && level <= unlockedHintLevel(ladder, failedAttempts);
+  };
+
+  it('opens only the rungs failed attempts have unlocked, never the solution', async () => {
+    const lessonsData = await loader.loadLessons('python-kids');
+    const ladder = buildHintLadder(lessonsData.lessons[4].exercise, 'en');
+
+    expect(canOpen(ladder, 1, 0)).toBe(true);
+    expect(canOpen(ladder, 2, 0)).toBe(false);
+    expect(canOpen(ladder, 2, 2)).toBe(true);
+    expect(canOpen(ladder, ladder.length, SOLUTION_MIN_FAILED_ATTEMPTS)).toBe(false);
+    expect(canOpen(ladder, ladder.length + 1, SOLUTION_MIN_FAILED_ATTEMPTS)).toBe(false);
+  });
+});
+
+describe('reveal-solution tool logic', () => {
+  let loader: ReturnType<typeof createDataLoader>;
+  let coursesData: { courses: Array<{ id: string }> };
+
+  beforeEach(async () => {
+    loader = createDataLoader(DATA_DIR);
+    coursesData = await loader.loadCourses();
+  });
+
+  it('refuses to reveal the solution of a locked lesson', async () => {
+    const courseId = 'python-kids';
+    const lessonsData = await loader.loadLessons(courseId);
+    const lastLesson = lessonsData.lessons[lessonsData.lessons.length - 1];
+
+    const locked = await checkLessonLock('user:kid', {
+      course: coursesData.courses.find((c) => c.id === courseId),
+      coursesData,
+      lessons: lessonsData.lessons,
+      lessonId: lastLesson.id,
+      locale: 'es',
+    });
+
+    expect(locked).toMatchObject({ reason: 'previous-lesson' });
+    expect(locked?.message).toContain('desbloquear');
+  });
+});
+
 describe('tool response format', () => {
   let loader: ReturnType<typeof createDataLoader>;
 
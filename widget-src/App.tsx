@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { Fragment, useState, useEffect, useMemo, useRef, type MouseEvent } from 'react';
 import { useWidgetState, useWidgetProps, useOpenAiGlobal } from './hooks';
 import './styles.css';
 
@@ -15,19 +15,147 @@ interface Course {
   estimatedDuration: string;
 }
 
+interface LockInfo {
+  reason: 'previous-lesson' | 'prerequisite-course';
+  message: string;
+  requiredLessonId?: string;
+  requiredCourseId?: string;
+}
+
+interface LessonSummary {
+  id: string;
+  number: number;
+  title: string;
+  duration: string;
+  completed?: boolean;
+  locked?: LockInfo | null;
+}
+
+interface CourseDetails extends Partial<Course> {
+  id: string;
+  title: string;
+  description: string;
+  learningObjectives?: string[];
+  lessons: LessonSummary[];
+  lockingEnabled?: boolean;
+  locked?: LockInfo | null;
+}
+
+// Typed pieces of a lesson's teaching part (content.blocks); the server converts old explanation strings
+type ContentBlock =
+  | { type: 'paragraph'; text: string }
+  | { type: 'list'; items: string[] }
+  | { type: 'code'; code: string; language?: string }
+  | { type: 'callout'; tone: 'tip' | 'warning' | 'info' | 'fun'; title?: string; text: string }
+  | { type: 'image'; src: string; alt: string; caption?: string }
+  | { type: 'analogy'; emoji?: string; title?: string; text: string }
+  | { type: 'quiz'; question: string; options: string[]; answer: number; explanation?: string }
+  | { type: 'dialogue'; lines: Array<{ speaker?: string; emoji?: string; text: string }> };
+
 interface LessonContent {
   character: string;
   characterName: string;
   greeting: string;
-  explanation: string;
+  explanation?: string;
+  blocks?: ContentBlock[];
+  // Lesson illustration: a data URI or a URL the server allowed in the widget CSP
+  image?: string | null;
   examples?: Array<{ code: string; explanation: string }>;
   funFact?: string;
 }
 
+// One rung of an exercise's hint ladder, from a nudge up to the solution
+interface HintRung {
+  level: number;
+  kind: 'nudge' | 'clue' | 'code' | 'solution';
+  text: string;
+  code?: string;
+}
+
+// A review quiz question (get-review); the answer stays on the server
+interface ReviewItem {
+  id: string;
+  courseId: string;
+  lessonId: string;
+  lessonTitle: string;
+  concept: string;
+  kind: 'predict-output' | 'working-code';
+  prompt: string;
+  code?: string;
+  options: string[];
+}
+
+interface Review {
+  courseId: string;
+  items: ReviewItem[];
+  concepts: Array<{ concept: string; title: string; due: boolean; nextReview: string }>;
+  nextReview: string | null;
+}
+
+// answer-review-item result
+interface ReviewAnswer {
+  itemId: string;
+  correct: boolean;
+  answer: string;
+  answerIndex: number;
+  explanation: string | null;
+  nextReview: string;
+}
+
+// reveal-solution result: only sent after enough tries or a grown-up's code
+interface RevealedSolution {
+  courseId: string;
+  lessonId: string;
+  lessonTitle: string;
+  code: string;
+  via: 'attempts' | 'override';
+}
+
+// A Python value as the server describes it (type name and str() text)
+interface TraceValue {
+  type: string;
+  value: unknown;
+  text: string;
+}
+
+// One line of a trace-example run: the variables right after it and what it printed
+interface TraceStep {
+  line: number;
+  variables: Record<string, TraceValue>;
+  frame: { name: string; variables: Record<string, TraceValue>; changed: string[] } | null;
+  printed: string;
+  changed: string[];
+}
+
+interface CodeTrace {
+  courseId: string;
+  lessonId: string;
+  lessonNumber: number;
+  lessonTitle: string;
+  example: number;
+  code: string;
+  explanation: string | null;
+  initial: Record<string, TraceValue>;
+  steps: TraceStep[];
+  output: string;
+  error: { type: string; message: string; line?: number | null } | null;
+  truncated: boolean;
+}
+
+type ExerciseKind = 'code' | 'multiple-choice' | 'fill-blank' | 'order-lines' | 'predict-output';
+
 interface Exercise {
+  kind?: ExerciseKind;
   instruction: string;
-  template: string;
+  template?: string;
+  // Program shown with multiple-choice and predict-output exercises
+  code?: string;
+  options?: string[];
+  // Order-lines: the lines to put in order, mixed up by the server
+  lines?: string[];
   hint?: string;
+  hints?: HintRung[];
+  hintLevels?: number;
 }
 
 interface Lesson {
@@ -54,11 +182,129 @@ interface WidgetProgress {
   lastAccessed?: string;
 }
 
+// Per-course progress saved on the server (get-progress / check-student-work)
+interface CourseProgress {
+  courseId: string;
+  completedLessons: string[];
+  earnedStars: number;
+  badges: string[];
+  totalAttempts: number;
+  currentLessonId: string | null;
+  lastAccessed: string | null;
+}
+
+// Rebuild the widget's progress from what the server has saved
+function progressFromServer(base: WidgetProgress, courses: CourseProgress[]): WidgetProgress {
+  const lastAccessed = courses
+    .map((course) => course.lastAccessed)
+    .filter((value): value is string => Boolean(value))
+    .sort()
+    .pop();
+
+  return {
+    ...base,
+    progress: {
+      completedLessons: [...new Set(courses.flatMap((course) => course.completedLessons))],
+      earnedStars: courses.reduce((total, course) => total + course.earnedStars, 0),
+    },
+    lastAccessed: lastAccessed ?? base.lastAccessed,
+  };
+}
+
+// Teacher view of a class (create-class / get-class-report)
+interface ClassInfo {
+  id: string;
+  name: string;
+  code: string;
+  courseId: string | null;
+  createdAt: string;
+  studentCount: number;
+}
+
+interface StudentReport {
+  displayName: string;
+  joinedAt: string;
+  completedLessons: number;
+  earnedStars: number;
+  totalAttempts: number;
+  lastActive: string | null;
+  recentAttempts: Array<{ courseId: string; lessonId: string; correct: boolean; at: string }>;
+}
+
+interface ClassReport {
+  class: ClassInfo;
+  students: StudentReport[];
+}
+
+// Parent view of a learner's week (get-learning-report)
+interface LearningReport {
+  from: string;
+  to: string;
+  courseTitle: string | null;
+  totals: {
+    lessonsCompleted: number;
+    stars: number;
+    badges: string[];
+    attempts: number;
+    correctAttempts: number;
+    hintsUsed: number;
+    minutesSpent: number;
+    activeDays: number;
+  };
+  lessons: Array<{ courseId: string; lessonId: string; lessonTitle: string; completedAt: string; stars: number; badge: string | null }>;
+  mistakes: Array<{ kind: string; label: string; count: number; lessons: string[] }>;
+  days: Array<{ date: string; attempts: number; minutesSpent: number }>;
+  links: { html: string; pdf: string; csv: string };
+}
+
+// An achievement on the trophy shelf (get-achievements / check-student-work)
+interface Achievement {
+  id: string;
+  type: 'lesson-badge' | 'course-complete' | 'streak' | 'first-try' | 'no-hints';
+  emoji: string;
+  title: string;
+  description: string;
+  courseId: string | null;
+  certificateAvailable?: boolean;
+  earned: boolean;
+  earnedAt: string | null;
+}
+
+interface TrophyShelf {
+  earnedCount: number;
+  total: number;
+  achievements: Achievement[];
+}
+
+// A course completion certificate (get-certificate)
+interface Certificate {
+  courseId: string;
+  courseTitle: string;
+  emoji: string;
+  color: string;
+  displayName: string;
+  completedAt: string;
+  issuedAt: string;
+  code: string;
+  links: { svg: string; pdf: string };
+}
+
 interface ToolOutputData {
+  classReport?: ClassReport;
+  certificate?: Certificate;
+  solution?: RevealedSolution;
+  trace?: CodeTrace;
+  review?: Review;
+  learningReport?: LearningReport;
+  achievementShelf?: TrophyShelf;
+  achievements?: Achievement[];
+  progress?: CourseProgress | null;
   courses?: Course[];
-  course?: Course;
+  course?: CourseDetails;
+  locked?: LockInfo & { lessonId: string; lessonNumber: number };
   lesson?: Lesson;
   courseId?: string;
+  locale?: string;
   validation?: {
     correct: boolean;
     hasAttempt: boolean;
@@ -66,10 +312,47 @@ interface ToolOutputData {
     reward?: { stars: number; badge?: string };
     nextLesson?: string;
     hint?: string;
+    hintLevel?: number;
+    hintLevels?: number;
+    hints?: HintRung[];
     error?: string;
+    execution?: {
+      ok: boolean;
+      stdout: string;
+      error?: { type: string; message: string; line?: number | null } | null;
+      timedOut?: boolean;
+    };
+    syntaxError?: SyntaxProblem;
+    tests?: TestCaseResult[];
   };
 }
 
+interface TestCaseResult {
+  description: string;
+  call: string;
+  expected: unknown;
+  actual: unknown;
+  passed: boolean;
+  error: string | null;
+}
+
+interface SyntaxProblem {
+  kind: string;
+  message: string;
+  line: number;
+  column: number;
+}
+
+// Character offset of a 1-based line/column inside the code
+function offsetOf(code: string, line: number, column: number) {
+  const lines = code.split('\n');
+  let offset = 0;
+  for (let index = 0; index < line - 1 && index < lines.length; index++) {
+    offset += lines[index].length + 1;
+  }
+  return Math.min(offset + Math.max(column - 1, 0), code.length);
+}
+
 // Utility function to call MCP tools
 type CallToolApi = Window['openai'] extends { callTool?: infer T } ? T : undefined;
 
@@ -114,6 +397,11 @@ async function invokeCallTool(
   return await callToolFn(payloadParams);
 }
 
+// Ask the server for lesson text in the host's language (it falls back to English)
+function localeArgs(locale?: string): { locale?: string } {
+  return locale ? { locale } : {};
+}
+
 async function callTool(
   name: string,
   parameters: Record<string, unknown> = {},
@@ -229,47 +517,930 @@ function CourseCatalog({ courses, onSelectCourse }: { courses: Course[]; onSelec
   );
 }
 
+// Course Details - lesson plan with padlocks on lessons that are not open yet
+function CourseDetailsView({
+  course,
+  notice,
+  onBack,
+  onStartLesson,
+  onReview,
+}: {
+  course: CourseDetails;
+  notice: string | null;
+  onBack: () => void;
+  onStartLesson: (lessonNumber: number) => void;
+  onReview: () => void;
+}) {
+  return (
+    <div className="course-details-container">
+      <button className="back-button" onClick={onBack}>
+        ← Back to courses
+      </button>
+
+      <div className="course-details-header" style={{ borderLeft: `6px solid ${course.color || '#8B5CF6'}` }}>
+        {course.emoji && <div className="course-emoji">{course.emoji}</div>}
+        <h2 className="course-title">{course.title}</h2>
+        <p className="course-description">{course.description}</p>
+      </div>
+
+      {course.locked && (
+        <div className="lock-notice">🔒 {course.locked.message}</div>
+      )}
+
+      {course.learningObjectives && course.learningObjectives.length > 0 && (
+        <div className="course-objectives">
+          <h3>🎯 You will learn to</h3>
+          <ul>
+            {course.learningObjectives.map((objective, idx) => (
+              <li key={idx}>{objective}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ol className="lesson-list">
+        {course.lessons.map((lesson) => {
+          const status = lesson.locked ? 'locked' : lesson.completed ? 'completed' : 'open';
+          return (
+            <li key={lesson.id}>
+              <button
+                className={`lesson-list-item ${status}`}
+                onClick={() => onStartLesson(lesson.number)}
+                disabled={Boolean(lesson.locked)}
+                title={lesson.locked?.message}
+              >
+                <span className="lesson-status-icon">
+                  {status === 'locked' ? '🔒' : status === 'completed' ? '✅' : '▶️'}
+                </span>
+                <span className="lesson-list-title">
+                  {lesson.number}. {lesson.title}
+                </span>
+                <span className="lesson-list-duration">{lesson.duration}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      {notice && <div className="lock-notice">🔒 {notice}</div>}
+
+      {course.lessons.some((lesson) => lesson.completed) && (
+        <button className="button button-secondary review-button" onClick={onReview}>
+          🔁 Review what I learned
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Short date for report tables ("Jan 5")
+function formatDay(value: string | null, locale?: string) {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+}
+
+// Class Report - the teacher's roster with each student's progress
+function ClassReportView({
+  report,
+  locale,
+  refreshing,
+  onRefresh,
+}: {
+  report: ClassReport;
+  locale?: string;
+  refreshing: boolean;
+  onRefresh: () => void;
+}) {
+  return (
+    <div className="class-report-container">
+      <div className="class-report-header">
+        <div>
+          <h2 className="course-title">🧑‍🏫 {report.class.name}</h2>
+          {report.class.courseId && <p className="course-description">Course: {report.class.courseId}</p>}
+        </div>
+        <div className="class-code">
+          <span className="class-code-label">Join code</span>
+          <span className="class-code-value">{report.class.code}</span>
+        </div>
+      </div>
+
+      {report.students.length === 0 ? (
+        <div className="lock-notice">
+          No students yet. Ask them to say "join class {report.class.code}" in ChatGPT.
+        </div>
+      ) : (
+        <table className="class-report-table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Lessons done</th>
+              <th>Stars</th>
+              <th>Attempts</th>
+              <th>Last active</th>
+              <th>Recent attempts</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.students.map((student) => (
+              <tr key={`${student.displayName}-${student.joinedAt}`}>
+                <td className="class-student-name">{student.displayName}</td>
+                <td>✅ {student.completedLessons}</td>
+                <td>⭐ {student.earnedStars}</td>
+                <td>{student.totalAttempts}</td>
+                <td>{formatDay(student.lastActive, locale)}</td>
+                <td>
+                  {student.recentAttempts.map((attempt) => (
+                    <span
+                      key={`${attempt.courseId}-${attempt.at}`}
+                      className={`attempt-chip ${attempt.correct ? 'correct' : 'incorrect'}`}
+                      title={`${attempt.courseId} ${attempt.lessonId} · ${new Date(attempt.at).toLocaleString(locale)}`}
+                    >
+                      {attempt.correct ? '✓' : '✗'} {attempt.lessonId.replace('lesson-', 'L')}
+                    </span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button className="button button-secondary" onClick={onRefresh} disabled={refreshing}>
+        {refreshing ? '⏳ Refreshing...' : '🔄 Refresh'}
+      </button>
+    </div>
+  );
+}
+
+// Report and certificate links open outside the ChatGPT frame when the host allows it
+function openExternalLink(event: MouseEvent<HTMLAnchorElement>) {
+  if (window.openai?.openExternal) {
+    event.preventDefault();
+    window.openai.openExternal({ href: event.currentTarget.href });
+  }
+}
+
+function formatMinutes(minutes: number) {
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+// Learning Report - what a learner did over a range of days, for parents
+function LearningReportView({ report, locale }: { report: LearningReport; locale?: string }) {
+  const maxMinutes = Math.max(1, ...report.days.map((day) => day.minutesSpent));
+  const dayLabel = (date: string) => new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, { weekday: 'short', timeZone: 'UTC' });
+
+  return (
+    <div className="learning-report-container">
+      <h2 className="course-title">📚 Learning report</h2>
+      <p className="course-description">
+        {formatDay(`${report.from}T12:00:00Z`, locale)} – {formatDay(`${report.to}T12:00:00Z`, locale)}
+        {report.courseTitle && ` · ${report.courseTitle}`}
+      </p>
+
+      <div className="report-stats">
+        <div className="report-stat"><strong>✅ {report.totals.lessonsCompleted}</strong>Lessons completed</div>
+        <div className="report-stat"><strong>⭐ {report.totals.stars}</strong>Stars</div>
+        <div className="report-stat"><strong>⏱️ {formatMinutes(report.totals.minutesSpent)}</strong>Practice time</div>
+        <div className="report-stat"><strong>💡 {report.totals.hintsUsed}</strong>Hints opened</div>
+      </div>
+
+      <div className="report-days">
+        {report.days.map((day) => (
+          <div key={day.date} className="report-day" title={formatMinutes(day.minutesSpent)}>
+            <div className="report-day-bar" style={{ height: `${Math.round((day.minutesSpent / maxMinutes) * 48)}px` }} />
+            <span>{dayLabel(day.date)}</span>
+          </div>
+        ))}
+      </div>
+
+      {report.lessons.length > 0 && (
+        <ul className="report-list">
+          {report.lessons.map((lesson) => (
+            <li key={`${lesson.courseId}-${lesson.lessonId}`}>
+              ✅ {lesson.lessonTitle} {'⭐'.repeat(lesson.stars)}
+              {lesson.badge && <span className="report-badge">🏅 {lesson.badge}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report.mistakes.length > 0 && (
+        <>
+          <h3>Most common mistakes</h3>
+          <ul className="report-list">
+            {report.mistakes.map((mistake) => (
+              <li key={mistake.kind}>{mistake.label} × {mistake.count}</li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="report-links">
+        <a className="button button-secondary" href={report.links.html} target="_blank" rel="noreferrer" onClick={openExternalLink}>🌐 Open report</a>
+        <a className="button button-secondary" href={report.links.pdf} target="_blank" rel="noreferrer" onClick={openExternalLink}>📄 PDF</a>
+        <a className="button button-secondary" href={report.links.csv} target="_blank" rel="noreferrer" onClick={openExternalLink}>📊 CSV</a>
+      </div>
+    </div>
+  );
+}
+
+// Trophy Shelf - every achievement, earned ones first
+function TrophyShelfView({ shelf, locale }: { shelf: TrophyShelf; locale?: string }) {
+  return (
+    <div className="trophy-shelf-container">
+      <h2 className="course-title">🏆 Trophy shelf</h2>
+      <p className="course-description">
+        {shelf.earnedCount} of {shelf.total} earned
+      </p>
+
+      <div className="trophy-grid">
+        {shelf.achievements.map((achievement) => (
+          <div
+            key={achievement.id}
+            className={`trophy ${achievement.earned ? 'earned' : 'not-earned'}`}
+            title={achievement.description}
+          >
+            <div className="trophy-emoji">{achievement.earned ? achievement.emoji : '🔒'}</div>
+            <div className="trophy-title">{achievement.title}</div>
+            <div className="trophy-description">{achievement.description}</div>
+            {achievement.earnedAt && <div className="trophy-date">{formatDay(achievement.earnedAt, locale)}</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Review quiz - one question at a time; the server checks answers and schedules the next review
+function ReviewView({ review, locale, onBack }: { review: Review; locale?: string; onBack?: () => void }) {
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState<ReviewAnswer | null>(null);
+  const [chosen, setChosen] = useState<number | null>(null);
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [rightCount, setRightCount] = useState(0);
+  // Soonest next review among the answered questions
+  const [nextReview, setNextReview] = useState<string | null>(null);
+
+  const item = review.items[index];
+  const finished = index >= review.items.length;
+
+  const handleChoose = async (choice: number) => {
+    if (!item || answer || checking) return;
+    setChosen(choice);
+    setChecking(true);
+    setMessage(null);
+    try {
+      const data = await callTool('answer-review-item', { itemId: item.id, choice, ...localeArgs(locale) });
+      if (data.reviewAnswer) {
+        setAnswer(data.reviewAnswer);
+        if (data.reviewAnswer.correct) setRightCount((count) => count + 1);
+        setNextReview((current) => (current && current < data.reviewAnswer.nextReview ? current : data.reviewAnswer.nextReview));
+      } else {
+        setChosen(null);
+        setMessage(data.message || 'Something went wrong. Please try again!');
+      }
+    } catch (error) {
+      setChosen(null);
+      setMessage('Something went wrong. Please try again!');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleNext = () => {
+    setIndex(index + 1);
+    setAnswer(null);
+    setChosen(null);
+  };
+
+  return (
+    <div className="review-container">
+      {onBack && (
+        <button className="back-button" onClick={onBack}>
+          ← Back to lessons
+        </button>
+      )}
+      <h2 className="course-title">🔁 Review time</h2>
+
+      {review.items.length === 0 && (
+        <p className="course-description">
+          {review.concepts.length === 0
+            ? 'Finish a lesson first, then come back to review it!'
+            : `Nothing to review today. Next review: ${formatDay(review.nextReview, locale)}`}
+        </p>
+      )}
+
+      {item && (
+        <div className="review-question">
+          <div className="review-progress">
+            Question {index + 1} of {review.items.length} • {item.lessonTitle}
+          </div>
+          <p className="exercise-instruction">{item.prompt}</p>
+          {item.code && <div className="code-block">{item.code}</div>}
+
+          <div className={`review-options ${item.kind}`}>
+            {item.options.map((option, optionIndex) => {
+              const state = !answer ? '' : optionIndex === answer.answerIndex ? 'right' : optionIndex === chosen ? 'wrong' : '';
+              return (
+                <button
+                  key={optionIndex}
+                  className={`review-option ${state}`}
+                  onClick={() => handleChoose(optionIndex)}
+                  disabled={Boolean(answer) || checking}
+                >
+                  {item.kind === 'working-code' ? <pre>{option}</pre> : option}
+                </button>
+              );
+            })}
+          </div>
+
+          {message && <p className="hint-more">{message}</p>}
+
+          {answer && (
+            <div className={`result-box ${answer.correct ? 'success' : 'error'}`}>
+              <div className="result-icon">{answer.correct ? '🎉' : '💪'}</div>
+              <div className="result-message">
+                {answer.correct ? 'Right! You remembered it.' : 'Not quite. Look at the green answer.'}
+              </div>
+              {answer.explanation && <p>{answer.explanation}</p>}
+              <button className="button button-primary" onClick={handleNext}>
+                {index + 1 < review.items.length ? 'Next question →' : 'Finish'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {finished && review.items.length > 0 && (
+        <div className="completion-message">
+          <h3>🌟 {rightCount} of {review.items.length} right!</h3>
+          {nextReview && <p>Next review: {formatDay(nextReview, locale)}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Certificate - asks for the name to print, then shows the certificate and its downloads
+function CertificateView({
+  courseId,
+  certificate,
+  locale,
+  onIssued,
+}: {
+  courseId: string;
+  certificate: Certificate | null;
+  locale?: string;
+  onIssued: (certificate: Certificate) => void;
+}) {
+  const [displayName, setDisplayName] = useState(certificate?.displayName ?? '');
+  const [issuing, setIssuing] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const handleIssue = async () => {
+    setIssuing(true);
+    setMessage(null);
+    try {
+      const data = await callTool('get-certificate', { courseId, displayName, ...localeArgs(locale) });
+      if (data?.certificate) {
+        onIssued(data.certificate);
+      } else {
+        setMessage(data?.message || 'Something went wrong. Please try again!');
+      }
+    } catch (err) {
+      console.error('[LearnKids] Error getting certificate:', err);
+      setMessage('Something went wrong. Please try again!');
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  return (
+    <div className="certificate-container">
+      <h2 className="course-title">🎓 Your certificate</h2>
+
+      {certificate && (
+        <>
+          <img
+            className="certificate-preview"
+            src={certificate.links.svg}
+            alt={`${certificate.courseTitle} – ${certificate.displayName}`}
+          />
+          <p className="certificate-code">
+            Verification code: <strong>{certificate.code}</strong> · {formatDay(certificate.completedAt, locale)}
+          </p>
+          <div className="report-links">
+            <a className="button button-secondary" href={certificate.links.svg} target="_blank" rel="noreferrer" onClick={openExternalLink}>🖼️ Open</a>
+            <a className="button button-secondary" href={certificate.links.pdf} target="_blank" rel="noreferrer" onClick={openExternalLink}>📄 PDF</a>
+          </div>
+        </>
+      )}
+
+      <div className="certificate-name-form">
+        <label htmlFor="certificate-name">{certificate ? 'Change the name on the certificate' : 'Which name should go on your certificate?'}</label>
+        <input
+          id="certificate-name"
+          className="certificate-name-input"
+          value={displayName}
+          maxLength={40}
+          onChange={(event) => setDisplayName(event.target.value)}
+          placeholder="Your name or nickname"
+        />
+        <button
+          className="button button-primary"
+          onClick={handleIssue}
+          disabled={issuing || !displayName.trim() || displayName.trim() === certificate?.displayName}
+        >
+          {issuing ? '⏳ Printing...' : '🎓 Make my certificate'}
+        </button>
+        {message && <p className="certificate-message">{message}</p>}
+      </div>
+    </div>
+  );
+}
+
 // Lesson Viewer
+// Blanks in a fill-blank template (three or more underscores, as on the server)
+const CALLOUT_ICONS = { tip: '💡', warning: '⚠️', info: 'ℹ️', fun: '🎉' };
+
+// **bold** and `code` inside block text
+function InlineText({ text }: { text: string }) {
+  return (
+    <>
+      {text.split(/(\*\*[^*]+\*\*|`[^`]+`)/).map((part, index) => {
+        if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+          return <strong key={index}>{part.slice(2, -2)}</strong>;
+        }
+        if (part.startsWith('`') && part.endsWith('`') && part.length > 2) {
+          return <code key={index} className="inline-code">{part.slice(1, -1)}</code>;
+        }
+        return <Fragment key={index}>{part}</Fragment>;
+      })}
+    </>
+  );
+}
+
+// A quick check inside the lesson; only for the kid, nothing is recorded
+function QuizBlock({ block }: { block: Extract<ContentBlock, { type: 'quiz' }> }) {
+  const [chosen, setChosen] = useState<number | null>(null);
+  const answered = chosen !== null;
+
+  return (
+    <div className="block-quiz">
+      <p className="block-quiz-question">❓ <InlineText text={block.question} /></p>
+      <div className="review-options">
+        {block.options.map((option, index) => {
+          const state = !answered ? '' : index === block.answer ? 'right' : index === chosen ? 'wrong' : '';
+          return (
+            <button key={index} className={`review-option ${state}`} onClick={() => setChosen(index)} disabled={answered}>
+              {option}
+            </button>
+          );
+        })}
+      </div>
+      {answered && (
+        <p className="block-quiz-feedback">
+          {chosen === block.answer ? '🎉 Yes!' : '💪 Not quite, the green one is right.'}
+          {block.explanation && <> <InlineText text={block.explanation} /></>}
+        </p>
+      )}
+      {answered && chosen !== block.answer && (
+        <button className="trace-button" onClick={() => setChosen(null)}>Try again</button>
+      )}
+    </div>
+  );
+}
+
+function LessonBlock({ block, content }: { block: ContentBlock; content: LessonContent }) {
+  switch (block.type) {
+    case 'paragraph':
+      return <p><InlineText text={block.text} /></p>;
+    case 'list':
+      return (
+        <ul className="block-list">
+          {block.items.map((item, index) => <li key={index}><InlineText text={item} /></li>)}
+        </ul>
+      );
+    case 'code':
+      return <div className="code-block">{block.code}</div>;
+    case 'callout':
+      return (
+        <div className={`block-callout ${block.tone}`}>
+          <span className="block-callout-icon">{CALLOUT_ICONS[block.tone]}</span>
+          <div>
+            {block.title && <strong>{block.title}</strong>}
+            <p><InlineText text={block.text} /></p>
+          </div>
+        </div>
+      );
+    case 'image':
+      return (
+        <figure className="block-image">
+          <img src={block.src} alt={block.alt} loading="lazy" />
+          {block.caption && <figcaption>{block.caption}</figcaption>}
+        </figure>
+      );
+    case 'analogy':
+      return (
+        <div className="block-analogy">
+          <span className="block-analogy-emoji">{block.emoji ?? '🧸'}</span>
+          <div>
+            {block.title && <strong>{block.title}</strong>}
+            <p><InlineText text={block.text} /></p>
+          </div>
+        </div>
+      );
+    case 'quiz':
+      return <QuizBlock block={block} />;
+    case 'dialogue':
+      return (
+        <div className="block-dialogue">
+          {block.lines.map((line, index) => {
+            const isCharacter = !line.speaker;
+            return (
+              <div key={index} className={`dialogue-line ${isCharacter ? 'character' : 'other'}`}>
+                <span className="dialogue-emoji">{line.emoji ?? (isCharacter ? content.character : '🙂')}</span>
+                <div className="dialogue-bubble">
+                  <div className="dialogue-speaker">{line.speaker ?? content.characterName}</div>
+                  <InlineText text={line.text} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+const TRACE_STEP_MS = 1200;
+
+// Magic boxes for a set of variables; boxes the step just changed pop
+function MagicBoxes({ variables, changed, step }: { variables: Record<string, TraceValue>; changed: string[]; step: number }) {
+  const names = Object.keys(variables);
+  if (names.length === 0) {
+    return <p className="trace-empty">No boxes yet</p>;
+  }
+  return (
+    <div className="magic-boxes">
+      {names.map((name) => {
+        const value = variables[name];
+        const isNew = changed.includes(name);
+        return (
+          // A new key on change restarts the pop animation
+          <div key={isNew ? `${name}-${step}` : name} className={`magic-box ${isNew ? 'changed' : ''}`}>
+            <div className="magic-box-value">{value.type === 'str' ? `"${value.text}"` : value.text}</div>
+            <div className="magic-box-name">{name}</div>
+            <div className="magic-box-type">{value.type}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Step-through player for a trace-example run: highlights the line, fills the boxes, prints
+function TraceViewer({ trace }: { trace: CodeTrace }) {
+  // Steps run so far; 0 is before the first line
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const total = trace.steps.length;
+  const finished = position >= total;
+
+  useEffect(() => {
+    if (!playing) return;
+    if (finished) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setPosition((current) => current + 1), TRACE_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, position, finished]);
+
+  const step = position > 0 ? trace.steps[position - 1] : null;
+  const printed = trace.steps.slice(0, position).map((done) => done.printed).join('');
+
+  const handlePlay = () => {
+    if (finished) setPosition(0);
+    setPlaying(!playing);
+  };
+
+  return (
+    <div className="trace-viewer">
+      <pre className="trace-code">
+        {trace.code.split('\n').map((text, index) => (
+          <div key={index} className={`trace-line ${step?.line === index + 1 ? 'current' : ''}`}>
+            <span className="trace-line-number">{index + 1}</span>
+            {text || ' '}
+          </div>
+        ))}
+      </pre>
+
+      <div className="trace-panels">
+        <div className="trace-panel">
+          <h4>📦 Magic boxes</h4>
+          <MagicBoxes variables={step?.variables ?? trace.initial} changed={step?.changed ?? []} step={position} />
+          {step?.frame && (
+            <div className="trace-frame">
+              <h4>Inside {step.frame.name}()</h4>
+              <MagicBoxes variables={step.frame.variables} changed={step.frame.changed} step={position} />
+            </div>
+          )}
+        </div>
+        <div className="trace-panel">
+          <h4>🖥️ Output</h4>
+          <pre className="trace-output">{printed}</pre>
+        </div>
+      </div>
+
+      {finished && trace.error && (
+        <p className="trace-error">
+          ⚠️ {trace.error.type}{trace.error.line ? ` on line ${trace.error.line}` : ''}: {trace.error.message}
+        </p>
+      )}
+      {finished && trace.truncated && <p className="trace-empty">The program keeps going, but this is where the replay stops.</p>}
+
+      <div className="trace-controls">
+        <button className="button button-secondary" onClick={() => { setPlaying(false); setPosition(position - 1); }} disabled={position === 0}>
+          ◀ Back
+        </button>
+        <button className="button button-primary" onClick={handlePlay} disabled={total === 0}>
+          {playing ? '⏸ Pause' : finished && total > 0 ? '🔁 Again' : '▶ Play'}
+        </button>
+        <button className="button button-secondary" onClick={() => { setPlaying(false); setPosition(position + 1); }} disabled={finished}>
+          Next ▶
+        </button>
+        <span className="trace-position">Step {position} of {total}</span>
+      </div>
+    </div>
+  );
+}
+
+const BLANK = /_{3,}/;
+
+function fillBlanks(template: string, values: string[]) {
+  let next = 0;
+  return template.replace(new RegExp(BLANK, 'g'), () => values[next++]?.trim() ?? '');
+}
+
+function ChoiceExercise({
+  options,
+  choice,
+  onChoose,
+}: {
+  options: string[];
+  choice: number | null;
+  onChoose: (index: number) => void;
+}) {
+  return (
+    <div className="choice-options" role="radiogroup">
+      {options.map((option, index) => (
+        <button
+          key={index}
+          type="button"
+          role="radio"
+          aria-checked={choice === index}
+          className={`choice-option ${choice === index ? 'selected' : ''}`}
+          onClick={() => onChoose(index)}
+        >
+          {option}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function FillBlankExercise({
+  template,
+  values,
+  onChange,
+}: {
+  template: string;
+  values: string[];
+  onChange: (values: string[]) => void;
+}) {
+  const parts = template.split(BLANK);
+
+  return (
+    <pre className="fill-blank-code">
+      {parts.map((part, index) => (
+        <Fragment key={index}>
+          {part}
+          {index < parts.length - 1 && (
+            <input
+              className="blank-input"
+              value={values[index] ?? ''}
+              size={Math.max((values[index] ?? '').length, 4)}
+              onChange={(e) => onChange(values.map((value, at) => (at === index ? e.target.value : value)))}
+              spellCheck={false}
+              aria-label={`Blank ${index + 1}`}
+            />
+          )}
+        </Fragment>
+      ))}
+    </pre>
+  );
+}
+
+function OrderLinesExercise({
+  lines,
+  order,
+  onChange,
+}: {
+  lines: string[];
+  order: number[];
+  onChange: (order: number[]) => void;
+}) {
+  const [dragging, setDragging] = useState<number | null>(null);
+
+  const move = (from: number, to: number) => {
+    if (to < 0 || to >= order.length || from === to) return;
+    const next = [...order];
+    const [line] = next.splice(from, 1);
+    next.splice(to, 0, line);
+    onChange(next);
+  };
+
+  // Drag a line onto another to move it there; the arrows do the same without a mouse
+  return (
+    <ol className="order-lines">
+      {order.map((lineIndex, position) => (
+        <li
+          key={lineIndex}
+          className={`order-line ${dragging === position ? 'dragging' : ''}`}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData('text/plain', String(position));
+            e.dataTransfer.effectAllowed = 'move';
+            setDragging(position);
+          }}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (dragging !== null) move(dragging, position);
+            setDragging(null);
+          }}
+          onDragEnd={() => setDragging(null)}
+        >
+          <span className="order-line-grip" aria-hidden="true">⠿</span>
+          <code className="order-line-code">{lines[lineIndex]}</code>
+          <span className="order-line-moves">
+            <button type="button" onClick={() => move(position, position - 1)} disabled={position === 0} aria-label="Move up">
+              ▲
+            </button>
+            <button
+              type="button"
+              onClick={() => move(position, position + 1)}
+              disabled={position === order.length - 1}
+              aria-label="Move down"
+            >
+              ▼
+            </button>
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function PredictOutputExercise({ prediction, onChange }: { prediction: string; onChange: (text: string) => void }) {
+  return (
+    <div className="code-editor-container">
+      <div className="program-output-label">🖥️ I think it prints:</div>
+      <textarea
+        className="code-editor prediction-input"
+        value={prediction}
+        onChange={(e) => onChange(e.target.value)}
+        rows={3}
+        spellCheck={false}
+        placeholder="Type what the program prints..."
+      />
+    </div>
+  );
+}
+
 function LessonViewer({
   lesson,
   courseId,
+  locale,
   onBack,
   onComplete,
+  onGetCertificate,
 }: {
   lesson: Lesson;
   courseId: string;
+  locale?: string;
   onBack: () => void;
-  onComplete: (lessonId: string, result: NonNullable<ToolOutputData['validation']>) => void;
+  onGetCertificate: () => void;
+  onComplete: (
+    lessonId: string,
+    result: NonNullable<ToolOutputData['validation']>,
+    progress?: CourseProgress | null
+  ) => void;
 }) {
+  const kind = lesson.exercise?.kind ?? 'code';
   const [userCode, setUserCode] = useState(lesson.exercise?.template || '');
+  // Answers to the other exercise kinds
+  const [choice, setChoice] = useState<number | null>(null);
+  const [blanks, setBlanks] = useState<string[]>([]);
+  const [order, setOrder] = useState<number[]>([]);
+  const [prediction, setPrediction] = useState('');
   const [checking, setChecking] = useState(false);
   const [result, setResult] = useState<NonNullable<ToolOutputData['validation']> | null>(null);
-  const [showHint, setShowHint] = useState(false);
+  const [newAchievements, setNewAchievements] = useState<Achievement[]>([]);
+  // Rungs the server has opened so far, and how many of them the kid has looked at
+  const [hints, setHints] = useState<HintRung[]>(lesson.exercise?.hints ?? []);
+  const [hintLevels, setHintLevels] = useState(lesson.exercise?.hintLevels ?? 0);
+  const [shownHints, setShownHints] = useState(0);
+  const [solution, setSolution] = useState<string | null>(null);
+  const [revealMessage, setRevealMessage] = useState<string | null>(null);
+  const [revealing, setRevealing] = useState(false);
+  const [checkedCode, setCheckedCode] = useState('');
+  // Example runs opened with "Watch it run", by example index
+  const [traces, setTraces] = useState<Record<number, CodeTrace>>({});
+  const [openTrace, setOpenTrace] = useState<number | null>(null);
+  const [traceMessage, setTraceMessage] = useState<string | null>(null);
+  const editorRef = useRef<HTMLTextAreaElement>(null);
 
   useEffect(() => {
     setUserCode(lesson.exercise?.template || '');
+    setChoice(null);
+    setBlanks(new Array(Math.max((lesson.exercise?.template ?? '').split(BLANK).length - 1, 0)).fill(''));
+    setOrder((lesson.exercise?.lines ?? []).map((_, index) => index));
+    setPrediction('');
     setResult(null);
-    setShowHint(false);
+    setNewAchievements([]);
+    setHints(lesson.exercise?.hints ?? []);
+    setHintLevels(lesson.exercise?.hintLevels ?? 0);
+    setShownHints(0);
+    setSolution(null);
+    setRevealMessage(null);
     setChecking(false);
-  }, [lesson.id, lesson.exercise?.template]);
+    setTraces({});
+    setOpenTrace(null);
+    setTraceMessage(null);
+  }, [lesson.id, lesson.exercise?.template, lesson.exercise?.lines, lesson.exercise?.hints, lesson.exercise?.hintLevels]);
+
+  // Select the character Python tripped over so the child can see where to look
+  useEffect(() => {
+    const problem = result?.syntaxError;
+    const editor = editorRef.current;
+    if (!problem || !editor) return;
+    const start = offsetOf(checkedCode, problem.line, problem.column);
+    editor.focus();
+    editor.setSelectionRange(start, Math.min(start + 1, checkedCode.length));
+  }, [result, checkedCode]);
+
+  // What check-student-work needs for this kind of exercise, and the program it makes (if any)
+  const submission = (() => {
+    switch (kind) {
+      case 'multiple-choice':
+        return { ready: choice !== null, args: { answer: choice }, program: '' };
+      case 'fill-blank':
+        return {
+          ready: blanks.every((value) => value.trim()),
+          args: { answer: blanks },
+          program: fillBlanks(lesson.exercise?.template ?? '', blanks),
+        };
+      case 'order-lines':
+        return {
+          ready: order.length > 0,
+          args: { answer: order },
+          program: order.map((index) => lesson.exercise?.lines?.[index] ?? '').join('\n'),
+        };
+      case 'predict-output':
+        return { ready: Boolean(prediction.trim()), args: { answer: prediction }, program: '' };
+      default:
+        return { ready: Boolean(userCode.trim()), args: { studentCode: userCode }, program: userCode };
+    }
+  })();
 
   const handleCheckAnswer = async () => {
     setChecking(true);
     setResult(null);
+    setCheckedCode(submission.program);
 
     try {
       const data = await callTool('check-student-work', {
         courseId,
         lessonNumber: lesson.order,
-        studentCode: userCode,
+        ...submission.args,
+        ...localeArgs(locale),
       });
 
       const validationResult = data.validation || data;
       setResult(validationResult);
+      setNewAchievements(data.achievements || []);
+      if (validationResult.hints && validationResult.hints.length > hints.length) {
+        setHints(validationResult.hints);
+        setHintLevels(validationResult.hintLevels ?? hintLevels);
+      }
 
       if (validationResult.correct) {
         setTimeout(() => {
-          onComplete(lesson.id, validationResult);
+          onComplete(lesson.id, validationResult, data.progress);
         }, 2000);
       }
     } catch (error) {
@@ -283,12 +1454,77 @@ function LessonViewer({
     }
   };
 
+  const handleWatchExample = async (index: number) => {
+    setTraceMessage(null);
+    if (openTrace === index) {
+      setOpenTrace(null);
+      return;
+    }
+    if (traces[index]) {
+      setOpenTrace(index);
+      return;
+    }
+
+    try {
+      const data = await callTool('trace-example', {
+        courseId,
+        lessonNumber: lesson.order,
+        example: index + 1,
+        ...localeArgs(locale),
+      });
+      if (data.trace) {
+        setTraces((current) => ({ ...current, [index]: data.trace }));
+        setOpenTrace(index);
+      } else {
+        setTraceMessage(data.message || 'This example can not be played right now.');
+      }
+    } catch (error) {
+      setTraceMessage('Something went wrong. Please try again!');
+    }
+  };
+
+  // Open the next rung; hint rungs are recorded so reports count hints the kid actually read
+  const handleOpenHint = () => {
+    const rung = hints[shownHints];
+    setShownHints(shownHints + 1);
+    if (rung && rung.kind !== 'solution') {
+      callTool('open-hint', {
+        courseId,
+        lessonNumber: lesson.order,
+        level: rung.level,
+        ...localeArgs(locale),
+      }).catch((error) => console.error('[LearnKids] Error recording hint:', error));
+    }
+  };
+
+  const handleRevealSolution = async () => {
+    setRevealing(true);
+    setRevealMessage(null);
+
+    try {
+      const data = await callTool('reveal-solution', {
+        courseId,
+        lessonNumber: lesson.order,
+        ...localeArgs(locale),
+      });
+      if (data.solution) {
+        setSolution(data.solution.code);
+      } else {
+        setRevealMessage(data.message || 'The solution is not ready yet. Keep trying!');
+      }
+    } catch (error) {
+      setRevealMessage('Something went wrong. Please try again!');
+    } finally {
+      setRevealing(false);
+    }
+  };
+
   return (
     <div className="lesson-container">
       {/* Header */}
       <div className="lesson-header">
         <button className="back-button" onClick={onBack}>
-          ← Back to courses
+          ← Back to lessons
         </button>
         <h2 className="lesson-title">{lesson.title}</h2>
         <div className="lesson-meta">
@@ -307,9 +1543,16 @@ function LessonViewer({
       <div className="lesson-explanation">
         <h3>📖 Let's Learn</h3>
         <div className="explanation-text">
-          {lesson.content.explanation.split('\n').map((line, idx) => (
-            <p key={idx}>{line}</p>
-          ))}
+          {lesson.content.image && (
+            <figure className="block-image">
+              <img src={lesson.content.image} alt={lesson.title} loading="lazy" />
+            </figure>
+          )}
+          {lesson.content.blocks
+            ? lesson.content.blocks.map((block, idx) => (
+                <LessonBlock key={`${lesson.id}-${idx}`} block={block} content={lesson.content} />
+              ))
+            : (lesson.content.explanation ?? '').split('\n').map((line, idx) => <p key={idx}>{line}</p>)}
         </div>
       </div>
 
@@ -319,10 +1562,18 @@ function LessonViewer({
           <h3>💡 Examples</h3>
           {lesson.content.examples.map((example, idx) => (
             <div key={idx} className="example-item">
-              <div className="code-block">{example.code}</div>
+              {openTrace === idx && traces[idx]
+                ? <TraceViewer trace={traces[idx]} />
+                : <div className="code-block">{example.code}</div>}
               <div className="example-explanation">{example.explanation}</div>
+              {example.code && (
+                <button className="trace-button" onClick={() => handleWatchExample(idx)}>
+                  {openTrace === idx ? '⏹ Stop watching' : '▶️ Watch it run'}
+                </button>
+              )}
             </div>
           ))}
+          {traceMessage && <p className="hint-more">{traceMessage}</p>}
         </div>
       )}
 
@@ -340,38 +1591,66 @@ function LessonViewer({
           <h3>✏️ Your Turn!</h3>
           <p className="exercise-instruction">{lesson.exercise.instruction}</p>
 
-          <div className="code-editor-container">
-            <textarea
-              className="code-editor"
-              value={userCode}
-              onChange={(e) => setUserCode(e.target.value)}
-              rows={6}
-              spellCheck={false}
-              placeholder="Write your code here..."
-            />
-          </div>
+          {lesson.exercise.code && <div className="code-block">{lesson.exercise.code}</div>}
+
+          {kind === 'multiple-choice' && (
+            <ChoiceExercise options={lesson.exercise.options ?? []} choice={choice} onChoose={setChoice} />
+          )}
+          {kind === 'fill-blank' && (
+            <FillBlankExercise template={lesson.exercise.template ?? ''} values={blanks} onChange={setBlanks} />
+          )}
+          {kind === 'order-lines' && (
+            <OrderLinesExercise lines={lesson.exercise.lines ?? []} order={order} onChange={setOrder} />
+          )}
+          {kind === 'predict-output' && <PredictOutputExercise prediction={prediction} onChange={setPrediction} />}
+          {kind === 'code' && (
+            <div className="code-editor-container">
+              <textarea
+                ref={editorRef}
+                className="code-editor"
+                value={userCode}
+                onChange={(e) => setUserCode(e.target.value)}
+                rows={6}
+                spellCheck={false}
+                placeholder="Write your code here..."
+              />
+            </div>
+          )}
 
           <div className="exercise-actions">
             <button
               className="button button-primary"
               onClick={handleCheckAnswer}
-              disabled={checking || !userCode.trim()}
+              disabled={checking || !submission.ready}
             >
               {checking ? '⏳ Checking...' : '✅ Check My Answer'}
             </button>
 
-            {lesson.exercise.hint && !showHint && (
-              <button className="button button-secondary" onClick={() => setShowHint(true)}>
-                💡 Need a Hint?
+            {shownHints < hints.length && (
+              <button className="button button-secondary" onClick={handleOpenHint}>
+                {shownHints === 0 ? '💡 Need a Hint?' : '🆘 Need more help?'}
               </button>
             )}
           </div>
 
-          {/* Hint */}
-          {showHint && lesson.exercise.hint && (
-            <div className="hint-box">
-              <strong>💡 Hint:</strong> {lesson.exercise.hint}
+          {/* Hint ladder: one rung at a time; wrong answers open more */}
+          {hints.slice(0, shownHints).map((rung) => (
+            <div key={rung.level} className={`hint-box hint-${rung.kind}`}>
+              <strong>{rung.kind === 'solution' ? '🔑 Solution:' : `💡 Hint ${rung.level}:`}</strong> {rung.text}
+              {rung.code && <div className="code-block hint-code">{rung.code}</div>}
+              {rung.kind === 'solution' && !solution && (
+                <div className="hint-reveal">
+                  <button className="button button-secondary" onClick={handleRevealSolution} disabled={revealing}>
+                    {revealing ? '⏳ Opening...' : '🔑 Show me the solution'}
+                  </button>
+                  {revealMessage && <p className="hint-more">{revealMessage}</p>}
+                </div>
+              )}
+              {rung.kind === 'solution' && solution && <div className="code-block hint-code">{solution}</div>}
             </div>
+          ))}
+          {shownHints > 0 && shownHints === hints.length && hints.length < hintLevels && !result?.correct && (
+            <p className="hint-more">Give it another try; more help opens after each try.</p>
           )}
 
           {/* Result */}
@@ -382,12 +1661,57 @@ function LessonViewer({
                 {result.message || (result.correct ? 'Great job!' : 'Keep trying!')}
               </div>
 
+              {result.syntaxError && (
+                <div className="syntax-error-spot">
+                  <div className="syntax-error-label">
+                    📍 Line {result.syntaxError.line}, spot {result.syntaxError.column}
+                  </div>
+                  <pre>
+                    {checkedCode.split('\n')[result.syntaxError.line - 1] ?? ''}
+                    {'\n'}
+                    {' '.repeat(Math.max(result.syntaxError.column - 1, 0))}^
+                  </pre>
+                </div>
+              )}
+
+              {result.tests && result.tests.length > 0 && (
+                <ul className="test-checklist">
+                  {result.tests.map((test, idx) => (
+                    <li key={idx} className={`test-item ${test.passed ? 'passed' : 'failed'}`}>
+                      <span className="test-icon">{test.passed ? '✅' : '❌'}</span>
+                      <span className="test-description">{test.description}</span>
+                      {!test.passed && (
+                        <div className="test-detail">
+                          {test.error
+                            ? `Oops: ${test.error}`
+                            : `Your code gave ${JSON.stringify(test.actual)}`}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {result.execution && result.execution.stdout && (
+                <div className="program-output">
+                  <div className="program-output-label">🖥️ Your program printed:</div>
+                  <pre>{result.execution.stdout}</pre>
+                </div>
+              )}
+
               {result.correct && result.reward && (
                 <div className="reward-box">
                   <div className="reward-stars">{'⭐'.repeat(result.reward.stars || 1)}</div>
                   {result.reward.badge && (
                     <div className="reward-badge">🏆 Badge Earned: {result.reward.badge}</div>
                   )}
+                  {newAchievements
+                    .filter((achievement) => achievement.title !== result.reward?.badge)
+                    .map((achievement) => (
+                      <div key={achievement.id} className="reward-achievement">
+                        {achievement.emoji} {achievement.title}
+                      </div>
+                    ))}
                 </div>
               )}
             </div>
@@ -401,6 +1725,11 @@ function LessonViewer({
           <div className="completion-icon">🎓</div>
           <h2>Course Complete!</h2>
           <div className="completion-text">{lesson.completionMessage}</div>
+          {newAchievements.some((achievement) => achievement.certificateAvailable) && (
+            <button className="button button-primary certificate-button" onClick={onGetCertificate}>
+              🎓 Get my certificate
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -411,8 +1740,11 @@ function LessonViewer({
 export default function App() {
   const theme = useOpenAiGlobal('theme') || 'light';
   const callToolApi = useOpenAiGlobal('callTool');
+  const hostLocale = useOpenAiGlobal('locale');
   const defaultToolOutput = useMemo<ToolOutputData>(() => ({}), []);
   const toolOutput = useWidgetProps<ToolOutputData>(defaultToolOutput);
+  // Keep the language the conversation asked for, otherwise follow the host
+  const locale = toolOutput?.locale || hostLocale;
 
   const [widgetState, setWidgetState] = useWidgetState<WidgetProgress>({
     version: '1.0',
@@ -422,8 +1754,17 @@ export default function App() {
     },
   });
 
-  const [view, setView] = useState<'loading' | 'catalog' | 'lesson' | 'error'>('loading');
+  const [view, setView] = useState<'loading' | 'catalog' | 'course' | 'lesson' | 'class' | 'report' | 'trophies' | 'certificate' | 'review' | 'trace' | 'error'>('loading');
+  const [codeTrace, setCodeTrace] = useState<CodeTrace | null>(null);
+  const [review, setReview] = useState<Review | null>(null);
+  const [learningReport, setLearningReport] = useState<LearningReport | null>(null);
+  const [trophyShelf, setTrophyShelf] = useState<TrophyShelf | null>(null);
+  const [certificate, setCertificate] = useState<Certificate | null>(null);
+  const [classReport, setClassReport] = useState<ClassReport | null>(null);
+  const [refreshingReport, setRefreshingReport] = useState(false);
   const [courses, setCourses] = useState<Course[]>([]);
+  const [courseDetails, setCourseDetails] = useState<CourseDetails | null>(null);
+  const [lockNotice, setLockNotice] = useState<string | null>(null);
   const [currentLesson, setCurrentLesson] = useState<Lesson | null>(null);
   const [currentCourseId, setCurrentCourseId] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
@@ -447,6 +1788,51 @@ export default function App() {
       console.log('[LearnKids] window.openai:', window.openai);
 
       try {
+        // A teacher's class (create-class / get-class-report)
+        if (toolOutput?.classReport) {
+          setClassReport(toolOutput.classReport);
+          setView('class');
+          return;
+        }
+
+        // A parent's learning report (get-learning-report)
+        if (toolOutput?.learningReport) {
+          setLearningReport(toolOutput.learningReport);
+          setView('report');
+          return;
+        }
+
+        // A course certificate (get-certificate)
+        if (toolOutput?.certificate) {
+          setCertificate(toolOutput.certificate);
+          setCurrentCourseId(toolOutput.certificate.courseId);
+          setView('certificate');
+          return;
+        }
+
+        // A review quiz (get-review)
+        if (toolOutput?.review) {
+          setReview(toolOutput.review);
+          setCurrentCourseId(toolOutput.review.courseId);
+          setView('review');
+          return;
+        }
+
+        // A lesson example to watch step by step (trace-example)
+        if (toolOutput?.trace) {
+          setCodeTrace(toolOutput.trace);
+          setCurrentCourseId(toolOutput.trace.courseId);
+          setView('trace');
+          return;
+        }
+
+        // A learner's trophy shelf (get-achievements)
+        if (toolOutput?.achievementShelf) {
+          setTrophyShelf(toolOutput.achievementShelf);
+          setView('trophies');
+          return;
+        }
+
         // If we have courses from tool output, use those
         if (toolOutput?.courses) {
           console.log('[LearnKids] Found courses in toolOutput:', toolOutput.courses.length);
@@ -455,6 +1841,29 @@ export default function App() {
           return;
         }
 
+        // If we have course details from tool output, show the lesson plan
+        if (toolOutput?.course) {
+          setCourseDetails(toolOutput.course);
+          setCurrentCourseId(toolOutput.course.id);
+          setView('course');
+          return;
+        }
+
+        // A locked lesson from tool output - show the lesson plan with the reason
+        if (toolOutput?.locked && toolOutput.courseId && callToolApi) {
+          const data = await callTool('view-course-details', {
+            courseId: toolOutput.courseId,
+            ...localeArgs(locale),
+          }, callToolApi);
+          if (data?.course) {
+            setCourseDetails(data.course);
+            setCurrentCourseId(toolOutput.courseId);
+            setLockNotice(toolOutput.locked.message);
+            setView('course');
+            return;
+          }
+        }
+
         // If we have a lesson from tool output, show it
         if (toolOutput?.lesson) {
           console.log('[LearnKids] Found lesson in toolOutput:', toolOutput.lesson.title);
@@ -482,7 +1891,7 @@ export default function App() {
 
         // No tool output - try to fetch courses
         console.log('[LearnKids] No toolOutput, attempting to call get-courses...');
-        const data = await callTool('get-courses', {}, callToolApi);
+        const data = await callTool('get-courses', localeArgs(locale), callToolApi);
         console.log('[LearnKids] get-courses response:', data);
 
         if (data?.courses) {
@@ -501,20 +1910,68 @@ export default function App() {
     }
 
     initialize();
-  }, [toolOutput, callToolApi, widgetState.currentCourseId]);
+  }, [toolOutput, callToolApi, locale, widgetState.currentCourseId]);
 
-  // Handle course selection
+  // Rebuild progress from the server once the host can call tools, so progress
+  // survives the host dropping widget state
+  const hasSyncedProgressRef = useRef(false);
+  useEffect(() => {
+    if (!callToolApi || hasSyncedProgressRef.current) return;
+    hasSyncedProgressRef.current = true;
+
+    callTool('get-progress', {}, callToolApi)
+      .then((data) => {
+        const saved = data?.progress?.courses as Record<string, CourseProgress> | undefined;
+        if (saved && isMountedRef.current) {
+          setWidgetState((previous) => progressFromServer(previous, Object.values(saved)));
+        }
+      })
+      .catch((err) => {
+        console.warn('[LearnKids] Could not load saved progress:', err);
+      });
+  }, [callToolApi, setWidgetState]);
+
+  // Handle course selection - show the lesson plan first
   const handleSelectCourse = async (courseId: string) => {
     try {
       setView('loading');
+      setLockNotice(null);
+
+      const data = await callTool('view-course-details', { courseId, ...localeArgs(locale) }, callToolApi ?? undefined);
 
+      if (data?.course) {
+        setCurrentCourseId(courseId);
+        setCourseDetails(data.course);
+        setView('course');
+      } else {
+        setError('Failed to load course');
+        setView('error');
+      }
+    } catch (err) {
+      console.error('[LearnKids] Error loading course:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load course');
+      setView('error');
+    }
+  };
+
+  // Handle lesson selection from the course details view
+  const handleStartLesson = async (lessonNumber: number) => {
+    if (!currentCourseId) return;
+
+    try {
+      setLockNotice(null);
       const data = await callTool('start-lesson', {
-        courseId,
-        lessonNumber: 1,
+        courseId: currentCourseId,
+        lessonNumber,
+        ...localeArgs(locale),
       }, callToolApi ?? undefined);
 
+      if (data?.locked) {
+        setLockNotice(data.locked.message);
+        return;
+      }
+
       if (data?.lesson) {
-        setCurrentCourseId(courseId);
         setCurrentLesson(data.lesson);
         setView('lesson');
       } else {
@@ -529,16 +1986,25 @@ export default function App() {
   };
 
   // Handle lesson completion
-  const handleLessonComplete = async (lessonId: string, result: NonNullable<ToolOutputData['validation']>) => {
-    const newProgress = {
-      ...widgetState,
-      progress: {
-        completedLessons: [...new Set([...widgetState.progress.completedLessons, lessonId])],
-        earnedStars: widgetState.progress.earnedStars + (result.reward?.stars || 1),
-      },
-      currentCourseId,
-      lastAccessed: new Date().toISOString(),
-    };
+  const handleLessonComplete = async (
+    lessonId: string,
+    result: NonNullable<ToolOutputData['validation']>,
+    serverProgress?: CourseProgress | null
+  ) => {
+    const newProgress = serverProgress
+      ? {
+          ...progressFromServer(widgetState, [serverProgress]),
+          currentCourseId: currentCourseId ?? undefined,
+        }
+      : {
+          ...widgetState,
+          progress: {
+            completedLessons: [...new Set([...widgetState.progress.completedLessons, lessonId])],
+            earnedStars: widgetState.progress.earnedStars + (result.reward?.stars || 1),
+          },
+          currentCourseId: currentCourseId ?? undefined,
+          lastAccessed: new Date().toISOString(),
+        };
     setWidgetState(newProgress);
 
     // Load next lesson if available
@@ -566,12 +2032,80 @@ export default function App() {
   };
 
   // Handle back to catalog
-  const handleBackToCatalog = () => {
+  const handleBackToCatalog = async () => {
     setCurrentLesson(null);
     setCurrentCourseId(null);
+    setCourseDetails(null);
+    setLockNotice(null);
+
+    // Opened straight into a course or lesson, so the catalog was never loaded
+    if (courses.length === 0) {
+      setView('loading');
+      try {
+        const data = await callTool('get-courses', {}, callToolApi ?? undefined);
+        setCourses(data?.courses || []);
+      } catch (err) {
+        console.error('[LearnKids] Error loading courses:', err);
+      }
+    }
     setView('catalog');
   };
 
+  // Handle back from a lesson - reload the lesson plan so new checkmarks and unlocks show
+  const handleBackToCourse = () => {
+    setCurrentLesson(null);
+    if (currentCourseId) {
+      void handleSelectCourse(currentCourseId);
+    } else {
+      void handleBackToCatalog();
+    }
+  };
+
+  // Reload the class report so new joins and attempts show up
+  const handleRefreshReport = async () => {
+    if (!classReport) return;
+    setRefreshingReport(true);
+    try {
+      const data = await callTool('get-class-report', {
+        classId: classReport.class.id,
+        ...localeArgs(locale),
+      }, callToolApi ?? undefined);
+      if (data?.classReport && isMountedRef.current) {
+        setClassReport(data.classReport);
+      }
+    } catch (err) {
+      console.error('[LearnKids] Error refreshing class report:', err);
+    } finally {
+      if (isMountedRef.current) setRefreshingReport(false);
+    }
+  };
+
+  // Start a review quiz for the open course
+  const handleStartReview = async () => {
+    if (!currentCourseId) return;
+    try {
+      setView('loading');
+      const data = await callTool('get-review', { courseId: currentCourseId, ...localeArgs(locale) }, callToolApi ?? undefined);
+      if (data?.review) {
+        setReview(data.review);
+        setView('review');
+      } else {
+        setError(data?.message || 'Failed to load the review');
+        setView('error');
+      }
+    } catch (err) {
+      console.error('[LearnKids] Error loading review:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load the review');
+      setView('error');
+    }
+  };
+
+  // Open the certificate form for the course that was just finished
+  const handleGetCertificate = () => {
+    setCertificate(null);
+    setView('certificate');
+  };
+
   // Handle retry after error
   const handleRetry = () => {
     setError(null);
@@ -585,12 +2119,56 @@ export default function App() {
       {view === 'loading' && <LoadingSpinner />}
       {view === 'error' && <ErrorMessage message={error || 'Unknown error'} onRetry={handleRetry} />}
       {view === 'catalog' && <CourseCatalog courses={courses} onSelectCourse={handleSelectCourse} />}
+      {view === 'class' && classReport && (
+        <ClassReportView
+          report={classReport}
+          locale={locale}
+          refreshing={refreshingReport}
+          onRefresh={handleRefreshReport}
+        />
+      )}
+      {view === 'report' && learningReport && <LearningReportView report={learningReport} locale={locale} />}
+      {view === 'trophies' && trophyShelf && <TrophyShelfView shelf={trophyShelf} locale={locale} />}
+      {view === 'review' && review && (
+        <ReviewView key={review.items.map((item) => item.id).join()} review={review} locale={locale} onBack={handleBackToCourse} />
+      )}
+      {view === 'trace' && codeTrace && (
+        <div className="trace-container">
+          <h2 className="course-title">▶️ {codeTrace.lessonTitle}</h2>
+          <p className="course-description">Example {codeTrace.example}: watch the program run one line at a time.</p>
+          <TraceViewer trace={codeTrace} />
+          {codeTrace.explanation && <div className="example-explanation">{codeTrace.explanation}</div>}
+          <button className="button button-primary trace-lesson-button" onClick={() => handleStartLesson(codeTrace.lessonNumber)}>
+            Open the lesson →
+          </button>
+        </div>
+      )}
+      {view === 'certificate' && currentCourseId && (
+        <CertificateView
+          key={certificate?.code ?? currentCourseId}
+          courseId={currentCourseId}
+          certificate={certificate}
+          locale={locale}
+          onIssued={setCertificate}
+        />
+      )}
+      {view === 'course' && courseDetails && (
+        <CourseDetailsView
+          course={courseDetails}
+          notice={lockNotice}
+          onBack={handleBackToCatalog}
+          onStartLesson={handleStartLesson}
+          onReview={handleStartReview}
+        />
+      )}
       {view === 'lesson' && currentLesson && (
         <LessonViewer
           lesson={currentLesson}
           courseId={currentCourseId || ''}
-          onBack={handleBackToCatalog}
+          locale={locale}
+          onBack={handleBackToCourse}
           onComplete={handleLessonComplete}
+          onGetCertificate={handleGetCertificate}
         />
       )}
     </div>
@@ -18,6 +18,7 @@ declare global {
         structuredContent?: unknown;
       }>;
       requestClose?: () => void;
+      openExternal?: (options: { href: string }) => void;
     };
   }
 }